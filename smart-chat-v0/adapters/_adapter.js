@@ -20,6 +20,11 @@ export class ThreadSourceAdapter {
   get fs() { return this.item.collection.fs; }
   get created_at() { return this.item.created_at; }
   get file_path() { return this.item.path; }
+  /**
+   * @property {string} source_dir - Folder new thread files are saved to
+   * @readonly
+   */
+  get source_dir() { return this.item.collection.source_dir; }
 
   /**
    * @property {Object} env - The environment configuration
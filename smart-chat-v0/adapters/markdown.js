@@ -1,2 +1,78 @@
-// TODO
-// - should extend base markdown adapter to parse content into smart_thread.data and smart_messages.data
+import { ThreadSourceAdapter } from "./_adapter.js";
+import { thread_to_markdown, markdown_to_thread, is_thread_markdown } from "../utils/thread_markdown.js";
+
+/**
+ * @class MarkdownThreadSourceAdapter
+ * @extends ThreadSourceAdapter
+ * @description Persists threads as readable Markdown notes in the vault (see utils/thread_markdown.js
+ * for the format). Notes can be edited by hand; importing rebuilds the thread data and its
+ * SmartMessage items, including tool calls, lookup results and messages from other branches.
+ */
+export class MarkdownThreadSourceAdapter extends ThreadSourceAdapter {
+  static extensions = ['md'];
+  static extension = 'md';
+  extension = 'md';
+
+  /**
+   * Markdown threads are saved to the vault folder set in the chat settings.
+   * @returns {string}
+   */
+  get source_dir() { return this.item.collection.markdown_dir; }
+
+  to_source_data() {
+    const branch_message_keys = {};
+    Object.values(this.data.branches || {}).forEach(branches => {
+      branches.forEach(branch_messages => {
+        Object.keys(branch_messages).forEach(key => { branch_message_keys[key] = true; });
+      });
+    });
+    const get_message_data = (sub_key) => {
+      const message = this.item.env.smart_messages.get(this.item.key + '#' + sub_key);
+      if (!message) console.warn('message not found', this.item.key + '#' + sub_key);
+      return message?.data;
+    };
+    const messages = Object.entries(this.data.messages)
+      .sort(([, a], [, b]) => a - b)
+      .map(([sub_key]) => get_message_data(sub_key))
+      .filter(Boolean)
+    ;
+    const branch_messages = Object.keys(branch_message_keys)
+      .filter(sub_key => !(sub_key in this.data.messages))
+      .map(get_message_data)
+      .filter(Boolean)
+    ;
+    return thread_to_markdown(this.data, messages, { branch_messages, model: this.model_description });
+  }
+
+  from_source_data(source_data) {
+    if (!is_thread_markdown(source_data)) {
+      return console.warn('not a Smart Chat thread note', this.file_path);
+    }
+    const { data, messages, branch_messages } = markdown_to_thread(source_data);
+    this.item.data = {
+      ...data,
+      key: this.item.key,
+      path: this.file_path,
+    };
+    [...messages, ...branch_messages].forEach(message_data => {
+      const key = this.item.key + '#' + message_data.id;
+      this.item.env.smart_messages.items[key] = new this.item.env.smart_messages.item_type(
+        this.item.env,
+        { ...message_data, thread_key: this.item.key, key }
+      );
+    });
+  }
+
+  /**
+   * Adapter and model for the frontmatter (informational; ignored on import).
+   * @returns {string|undefined}
+   */
+  get model_description() {
+    const chat_model_settings = this.item.collection.settings?.chat_model;
+    const thread_settings = this.item.thread_settings || {};
+    const adapter = thread_settings.adapter || chat_model_settings?.adapter;
+    if (!adapter) return undefined;
+    const model_key = thread_settings.model_key || chat_model_settings?.[adapter]?.model_key;
+    return model_key ? `${adapter}/${model_key}` : adapter;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * @module components/branches
+ * @description Renders the branch explorer: every fork point of the thread with its variants
+ * (the current messages and each stored branch). Variants can be made current, deleted,
+ * forked into a new thread, and two siblings can be compared word by word.
+ */
+
+import { escape_html } from "smart-utils/index.js";
+import { get_fork_points, diff_words } from "../utils/branch_tree.js";
+import { render_body, pick_visible } from "../utils/thread_markdown.js";
+
+const PREVIEW_LENGTH = 90;
+
+/**
+ * Builds the HTML string for the branches component.
+ * @param {SmartThread} thread - Thread to explore
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string
+ */
+export function build_html(thread, opts = {}) {
+  const fork_points = get_fork_points(thread.data);
+  return `
+    <div class="sc-branches">
+      <div class="sc-branches-header">
+        <h3>${this.get_icon_html('git-branch')} Branches</h3>
+      </div>
+      ${fork_points.length ? fork_points.map(fork => `
+        <details class="sc-branch-fork" data-msg-i="${fork.msg_i}" open>
+          <summary>Message ${fork.msg_i} · ${fork.variants.length} variants</summary>
+          <div class="sc-branch-variants">
+            ${fork.variants.map(variant => build_variant_html.call(this, thread, fork, variant)).join('')}
+          </div>
+          <div class="sc-branch-diff" hidden></div>
+        </details>
+      `).join('') : '<p class="sc-branches-empty">No branches yet. Regenerate a response or edit a message to create one.</p>'}
+    </div>
+  `;
+}
+
+/**
+ * Renders the branches component.
+ * @async
+ * @param {SmartThread} thread - Thread to explore
+ * @param {Object} [opts={}] - Rendering options
+ * @param {Function} [opts.open_thread] - Called with the key of a forked thread to open it
+ * @returns {Promise<DocumentFragment>} Rendered branch explorer
+ */
+export async function render(thread, opts = {}) {
+  const html = build_html.call(this, thread, opts);
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, thread, frag, opts);
+}
+
+/**
+ * Post-processes the branch explorer: actions on variants and the diff of two siblings.
+ * @async
+ * @param {SmartThread} thread - Thread to explore
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(thread, frag, opts) {
+  const panel = frag.querySelector('.sc-branches');
+  const re_render = async () => {
+    panel.replaceWith(await render.call(this, thread, opts));
+  };
+
+  panel.querySelectorAll('.sc-branch-variant').forEach(variant_elm => {
+    const fork_elm = variant_elm.closest('.sc-branch-fork');
+    const msg_i = Number(fork_elm.dataset.msgI);
+    const index = Number(variant_elm.dataset.index);
+
+    variant_elm.querySelector('.sc-branch-promote')?.addEventListener('click', async () => {
+      await thread.promote_branch(msg_i, index);
+      await re_render();
+    });
+
+    const delete_button = variant_elm.querySelector('.sc-branch-delete');
+    delete_button?.addEventListener('click', async () => {
+      if (!delete_button.classList.contains('is-confirming')) {
+        delete_button.classList.add('is-confirming');
+        delete_button.textContent = 'Confirm delete';
+        return;
+      }
+      await thread.delete_branch(msg_i, index);
+      await re_render();
+    });
+
+    const fork_form = variant_elm.querySelector('.sc-branch-fork-form');
+    variant_elm.querySelector('.sc-branch-fork-button')?.addEventListener('click', () => {
+      fork_form.hidden = !fork_form.hidden;
+      if (!fork_form.hidden) fork_form.querySelector('input').focus();
+    });
+    const create_fork = async () => {
+      const name = fork_form.querySelector('input').value;
+      const new_thread = await thread.fork_branch(msg_i, index, name);
+      if (opts.open_thread) opts.open_thread(new_thread.key);
+      else await re_render();
+    };
+    fork_form?.querySelector('button')?.addEventListener('click', create_fork);
+    fork_form?.querySelector('input')?.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') create_fork();
+    });
+
+    variant_elm.querySelector('.sc-branch-compare')?.addEventListener('change', () => {
+      render_diff.call(this, thread, fork_elm);
+    });
+  });
+
+  return frag;
+}
+
+function build_variant_html(thread, fork, variant) {
+  const first = get_message(thread, variant.ids[0]);
+  const preview = get_message_text(first).replace(/\s+/g, ' ').trim();
+  const label = variant.is_current ? 'Current' : `Branch ${variant.index}`;
+  const default_fork_name = `${thread.key} – ${label.toLowerCase()} at ${fork.msg_i}`;
+  return `
+    <div class="sc-branch-variant${variant.is_current ? ' is-current' : ''}" data-index="${variant.index}">
+      <label class="sc-branch-label" title="Select two variants to compare">
+        <input type="checkbox" class="sc-branch-compare">
+        <strong>${label}</strong>
+        <span class="sc-branch-count">${variant.ids.length} message${variant.ids.length === 1 ? '' : 's'}</span>
+      </label>
+      <div class="sc-branch-preview">${escape_html(preview.slice(0, PREVIEW_LENGTH))}${preview.length > PREVIEW_LENGTH ? '…' : ''}</div>
+      <div class="sc-branch-actions">
+        ${variant.is_current ? '' : `
+          <button class="sc-branch-promote" title="Make this the current branch">${this.get_icon_html('check')} Switch to</button>
+          <button class="sc-branch-delete" title="Delete this branch and its messages">${this.get_icon_html('trash-2')} Delete</button>
+        `}
+        <button class="sc-branch-fork-button" title="Copy the conversation through this branch into a new chat">${this.get_icon_html('git-fork')} Fork</button>
+      </div>
+      <div class="sc-branch-fork-form" hidden>
+        <input type="text" value="${escape_html(default_fork_name)}" placeholder="New chat name">
+        <button>Create chat</button>
+      </div>
+    </div>
+  `;
+}
+
+// word diff of the first message of the two selected variants
+function render_diff(thread, fork_elm) {
+  const diff_elm = fork_elm.querySelector('.sc-branch-diff');
+  const selected = [...fork_elm.querySelectorAll('.sc-branch-variant')]
+    .filter(variant_elm => variant_elm.querySelector('.sc-branch-compare').checked)
+  ;
+  this.empty(diff_elm);
+  if (selected.length !== 2) {
+    diff_elm.hidden = true;
+    return;
+  }
+  const fork = get_fork_points(thread.data).find(_fork => _fork.msg_i === Number(fork_elm.dataset.msgI));
+  const [a, b] = selected.map(variant_elm => {
+    const variant = fork.variants[Number(variant_elm.dataset.index)];
+    return get_message_text(get_message(thread, variant.ids[0]));
+  });
+  const labels = selected.map(variant_elm => variant_elm.querySelector('strong').textContent);
+  const html = diff_words(a, b)
+    .map(part => {
+      const text = escape_html(part.text);
+      if (part.type === 'removed') return `<del>${text}</del>`;
+      if (part.type === 'added') return `<ins>${text}</ins>`;
+      return text;
+    })
+    .join('')
+  ;
+  diff_elm.appendChild(this.create_doc_fragment(`
+    <div class="sc-branch-diff-legend"><del>${escape_html(labels[0])}</del> <ins>${escape_html(labels[1])}</ins></div>
+    <div class="sc-branch-diff-body">${html}</div>
+  `));
+  diff_elm.hidden = false;
+}
+
+function get_message(thread, id) {
+  return id ? thread.env.smart_messages.get(thread.key + '#' + id) : null;
+}
+
+function get_message_text(message) {
+  if (!message) return '';
+  return render_body(message.data.role, pick_visible(message.data));
+}
@@ -0,0 +1,93 @@
+/**
+ * @module components/compare
+ * @description Renders the replies of a comparison (compare mode) side by side: one column per
+ * chat model with its status, latency and tokens, and a button to keep a reply as the thread's
+ * current branch.
+ */
+
+import { escape_html } from "smart-utils/index.js";
+import { get_result_usage } from "../utils/compare.js";
+
+/**
+ * Builds the HTML string for the compare component.
+ * @param {SmartThread} thread - Thread with a `comparison`
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string
+ */
+export function build_html(thread, opts = {}) {
+  const comparison = thread.comparison;
+  if (!comparison) return '';
+  const running = comparison.results.some(result => ['pending', 'streaming'].includes(result.status));
+  return `
+    <div class="sc-compare">
+      <div class="sc-compare-header">
+        <span>${this.get_icon_html('columns')} Compare · ${comparison.results.length} models</span>
+        <button class="sc-compare-dismiss" title="Discard all replies">${this.get_icon_html('x')}</button>
+      </div>
+      <div class="sc-compare-columns" style="--sc-compare-columns: ${Math.max(1, comparison.results.length)};">
+        ${comparison.results.map(result => build_column_html.call(this, result, comparison, running)).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the compare component.
+ * @async
+ * @param {SmartThread} thread - Thread with a `comparison`
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered comparison
+ */
+export async function render(thread, opts = {}) {
+  const html = build_html.call(this, thread, opts);
+  if (!html) return document.createDocumentFragment();
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, thread, frag, opts);
+}
+
+/**
+ * Post-processes the compare component: keep a reply or discard all.
+ * @async
+ * @param {SmartThread} thread - Thread with a `comparison`
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(thread, frag, opts) {
+  frag.querySelectorAll('.sc-compare-column').forEach(column => {
+    // text set here so replies are shown as written, not as HTML
+    const result = thread.comparison.results.find(_result => _result.id === column.dataset.id);
+    column.querySelector('.sc-compare-content').textContent = result?.error || result?.content || '';
+    column.querySelector('.sc-compare-keep')?.addEventListener('click', async () => {
+      await thread.keep_comparison_result(column.dataset.id);
+    });
+  });
+  frag.querySelector('.sc-compare-dismiss')?.addEventListener('click', () => thread.discard_comparison());
+  return frag;
+}
+
+function build_column_html(result, comparison, running) {
+  const usage = result.status === 'done' ? get_result_usage(result, comparison.request_tokens) : null;
+  const stats = [
+    result.first_token_ms !== undefined ? `first token ${format_ms(result.first_token_ms)}` : '',
+    result.latency_ms !== undefined ? `total ${format_ms(result.latency_ms)}` : '',
+    usage ? `${usage.prompt_tokens.toLocaleString()} in / ${usage.completion_tokens.toLocaleString()} out${usage.source === 'estimate' ? ' (est.)' : ''}` : '',
+  ].filter(Boolean);
+  return `
+    <div class="sc-compare-column is-${result.status}" data-id="${escape_html(result.id)}">
+      <div class="sc-compare-column-header">
+        <strong>${escape_html(result.label)}</strong>
+        <span class="sc-compare-status">${result.status === 'done' ? '' : result.status}</span>
+      </div>
+      <div class="sc-compare-content"></div>
+      <div class="sc-compare-stats">${stats.join(' · ')}</div>
+      ${result.status === 'done' && !running ? `
+        <button class="sc-compare-keep" title="Keep this reply; the others are stored as branches">${this.get_icon_html('check')} Keep</button>
+      ` : ''}
+    </div>
+  `;
+}
+
+function format_ms(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
@@ -0,0 +1,103 @@
+/**
+ * @module components/compare_targets
+ * @description Renders the compare mode form of a thread: the chat models (adapter and optional
+ * model) every following message is sent to.
+ */
+
+import { escape_html } from "smart-utils/index.js";
+
+/**
+ * Builds the HTML string for the compare targets component.
+ * @param {SmartThread} thread - Thread whose compare mode is edited
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string
+ */
+export function build_html(thread, opts = {}) {
+  const targets = thread.compare_targets.length
+    ? thread.compare_targets
+    : [{ adapter: thread.collection.chat_model_settings.adapter || '' }, { adapter: '' }]
+  ;
+  return `
+    <div class="sc-compare-targets">
+      <div class="sc-compare-targets-header">
+        <h3>${this.get_icon_html('columns')} Compare models</h3>
+        <span>${thread.compare_targets.length
+          ? `Compare mode is on: each message is answered by ${thread.compare_targets.length} models.`
+          : 'Send each message to several models and keep the best reply.'}</span>
+      </div>
+      <div class="sc-compare-target-list">
+        ${targets.map(target => build_target_html.call(this, thread, target)).join('')}
+      </div>
+      <button class="sc-compare-target-add">${this.get_icon_html('plus')} Add model</button>
+      <div class="sc-compare-targets-actions">
+        <button class="sc-compare-targets-save mod-cta">${thread.compare_targets.length ? 'Update' : 'Turn on'}</button>
+        ${thread.compare_targets.length ? '<button class="sc-compare-targets-off">Turn off</button>' : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the compare targets component.
+ * @async
+ * @param {SmartThread} thread - Thread whose compare mode is edited
+ * @param {Object} [opts={}] - Rendering options
+ * @param {Function} [opts.on_save] - Called after compare mode is changed
+ * @returns {Promise<DocumentFragment>} Rendered form
+ */
+export async function render(thread, opts = {}) {
+  const html = build_html.call(this, thread, opts);
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, thread, frag, opts);
+}
+
+/**
+ * Post-processes the compare targets component: add/remove rows, turn on and off.
+ * @async
+ * @param {SmartThread} thread - Thread whose compare mode is edited
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(thread, frag, opts) {
+  const panel = frag.querySelector('.sc-compare-targets');
+  const list = panel.querySelector('.sc-compare-target-list');
+  const watch_row = (row) => {
+    row.querySelector('.sc-compare-target-remove').addEventListener('click', () => row.remove());
+  };
+  list.querySelectorAll('.sc-compare-target').forEach(watch_row);
+
+  panel.querySelector('.sc-compare-target-add').addEventListener('click', () => {
+    list.appendChild(this.create_doc_fragment(build_target_html.call(this, thread, { adapter: '' })));
+    watch_row(list.lastElementChild);
+  });
+
+  const save = (targets) => {
+    thread.set_compare_targets(targets);
+    if (opts.on_save) opts.on_save(thread);
+  };
+  panel.querySelector('.sc-compare-targets-save').addEventListener('click', () => {
+    save([...list.querySelectorAll('.sc-compare-target')].map(row => ({
+      adapter: row.querySelector('select').value,
+      model_key: row.querySelector('input').value,
+    })));
+  });
+  panel.querySelector('.sc-compare-targets-off')?.addEventListener('click', () => save([]));
+
+  return frag;
+}
+
+function build_target_html(thread, target) {
+  const chat_model_settings = thread.collection.chat_model_settings;
+  const options = thread.collection.get_chat_adapter_options()
+    .map(({ value, name }) => `<option value="${escape_html(value)}"${value === target.adapter ? ' selected' : ''}>${escape_html(name)}</option>`)
+    .join('')
+  ;
+  return `
+    <div class="sc-compare-target">
+      <select><option value="">Choose adapter…</option>${options}</select>
+      <input type="text" value="${escape_html(target.model_key || '')}" placeholder="${escape_html(chat_model_settings[target.adapter]?.model_key || 'Default model')}">
+      <button class="sc-compare-target-remove" title="Remove">${this.get_icon_html('x')}</button>
+    </div>
+  `;
+}
@@ -1,42 +1,65 @@
-// renders collapsible element that lists items in message.context.lookup_results
+// renders collapsible element that lists items in message.tool_call_output (lookup results)
 // message item is provided as the scope for this component
+// while the results are under review (message.context_review_pending) it renders the
+// pre-flight editor: content preview and token size per item, pin/remove, drop-in of notes and
+// blocks, re-running the lookup with edited hypotheticals, and confirming the curated set
 
 // components/context.js
 
-// ... (existing comments and imports)
+import { escape_html } from "smart-utils/index.js";
+import { estimate_tokens } from "../utils/history_summary.js";
+import { parse_dropped_links, resolve_link_key } from "../utils/context_review.js";
+
+const PREVIEW_LENGTH = 280;
 
 /**
  * Builds the HTML string for the context component.
- * @param {SmartMessage} message - The message instance containing context.lookup_results.
+ * @param {SmartMessage} message - The message instance containing the lookup results.
  * @param {Object} [opts={}] - Optional parameters for customizing the build.
  * @returns {string} HTML string for the context component.
  */
 export function build_html(message, opts = {}) {
   const lookup_results = message.tool_call_output || [];
+  const reviewing = message.context_review_pending;
 
-  if (lookup_results.length === 0) {
+  if (lookup_results.length === 0 && !reviewing) {
     return ''; // No context to display
   }
 
-  const review_context = message.settings?.review_context === true;
+  const hypotheticals = message.data.context_review?.hypotheticals || [];
 
   return `
-    <div class="sc-context-container" id="${message.data.id}">
+    <div class="sc-context-container${reviewing ? ' sc-context-review' : ''}" id="${message.data.id}">
       <div class="sc-context-header" tabindex="0" role="button" aria-expanded="false" aria-controls="context-list-${message.data.id}">
-        <span>${this.get_icon_html('info')} Context (${lookup_results.length})</span>
+        <span>${this.get_icon_html('info')} ${reviewing ? 'Review context' : 'Context'} (${lookup_results.length})<span class="sc-context-total-tokens"></span></span>
         <span class="sc-context-toggle-icon">${this.get_icon_html('chevron-down')}</span>
       </div>
       <ul class="sc-context-list" id="context-list-${message.data.id}" hidden>
+        ${reviewing ? `
+          <li class="sc-context-hypotheticals">
+            <label>Lookup queries (one per line)</label>
+            <textarea rows="${Math.min(6, Math.max(2, hypotheticals.length))}">${escape_html(hypotheticals.join('\n'))}</textarea>
+            <button class="sc-context-rerun-btn">${this.get_icon_html('search')} Re-run lookup</button>
+          </li>
+        ` : ''}
         ${lookup_results.map((result, index) => `
-          <li class="sc-context-item" data-index="${index}">
-            ${review_context ? `<button class="sc-context-remove-btn" title="Remove">${this.get_icon_html('x')}</button>` : ''}
-            <span class="sc-context-item-path">${result.key}</span>
-            <span class="sc-context-item-score">Score: ${result.score.toFixed(2)}</span>
+          <li class="sc-context-item${result.pinned ? ' is-pinned' : ''}" data-index="${index}" data-key="${escape_html(result.key)}">
+            <div class="sc-context-item-header">
+              ${reviewing ? `
+                <button class="sc-context-pin-btn" title="${result.pinned ? 'Unpin' : 'Pin (keep when re-running lookup)'}">${this.get_icon_html(result.pinned ? 'pin-off' : 'pin')}</button>
+                <button class="sc-context-remove-btn" title="Remove">${this.get_icon_html('x')}</button>
+              ` : ''}
+              <span class="sc-context-item-path">${escape_html(result.key)}</span>
+              <span class="sc-context-item-score">${typeof result.score === 'number' ? `Score: ${result.score.toFixed(2)}` : 'Added'}</span>
+              <span class="sc-context-item-tokens"></span>
+            </div>
+            ${reviewing ? '<div class="sc-context-item-preview"></div>' : ''}
           </li>
         `).join('')}
-        ${review_context ? `
+        ${reviewing ? `
+          <li class="sc-context-drop-zone">Drag notes or blocks here (e.g. from the connections view) to add them</li>
           <li class="sc-context-submit">
-            <button class="sc-context-submit-btn">Submit</button>
+            <button class="sc-context-submit-btn">Send ${lookup_results.length} item${lookup_results.length === 1 ? '' : 's'}</button>
           </li>
         ` : ''}
       </ul>
@@ -47,7 +70,7 @@ export function build_html(message, opts = {}) {
 /**
  * Renders the context component.
  * @async
- * @param {SmartMessage} message - The message instance containing context.lookup_results.
+ * @param {SmartMessage} message - The message instance containing the lookup results.
  * @param {Object} [opts={}] - Rendering options.
  * @returns {Promise<DocumentFragment>} Rendered context interface.
  */
@@ -68,14 +91,15 @@ export async function render(message, opts = {}) {
  * @returns {Promise<DocumentFragment>} Post-processed fragment.
  */
 export async function post_process(message, frag, opts) {
+  const container = frag.querySelector('.sc-context-container');
   const header = frag.querySelector('.sc-context-header');
   const list = frag.querySelector('.sc-context-list');
   const toggle_icon = frag.querySelector('.sc-context-toggle-icon');
-  const review_context = message.settings?.review_context === true;
+  const reviewing = message.context_review_pending;
 
   if (header && list && toggle_icon) {
     // Initialize collapsed state
-    if(review_context) header.setAttribute('aria-expanded', 'true');
+    if(reviewing) header.setAttribute('aria-expanded', 'true');
     else header.setAttribute('aria-expanded', 'false');
 
     // Toggle visibility on header click
@@ -89,46 +113,109 @@ export async function post_process(message, frag, opts) {
     });
   }
 
-  if (review_context) {
-    // Handle "x" button clicks to remove context items
-    const remove_buttons = frag.querySelectorAll('.sc-context-remove-btn');
-    remove_buttons.forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation(); // Prevent collapsing the list
-        const item = btn.closest('.sc-context-item');
-        const index = parseInt(item.getAttribute('data-index'), 10);
-
-        // Remove the context item from message.context.lookup_results
-        message.tool_call_output.splice(index, 1);
-
-        // Re-render the context component
-        message.render();
-      });
-    });
+  // token size (and preview while reviewing) of each item
+  render_item_details.call(this, message, container, reviewing);
 
-    // Handle submit button click
-    const submit_button = frag.querySelector('.sc-context-submit-btn');
-    if (submit_button) {
-      submit_button.addEventListener('click', async (e) => {
-        e.stopPropagation(); // Prevent collapsing the list
-        const container = e.target.closest('.sc-context-container');
-        // Remove all remove buttons
-        container.querySelectorAll('.sc-context-remove-btn').forEach(btn => btn.remove());
-        
-        // Remove the submit button and its container
-        const submit_container = submit_button.closest('.sc-context-submit');
-        if (submit_container) {
-          submit_container.remove();
-        }
-        
-        // Collapse the list
-        header.setAttribute('aria-expanded', 'false');
-        
-        // Proceed with processing the message after context review
-        await message.thread.complete();
-      });
+  if (!reviewing) return frag;
+
+  // pin: keep the item when the lookup is re-run
+  frag.querySelectorAll('.sc-context-pin-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation(); // Prevent collapsing the list
+      const index = parseInt(btn.closest('.sc-context-item').getAttribute('data-index'), 10);
+      const result = message.tool_call_output[index];
+      result.pinned = !result.pinned;
+      message.queue_save();
+      message.render();
+    });
+  });
+
+  // Handle "x" button clicks to remove context items
+  frag.querySelectorAll('.sc-context-remove-btn').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation(); // Prevent collapsing the list
+      const index = parseInt(btn.closest('.sc-context-item').getAttribute('data-index'), 10);
+      message.tool_call_output.splice(index, 1);
+      message.queue_save();
+      message.render();
+    });
+  });
+
+  // re-run lookup with the edited hypotheticals
+  const rerun_button = frag.querySelector('.sc-context-rerun-btn');
+  rerun_button?.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const hypotheticals = container.querySelector('.sc-context-hypotheticals textarea').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+    ;
+    if (!hypotheticals.length) return;
+    rerun_button.disabled = true;
+    try {
+      await message.rerun_lookup(hypotheticals);
+    } catch (error) {
+      console.error('Error re-running lookup:', error);
+      rerun_button.disabled = false;
     }
+  });
+
+  // drop notes/blocks (links dragged from the connections view or the file explorer)
+  container.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    container.classList.add('is-drag-over');
+  });
+  container.addEventListener('dragleave', () => container.classList.remove('is-drag-over'));
+  container.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    container.classList.remove('is-drag-over');
+    const links = parse_dropped_links(e.dataTransfer?.getData('text/plain') || '');
+    const keys = links.map(link => resolve_link_key(message.env, link)).filter(Boolean);
+    if (!keys.length) return console.warn('No notes or blocks found in dropped content', links);
+    try {
+      await message.add_context(keys);
+    } catch (error) {
+      console.error('Could not add dropped context', error);
+    }
+  });
+
+  // Handle submit button click
+  const submit_button = frag.querySelector('.sc-context-submit-btn');
+  if (submit_button) {
+    submit_button.addEventListener('click', async (e) => {
+      e.stopPropagation(); // Prevent collapsing the list
+      submit_button.disabled = true;
+      // Proceed with processing the message after context review
+      await message.confirm_context();
+    });
   }
 
   return frag;
 }
+
+/**
+ * Loads each item's content to show its token size and, while reviewing, a preview.
+ * @private
+ */
+async function render_item_details(message, container, reviewing) {
+  const items = [...container.querySelectorAll('.sc-context-item')];
+  if (!items.length) return;
+  const contents = await message.fetch_content(items.map(item => item.dataset.key));
+  let total_tokens = 0;
+  items.forEach((item, index) => {
+    const content = contents[index];
+    if (content?.type !== 'text') {
+      item.querySelector('.sc-context-item-tokens').textContent = content?.type === 'image' ? 'image' : '';
+      return;
+    }
+    const tokens = estimate_tokens(content.content || '');
+    total_tokens += tokens;
+    item.querySelector('.sc-context-item-tokens').textContent = `~${tokens.toLocaleString()} tokens`;
+    const preview = item.querySelector('.sc-context-item-preview');
+    if (reviewing && preview) {
+      const text = String(content.content || '').trim();
+      preview.textContent = text.length > PREVIEW_LENGTH ? text.slice(0, PREVIEW_LENGTH) + '…' : text;
+    }
+  });
+  container.querySelector('.sc-context-total-tokens').textContent = ` · ~${total_tokens.toLocaleString()} tokens`;
+}
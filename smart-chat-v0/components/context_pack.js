@@ -0,0 +1,122 @@
+/**
+ * @module components/context_pack
+ * @description Renders the vault context that was packed into the prompt for an assistant
+ * message (message.data.context_pack): included blocks with score and token cost, blocks that
+ * were left out and why, and how the token budget was split with conversation history.
+ */
+
+import { escape_html } from "smart-utils/index.js";
+
+const DROP_REASONS = {
+  overlap: 'overlaps an included block',
+  duplicate: 'duplicate content',
+  budget: 'over token budget',
+  limit: 'block limit reached',
+  active_note: 'in current note',
+};
+
+/**
+ * Builds the HTML string for the context pack component.
+ * @param {SmartMessage} message - Assistant message with data.context_pack
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string ('' when the message has no context pack)
+ */
+export function build_html(message, opts = {}) {
+  const pack = message.data?.context_pack;
+  if (!pack) return '';
+  const blocks = pack.blocks || [];
+  const dropped = pack.dropped || [];
+  const context_tokens = pack.tokens?.context ?? 0;
+  const history_tokens = pack.tokens?.history ?? 0;
+  const budget = pack.budget || {};
+  const block_count = blocks.length + (pack.active_note ? 1 : 0);
+
+  return `
+    <div class="sc-context-container sc-context-pack" data-message-id="${message.data.id}">
+      <div class="sc-context-header" tabindex="0" role="button" aria-expanded="false" aria-controls="context-pack-${message.data.id}">
+        <span>${this.get_icon_html('info')} Vault context (${block_count}) · ${context_tokens + history_tokens}${budget.total ? ` / ${budget.total}` : ''} tokens</span>
+        <span class="sc-context-toggle-icon">${this.get_icon_html('chevron-down')}</span>
+      </div>
+      <ul class="sc-context-list" id="context-pack-${message.data.id}">
+        ${pack.active_note ? `
+          <li class="sc-context-item sc-context-pack-item" data-key="${escape_html(pack.active_note.key)}">
+            <span class="sc-context-item-path">${escape_html(pack.active_note.key)} (current note)</span>
+            <span class="sc-context-item-score">${pack.active_note.tokens} tokens${pack.active_note.truncated ? ' · truncated' : ''}</span>
+          </li>
+        ` : ''}
+        ${blocks.map(block => `
+          <li class="sc-context-item sc-context-pack-item" data-key="${escape_html(block.key)}">
+            <span class="sc-context-item-path">${escape_html(block.key)}</span>
+            <span class="sc-context-item-score">Score: ${format_score(block.score)} · ${block.tokens} tokens${block.truncated ? ' · truncated' : ''}</span>
+          </li>
+        `).join('')}
+        ${dropped.length ? `
+          <li class="sc-context-pack-section">Not included (${dropped.length})</li>
+          ${dropped.map(item => `
+            <li class="sc-context-item sc-context-pack-item sc-context-pack-dropped" data-key="${escape_html(item.key)}">
+              <span class="sc-context-item-path">${escape_html(item.key)}</span>
+              <span class="sc-context-item-score">Score: ${format_score(item.score)} · ${DROP_REASONS[item.reason] || item.reason}</span>
+            </li>
+          `).join('')}
+        ` : ''}
+        <li class="sc-context-pack-section sc-context-pack-budget">
+          Context ${context_tokens}${budget.context ? ` / ${budget.context}` : ''} tokens ·
+          History ${history_tokens}${budget.history ? ` / ${budget.history}` : ''} tokens
+          ${pack.history ? ` (${pack.history.included} messages${pack.history.omitted ? `, ${pack.history.omitted} omitted` : ''})` : ''}
+        </li>
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Renders the context pack component.
+ * @async
+ * @param {SmartMessage} message - Assistant message with data.context_pack
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered context pack
+ */
+export async function render(message, opts = {}) {
+  const html = build_html.call(this, message, opts);
+  if (!html) return document.createDocumentFragment();
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, message, frag, opts);
+}
+
+/**
+ * Post-processes the rendered context pack: toggling and opening included notes.
+ * @async
+ * @param {SmartMessage} message - Assistant message
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(message, frag, opts) {
+  const header = frag.querySelector('.sc-context-header');
+  if (header) {
+    const toggle = () => {
+      const is_expanded = header.getAttribute('aria-expanded') === 'true';
+      header.setAttribute('aria-expanded', is_expanded ? 'false' : 'true');
+    };
+    header.addEventListener('click', toggle);
+    header.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggle();
+      }
+    });
+  }
+
+  frag.querySelectorAll('.sc-context-pack-item').forEach(item => {
+    item.addEventListener('click', (event) => {
+      const key = item.getAttribute('data-key');
+      if (key) message.env.main?.open_note?.(key, event);
+    });
+  });
+
+  return frag;
+}
+
+function format_score(score) {
+  return typeof score === 'number' ? score.toFixed(2) : '-';
+}
@@ -0,0 +1,109 @@
+/**
+ * @module components/history_summary
+ * @description Renders the rolling summary that replaces older turns of a thread in requests
+ * (thread.data.summary). Expanding it shows the summary text and the messages it replaced.
+ */
+
+import { escape_html } from "smart-utils/index.js";
+
+/**
+ * Builds the HTML string for the history summary component.
+ * @param {SmartThread} thread - Thread with a stored summary
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string ('' when the thread has no summary)
+ */
+export function build_html(thread, opts = {}) {
+  const summary = thread.summary;
+  if (!summary) return '';
+  const replaced = summary.message_ids
+    .map(id => thread.env.smart_messages.get(thread.key + '#' + id))
+    .filter(Boolean)
+  ;
+  return `
+    <div class="sc-history-summary">
+      <div class="sc-history-summary-header" tabindex="0" role="button" aria-expanded="false">
+        <span>${this.get_icon_html('history')} Earlier conversation summarized (${summary.message_ids.length} messages)</span>
+        <span class="sc-history-summary-toggle-icon">${this.get_icon_html('chevron-down')}</span>
+      </div>
+      <div class="sc-history-summary-content" hidden>
+        <div class="sc-history-summary-text">${escape_html(summary.content || '')}</div>
+        <div class="sc-history-summary-meta">
+          ~${summary.tokens} tokens${summary.method === 'extractive' ? ' · excerpts (the model could not summarize)' : ''}
+        </div>
+        <div class="sc-history-summary-section">Replaced messages</div>
+        <ul class="sc-history-summary-list">
+          ${replaced.map(msg => `
+            <li class="sc-history-summary-item" data-message-id="${msg.data.id}">
+              <span class="sc-history-summary-role">${msg.role}</span>
+              <span class="sc-history-summary-snippet">${escape_html(get_snippet(msg))}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the history summary component.
+ * @async
+ * @param {SmartThread} thread - Thread with a stored summary
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered summary
+ */
+export async function render(thread, opts = {}) {
+  const html = build_html.call(this, thread, opts);
+  if (!html) return document.createDocumentFragment();
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, thread, frag, opts);
+}
+
+/**
+ * Post-processes the rendered summary: toggling and scrolling to replaced messages.
+ * @async
+ * @param {SmartThread} thread - Thread instance
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(thread, frag, opts) {
+  const header = frag.querySelector('.sc-history-summary-header');
+  const content = frag.querySelector('.sc-history-summary-content');
+  const toggle_icon = frag.querySelector('.sc-history-summary-toggle-icon');
+  if (header && content) {
+    const toggle = () => {
+      const is_expanded = header.getAttribute('aria-expanded') === 'true';
+      header.setAttribute('aria-expanded', is_expanded ? 'false' : 'true');
+      content.hidden = is_expanded;
+      if (toggle_icon) toggle_icon.style.transform = is_expanded ? '' : 'rotate(180deg)';
+    };
+    header.addEventListener('click', toggle);
+    header.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggle();
+      }
+    });
+  }
+
+  frag.querySelectorAll('.sc-history-summary-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const id = item.getAttribute('data-message-id');
+      const msg_elm = thread.messages_container?.querySelector(`#${id}`);
+      msg_elm?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  });
+
+  return frag;
+}
+
+function get_snippet(msg, max_chars = 120) {
+  const text = msg.tool_calls?.length
+    ? msg.tool_calls.map(call => `${call.function?.name}()`).join(', ')
+    : (Array.isArray(msg.content) ? msg.content : [])
+      .map(part => part.text || part.input?.key || '')
+      .join(' ')
+  ;
+  const single_line = (text || (msg.role === 'tool' ? 'lookup results' : '')).replace(/\s+/g, ' ').trim();
+  return single_line.length > max_chars ? single_line.slice(0, max_chars) + '…' : single_line;
+}
@@ -3,6 +3,11 @@
  * @description Renders individual chat messages with support for various content types
  */
 
+import {
+  build_html as build_context_pack_html,
+  post_process as post_process_context_pack,
+} from './context_pack.js';
+
 /**
  * Builds the HTML string for the message component
  * @param {SmartMessage} message - Message instance to render
@@ -36,12 +41,17 @@ export function build_html(message, opts = {}) {
           ` : ''}
           ${message.role === 'assistant' ? `
             <span class="sc-msg-button regenerate" title="Regenerate response">${this.get_icon_html('refresh-cw')}</span>
+            <span class="sc-msg-button save-note" title="Save as new note">${this.get_icon_html('file-plus')}</span>
+            <span class="sc-msg-button append-note" title="Append to active note">${this.get_icon_html('list-plus')}</span>
+            <span class="sc-msg-button insert-cursor" title="Insert at cursor">${this.get_icon_html('text-cursor-input')}</span>
           ` : `
             <span class="sc-msg-button edit" title="Edit message">${this.get_icon_html('edit')}</span>
           `}
         </div>
       </div>
       ${message.role === 'user' ? `<textarea class="sc-message-edit" style="display: none;">${content}</textarea>` : ''}
+      ${message.data.stopped ? `<div class="sc-message-stopped">${this.get_icon_html('square')} Stopped</div>` : ''}
+      ${message.role === 'assistant' ? build_context_pack_html.call(this, message, opts) : ''}
     </div>
   `;
 
@@ -121,6 +131,24 @@ export async function post_process(message, frag, opts) {
     });
   }
 
+  // save the answer to the vault; each action reports where it was written
+  const save_actions = {
+    'save-note': { run: () => message.save_as_note(), done: 'Saved answer to' },
+    'append-note': { run: () => message.append_to_active_note(), done: 'Appended answer to' },
+    'insert-cursor': { run: () => message.insert_at_cursor(), done: 'Inserted answer into' },
+  };
+  Object.entries(save_actions).forEach(([class_name, action]) => {
+    frag.querySelector(`.sc-msg-button.${class_name}`)?.addEventListener('click', async () => {
+      try {
+        const path = await action.run();
+        message.env.notices?.show('saved_chat_answer', `${action.done} ${path || 'note'}`);
+      } catch (error) {
+        console.error('Failed to save answer: ', error);
+        message.env.notices?.show('save_chat_answer_failed', error.message);
+      }
+    });
+  });
+
   const cycle_branch_button = frag.querySelector('.sc-msg-button.cycle-branch');
   if (cycle_branch_button) {
     cycle_branch_button.addEventListener('click', async () => {
@@ -189,6 +217,9 @@ export async function post_process(message, frag, opts) {
     });
   }
 
+  const context_pack_elm = frag.querySelector('.sc-context-pack');
+  if (context_pack_elm) await post_process_context_pack.call(this, message, context_pack_elm, opts);
+
   const msg_span = frag.querySelector('.sc-message-content > span:first-child');
   const markdown_rendered_frag = await this.render_markdown(msg_span.textContent, message);
   this.empty(msg_span);
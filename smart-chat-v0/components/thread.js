@@ -82,6 +82,7 @@ export async function post_process(thread, frag, opts) {
     await Promise.all(
       thread.messages.map(msg => msg.render(container))
     );
+    await thread.render_summary(container);
   }
   
   // Setup chat input handlers
@@ -114,8 +115,7 @@ export async function post_process(thread, frag, opts) {
   // Abort button
   const abort_button = frag.querySelector('#sc-abort-button');
   abort_button.addEventListener('click', () => {
-    thread.chat_model.abort_current_response();
-    thread.clear_streaming_ux();
+    thread.abort_current_response();
   });
 
   // Insert notice if configuration is invalid
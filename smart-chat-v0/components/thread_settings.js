@@ -0,0 +1,97 @@
+/**
+ * @module components/thread_settings
+ * @description Renders the chat options of a thread (adapter, model, temperature, max tokens,
+ * system prompt, context budget). Empty fields use the chat settings.
+ */
+
+import { escape_html } from "smart-utils/index.js";
+import { DEFAULT_TEMPERATURE } from "../utils/thread_settings.js";
+
+/**
+ * Builds the HTML string for the thread settings component.
+ * @param {SmartThread} thread - Thread whose options are edited
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string
+ */
+export function build_html(thread, opts = {}) {
+  const settings = thread.thread_settings;
+  const collection = thread.collection;
+  const default_adapter = collection.chat_model_settings.adapter || '';
+  const default_model = collection.chat_model_settings[settings.adapter || default_adapter]?.model_key || '';
+  const adapter_options = collection.get_chat_adapter_options()
+    .map(({ value, name }) => `<option value="${escape_html(value)}"${value === settings.adapter ? ' selected' : ''}>${escape_html(name)}</option>`)
+    .join('')
+  ;
+  return `
+    <div class="sc-thread-settings">
+      <div class="sc-thread-settings-header">
+        <h3>${this.get_icon_html('sliders-horizontal')} Chat options</h3>
+        <span>Only for this chat. Leave a field empty to use the chat settings.</span>
+      </div>
+      <label>Adapter
+        <select name="adapter">
+          <option value="">Default (${escape_html(default_adapter)})</option>
+          ${adapter_options}
+        </select>
+      </label>
+      <label>Model
+        <input type="text" name="model_key" value="${escape_html(settings.model_key || '')}" placeholder="${escape_html(default_model)}">
+      </label>
+      <label>Temperature
+        <input type="number" name="temperature" min="0" max="2" step="0.1" value="${settings.temperature ?? ''}" placeholder="${DEFAULT_TEMPERATURE}">
+      </label>
+      <label>Max tokens
+        <input type="number" name="max_tokens" min="1" step="1" value="${settings.max_tokens ?? ''}" placeholder="Model default">
+      </label>
+      <label>Context budget (tokens)
+        <input type="number" name="context_budget" min="1" step="1000" value="${settings.context_budget ?? ''}" placeholder="${collection.settings.summary_threshold || 12000}">
+      </label>
+      <label>System prompt
+        <textarea name="system_prompt" rows="4" placeholder="Instructions sent with every message of this chat">${escape_html(settings.system_prompt || '')}</textarea>
+      </label>
+      <div class="sc-thread-settings-actions">
+        <button class="sc-thread-settings-save mod-cta">Save</button>
+        <button class="sc-thread-settings-reset">Reset to defaults</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Renders the thread settings component.
+ * @async
+ * @param {SmartThread} thread - Thread whose options are edited
+ * @param {Object} [opts={}] - Rendering options
+ * @param {Function} [opts.on_save] - Called after the options are saved
+ * @returns {Promise<DocumentFragment>} Rendered options form
+ */
+export async function render(thread, opts = {}) {
+  const html = build_html.call(this, thread, opts);
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, thread, frag, opts);
+}
+
+/**
+ * Post-processes the thread settings component: save and reset.
+ * @async
+ * @param {SmartThread} thread - Thread whose options are edited
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(thread, frag, opts) {
+  const panel = frag.querySelector('.sc-thread-settings');
+  const save = (settings) => {
+    thread.update_thread_settings(settings);
+    if (opts.on_save) opts.on_save(thread);
+  };
+
+  panel.querySelector('.sc-thread-settings-save').addEventListener('click', () => {
+    const settings = {};
+    panel.querySelectorAll('[name]').forEach(field => { settings[field.name] = field.value; });
+    save(settings);
+  });
+  panel.querySelector('.sc-thread-settings-reset').addEventListener('click', () => save({}));
+
+  return frag;
+}
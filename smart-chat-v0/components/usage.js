@@ -0,0 +1,150 @@
+/**
+ * @module components/usage
+ * @description Renders the token usage panel: totals for the current thread and for all
+ * threads, tokens per day, and breakdowns per adapter and per model. Built from the usage
+ * stored on assistant messages (`message.data.usage`).
+ */
+
+import { escape_html } from "smart-utils/index.js";
+import { collect_usage_records, summarize_usage } from "../utils/usage_stats.js";
+
+/**
+ * Builds the HTML string for the usage component.
+ * @param {SmartThreads} threads_collection - Threads collection
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @param {string} [opts.thread_key] - Thread shown in the "This chat" tab
+ * @returns {string} HTML string
+ */
+export function build_html(threads_collection, opts = {}) {
+  const messages = Object.values(threads_collection.env.smart_messages?.items || {});
+  const scopes = [
+    { key: 'thread', label: 'This chat', records: opts.thread_key ? collect_usage_records(messages, { thread_key: opts.thread_key }) : [] },
+    { key: 'all', label: 'All chats', records: collect_usage_records(messages) },
+  ];
+  return `
+    <div class="sc-usage">
+      <div class="sc-usage-header">
+        <h3>${this.get_icon_html('bar-chart-2')} Token usage</h3>
+        <div class="sc-usage-tabs">
+          ${scopes.map((scope, i) => `
+            <button class="sc-usage-tab${i === 0 ? ' is-active' : ''}" data-scope="${scope.key}">${scope.label}</button>
+          `).join('')}
+        </div>
+      </div>
+      ${scopes.map((scope, i) => `
+        <div class="sc-usage-scope" data-scope="${scope.key}"${i === 0 ? '' : ' hidden'}>
+          ${build_scope_html(summarize_usage(scope.records))}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Renders the usage component.
+ * @async
+ * @param {SmartThreads} threads_collection - Threads collection
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered usage panel
+ */
+export async function render(threads_collection, opts = {}) {
+  const html = build_html.call(this, threads_collection, opts);
+  const frag = this.create_doc_fragment(html);
+  return await post_process.call(this, threads_collection, frag, opts);
+}
+
+/**
+ * Post-processes the rendered usage panel: switching between thread and global totals.
+ * @async
+ * @param {SmartThreads} threads_collection - Threads collection
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(threads_collection, frag, opts) {
+  const tabs = frag.querySelectorAll('.sc-usage-tab');
+  const panels = frag.querySelectorAll('.sc-usage-scope');
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      const scope = tab.getAttribute('data-scope');
+      tabs.forEach(other => other.classList.toggle('is-active', other === tab));
+      panels.forEach(panel => { panel.hidden = panel.getAttribute('data-scope') !== scope; });
+    });
+  });
+  return frag;
+}
+
+function build_scope_html(summary) {
+  const { totals } = summary;
+  if (!totals.responses) return '<p class="sc-usage-empty">No token usage recorded yet.</p>';
+  const stats = [
+    ['Total tokens', format_number(totals.total_tokens)],
+    ['Prompt', format_number(totals.prompt_tokens)],
+    ['Response', format_number(totals.completion_tokens)],
+    ['Responses', format_number(totals.responses)],
+  ];
+  if (totals.cost_usd > 0) stats.push(['Reported cost', format_cost(totals.cost_usd)]);
+  return `
+    <div class="sc-usage-stats">
+      ${stats.map(([label, value]) => `
+        <div class="sc-usage-stat">
+          <div class="sc-usage-stat-value">${value}</div>
+          <div class="sc-usage-stat-label">${label}</div>
+        </div>
+      `).join('')}
+    </div>
+    ${totals.estimated ? `<p class="sc-usage-note">${totals.estimated} of ${totals.responses} responses are estimates (the model did not report usage).</p>` : ''}
+    <div class="sc-usage-section">Tokens per day</div>
+    ${build_bars_html(summary.by_day)}
+    <div class="sc-usage-section">By adapter</div>
+    ${build_table_html(summary.by_adapter, 'Adapter')}
+    <div class="sc-usage-section">By model</div>
+    ${build_table_html(summary.by_model, 'Model')}
+  `;
+}
+
+function build_bars_html(days) {
+  const max = Math.max(1, ...days.map(day => day.total_tokens));
+  return `
+    <div class="sc-usage-bars">
+      ${days.map(day => `
+        <div class="sc-usage-bar-row" title="${format_number(day.prompt_tokens)} prompt · ${format_number(day.completion_tokens)} response">
+          <span class="sc-usage-bar-label">${day.key}</span>
+          <span class="sc-usage-bar-track">
+            <span class="sc-usage-bar" style="width: ${Math.max(1, Math.round(day.total_tokens / max * 100))}%;"></span>
+          </span>
+          <span class="sc-usage-bar-value">${format_number(day.total_tokens)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function build_table_html(groups, label) {
+  return `
+    <table class="sc-usage-table">
+      <thead>
+        <tr><th>${label}</th><th>Prompt</th><th>Response</th><th>Total</th><th>Responses</th></tr>
+      </thead>
+      <tbody>
+        ${groups.map(group => `
+          <tr>
+            <td>${escape_html(group.key)}</td>
+            <td>${format_number(group.prompt_tokens)}</td>
+            <td>${format_number(group.completion_tokens)}</td>
+            <td>${format_number(group.total_tokens)}</td>
+            <td>${format_number(group.responses)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function format_number(value) {
+  return Number(value || 0).toLocaleString();
+}
+
+function format_cost(value) {
+  return '$' + value.toFixed(value < 1 ? 4 : 2);
+}
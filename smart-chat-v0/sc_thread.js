@@ -39,16 +39,7 @@ export class SmartThread extends SmartThreadBase {
   async handle_lookup_tool_call(tool_call, msg_data) {
     const previous_message = this.messages[this.messages.length - 2];
     const params = this.#build_lookup_params(tool_call.function.arguments, previous_message);
-
-    // Determine lookup collection (blocks or sources)
-    const lookup_collection = this.env.smart_blocks.settings.embed_blocks
-      ? this.env.smart_blocks
-      : this.env.smart_sources;
-
-    const lookup_results = (await lookup_collection.lookup(params)).map(result => ({
-      key: result.item.key,
-      score: result.score,
-    }));
+    const lookup_results = await this.run_lookup(params);
 
     const msg_i = Object.keys(this.data.messages || {}).length + 1;
     const branch_i = (this.data.branches?.[msg_i] || []).length + 1;
@@ -61,7 +52,41 @@ export class SmartThread extends SmartThreadBase {
       role: 'tool',
       response_id: tool_call.id,
       id: `tool-${msg_i}-${branch_i}`,
+      // with review_context on, results are only sent once the user confirms them
+      context_review: {
+        status: this.settings.review_context ? 'pending' : 'confirmed',
+        hypotheticals: params.hypotheticals,
+        filter: params.filter,
+      },
+    });
+  }
+
+  /**
+   * Runs a semantic lookup for the 'lookup' tool. With `lookup_chat_history` on, matching
+   * messages from other threads are added (marked `chat: true`).
+   * @async
+   * @param {Object} params - { hypotheticals, filter }
+   * @returns {Promise<Array<Object>>} Results as `{ key, score }`
+   */
+  async run_lookup(params) {
+    // Determine lookup collection (blocks or sources)
+    const lookup_collection = this.env.smart_blocks.settings.embed_blocks
+      ? this.env.smart_blocks
+      : this.env.smart_sources;
+
+    const results = (await lookup_collection.lookup(params)).map(result => ({
+      key: result.item.key,
+      score: result.score,
+    }));
+    if (!this.settings.lookup_chat_history) return results;
+    const chat_results = await this.collection.history_index.search((params.hypotheticals || []).join('\n'), {
+      limit: Math.max(1, Math.ceil((params.filter?.limit || 10) / 3)),
+      exclude_thread_key: this.key,
     });
+    return [
+      ...results,
+      ...chat_results.map(result => ({ key: result.key, score: result.score, chat: true })),
+    ];
   }
 
   /**
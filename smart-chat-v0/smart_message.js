@@ -5,6 +5,15 @@ import { render as context_template } from "./components/context";
 import { render as tool_calls_template } from "./components/tool_calls";
 import { render as system_message_template } from "./components/system_message";
 import { get_translated_context_suffix_prompt, get_translated_context_prefix_prompt } from "./utils/self_referential_keywords";
+import { merge_lookup_results, add_context_items } from "./utils/context_review.js";
+import { get_message_search_text } from "./utils/chat_history.js";
+import {
+  get_answer_source_keys,
+  build_answer_block,
+  build_answer_note,
+  get_answer_note_name,
+  append_under_heading,
+} from "./utils/save_answer.js";
 
 /**
  * @class SmartMessage
@@ -65,24 +74,26 @@ export class SmartMessage extends SmartBlock {
   }
 
   /**
-   * Initializes the message. If the message is from the user, triggers thread completion.
-   * If the message represents a tool output and no review is needed, triggers thread completion.
+   * Initializes the message. If the message is new to the thread and from the user, triggers thread completion.
+   * If it is a new tool output that is not waiting for review, triggers thread completion.
+   * Messages the thread already lists (e.g. copied into a fork) are only rendered.
    *
    * @async
    */
   async init() {
     while (!this.thread) await new Promise(resolve => setTimeout(resolve, 100));
 
-    if (!this.thread.data.messages[this.id]) {
+    const is_new = !this.thread.data.messages[this.id];
+    if (is_new) {
       this.thread.data.messages[this.id] = this.msg_i;
       await new Promise(resolve => setTimeout(resolve, 30));
     }
 
     await this.render();
 
-    if (this.role === 'user') {
+    if (is_new && this.role === 'user') {
       await this.thread.complete();
-    } else if (this.role === 'tool' && !this.settings.review_context) {
+    } else if (is_new && this.role === 'tool' && !this.context_review_pending) {
       this.thread.complete();
     }
 
@@ -164,7 +175,7 @@ export class SmartMessage extends SmartBlock {
       this_message.tool_call_id = this.tool_call_id;
     }
 
-    if (this.tool_call_output?.length) {
+    if (this.tool_call_output?.length || this.context_review_pending) {
       const output_content = await this.tool_call_output_to_request();
       this_message.content = [{ type: 'text', text: output_content }];
     }
@@ -181,15 +192,14 @@ export class SmartMessage extends SmartBlock {
    */
   async tool_call_output_to_request() {
     if (this.tool_name === 'lookup') {
+      // results under review are only sent once the user confirms them
+      if (this.context_review_pending) return 'The lookup results have not been confirmed by the user yet.';
+      const results = this.tool_call_output.map(({ key, score }) => ({ key, score }));
       if (this.settings.tool_call_output_as_json) {
         // Return lookup results as JSON
-        const lookup_collection = this.tool_call_output[0]?.key.includes('#')
-          ? this.env.smart_blocks
-          : this.env.smart_sources;
-
-        const detailed_results = await Promise.all(this.tool_call_output.map(async (result) => ({
+        const detailed_results = await Promise.all(results.map(async (result) => ({
           ...result,
-          content: (await lookup_collection.get(result.key).read())
+          content: (await (this.env.smart_blocks.get(result.key) || this.env.smart_sources.get(result.key))?.read())
         })));
         return JSON.stringify(detailed_results);
       }
@@ -197,12 +207,12 @@ export class SmartMessage extends SmartBlock {
       // Return lookup results as formatted text
       const prefix_prompt = get_translated_context_prefix_prompt(this.thread.language);
       let lookup_output = `${prefix_prompt}\n`;
-      const lookup_content = await this.fetch_content(this.tool_call_output.map(r => r.key));
+      const lookup_content = await this.fetch_content(results.map(r => r.key));
 
-      this.tool_call_output.forEach((result, index) => {
+      results.forEach((result, index) => {
         if (lookup_content[index]?.type === 'text') {
           lookup_output += `-----------------------\n`;
-          lookup_output += `/${result.key} (relevance score: ${result.score})\n`;
+          lookup_output += `/${result.key} (${typeof result.score === 'number' ? `relevance score: ${result.score}` : 'added by user'})\n`;
           lookup_output += `---\n${lookup_content[index].content}\n`;
           lookup_output += `-----------------------\n\n`;
         }
@@ -214,6 +224,100 @@ export class SmartMessage extends SmartBlock {
     return '';
   }
 
+  /**
+   * @property {boolean} context_review_pending - Lookup results are waiting for the user to review them
+   * @readonly
+   */
+  get context_review_pending() { return this.data.context_review?.status === 'pending'; }
+
+  /**
+   * Runs the lookup again with edited hypotheticals. Pinned results are kept.
+   * @async
+   * @param {Array<string>} hypotheticals - Hypothetical notes to search with
+   */
+  async rerun_lookup(hypotheticals) {
+    const context_review = this.data.context_review || {};
+    const filter = context_review.filter || { limit: this.settings.lookup_limit || 10 };
+    const fresh_results = await this.thread.run_lookup({ hypotheticals, filter });
+    this.tool_call_output = merge_lookup_results(this.tool_call_output || [], fresh_results);
+    this.data.context_review = { ...context_review, hypotheticals };
+    await this.render();
+    this.queue_save();
+  }
+
+  /**
+   * Adds notes or blocks to the reviewed lookup results (pinned, without score).
+   * @async
+   * @param {Array<string>} keys - Source or block keys
+   */
+  async add_context(keys) {
+    this.tool_call_output = add_context_items(this.tool_call_output || [], keys);
+    await this.render();
+    this.queue_save();
+  }
+
+  /**
+   * Confirms the reviewed lookup results and continues the completion with them.
+   * @async
+   */
+  async confirm_context() {
+    this.data.context_review = { ...this.data.context_review, status: 'confirmed' };
+    await this.render();
+    this.queue_save();
+    await this.thread.complete();
+  }
+
+  /**
+   * Saves this answer as a new note in the saved answers folder, with a backlink to the chat and
+   * links to the notes used as context, and opens it.
+   * @async
+   * @returns {Promise<string>} Path of the new note
+   */
+  async save_as_note() {
+    const app = this.obsidian_app;
+    const folder = this.thread.collection.saved_answers_dir;
+    if (folder && !app.vault.getAbstractFileByPath(folder)) await app.vault.createFolder(folder);
+    const name = get_answer_note_name(this.answer_text) || `${this.thread.key} answer`;
+    let path = (folder ? folder + '/' : '') + name + '.md';
+    for (let i = 1; app.vault.getAbstractFileByPath(path); i++) path = (folder ? folder + '/' : '') + `${name} ${i}.md`;
+    const thread_path = this.thread.data.path;
+    const file = await app.vault.create(path, build_answer_note({
+      content: this.answer_text,
+      thread_key: this.thread.key,
+      message_id: this.id,
+      thread_link: thread_path?.endsWith('.md') ? `[[${thread_path.replace(/\.md$/, '')}|${this.thread.key}]]` : null,
+      sources: this.answer_source_keys,
+    }));
+    await app.workspace.getLeaf('tab').openFile(file);
+    return path;
+  }
+
+  /**
+   * Appends this answer under the saved answers heading of the active note (the heading is added
+   * when missing).
+   * @async
+   * @returns {Promise<string>} Path of the note
+   */
+  async append_to_active_note() {
+    const app = this.obsidian_app;
+    const file = app.workspace.getActiveFile();
+    if (file?.extension !== 'md') throw new Error('No active note to append to');
+    const heading = this.thread.collection.settings?.saved_answers_heading || 'Smart Chat';
+    await app.vault.process(file, (markdown) => append_under_heading(markdown, heading, this.answer_block));
+    return file.path;
+  }
+
+  /**
+   * Inserts this answer at the cursor of the last active editor (replacing the selection).
+   * @returns {string} Path of the note
+   */
+  insert_at_cursor() {
+    const view = this.obsidian_app.workspace.getMostRecentLeaf()?.view;
+    if (!view?.editor) throw new Error('No open editor to insert into');
+    view.editor.replaceSelection(this.answer_block);
+    return view.file?.path;
+  }
+
   /**
    * Fetches and processes content referenced by internal links.
    * Can return text or base64 image data depending on the file type.
@@ -232,6 +336,9 @@ export class SmartMessage extends SmartBlock {
       const contents = await Promise.all(paths.map(async (path) => {
         if (path) {
           try{
+            // past chat message (lookup with chat history)
+            const chat_message = path.includes('#') && this.env.smart_messages.get(path);
+            if (chat_message) return { type: 'text', content: format_chat_message(chat_message) };
             const item = this.env.smart_blocks.get(path) || this.env.smart_sources.get(path);
             // Check if the link is an image
             const file_extension = path.split('.').pop().toLowerCase();
@@ -454,4 +561,45 @@ export class SmartMessage extends SmartBlock {
   get has_image() {
     return Array.isArray(this.content) && this.content.some(part => part.type === 'image_url');
   }
+
+  /**
+   * @property {string} answer_text - Text written to the vault when the message is saved
+   * @readonly
+   */
+  get answer_text() { return get_message_search_text(this.data); }
+
+  /**
+   * @property {string} answer_block - Answer with its provenance comment, for inserting into a note
+   * @readonly
+   */
+  get answer_block() {
+    return build_answer_block({ content: this.answer_text, thread_key: this.thread.key, message_id: this.id });
+  }
+
+  /**
+   * @property {Array<string>} answer_source_keys - Notes used as context for this message: the
+   * messages from the user message it answers up to this one
+   * @readonly
+   */
+  get answer_source_keys() {
+    const messages = this.thread.messages.slice(0, this.msg_i);
+    let start = messages.length - 1;
+    while (start > 0 && messages[start]?.role !== 'user') start--;
+    return get_answer_source_keys(messages.slice(Math.max(start, 0)).filter(Boolean).map(message => message.data));
+  }
+
+  /**
+   * @property {App} obsidian_app - Obsidian app, used to write answers to the vault
+   * @readonly
+   */
+  get obsidian_app() {
+    const app = this.env.smart_connections_plugin?.app;
+    if (!app) throw new Error('Saving answers requires the Obsidian app');
+    return app;
+  }
+}
+
+// a message from another chat as lookup context: where it is from, then its text
+function format_chat_message(message) {
+  return `From the chat "${message.data.thread_key}" (${message.data.role}):\n${get_message_search_text(message.data)}`;
 }
@@ -9,6 +9,23 @@ import {
 } from "./utils/internal_links.js";
 import { contains_self_referential_keywords } from "./utils/self_referential_keywords.js";
 import { render as error_template } from "./components/error.js";
+import { render as history_summary_template } from "./components/history_summary.js";
+import {
+  estimate_tokens,
+  estimate_request_tokens,
+  find_summary_cutoff,
+  get_request_message_text,
+  build_summary_request,
+  build_extractive_summary,
+  build_summary_message
+} from "./utils/history_summary.js";
+import { normalize_usage } from "./utils/usage_stats.js";
+import { thread_to_canvas, canvas_to_thread, get_edited_messages, parse_canvas } from "./utils/thread_canvas.js";
+import { promote_branch, delete_branch, get_variant_path } from "./utils/branch_tree.js";
+import { apply_request_overrides } from "./utils/prompt_templates.js";
+import { normalize_thread_settings, apply_thread_settings, get_thread_chat_model_settings } from "./utils/thread_settings.js";
+import { normalize_compare_targets, get_target_id, build_comparison_request, run_comparison } from "./utils/compare.js";
+import { render as compare_template } from "./components/compare.js";
 
 /**
  * @class SmartThread
@@ -29,6 +46,7 @@ export class SmartThread extends SmartSource {
         responses: {},
         messages: {},
         branches: {},
+        summary: null,
         path: null,
       }
     };
@@ -92,9 +110,19 @@ export class SmartThread extends SmartSource {
         container.appendChild(frag);
       }
     }
+    if (this.comparison) await this.render_comparison();
     return frag;
   }
 
+  /**
+   * Sets the prompt template the chat input was filled from. Its path and overrides are stored
+   * on the next user message and its overrides applied when that message is answered.
+   * @param {Object|null} template - Template parsed by `parse_prompt_template`
+   */
+  use_prompt_template(template) {
+    this.pending_prompt_template = template;
+  }
+
   /**
    * Handles a new user message by creating a corresponding SmartMessage.
    * This involves parsing the message content for inline references, folder references,
@@ -105,6 +133,7 @@ export class SmartThread extends SmartSource {
    */
   async handle_message_from_user(content) {
     try {
+      if (this.comparison) this.discard_comparison(); // replies not kept are dropped
       const new_msg_data = this.#prepare_new_user_message_data(content);
       this.#process_inline_embedded_links(new_msg_data);
       this.#extract_context_from_message_content(new_msg_data);
@@ -150,6 +179,7 @@ export class SmartThread extends SmartSource {
    * @async
    * @param {Object} response - The raw response object from the AI model.
    * @param {Object} [opts={}] - Additional options.
+   * @param {boolean} [opts.final=false] - Complete response (not a stream chunk); its token usage is stored on the message.
    * @returns {Promise<Array>} Array of created or updated message objects.
    */
   async handle_message_from_chat_model(response, opts = {}) {
@@ -159,6 +189,7 @@ export class SmartThread extends SmartSource {
     const new_messages = [];
     for (const choice of (response.choices || [])) {
       const msg_data = { ...(choice?.message || choice), thread_key: this.key, response_id };
+      if (opts.final && !new_messages.length) msg_data.usage = this.build_usage_record(response, msg_data);
       const existing_msg = this.messages.find(m => m.data.response_id === response_id);
       if (existing_msg) msg_data.key = existing_msg.key; // Reuse key if message already exists
 
@@ -176,6 +207,30 @@ export class SmartThread extends SmartSource {
     return new_messages;
   }
 
+  /**
+   * Token usage record stored on an assistant message (`message.data.usage`).
+   * Uses the counts reported with the response; adapters that report none are estimated
+   * from the request sent and the reply.
+   * @param {Object} response - Final response from the chat model
+   * @param {Object} msg_data - Data of the assistant message
+   * @param {Object} [chat_model=this.chat_model] - Model that replied (`adapter_name`, `model_key`)
+   * @returns {Object} { prompt_tokens, completion_tokens, total_tokens, source, adapter, model, at, cost_usd? }
+   */
+  build_usage_record(response, msg_data, chat_model = this.chat_model) {
+    const usage = normalize_usage(response.usage) || {
+      prompt_tokens: this.last_request_tokens || 0,
+      completion_tokens: estimate_tokens(get_request_message_text(msg_data)),
+      source: 'estimate',
+    };
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    return {
+      ...usage,
+      adapter: chat_model?.adapter_name || null,
+      model: response.usage?.model || response.model || chat_model?.model_key || null,
+      at: Date.now(),
+    };
+  }
+
   /**
    * Handles the execution of detected tool calls from a message.
    * This is a base implementation that should be overridden by subclasses
@@ -193,15 +248,19 @@ export class SmartThread extends SmartSource {
   /**
    * Converts the entire thread state into a request payload for the AI model.
    * This involves collecting all messages and optionally adding tool definitions and choices.
+   * Messages covered by the stored summary are replaced by a single summary message.
    *
    * @async
    * @returns {Promise<Object>} The request object ready to be sent to the AI model.
    */
   async to_request() {
     const request = { messages: [] };
+    const summary = this.summary;
+    if (summary) request.messages.push(build_summary_message(summary));
+    const messages = this.recent_messages;
 
-    for (let i = 0; i < this.messages.length; i++) {
-      const msg = this.messages[i];
+    for (let i = 0; i < messages.length; i++) {
+      const msg = messages[i];
       // If configured, handle tool output inclusion before adding the message
       if (this.settings.send_tool_output_in_user_message){
         if (this.#should_include_tool_output(msg)) {
@@ -241,12 +300,19 @@ export class SmartThread extends SmartSource {
       delete request.tool_choice;
     }
 
-    // Set default AI model parameters
-    request.temperature = 0.3;
+    // Lets stateful adapters (e.g. Claude Code CLI sessions) bind the request to this thread
+    request.thread_key = this.key;
+
+    // AI model parameters (thread options, else defaults) and the thread's system prompt
+    apply_thread_settings(request, this.thread_settings);
     request.top_p = 1;
     request.presence_penalty = 0;
     request.frequency_penalty = 0;
 
+    // Overrides (model, temperature, ...) of the prompt template behind the message being answered
+    const template_overrides = messages.findLast(msg => msg.role === 'user')?.data.prompt_template?.overrides;
+    if (template_overrides) apply_request_overrides(request, template_overrides);
+
     // If the last message is a tool_call_output, ensure the last user message is at the end
     this.#reorder_last_user_message_if_needed(request);
 
@@ -261,32 +327,324 @@ export class SmartThread extends SmartSource {
   /**
    * Sends the current thread state to the AI model for completion.
    * Handles streaming and non-streaming responses, as well as errors.
+   * The request carries an AbortSignal; see `abort_current_response()`.
    *
    * @async
    */
   async complete() {
+    const controller = new AbortController();
+    this.abort_controller = controller;
+    this.streaming_message = null;
+    // anything arriving after a stop belongs to the abandoned response
+    const is_active = () => !controller.signal.aborted;
     this.show_typing_indicator();
-    const request = await this.to_request();
-
-    // Use streaming if available and no immediate tool calls are requested
-    const should_stream = this.chat_model.can_stream && (!request.tool_choice || request.tool_choice === 'none');
-    if (should_stream) {
-      await this.chat_model.stream(request, {
-        chunk: this.chunk_handler.bind(this),
-        done: this.done_handler.bind(this),
-        error: this.error_handler.bind(this),
-      });
-    } else {
-      // Non-streaming fallback
-      const response = await this.chat_model.complete(request);
-      if (response.error) {
-        return this.error_handler(response);
+    this.toggle_stop_button(true);
+    try {
+      let request = await this.to_request();
+      if (await this.summarize_history_if_needed(request, { signal: controller.signal })) {
+        request = await this.to_request();
+      }
+      if (!is_active()) return;
+      request.signal = controller.signal;
+      this.last_request_tokens = estimate_request_tokens(request);
+
+      // Compare mode: once any lookup is done, the reply comes from every compared model
+      if (this.compare_targets.length && !request.tool_choice) {
+        await this.complete_comparison(request, { is_active });
+        return;
+      }
+
+      // Use streaming if available and no immediate tool calls are requested
+      const should_stream = this.chat_model.can_stream && (!request.tool_choice || request.tool_choice === 'none');
+      if (should_stream) {
+        await this.chat_model.stream(request, {
+          chunk: (response) => is_active() && this.chunk_handler(response),
+          done: (response) => is_active() && this.done_handler(response),
+          error: (response) => is_active() && this.error_handler(response),
+        });
+      } else {
+        // Non-streaming fallback
+        const response = await this.chat_model.complete(request);
+        if (!is_active()) return;
+        if (response.error) {
+          return this.error_handler(response);
+        }
+        this.data.responses[response.id] = response;
+        await this.handle_message_from_chat_model(response, { final: true });
+      }
+    } finally {
+      if (!is_active()) await this.handle_stopped_response();
+      if (this.abort_controller === controller) {
+        this.abort_controller = null;
+        this.clear_streaming_ux();
       }
-      this.data.responses[response.id] = response;
-      await this.handle_message_from_chat_model(response);
     }
+  }
+
+  /**
+   * Stops the in-flight completion: aborts the request signal (the Claude Code CLI adapter
+   * kills its process) and asks the chat model to end an active HTTP stream (Ollama,
+   * LM Studio, ...). The partial reply is kept and marked as stopped.
+   */
+  abort_current_response() {
+    const controller = this.abort_controller;
+    if (!controller || controller.signal.aborted) return;
+    controller.abort();
+    [this.chat_model, ...(this.comparison_models || [])].forEach(chat_model => {
+      if (typeof chat_model.stop_stream === 'function') chat_model.stop_stream();
+      else chat_model.adapter?.stop_stream?.();
+    });
+    this.clear_streaming_ux();
+  }
+
+  /**
+   * @property {Array<Object>} compare_targets - Chat models replies are compared across
+   * (`[{ adapter, model_key? }]`); empty when compare mode is off
+   * @readonly
+   */
+  get compare_targets() { return this.data.compare_targets || []; }
+
+  /**
+   * Turns compare mode on for the given chat models, or off when there are none.
+   * @param {Array<Object>} targets - [{ adapter, model_key? }]
+   */
+  set_compare_targets(targets) {
+    const compare_targets = normalize_compare_targets(targets);
+    if (compare_targets.length) this.data.compare_targets = compare_targets;
+    else delete this.data.compare_targets;
+    this.queue_save();
+  }
+
+  /**
+   * Sends the request to every compare target at once and streams the replies into columns
+   * (`this.comparison`). Nothing is added to the thread until a reply is kept.
+   * @async
+   * @param {Object} request - Request built by `to_request()`
+   * @param {Object} [opts={}]
+   * @param {Function} [opts.is_active] - False once the response was stopped
+   */
+  async complete_comparison(request, opts = {}) {
+    const is_active = opts.is_active || (() => true);
+    const entries = this.compare_targets.map(target => {
+      const settings = get_thread_chat_model_settings(this.collection.chat_model_settings, target);
+      const chat_model = settings ? this.collection.init_chat_model(settings) : this.collection.chat_model;
+      return { id: get_target_id(target), label: get_target_id(target), chat_model };
+    });
+    this.comparison = {
+      msg_i: Object.keys(this.data.messages || {}).length + 1,
+      request_tokens: this.last_request_tokens,
+      models: Object.fromEntries(entries.map(({ id, chat_model }) => [id, {
+        adapter_name: chat_model.adapter_name,
+        model_key: chat_model.model_key,
+      }])),
+      results: [],
+    };
+    this.comparison_models = entries.map(entry => entry.chat_model);
+    this.hide_typing_indicator(); // each column shows its own progress
+    try {
+      await run_comparison(build_comparison_request(request), entries, {
+        on_update: (result, results) => {
+          if (!is_active() || !this.comparison) return;
+          this.comparison.results = results;
+          this.render_comparison();
+        },
+      });
+    } finally {
+      this.comparison_models = null;
+      entries.forEach(({ chat_model }) => {
+        if (chat_model !== this.collection.chat_model) chat_model.unload?.();
+      });
+    }
+    if (this.comparison) await this.render_comparison();
+  }
+
+  /**
+   * Renders the comparison columns below the messages.
+   * @async
+   * @param {HTMLElement} [container=this.messages_container]
+   */
+  async render_comparison(container = this.messages_container) {
+    if (!container) return;
+    const frag = await compare_template.call(this.smart_view, this);
+    const existing = container.querySelector('.sc-compare');
+    if (existing) existing.replaceWith(frag);
+    else container.appendChild(frag);
+  }
+
+  /**
+   * Keeps a compared reply as the current assistant message. The other finished replies are
+   * stored as branches at the same position, so they can be switched to or diffed later.
+   * @async
+   * @param {string} id - Result id (`adapter` or `adapter/model_key`)
+   */
+  async keep_comparison_result(id) {
+    const comparison = this.comparison;
+    const kept = comparison?.results.find(result => result.id === id && result.status === 'done');
+    if (!kept) return;
+    const others = comparison.results.filter(result => result !== kept && result.status === 'done' && result.content);
+    const { msg_i } = comparison;
+    const branch_base = this.get_branches(msg_i).length + 1;
+    const stamp = Date.now();
+    const msgs = [];
+    for (const [i, result] of [kept, ...others].entries()) {
+      msgs.push(await this.env.smart_messages.create_or_update(
+        this.build_comparison_message_data(result, comparison, { msg_i, branch_i: `${stamp}-${branch_base + i}` })
+      ));
+    }
+    this.comparison = null;
+    msgs.slice(1).forEach(msg => this.create_branch(msg_i, { [msg.id]: msg_i }));
+    await msgs[0].init();
+    await this.render();
+    this.queue_save();
+  }
+
+  /**
+   * Discards all compared replies.
+   */
+  discard_comparison() {
+    this.comparison = null;
+    this.messages_container?.querySelector('.sc-compare')?.remove();
+  }
+
+  /**
+   * Data of the assistant message for a compared reply.
+   * @param {Object} result - Comparison result
+   * @param {Object} comparison - `this.comparison`
+   * @param {Object} ids - { msg_i, branch_i }
+   * @returns {Object}
+   */
+  build_comparison_message_data(result, comparison, ids) {
+    const response = result.response || {};
+    const { tool_calls, ...message } = response.choices?.[0]?.message || {};
+    if (response.id) this.data.responses[response.id] = response;
+    return {
+      ...message,
+      role: 'assistant',
+      content: result.content,
+      thread_key: this.key,
+      response_id: response.id,
+      ...ids,
+      usage: this.build_usage_record(response, { role: 'assistant', content: result.content }, comparison.models[result.id]),
+      comparison: {
+        model: result.id,
+        latency_ms: result.latency_ms,
+        first_token_ms: result.first_token_ms,
+      },
+    };
+  }
+
+  /**
+   * Keeps the partially streamed assistant message, flagged with `stopped`, so the thread
+   * stays consistent for the next turn.
+   * @async
+   */
+  async handle_stopped_response() {
+    const msg = this.streaming_message;
+    this.streaming_message = null;
+    if (!msg) return;
+    msg.data.stopped = true;
+    await msg.init();
+  }
 
+  /**
+   * Resets the UI state shown while a response is being generated.
+   */
+  clear_streaming_ux() {
     this.hide_typing_indicator();
+    this.toggle_stop_button(false);
+  }
+
+  /**
+   * Shows or hides the Stop button in the chat top bar.
+   * @param {boolean} visible
+   */
+  toggle_stop_button(visible) {
+    const stop_button = this.collection.container?.querySelector('button[title="Stop"]');
+    if (stop_button) stop_button.style.display = visible ? '' : 'none';
+  }
+
+  /**
+   * Summarizes older turns when the request is estimated to exceed the thread's `context_budget`
+   * (else `summary_threshold`) tokens.
+   * @async
+   * @param {Object} request - Request built by `to_request()`
+   * @param {Object} [opts={}] - Passed to `summarize_history()`
+   * @returns {Promise<boolean>} True when a new summary was stored
+   */
+  async summarize_history_if_needed(request, opts = {}) {
+    if (this.settings.summarize_history === false) return false;
+    const threshold = this.thread_settings.context_budget || this.settings.summary_threshold || 12000;
+    if (estimate_request_tokens(request) <= threshold) return false;
+    return await this.summarize_history(opts);
+  }
+
+  /**
+   * Folds the oldest unsummarized turns into the thread summary, keeping the most recent
+   * `summary_keep_recent` messages verbatim. Falls back to an extractive summary when the
+   * chat model fails. The summary is saved with the thread.
+   * @async
+   * @param {Object} [opts={}]
+   * @param {number} [opts.keep_recent] - Overrides the `summary_keep_recent` setting
+   * @param {AbortSignal} [opts.signal] - Stops summarization; nothing is stored
+   * @returns {Promise<boolean>} True when a new summary was stored
+   */
+  async summarize_history(opts = {}) {
+    const summary = this.summary;
+    const messages = this.recent_messages;
+    const cutoff = find_summary_cutoff(messages, opts.keep_recent ?? this.settings.summary_keep_recent ?? 6);
+    if (!cutoff) return false;
+    const to_summarize = messages.slice(0, cutoff);
+    const entries = await Promise.all(to_summarize.map(async msg => ({
+      role: msg.role,
+      text: get_request_message_text(await msg.to_request()),
+    })));
+
+    let content = null;
+    let method = 'model';
+    try {
+      const response = await this.chat_model.complete({
+        ...build_summary_request(summary?.content, entries),
+        signal: opts.signal,
+      });
+      if (!response?.error) content = get_request_message_text(response?.choices?.[0]?.message);
+    } catch (error) {
+      console.warn('Failed to summarize conversation history:', error);
+    }
+    if (opts.signal?.aborted) return false;
+    if (!content?.trim()) {
+      content = build_extractive_summary(summary?.content, entries);
+      method = 'extractive';
+    }
+
+    this.data.summary = {
+      content: content.trim(),
+      message_ids: [...(summary?.message_ids || []), ...to_summarize.map(msg => msg.id)],
+      tokens: estimate_tokens(content),
+      created_at: Date.now(),
+      method,
+    };
+    this.queue_save();
+    await this.render_summary();
+    return true;
+  }
+
+  /**
+   * Renders the summary notice in front of the first message that is still sent verbatim.
+   * @async
+   * @param {HTMLElement} [container=this.messages_container] - Container element
+   * @returns {Promise<DocumentFragment|null>}
+   */
+  async render_summary(container = this.messages_container) {
+    if (!container) return null;
+    container.querySelector('.sc-history-summary')?.remove();
+    const summary = this.summary;
+    if (!summary) return null;
+    const frag = await history_summary_template.call(this.smart_view, this);
+    const first_recent = this.recent_messages[0];
+    const anchor = first_recent && container.querySelector(`#${first_recent.data.id}`);
+    if (anchor) container.insertBefore(frag, anchor);
+    else container.appendChild(frag);
+    return frag;
   }
 
   /**
@@ -296,7 +654,10 @@ export class SmartThread extends SmartSource {
    */
   async chunk_handler(response) {
     const msg_items = await this.handle_message_from_chat_model(response);
-    if (msg_items?.length > 0) await msg_items[0].render();
+    if (msg_items?.length > 0) {
+      this.streaming_message = msg_items[0];
+      await msg_items[0].render();
+    }
   }
 
   /**
@@ -305,7 +666,8 @@ export class SmartThread extends SmartSource {
    * @param {Object} response - The final response object from the model.
    */
   async done_handler(response) {
-    const msg_items = await this.handle_message_from_chat_model(response);
+    this.streaming_message = null;
+    const msg_items = await this.handle_message_from_chat_model(response, { final: true });
     this.data.responses[response.id] = response;
     if (msg_items.length > 0) await msg_items[0].init();
   }
@@ -334,10 +696,13 @@ export class SmartThread extends SmartSource {
   }
 
   /**
+   * Source adapter extension: taken from the saved file, else the `thread_format` chat setting.
    * @deprecated temp handling until SmartThreads/SmartChats v2
    */
   get file_type(){
-    return 'json';
+    const extension = this.data.path?.split('.').pop();
+    if (extension && this.collection.source_adapters?.[extension]) return extension;
+    return this.collection.settings?.thread_format === 'md' ? 'md' : 'json';
   }
 
   /*** Private Helpers ***/
@@ -349,12 +714,18 @@ export class SmartThread extends SmartSource {
    * @returns {Object} The data object for the new message.
    */
   #prepare_new_user_message_data(content) {
-    return {
+    const msg_data = {
       thread_key: this.key,
       role: 'user',
       content: [{ type: 'text', text: content.trim() }],
       context: {},
     };
+    if (this.pending_prompt_template) {
+      const { path, overrides } = this.pending_prompt_template;
+      msg_data.prompt_template = { path, overrides };
+      this.pending_prompt_template = null;
+    }
+    return msg_data;
   }
 
   /**
@@ -503,7 +874,45 @@ export class SmartThread extends SmartSource {
 
   /*** Getters and Utility Properties ***/
 
-  get chat_model() { return this.collection.chat_model; }
+  /**
+   * @property {Object} chat_model - The thread's chat model when its options set another adapter
+   * or model, else the collection's
+   * @readonly
+   */
+  get chat_model() {
+    const settings = get_thread_chat_model_settings(this.collection.chat_model_settings, this.thread_settings);
+    if (!settings) return this.collection.chat_model;
+    if (!this._chat_model) this._chat_model = this.collection.init_chat_model(settings, {
+      reload_model: this.reload_chat_model.bind(this),
+    });
+    return this._chat_model;
+  }
+  /**
+   * Unloads the thread's own chat model; the next request uses the current options.
+   */
+  reload_chat_model() {
+    this._chat_model?.unload?.();
+    this._chat_model = null;
+  }
+
+  /**
+   * @property {Object} thread_settings - Options of this thread (see `utils/thread_settings.js`)
+   * @readonly
+   */
+  get thread_settings() { return this.data.settings || {}; }
+
+  /**
+   * Replaces the thread's options. The chat model is reloaded when the adapter or model changes.
+   * @param {Object} settings - Options to keep; empty values fall back to the collection settings
+   */
+  update_thread_settings(settings) {
+    const previous = this.thread_settings;
+    const next = normalize_thread_settings(settings);
+    if (Object.keys(next).length) this.data.settings = next;
+    else delete this.data.settings;
+    if (previous.adapter !== next.adapter || previous.model_key !== next.model_key) this.reload_chat_model();
+    this.queue_save();
+  }
 
   get created_at() {
     if (!this.data.created_at) this.data.created_at = Date.now();
@@ -527,6 +936,26 @@ export class SmartThread extends SmartSource {
       .sort((a, b) => a[1] - b[1])
       .map(([key]) => this.env.smart_messages.get(this.key + '#' + key));
   }
+  /**
+   * @property {Object|null} summary - Stored summary of older turns. Ignored when any of the
+   * messages it replaced is no longer in the thread (e.g. after switching branches).
+   * @readonly
+   */
+  get summary() {
+    const summary = this.data.summary;
+    if (!summary?.message_ids?.length) return null;
+    if (!summary.message_ids.every(id => this.data.messages?.[id])) return null;
+    return summary;
+  }
+  /**
+   * @property {Array<SmartMessage>} recent_messages - Messages not covered by the summary
+   * @readonly
+   */
+  get recent_messages() {
+    const summary = this.summary;
+    if (!summary) return this.messages;
+    return this.messages.filter(msg => !summary.message_ids.includes(msg.id));
+  }
   /**
    * @alias {Array<SmartMessage>} messages
    * @readonly
@@ -543,7 +972,7 @@ export class SmartThread extends SmartSource {
    */
   get path() {
     if (!this.data.path) {
-      this.data.path = this.collection.source_dir + '/' + this.key + '.' + this.source_adapter.extension;
+      this.data.path = this.source_adapter.source_dir + '/' + this.key + '.' + this.source_adapter.extension;
     }
     return this.data.path;
   }
@@ -575,6 +1004,8 @@ export class SmartThread extends SmartSource {
 
   async save() {
     await this.source_adapter.save();
+    if (this.data.canvas_path) await this.write_canvas();
+    this.collection.history_index.queue_sync();
   }
 
   async rename(new_name) {
@@ -646,4 +1077,161 @@ export class SmartThread extends SmartSource {
     await this.render();
     this.queue_save();
   }
+
+  /**
+   * Makes a stored branch the current one. The current messages from `msg_i` on take its
+   * place in the branch list.
+   * @param {number} msg_i - Message index of the fork
+   * @param {number} branch_index - Branch to promote (1 is the first stored branch)
+   * @returns {Promise<void>}
+   */
+  async promote_branch(msg_i, branch_index) {
+    const { messages, branches } = promote_branch(this.data, msg_i, branch_index);
+    this.data.messages = messages;
+    this.data.branches = branches;
+    await this.render();
+    this.queue_save();
+  }
+
+  /**
+   * Deletes a stored branch and its messages.
+   * @param {number} msg_i - Message index of the fork
+   * @param {number} branch_index - Branch to delete (1 is the first stored branch)
+   * @returns {Promise<void>}
+   */
+  async delete_branch(msg_i, branch_index) {
+    const { branches, removed_ids } = delete_branch(this.data, msg_i, branch_index);
+    this.data.branches = branches;
+    removed_ids.forEach(id => this.env.smart_messages.get(this.key + '#' + id)?.delete());
+    await this.render();
+    this.queue_save();
+  }
+
+  /**
+   * Copies the conversation leading through a branch into a new thread.
+   * @param {number} msg_i - Message index of the fork
+   * @param {number} branch_index - Branch to fork (0 is the current branch)
+   * @param {string} name - Name of the new thread (made unique)
+   * @returns {Promise<SmartThread>} The new thread
+   */
+  async fork_branch(msg_i, branch_index, name) {
+    const base_key = (name || '').trim() || `${this.key} (fork)`;
+    let key = base_key;
+    for (let i = 2; this.collection.get(key); i++) key = `${base_key} ${i}`;
+    const thread = await this.collection.create_or_update({ key });
+    const msgs = get_variant_path(this.data, msg_i, branch_index)
+      .map(id => {
+        const msg = this.env.smart_messages.get(this.key + '#' + id);
+        if (!msg) console.warn('message not found', this.key + '#' + id);
+        return msg;
+      })
+      .filter(Boolean)
+    ;
+    // listed before the messages are created, so they are copied rather than answered (see SmartMessage.init)
+    thread.data.messages = Object.fromEntries(msgs.map((msg, i) => [msg.id, i + 1]));
+    thread.data.branches = {};
+    for (const [i, msg] of msgs.entries()) {
+      await this.env.smart_messages.create_or_update({
+        ...JSON.parse(JSON.stringify(msg.data)),
+        thread_key: key,
+        key: key + '#' + msg.id,
+        msg_i: i + 1,
+      });
+    }
+    await thread.render();
+    await thread.save();
+    return thread;
+  }
+
+  /**
+   * @property {Array<SmartMessage>} tree_messages - Messages of the current branch and of all other branches
+   * @readonly
+   */
+  get tree_messages() {
+    const ids = new Set(Object.keys(this.data.messages || {}));
+    Object.values(this.data.branches || {}).forEach(branches => {
+      branches.forEach(branch_messages => Object.keys(branch_messages).forEach(id => ids.add(id)));
+    });
+    return [...ids]
+      .map(id => this.env.smart_messages.get(this.key + '#' + id))
+      .filter(Boolean)
+    ;
+  }
+
+  /**
+   * @property {string} canvas_path - Canvas that mirrors this thread (see utils/thread_canvas.js)
+   * @readonly
+   */
+  get canvas_path() {
+    return this.data.canvas_path || this.collection.markdown_dir + '/' + this.key + '.canvas';
+  }
+
+  /**
+   * Writes the thread tree to its canvas, keeping the layout and other content of the existing canvas.
+   * Once written, the canvas is updated whenever the thread is saved.
+   * @async
+   * @returns {Promise<string>} Canvas path
+   */
+  async write_canvas() {
+    const fs = this.collection.fs;
+    const canvas_path = this.canvas_path;
+    const previous = (await fs.exists(canvas_path)) ? await fs.read(canvas_path) : null;
+    const messages = this.tree_messages.map(msg => msg.data);
+    const renames = {};
+    // the canvas node a new message was written in becomes that message's node
+    if (this._canvas_pending_node) {
+      const previous_ids = new Set(parse_canvas(previous).nodes.map(node => node.id));
+      const new_msg = messages.find(msg => msg.role === 'user' && !previous_ids.has(msg.id));
+      if (new_msg) {
+        renames[this._canvas_pending_node] = new_msg.id;
+        this._canvas_pending_node = null;
+      }
+    }
+    const canvas = thread_to_canvas(this.data, messages, { previous, renames });
+    await fs.write(canvas_path, JSON.stringify(canvas, null, '\t'));
+    this.data.canvas_path = canvas_path;
+    return canvas_path;
+  }
+
+  /**
+   * Syncs the thread with its canvas and continues the conversation from a canvas node.
+   * Edited message nodes update their messages, the edges define the branches, and the path to
+   * `node_id` becomes the current branch. A new text node connected under a message is sent as
+   * the next user message; a user message without a reply is completed.
+   * @async
+   * @param {Object|string} canvas - Current canvas data
+   * @param {string} node_id - Selected node
+   * @returns {Promise<boolean>} False when there is nothing to continue from the node
+   */
+  async continue_from_canvas(canvas, node_id) {
+    canvas = parse_canvas(canvas);
+    const tree_messages = this.tree_messages;
+    get_edited_messages(canvas, tree_messages.map(msg => msg.data)).forEach(({ id, ...visible }) => {
+      const msg = tree_messages.find(_msg => _msg.id === id);
+      Object.assign(msg.data, visible);
+      msg.queue_save();
+    });
+    const { messages, branches } = canvas_to_thread(canvas, tree_messages.map(msg => msg.id), node_id);
+    this.data.messages = messages;
+    this.data.branches = branches;
+    [messages, ...Object.values(branches).flat()].forEach(ids => {
+      Object.entries(ids).forEach(([id, msg_i]) => {
+        const msg = tree_messages.find(_msg => _msg.id === id);
+        if (msg) msg.data.msg_i = msg_i;
+      });
+    });
+    await this.render();
+    this.queue_save();
+
+    const node = canvas.nodes.find(_node => _node.id === node_id);
+    if (!messages[node_id]) {
+      if (node?.type !== 'text' || !node.text?.trim()) return false;
+      this._canvas_pending_node = node_id;
+      await this.handle_message_from_user(node.text);
+      return true;
+    }
+    if (this.messages[this.messages.length - 1]?.role !== 'user') return false;
+    await this.complete();
+    return true;
+  }
 }
@@ -1,6 +1,7 @@
 import { SmartSources } from "smart-sources";
 import { render as chat_template } from "./components/threads.js";
 import { get_language_options, get_initial_message } from "./utils/self_referential_keywords.js";
+import { ChatHistoryIndex } from "./utils/chat_history_index.js";
 /**
  * @class SmartThreads
  * @extends SmartSources
@@ -25,10 +26,27 @@ export class SmartThreads extends SmartSources {
   async init_items() {
     // ensure source_dir exists
     if(!(await this.fs.exists(this.source_dir))) await this.fs.mkdir(this.source_dir);
-    (await this.fs.list(this.source_dir))
+    await this.init_dir_items(this.source_dir);
+    // threads saved as Markdown notes (folder is created on first save)
+    if(this.source_adapters?.md && await this.fs.exists(this.markdown_dir)) {
+      await this.init_dir_items(this.markdown_dir, ['md']);
+    }
+  }
+
+  /**
+   * Creates and imports a thread for each file in a folder that has a source adapter.
+   * @async
+   * @param {string} dir - Folder to list
+   * @param {Array<string>} [extensions] - Limit to these extensions
+   * @returns {Promise<void>}
+   */
+  async init_dir_items(dir, extensions=null) {
+    (await this.fs.list(dir))
       .filter(file => this.source_adapters?.[file.extension]) // Skip files without source adapter
+      .filter(file => !extensions || extensions.includes(file.extension))
       .forEach(file => {
-        const key = file.path.replace(this.source_dir + '/', '').replace('.' + file.extension, '');
+        const key = file.path.replace(dir + '/', '').replace('.' + file.extension, '');
+        if(this.items[key]) return console.warn(`Skipping ${file.path}: thread ${key} already loaded from ${this.items[key].data.path}`);
         this.items[key] = new this.item_type(this.env, { path: file.path, key });
         this.items[key].source_adapter.import();
       })
@@ -61,20 +79,42 @@ export class SmartThreads extends SmartSources {
    */
   get chat_model() {
     if (!this._chat_model) {
-      this._chat_model = this.env.init_module('smart_chat_model', {
-        model_config: {},
-        settings: this.chat_model_settings,
-        env: this.env,
+      this._chat_model = this.init_chat_model(this.chat_model_settings, {
         reload_model: this.reload_chat_model.bind(this),
         re_render_settings: this.re_render_settings.bind(this),
       });
     }
     return this._chat_model;
   }
+  /**
+   * Creates a chat model instance
+   * @param {Object} settings - Chat model settings (`settings.chat_model` or a thread's variant of it)
+   * @param {Object} [opts={}] - Callbacks (`reload_model`, `re_render_settings`)
+   * @returns {Object} Chat model
+   */
+  init_chat_model(settings, opts = {}) {
+    return this.env.init_module('smart_chat_model', {
+      model_config: {},
+      settings,
+      env: this.env,
+      ...opts,
+    });
+  }
   reload_chat_model() {
     console.log("reload_chat_model");
     this.chat_model.unload();
     this._chat_model = null;
+    // threads with their own model share the adapter settings (API keys, hosts, ...)
+    Object.values(this.items).forEach(thread => thread._chat_model && thread.reload_chat_model());
+  }
+  /**
+   * Options for the adapter of a thread's chat model
+   * @returns {Array<Object>} [{ value, name }]
+   */
+  get_chat_adapter_options() {
+    const adapters = Object.keys(this.chat_model?.adapters || {});
+    const configured = Object.keys(this.chat_model_settings).filter(key => typeof this.chat_model_settings[key] === 'object');
+    return [...new Set([...adapters, ...configured])].map(value => ({ value, name: value }));
   }
 
   get container() { return this._container; }
@@ -96,6 +136,7 @@ export class SmartThreads extends SmartSources {
         adapter: 'claude_code_cli',
         claude_code_cli: {
           model_key: 'claude-code-cli',
+          command: 'claude', // binary name on PATH or absolute path
           timeout: 60000, // 60 seconds
           max_retries: 3,
           base_delay: 1000, // 1 second
@@ -136,7 +177,7 @@ export class SmartThreads extends SmartSources {
         name: "Review Context",
         type: "toggle",
         default: false,
-        description: "Whether to review the retrieved context before the AI completes the message.",
+        description: "Review lookup results before they are sent: preview, pin or remove items, drag in notes, and re-run the lookup with edited queries.",
       },
       "lookup_limit": {
         name: "Lookup Limit",
@@ -149,12 +190,85 @@ export class SmartThreads extends SmartSources {
         type: "toggle",
         default: false,
         description: "Whether to send tool output in the user message.",
+      },
+      "summarize_history": {
+        name: "Summarize Long Conversations",
+        type: "toggle",
+        default: true,
+        description: "Replace older messages with a rolling summary when a thread grows past the summary threshold.",
+      },
+      "summary_threshold": {
+        name: "Summary Threshold",
+        type: "number",
+        default: 12000,
+        description: "Estimated request size (in tokens) above which older messages are summarized.",
+      },
+      "summary_keep_recent": {
+        name: "Recent Messages Kept",
+        type: "number",
+        default: 6,
+        description: "Number of most recent messages always sent verbatim.",
+      },
+      "thread_format": {
+        name: "Save New Chats As",
+        type: "dropdown",
+        options_callback: 'get_thread_format_options',
+        default: 'json',
+        description: "JSON files in .smart-env, or Markdown notes that can be read, linked and edited in the vault. Existing chats keep their format.",
+      },
+      "markdown_folder": {
+        name: "Markdown Chats Folder",
+        type: "text",
+        default: 'Smart Chats',
+        description: "Vault folder for chats saved as Markdown notes.",
+      },
+      "embed_chat_history": {
+        name: "Embed Chat History",
+        type: "toggle",
+        default: true,
+        description: "Embed chat messages with the notes' embedding model so past chats can be searched by meaning. Keyword search works either way.",
+      },
+      "lookup_chat_history": {
+        name: "Include Past Chats in Lookup",
+        type: "toggle",
+        default: false,
+        description: "Let the lookup tool add matching messages from other chats to the context.",
+      },
+      "show_related_chats": {
+        name: "Show Related Chats in Connections",
+        type: "toggle",
+        default: false,
+        description: "Add a \"Related conversations\" group to the connections view: past chats with messages similar to the current note. Requires \"Embed Chat History\".",
+      },
+      "prompt_templates_folder": {
+        name: "Prompt Templates Folder",
+        type: "text",
+        default: 'Smart Prompts',
+        description: "Vault folder of prompt templates, inserted by typing / at the start of a message. Templates may use {{selection}}, {{active_note}}, {{connections:5}} and {{date}}, and set model, temperature or max_tokens in their frontmatter.",
+      },
+      "saved_answers_folder": {
+        name: "Saved Answers Folder",
+        type: "text",
+        default: 'Smart Chat Answers',
+        description: "Vault folder for answers saved as new notes.",
+      },
+      "saved_answers_heading": {
+        name: "Saved Answers Heading",
+        type: "text",
+        default: 'Smart Chat',
+        description: "Heading of the active note that answers are appended under. The heading is added when the note doesn't have it.",
       }
     };
   }
   get_language_options() {
     return get_language_options();
   }
+  get_thread_format_options() {
+    return [
+      { value: 'json', name: 'JSON (.smart-env)' },
+      { value: 'md', name: 'Markdown note' },
+    ];
+  }
   get initial_message() {
     return get_initial_message(this.language);
   }
@@ -175,6 +289,15 @@ export class SmartThreads extends SmartSources {
   }
 
 
+  /**
+   * Gets the thread mirrored by a canvas
+   * @param {string} canvas_path - Vault path of the canvas
+   * @returns {SmartThread|undefined}
+   */
+  get_by_canvas_path(canvas_path) {
+    return Object.values(this.items).find(thread => thread.data.canvas_path === canvas_path);
+  }
+
   queue_save() {
     if(this._queue_process_save) {
       clearTimeout(this._queue_process_save);
@@ -191,6 +314,32 @@ export class SmartThreads extends SmartSources {
    */
   get data_folder() { return this.env.opts.env_path + (this.env.opts.env_path ? "/" : "") + ".smart-env"; }
   get source_dir() { return this.data_folder + "/" + this.collection_key; }
+  /**
+   * @property {string} markdown_dir - Vault folder for threads saved as Markdown notes
+   * @readonly
+   */
+  get markdown_dir() { return (this.settings?.markdown_folder || 'Smart Chats').replace(/\/+$/, ''); }
+  /**
+   * @property {ChatHistoryIndex} history_index - Search index over the messages of all threads
+   * @readonly
+   */
+  get history_index() {
+    if (!this._history_index) {
+      const KeywordIndex = this.opts?.keyword_index_class;
+      this._history_index = new ChatHistoryIndex(this, { keyword_index: KeywordIndex ? new KeywordIndex() : null });
+    }
+    return this._history_index;
+  }
+  /**
+   * @property {string} prompt_templates_dir - Vault folder of prompt templates
+   * @readonly
+   */
+  get prompt_templates_dir() { return (this.settings?.prompt_templates_folder || 'Smart Prompts').replace(/\/+$/, ''); }
+  /**
+   * @property {string} saved_answers_dir - Vault folder for answers saved as notes
+   * @readonly
+   */
+  get saved_answers_dir() { return (this.settings?.saved_answers_folder ?? 'Smart Chat Answers').replace(/\/+$/, ''); }
 
   get fs(){
     if(!this._fs){
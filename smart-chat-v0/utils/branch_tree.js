@@ -0,0 +1,166 @@
+/**
+ * @module utils/branch_tree
+ * @description Helpers for exploring and editing the branches of a thread.
+ *
+ * `thread.data.messages` maps the ids of the current branch to their position (msg_i).
+ * `thread.data.branches[msg_i]` lists the alternatives from msg_i on, each an `{ id: msg_i }`
+ * map of the messages that replaced the current ones when that branch was left. A fork point
+ * is a msg_i with branches; its variants are the current messages from msg_i on (index 0)
+ * and each stored branch (index 1..n).
+ */
+
+/**
+ * Lists the fork points of a thread and their variants.
+ * @param {Object} thread_data - `thread.data`
+ * @returns {Array<Object>} [{ msg_i, variants: [{ index, is_current, ids }] }] by msg_i; ids are in message order
+ */
+export function get_fork_points(thread_data = {}) {
+  return Object.entries(thread_data.branches || {})
+    .map(([msg_i, branches]) => [Number(msg_i), branches || []])
+    .filter(([, branches]) => branches.length)
+    .sort(([a], [b]) => a - b)
+    .map(([msg_i, branches]) => ({
+      msg_i,
+      variants: [
+        { index: 0, is_current: true, ids: get_tail_ids(thread_data.messages, msg_i) },
+        ...branches.map((branch, i) => ({ index: i + 1, is_current: false, ids: sort_ids(branch) })),
+      ],
+    }))
+  ;
+}
+
+/**
+ * Makes a stored branch the current one; the current messages from msg_i on take its place
+ * among the branches.
+ * @param {Object} thread_data - `thread.data`
+ * @param {number} msg_i - Fork point
+ * @param {number} index - Variant index (1..n)
+ * @returns {Object} { messages, branches } for `thread.data`
+ */
+export function promote_branch(thread_data, msg_i, index) {
+  const branches = clone_branches(thread_data.branches);
+  const branch = branches[msg_i]?.[index - 1];
+  if (!branch) throw new Error(`No branch ${index} at message ${msg_i}`);
+  const messages = {};
+  const current_tail = {};
+  Object.entries(thread_data.messages || {}).forEach(([id, _msg_i]) => {
+    if (_msg_i >= msg_i) current_tail[id] = _msg_i;
+    else messages[id] = _msg_i;
+  });
+  branches[msg_i][index - 1] = current_tail;
+  if (!Object.keys(current_tail).length) branches[msg_i].splice(index - 1, 1);
+  if (!branches[msg_i].length) delete branches[msg_i];
+  return { messages: { ...messages, ...branch }, branches };
+}
+
+/**
+ * Removes a stored branch.
+ * @param {Object} thread_data - `thread.data`
+ * @param {number} msg_i - Fork point
+ * @param {number} index - Variant index (1..n)
+ * @returns {Object} { branches, removed_ids } where removed_ids are the branch messages no longer in the thread
+ */
+export function delete_branch(thread_data, msg_i, index) {
+  const branches = clone_branches(thread_data.branches);
+  const branch = branches[msg_i]?.[index - 1];
+  if (!branch) throw new Error(`No branch ${index} at message ${msg_i}`);
+  branches[msg_i].splice(index - 1, 1);
+  if (!branches[msg_i].length) delete branches[msg_i];
+  const remaining = new Set([
+    ...Object.keys(thread_data.messages || {}),
+    ...Object.values(branches).flatMap(list => list.flatMap(_branch => Object.keys(_branch))),
+  ]);
+  return { branches, removed_ids: Object.keys(branch).filter(id => !remaining.has(id)) };
+}
+
+/**
+ * Ids of the conversation that leads through a variant: the current messages before msg_i,
+ * then the variant's messages.
+ * @param {Object} thread_data - `thread.data`
+ * @param {number} msg_i - Fork point
+ * @param {number} index - Variant index (0 is the current branch)
+ * @returns {Array<string>} Ids in message order
+ */
+export function get_variant_path(thread_data, msg_i, index) {
+  const before = Object.entries(thread_data.messages || {})
+    .filter(([, _msg_i]) => _msg_i < msg_i)
+    .sort(([, a], [, b]) => a - b)
+    .map(([id]) => id)
+  ;
+  const variant = index === 0
+    ? get_tail_ids(thread_data.messages, msg_i)
+    : sort_ids(thread_data.branches?.[msg_i]?.[index - 1] || {})
+  ;
+  return [...before, ...variant];
+}
+
+/**
+ * Word-level diff of two texts (longest common subsequence). Falls back to a line diff when
+ * both texts are long.
+ * @param {string} a - Old text
+ * @param {string} b - New text
+ * @param {Object} [opts={}]
+ * @param {number} [opts.max_cells=1000000] - Word pairs compared before falling back to lines
+ * @returns {Array<Object>} [{ type: 'same'|'removed'|'added', text }] with adjacent parts of a type merged
+ */
+export function diff_words(a = '', b = '', opts = {}) {
+  const { max_cells = 1000000 } = opts;
+  let a_tokens = tokenize_words(a);
+  let b_tokens = tokenize_words(b);
+  if (a_tokens.length * b_tokens.length > max_cells) {
+    a_tokens = tokenize_lines(a);
+    b_tokens = tokenize_lines(b);
+  }
+  const n = a_tokens.length;
+  const m = b_tokens.length;
+  // lcs[i][j]: length of the common subsequence of a_tokens[i..] and b_tokens[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a_tokens[i] === b_tokens[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a_tokens[i] === b_tokens[j]) {
+      push('same', a_tokens[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a_tokens[i++]);
+    } else {
+      push('added', b_tokens[j++]);
+    }
+  }
+  while (i < n) push('removed', a_tokens[i++]);
+  while (j < m) push('added', b_tokens[j++]);
+  return parts;
+}
+
+function get_tail_ids(messages = {}, msg_i) {
+  return sort_ids(Object.fromEntries(Object.entries(messages).filter(([, _msg_i]) => _msg_i >= msg_i)));
+}
+
+function sort_ids(ids_map = {}) {
+  return Object.entries(ids_map).sort(([, a], [, b]) => a - b).map(([id]) => id);
+}
+
+function clone_branches(branches = {}) {
+  return Object.fromEntries(Object.entries(branches).map(([msg_i, list]) => [msg_i, list.map(branch => ({ ...branch }))]));
+}
+
+// words and the whitespace between them, so joining the tokens gives back the text
+function tokenize_words(text) {
+  return String(text || '').match(/\s+|\S+/g) || [];
+}
+
+function tokenize_lines(text) {
+  return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
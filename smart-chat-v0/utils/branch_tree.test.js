@@ -0,0 +1,65 @@
+import test from 'ava';
+import {
+  get_fork_points,
+  promote_branch,
+  delete_branch,
+  get_variant_path,
+  diff_words,
+} from './branch_tree.js';
+
+const thread_data = () => ({
+  messages: { 'user-1-a': 1, 'assistant-2-a': 2, 'user-3-a': 3, 'assistant-4-a': 4 },
+  branches: {
+    2: [{ 'assistant-2-b': 2 }],
+    4: [{ 'assistant-4-b': 4 }, { 'assistant-4-c': 4 }],
+  },
+});
+
+test('lists fork points with the current messages first', t => {
+  t.deepEqual(get_fork_points(thread_data()), [
+    { msg_i: 2, variants: [
+      { index: 0, is_current: true, ids: ['assistant-2-a', 'user-3-a', 'assistant-4-a'] },
+      { index: 1, is_current: false, ids: ['assistant-2-b'] },
+    ] },
+    { msg_i: 4, variants: [
+      { index: 0, is_current: true, ids: ['assistant-4-a'] },
+      { index: 1, is_current: false, ids: ['assistant-4-b'] },
+      { index: 2, is_current: false, ids: ['assistant-4-c'] },
+    ] },
+  ]);
+  t.deepEqual(get_fork_points({ messages: {}, branches: { 3: [] } }), []);
+});
+
+test('promotes a branch and keeps the replaced messages in its place', t => {
+  const data = thread_data();
+  const { messages, branches } = promote_branch(data, 4, 2);
+  t.deepEqual(messages, { 'user-1-a': 1, 'assistant-2-a': 2, 'user-3-a': 3, 'assistant-4-c': 4 });
+  t.deepEqual(branches[4], [{ 'assistant-4-b': 4 }, { 'assistant-4-a': 4 }]);
+  t.deepEqual(data.branches[4], [{ 'assistant-4-b': 4 }, { 'assistant-4-c': 4 }], 'input is not mutated');
+  t.throws(() => promote_branch(data, 4, 3));
+});
+
+test('deletes a branch and reports messages no longer in the thread', t => {
+  const { branches, removed_ids } = delete_branch(thread_data(), 2, 1);
+  t.false('2' in branches);
+  t.deepEqual(removed_ids, ['assistant-2-b']);
+});
+
+test('gets the conversation through a variant', t => {
+  t.deepEqual(get_variant_path(thread_data(), 4, 1), ['user-1-a', 'assistant-2-a', 'user-3-a', 'assistant-4-b']);
+  t.deepEqual(get_variant_path(thread_data(), 2, 0), ['user-1-a', 'assistant-2-a', 'user-3-a', 'assistant-4-a']);
+});
+
+test('diffs two responses word by word', t => {
+  const parts = diff_words('The quick brown fox', 'The slow brown fox jumps');
+  t.deepEqual(parts, [
+    { type: 'same', text: 'The ' },
+    { type: 'removed', text: 'quick' },
+    { type: 'added', text: 'slow' },
+    { type: 'same', text: ' brown fox' },
+    { type: 'added', text: ' jumps' },
+  ]);
+  const b = parts.filter(part => part.type !== 'removed').map(part => part.text).join('');
+  t.is(b, 'The slow brown fox jumps');
+  t.deepEqual(diff_words('a\nb\n', 'a\nc\n', { max_cells: 1 }).map(part => part.type), ['same', 'removed', 'added']);
+});
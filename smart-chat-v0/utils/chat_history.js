@@ -0,0 +1,106 @@
+/**
+ * @module utils/chat_history
+ * @description Helpers for searching past conversations: the searchable text of a message,
+ * change detection, ranking (semantic with keyword fallback), related conversations and result snippets.
+ */
+
+const SEARCHABLE_ROLES = ['user', 'assistant'];
+
+/**
+ * Searchable text of a message: the text of user and assistant messages; other roles (tool
+ * output, system prompts) are not searched.
+ * @param {Object} message_data - `message.data`
+ * @returns {string}
+ */
+export function get_message_search_text(message_data = {}) {
+  if (!SEARCHABLE_ROLES.includes(message_data.role)) return '';
+  const content = message_data.content;
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part?.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n')
+    .trim()
+  ;
+}
+
+/**
+ * Short hash of a text (djb2) to tell when a message changed since it was indexed.
+ * @param {string} text
+ * @returns {string}
+ */
+export function hash_text(text = '') {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return (hash >>> 0).toString(36) + '-' + text.length;
+}
+
+/**
+ * Ranks history results semantically; keyword matches fill in when there is no semantic
+ * ranking (no embedding model, or messages not embedded yet) or it has fewer results than the limit.
+ * @param {Object} rankings
+ * @param {Array<Object>} [rankings.semantic=[]] - [{ key, score }] best first
+ * @param {Array<Object>} [rankings.keyword=[]] - [{ key, score }] best first
+ * @param {number} [rankings.limit=10]
+ * @returns {Array<Object>} [{ key, score, match: 'semantic'|'keyword'|'both' }]
+ */
+export function merge_history_results({ semantic = [], keyword = [], limit = 10 } = {}) {
+  const keyword_keys = new Set(keyword.map(result => result.key));
+  const results = semantic.slice(0, limit).map(({ key, score }) => ({
+    key,
+    score,
+    match: keyword_keys.has(key) ? 'both' : 'semantic',
+  }));
+  const listed = new Set(results.map(result => result.key));
+  keyword
+    .filter(result => !listed.has(result.key))
+    .slice(0, limit - results.length)
+    .forEach(({ key, score }) => results.push({ key, score, match: 'keyword' }))
+  ;
+  return results;
+}
+
+/**
+ * Related conversations from messages ranked by similarity: the best message of each thread.
+ * @param {Array<Object>} ranked - [{ key, score }] best first; keys are `thread_key#message_id`
+ * @param {Object} [opts={}]
+ * @param {number} [opts.limit=5] - Maximum threads
+ * @param {number} [opts.min_score=0] - Leave out messages scoring lower
+ * @returns {Array<Object>} [{ key, thread_key, score }]
+ */
+export function pick_related_threads(ranked = [], opts = {}) {
+  const { limit = 5, min_score = 0 } = opts;
+  const results = [];
+  const thread_keys = new Set();
+  for (const { key, score } of ranked) {
+    if (results.length >= limit || score < min_score) break;
+    const thread_key = key.slice(0, key.lastIndexOf('#'));
+    if (thread_keys.has(thread_key)) continue;
+    thread_keys.add(thread_key);
+    results.push({ key, thread_key, score });
+  }
+  return results;
+}
+
+/**
+ * Excerpt of a message around the first query word it contains.
+ * @param {string} text - Message text
+ * @param {string} query - Search query
+ * @param {number} [length=160] - Maximum excerpt length
+ * @returns {string}
+ */
+export function build_snippet(text = '', query = '', length = 160) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  if (flat.length <= length) return flat;
+  const lower = flat.toLowerCase();
+  const position = String(query).toLowerCase().split(/\s+/)
+    .filter(word => word.length > 1)
+    .map(word => lower.indexOf(word))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0]
+  ;
+  const start = position === undefined ? 0 : Math.max(0, Math.min(position - Math.floor(length / 3), flat.length - length));
+  const end = start + length;
+  return (start > 0 ? '…' : '') + flat.slice(start, end).trim() + (end < flat.length ? '…' : '');
+}
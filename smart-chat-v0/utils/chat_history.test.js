@@ -0,0 +1,55 @@
+import test from 'ava';
+import {
+  get_message_search_text,
+  hash_text,
+  merge_history_results,
+  pick_related_threads,
+  build_snippet,
+} from './chat_history.js';
+
+test('reads the text of user and assistant messages only', t => {
+  t.is(get_message_search_text({ role: 'user', content: [{ type: 'text', text: 'Plan the trip ' }, { type: 'image_url', image_url: {} }] }), 'Plan the trip');
+  t.is(get_message_search_text({ role: 'assistant', content: 'Sure.' }), 'Sure.');
+  t.is(get_message_search_text({ role: 'tool', tool_call_output: [{ key: 'a.md' }] }), '');
+  t.is(get_message_search_text({ role: 'assistant', tool_calls: [{}] }), '');
+});
+
+test('hashes change with the text', t => {
+  t.is(hash_text('abc'), hash_text('abc'));
+  t.not(hash_text('abc'), hash_text('abd'));
+});
+
+test('ranks semantically and falls back to keyword matches', t => {
+  const semantic = [{ key: 'a#1', score: 0.9 }, { key: 'b#2', score: 0.8 }];
+  const keyword = [{ key: 'c#3', score: 4 }, { key: 'a#1', score: 2 }];
+  t.deepEqual(merge_history_results({ semantic, keyword, limit: 3 }), [
+    { key: 'a#1', score: 0.9, match: 'both' },
+    { key: 'b#2', score: 0.8, match: 'semantic' },
+    { key: 'c#3', score: 4, match: 'keyword' },
+  ]);
+  t.deepEqual(merge_history_results({ semantic, keyword, limit: 2 }).map(result => result.key), ['a#1', 'b#2']);
+  t.deepEqual(merge_history_results({ keyword }).map(result => result.match), ['keyword', 'keyword']);
+});
+
+test('keeps the best message of each related thread', t => {
+  const ranked = [
+    { key: 'Trip#assistant-2-1', score: 0.91 },
+    { key: 'Trip#user-1-1', score: 0.88 },
+    { key: 'Notes #2#user-3-1', score: 0.7 },
+    { key: 'Budget#user-1-1', score: 0.4 },
+  ];
+  t.deepEqual(pick_related_threads(ranked, { min_score: 0.5 }), [
+    { key: 'Trip#assistant-2-1', thread_key: 'Trip', score: 0.91 },
+    { key: 'Notes #2#user-3-1', thread_key: 'Notes #2', score: 0.7 },
+  ]);
+  t.deepEqual(pick_related_threads(ranked, { limit: 1 }).map(result => result.thread_key), ['Trip']);
+});
+
+test('builds a snippet around the first query word', t => {
+  const text = 'Intro '.repeat(40) + 'the budget for Lisbon is set ' + 'outro '.repeat(40);
+  const snippet = build_snippet(text, 'lisbon budget', 60);
+  t.true(snippet.startsWith('…'));
+  t.true(snippet.endsWith('…'));
+  t.true(snippet.includes('budget for Lisbon'));
+  t.is(build_snippet('Short   text', 'x'), 'Short text');
+});
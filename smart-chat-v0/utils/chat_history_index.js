@@ -0,0 +1,202 @@
+/**
+ * @module utils/chat_history_index
+ * @description Search index over the messages of all threads. Messages are embedded with the
+ * embedding model of `smart_sources` and kept in a BM25 keyword index. Vectors are stored in
+ * `.smart-env/chat_history_vectors.json`, not in the thread files, so only new or edited
+ * messages are embedded again. The index syncs before each search. The keyword index is passed
+ * in by the environment (`keyword_index_class` in the `smart_threads` collection config).
+ */
+
+import { cos_sim } from "smart-utils/cos_sim.js";
+import { get_message_search_text, hash_text, merge_history_results, pick_related_threads } from "./chat_history.js";
+
+const EMBED_BATCH_SIZE = 20;
+const SYNC_DELAY = 10000;
+
+export class ChatHistoryIndex {
+  /**
+   * @param {SmartThreads} threads - Threads collection
+   * @param {Object} [opts={}]
+   * @param {Object} [opts.keyword_index] - Keyword index (`add(key, text)`, `remove(key)`,
+   * `search(query, { limit, filter })`); without one only semantic search is available
+   */
+  constructor(threads, opts = {}) {
+    this.threads = threads;
+    this.keyword_index = opts.keyword_index || null;
+    /** @type {Map<string, string>} message key -> hash of the indexed text */
+    this.hashes = new Map();
+    /** @type {Object<string, {hash: string, vec: Array<number>}>} */
+    this.vectors = {};
+    this.model_key = null;
+    this.loaded = false;
+    this.syncing = null;
+  }
+
+  get env() { return this.threads.env; }
+  get file_path() { return `${this.threads.data_folder}/chat_history_vectors.json`; }
+
+  /**
+   * @property {Object|null} embed_model - Embedding model of the notes, unless embedding chats is off
+   * @readonly
+   */
+  get embed_model() {
+    if (this.threads.settings?.embed_chat_history === false) return null;
+    const embed_model = this.env.smart_sources?.embed_model;
+    return embed_model?.model_key && embed_model.model_key !== 'None' ? embed_model : null;
+  }
+
+  /**
+   * Brings the index up to date with the messages. Concurrent calls share one sync.
+   * @async
+   */
+  async sync() {
+    clearTimeout(this._sync_timeout);
+    if (!this.syncing) this.syncing = this.sync_messages().finally(() => { this.syncing = null; });
+    return await this.syncing;
+  }
+
+  /**
+   * Syncs after new messages settle (e.g. after a thread is saved).
+   */
+  queue_sync() {
+    clearTimeout(this._sync_timeout);
+    this._sync_timeout = setTimeout(() => this.sync().catch(error => console.warn('Chat history index: sync failed', error)), SYNC_DELAY);
+  }
+
+  /**
+   * @private
+   */
+  async sync_messages() {
+    await this.load();
+    const embed_model = this.embed_model;
+    const model_key = embed_model?.model_key || null;
+    let changed = false;
+    if (model_key && model_key !== this.model_key) {
+      this.vectors = {};
+      this.model_key = model_key;
+      changed = true;
+    }
+    const keys = new Set();
+    const to_embed = [];
+    Object.values(this.env.smart_messages?.items || {}).forEach(message => {
+      if (!message?.key || !this.threads.get(message.data.thread_key)) return;
+      const text = get_message_search_text(message.data);
+      if (!text) return;
+      keys.add(message.key);
+      const hash = hash_text(text);
+      if (this.hashes.get(message.key) !== hash) {
+        this.keyword_index?.add(message.key, text);
+        this.hashes.set(message.key, hash);
+      }
+      if (model_key && this.vectors[message.key]?.hash !== hash) to_embed.push({ key: message.key, hash, embed_input: text });
+    });
+    [...this.hashes.keys()].filter(key => !keys.has(key)).forEach(key => {
+      this.keyword_index?.remove(key);
+      this.hashes.delete(key);
+    });
+    Object.keys(this.vectors).filter(key => !keys.has(key)).forEach(key => {
+      delete this.vectors[key];
+      changed = true;
+    });
+    for (let i = 0; i < to_embed.length; i += EMBED_BATCH_SIZE) {
+      const batch = to_embed.slice(i, i + EMBED_BATCH_SIZE);
+      try {
+        const embedded = await embed_model.embed_batch(batch.map(({ embed_input }) => ({ embed_input })));
+        batch.forEach(({ key, hash }, j) => {
+          if (embedded?.[j]?.vec) this.vectors[key] = { hash, vec: embedded[j].vec };
+        });
+        changed = true;
+      } catch (error) {
+        console.warn('Chat history index: could not embed messages', error);
+        break; // keyword search still works; embedding is retried on the next sync
+      }
+    }
+    if (changed) await this.save();
+  }
+
+  /**
+   * Searches past messages.
+   * @async
+   * @param {string} query - Search text
+   * @param {Object} [opts={}]
+   * @param {number} [opts.limit=10] - Maximum results
+   * @param {string} [opts.exclude_thread_key] - Leave out messages of this thread
+   * @returns {Promise<Array<Object>>} [{ key, score, match, message }] best first
+   */
+  async search(query, opts = {}) {
+    const { limit = 10, exclude_thread_key } = opts;
+    if (!String(query || '').trim()) return [];
+    await this.sync();
+    const filter = (key) => !exclude_thread_key || !key.startsWith(exclude_thread_key + '#');
+    const keyword = this.keyword_index?.search(query, { limit, filter }) || [];
+    let semantic = [];
+    const embed_model = this.embed_model;
+    if (embed_model && Object.keys(this.vectors).length) {
+      try {
+        const { vec } = (await embed_model.embed(query)) || {};
+        if (vec) semantic = Object.entries(this.vectors)
+          .filter(([key]) => filter(key))
+          .map(([key, entry]) => ({ key, score: cos_sim(vec, entry.vec) }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit)
+        ;
+      } catch (error) {
+        console.warn('Chat history index: semantic search failed, using keywords', error);
+      }
+    }
+    return merge_history_results({ semantic, keyword, limit })
+      .map(result => ({ ...result, message: this.env.smart_messages.get(result.key) }))
+      .filter(result => result.message)
+    ;
+  }
+
+  /**
+   * Conversations related to an embedded note or block: threads ranked by their message most
+   * similar to it. Needs the vector of the same embedding model as the notes.
+   * @async
+   * @param {Array<number>} vec - Vector of the note or block
+   * @param {Object} [opts={}]
+   * @param {number} [opts.limit=5] - Maximum threads
+   * @param {number} [opts.min_score=0] - Leave out weaker matches
+   * @returns {Promise<Array<Object>>} [{ key, thread_key, score, message }] best first
+   */
+  async find_related(vec, opts = {}) {
+    if (!vec || !this.embed_model) return [];
+    await this.sync();
+    const ranked = Object.entries(this.vectors)
+      .map(([key, entry]) => ({ key, score: cos_sim(vec, entry.vec) }))
+      .sort((a, b) => b.score - a.score)
+    ;
+    return pick_related_threads(ranked, opts)
+      .map(result => ({ ...result, message: this.env.smart_messages.get(result.key) }))
+      .filter(result => result.message)
+    ;
+  }
+
+  /**
+   * @private
+   */
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      if (!(await this.threads.fs.exists(this.file_path))) return;
+      const data = JSON.parse(await this.threads.fs.read(this.file_path));
+      this.model_key = data.model_key || null;
+      this.vectors = data.vectors || {};
+    } catch (error) {
+      console.warn('Chat history index: could not load vectors', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async save() {
+    try {
+      await this.threads.fs.write(this.file_path, JSON.stringify({ model_key: this.model_key, vectors: this.vectors }));
+    } catch (error) {
+      console.warn('Chat history index: could not save vectors', error);
+    }
+  }
+}
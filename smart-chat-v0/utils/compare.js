@@ -0,0 +1,125 @@
+/**
+ * @module utils/compare
+ * @description Compare mode: sends one request to several chat models at once and tracks each
+ * reply. A target is `{ adapter, model_key }` (model_key optional); a result is
+ * `{ id, label, status: 'pending'|'streaming'|'done'|'error', content, response, error,
+ * latency_ms, first_token_ms }`.
+ */
+
+import { normalize_usage } from "./usage_stats.js";
+import { estimate_tokens } from "./history_summary.js";
+
+/**
+ * Cleans the compare targets of a thread: known fields, one target per adapter and model.
+ * @param {Array<Object>} [targets=[]]
+ * @returns {Array<Object>} [{ adapter, model_key? }]
+ */
+export function normalize_compare_targets(targets = []) {
+  const ids = new Set();
+  return (targets || [])
+    .map(target => ({
+      adapter: String(target?.adapter || '').trim(),
+      model_key: String(target?.model_key || '').trim(),
+    }))
+    .filter(target => target.adapter && !ids.has(get_target_id(target)) && ids.add(get_target_id(target)))
+    .map(({ adapter, model_key }) => (model_key ? { adapter, model_key } : { adapter }))
+  ;
+}
+
+/**
+ * @param {Object} target - { adapter, model_key? }
+ * @returns {string} `adapter` or `adapter/model_key`
+ */
+export function get_target_id(target) {
+  return target.model_key ? `${target.adapter}/${target.model_key}` : target.adapter;
+}
+
+/**
+ * The request sent to every compared model: the thread request without tools, so each model
+ * answers from the same messages and retrieved context.
+ * @param {Object} request - Request built by `SmartThread.to_request()`
+ * @returns {Object}
+ */
+export function build_comparison_request(request) {
+  const { tools, tool_choice, ...comparison_request } = request;
+  return comparison_request;
+}
+
+/**
+ * Text of a chat model response (full or streamed so far).
+ * @param {Object} response
+ * @returns {string}
+ */
+export function get_response_text(response) {
+  const content = response?.choices?.[0]?.message?.content;
+  if (Array.isArray(content)) return content.map(part => part?.text || '').join('');
+  return typeof content === 'string' ? content : '';
+}
+
+/**
+ * Token usage of a result: as reported with the response, else estimated.
+ * @param {Object} result - Comparison result
+ * @param {number} [prompt_tokens=0] - Estimated size of the request sent
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens, source }
+ */
+export function get_result_usage(result, prompt_tokens = 0) {
+  const usage = normalize_usage(result.response?.usage);
+  if (usage) return usage;
+  const completion_tokens = estimate_tokens(result.content || '');
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens, source: 'estimate' };
+}
+
+/**
+ * Sends a request to several chat models at once. Streams when a model can; results are updated
+ * in place and passed to `on_update` on every change.
+ * @async
+ * @param {Object} request - Request for every model
+ * @param {Array<Object>} entries - [{ id, label, chat_model }]
+ * @param {Object} [opts={}]
+ * @param {Function} [opts.on_update] - Called with (result, results)
+ * @param {Function} [opts.now=Date.now] - Clock
+ * @returns {Promise<Array<Object>>} Results in the order of the entries
+ */
+export async function run_comparison(request, entries = [], opts = {}) {
+  const { on_update = () => {}, now = Date.now } = opts;
+  const results = entries.map(({ id, label }) => ({ id, label, status: 'pending', content: '' }));
+  await Promise.all(entries.map(async ({ chat_model }, i) => {
+    const result = results[i];
+    const started_at = now();
+    const update = (response, status) => {
+      if (result.status === 'done' || result.status === 'error') return;
+      if (result.first_token_ms === undefined && get_response_text(response)) result.first_token_ms = now() - started_at;
+      result.response = response;
+      result.content = get_response_text(response) || result.content;
+      result.status = status;
+      if (status === 'done') result.latency_ms = now() - started_at;
+      on_update(result, results);
+    };
+    const fail = (error) => {
+      if (result.status === 'done' || result.status === 'error') return;
+      result.status = 'error';
+      result.error = error?.error?.message || error?.message || String(error?.error || error);
+      result.latency_ms = now() - started_at;
+      on_update(result, results);
+    };
+    try {
+      if (chat_model.can_stream) {
+        await chat_model.stream({ ...request }, {
+          chunk: (response) => update(response, 'streaming'),
+          done: (response) => update(response, 'done'),
+          error: fail,
+        });
+        // streams that end without a final event keep what arrived
+        if (result.status === 'streaming') update(result.response, 'done');
+        else if (result.status === 'pending') fail('No response');
+      } else {
+        const response = await chat_model.complete({ ...request });
+        if (response?.error) fail(response);
+        else update(response, 'done');
+      }
+    } catch (error) {
+      fail(error);
+    }
+  }));
+  return results;
+}
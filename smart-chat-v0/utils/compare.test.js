@@ -0,0 +1,70 @@
+import test from 'ava';
+import {
+  normalize_compare_targets,
+  build_comparison_request,
+  get_response_text,
+  get_result_usage,
+  run_comparison,
+} from './compare.js';
+
+const reply = (text) => ({ id: 'r-' + text, choices: [{ message: { role: 'assistant', content: text } }] });
+
+test('normalizes compare targets', t => {
+  t.deepEqual(normalize_compare_targets([
+    { adapter: 'ollama', model_key: ' llama3 ' },
+    { adapter: 'ollama', model_key: 'llama3' },
+    { adapter: 'ollama' },
+    { adapter: '' },
+    { adapter: 'claude_code_cli', model_key: '', extra: true },
+  ]), [{ adapter: 'ollama', model_key: 'llama3' }, { adapter: 'ollama' }, { adapter: 'claude_code_cli' }]);
+});
+
+test('builds a tool-free request and reads response text', t => {
+  const request = { messages: [{ role: 'user', content: 'Hi' }], tools: [{}], tool_choice: 'auto', temperature: 0.3 };
+  t.deepEqual(build_comparison_request(request), { messages: request.messages, temperature: 0.3 });
+  t.is(get_response_text(reply('Hello')), 'Hello');
+  t.is(get_response_text({ choices: [{ message: { content: [{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }] } }] }), 'ab');
+  t.is(get_response_text({}), '');
+});
+
+test('runs every model with timings and keeps failures separate', async t => {
+  let clock = 0;
+  const now = () => clock;
+  const streaming = {
+    can_stream: true,
+    async stream(request, handlers) {
+      clock += 100;
+      handlers.chunk(reply('Hel'));
+      clock += 50;
+      handlers.done(reply('Hello'));
+    },
+  };
+  const complete = { can_stream: false, complete: async () => { clock += 10; return reply('Hi there'); } };
+  const failing = { can_stream: false, complete: async () => ({ error: { message: 'offline' } }) };
+  const updates = [];
+  const results = await run_comparison({ messages: [] }, [
+    { id: 'a', label: 'A', chat_model: streaming },
+    { id: 'b', label: 'B', chat_model: complete },
+    { id: 'c', label: 'C', chat_model: failing },
+  ], { now, on_update: (result) => updates.push(`${result.id}:${result.status}`) });
+
+  t.deepEqual(results.map(({ id, status, content }) => ({ id, status, content })), [
+    { id: 'a', status: 'done', content: 'Hello' },
+    { id: 'b', status: 'done', content: 'Hi there' },
+    { id: 'c', status: 'error', content: '' },
+  ]);
+  t.is(results[0].first_token_ms, 100);
+  t.is(results[0].latency_ms, 150);
+  t.is(results[2].error, 'offline');
+  t.deepEqual(updates.filter(update => update.startsWith('a:')), ['a:streaming', 'a:done']);
+  t.deepEqual(updates.filter(update => !update.startsWith('a:')).sort(), ['b:done', 'c:error']);
+});
+
+test('reports or estimates the tokens of a result', t => {
+  const reported = { content: 'Hello', response: { usage: { input_tokens: 12, output_tokens: 3 } } };
+  t.deepEqual(get_result_usage(reported, 99), { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15, source: 'reported' });
+  const estimated = get_result_usage({ content: 'Hello there' }, 40);
+  t.is(estimated.source, 'estimate');
+  t.is(estimated.prompt_tokens, 40);
+  t.true(estimated.completion_tokens > 0);
+});
@@ -0,0 +1,94 @@
+/**
+ * @module utils/context_review
+ * @description Helpers for reviewing lookup results before they are sent to the model.
+ * Results are `{ key, score }` items in `message.tool_call_output`; reviewed items may also be
+ * `pinned` (kept when the lookup is re-run) or `added` (dropped in by the user, no score).
+ */
+
+/**
+ * Merges the results of a re-run lookup into the reviewed results: pinned items stay first,
+ * then new results that are not already listed.
+ * @param {Array<Object>} current - Reviewed results
+ * @param {Array<Object>} fresh - Results of the new lookup
+ * @returns {Array<Object>}
+ */
+export function merge_lookup_results(current = [], fresh = []) {
+  const pinned = current.filter(result => result.pinned);
+  const keys = new Set(pinned.map(result => result.key));
+  return [
+    ...pinned,
+    ...fresh.filter(result => !keys.has(result.key) && keys.add(result.key)),
+  ];
+}
+
+/**
+ * Adds items the user dropped in. Added items are pinned; keys already listed are skipped.
+ * @param {Array<Object>} current - Reviewed results
+ * @param {Array<string>} keys - Keys of notes or blocks to add
+ * @returns {Array<Object>}
+ */
+export function add_context_items(current = [], keys = []) {
+  const existing = new Set(current.map(result => result.key));
+  const added = keys
+    .filter(key => key && !existing.has(key) && existing.add(key))
+    .map(key => ({ key, score: null, pinned: true, added: true }))
+  ;
+  return [...current, ...added];
+}
+
+/**
+ * Reads link targets from dropped text: wikilinks (`[[note#heading|alias]]`, embeds included),
+ * Markdown links to local files and bare paths, one per line.
+ * @param {string} text - Dropped text
+ * @returns {Array<string>} Link targets without aliases, in order, without duplicates
+ */
+export function parse_dropped_links(text = '') {
+  const links = [];
+  const push = (link) => {
+    link = link.split('|')[0].trim();
+    if (link && !links.includes(link)) links.push(link);
+  };
+  const wikilinks = [...String(text).matchAll(/!?\[\[([^\]]+)\]\]/g)].map(match => match[1]);
+  const markdown_links = [...String(text).matchAll(/\[[^\]]*\]\(([^)]+)\)/g)]
+    .map(match => decode_link(match[1]))
+    .filter(link => !/^[a-z]+:\/\//i.test(link))
+  ;
+  wikilinks.forEach(push);
+  markdown_links.forEach(push);
+  if (!wikilinks.length && !markdown_links.length) {
+    String(text).split('\n').map(line => line.trim()).filter(line => /\.\w+(#.*)?$/.test(line)).forEach(push);
+  }
+  return links;
+}
+
+// links with a malformed escape (`Q3%20up%2.md`) are kept as written
+function decode_link(link) {
+  try {
+    return decodeURIComponent(link);
+  } catch (error) {
+    return link;
+  }
+}
+
+/**
+ * Resolves a link target to a source or block key.
+ * @param {Object} env - Smart environment (smart_sources, smart_blocks)
+ * @param {string} link - Link target (`note`, `folder/note.md`, `note#Heading`)
+ * @returns {string|null} Key of the source or block, or null when nothing matches
+ */
+export function resolve_link_key(env, link) {
+  const [link_path, ...headings] = link.split('#');
+  const path = env.smart_sources?.fs?.get_link_target_path?.(link_path, '/')
+    || (env.smart_sources?.get(link_path) ? link_path : null)
+  ;
+  if (!path) return null;
+  if (!headings.length) return path;
+  const block_key = `${path}#${headings.join('#')}`;
+  if (env.smart_blocks?.get(block_key)) return block_key;
+  // link names the last heading only; find the block whose path ends with it
+  const suffix = '#' + headings[headings.length - 1];
+  const block = Object.keys(env.smart_blocks?.items || {})
+    .find(key => key.startsWith(path + '#') && key.endsWith(suffix))
+  ;
+  return block || path;
+}
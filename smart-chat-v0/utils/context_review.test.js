@@ -0,0 +1,55 @@
+import test from 'ava';
+import {
+  merge_lookup_results,
+  add_context_items,
+  parse_dropped_links,
+  resolve_link_key,
+} from './context_review.js';
+
+// merge_lookup_results
+test('keeps pinned results first when merging a re-run lookup', t => {
+  const current = [
+    { key: 'a.md', score: 0.9 },
+    { key: 'b.md', score: 0.8, pinned: true },
+    { key: 'c.md', score: null, pinned: true, added: true },
+  ];
+  const fresh = [{ key: 'd.md', score: 0.95 }, { key: 'b.md', score: 0.7 }, { key: 'a.md', score: 0.6 }];
+  t.deepEqual(merge_lookup_results(current, fresh).map(result => result.key), ['b.md', 'c.md', 'd.md', 'a.md']);
+  t.is(merge_lookup_results(current, fresh)[0].score, 0.8, 'pinned result is kept as reviewed');
+});
+
+// add_context_items
+test('adds dropped items once, pinned and without score', t => {
+  const results = add_context_items([{ key: 'a.md', score: 0.9 }], ['a.md', 'b.md#Intro', 'b.md#Intro']);
+  t.deepEqual(results, [
+    { key: 'a.md', score: 0.9 },
+    { key: 'b.md#Intro', score: null, pinned: true, added: true },
+  ]);
+});
+
+// parse_dropped_links
+test('reads wikilinks, markdown links and paths from dropped text', t => {
+  t.deepEqual(parse_dropped_links('[[Projects/Plan#Goals|goals]] and ![[Diagram.png]] [[Plan]]'), ['Projects/Plan#Goals', 'Diagram.png', 'Plan']);
+  t.deepEqual(parse_dropped_links('[Plan](Projects/Plan%20v2.md) [site](https://example.com)'), ['Projects/Plan v2.md']);
+  t.deepEqual(parse_dropped_links('Projects/Plan.md\nnot a path'), ['Projects/Plan.md']);
+  t.deepEqual(parse_dropped_links('[x](Q3%20up%2.md) [y](Notes%20B.md)'), ['Q3%20up%2.md', 'Notes B.md']);
+});
+
+// resolve_link_key
+test('resolves links to source and block keys', t => {
+  const env = {
+    smart_sources: {
+      fs: { get_link_target_path: (link) => ({ Plan: 'Projects/Plan.md' })[link] },
+      get: (key) => (key === 'Inbox.md' ? {} : null),
+    },
+    smart_blocks: {
+      items: { 'Projects/Plan.md#Overview#Goals': {} },
+      get(key) { return this.items[key]; },
+    },
+  };
+  t.is(resolve_link_key(env, 'Plan'), 'Projects/Plan.md');
+  t.is(resolve_link_key(env, 'Plan#Goals'), 'Projects/Plan.md#Overview#Goals');
+  t.is(resolve_link_key(env, 'Plan#Missing'), 'Projects/Plan.md');
+  t.is(resolve_link_key(env, 'Inbox.md'), 'Inbox.md');
+  t.is(resolve_link_key(env, 'Nowhere'), null);
+});
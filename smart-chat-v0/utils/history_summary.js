@@ -0,0 +1,128 @@
+/**
+ * @module utils/history_summary
+ * @description Helpers for the rolling conversation summary. When a thread's request grows
+ * past a threshold, older turns are replaced in the request by a stored summary while the
+ * most recent turns are sent verbatim. The summary itself lives in `thread.data.summary`:
+ * { content, message_ids, tokens, created_at, method }.
+ */
+
+/**
+ * Longest slice of a single message included in the summarization prompt.
+ */
+const MAX_MESSAGE_CHARS = 4000;
+
+/**
+ * Rough token estimate (~4 characters per token).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimate_tokens(text = '') {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Extracts plain text from a request message (string or content-part array), including
+ * tool calls so their size is accounted for.
+ * @param {Object} msg - Request message
+ * @returns {string}
+ */
+export function get_request_message_text(msg) {
+  const content = msg?.content;
+  const text = Array.isArray(content)
+    ? content.filter(part => part?.type === 'text').map(part => part.text || '').join('\n')
+    : (content || '')
+  ;
+  if (!msg?.tool_calls?.length) return text;
+  const calls = msg.tool_calls.map(call => `${call.function?.name}(${call.function?.arguments || ''})`);
+  return [text, ...calls].filter(Boolean).join('\n');
+}
+
+/**
+ * Estimates the size of a request built by `SmartThread.to_request()`.
+ * @param {Object} request - Request ({ messages, tools })
+ * @returns {number} Estimated tokens
+ */
+export function estimate_request_tokens(request = {}) {
+  const message_tokens = (request.messages || [])
+    .reduce((sum, msg) => sum + estimate_tokens(get_request_message_text(msg)) + 4, 0) // + role
+  ;
+  return message_tokens + (request.tools ? estimate_tokens(JSON.stringify(request.tools)) : 0);
+}
+
+/**
+ * Finds where the verbatim part of the conversation starts: at least `keep_recent` messages
+ * are kept and the kept part always starts at a user message so tool calls stay with their
+ * output.
+ * @param {Array<Object>} messages - Messages with a `role`
+ * @param {number} [keep_recent=6] - Minimum number of recent messages to keep
+ * @returns {number} Index of the first kept message (0 when nothing can be summarized)
+ */
+export function find_summary_cutoff(messages = [], keep_recent = 6) {
+  let cutoff = messages.length - Math.max(1, keep_recent);
+  while (cutoff > 0 && messages[cutoff]?.role !== 'user') cutoff--;
+  return Math.max(0, cutoff);
+}
+
+/**
+ * Builds the request asking the chat model to fold new turns into the running summary.
+ * @param {string|null} previous_summary - Current summary content, if any
+ * @param {Array<Object>} entries - Turns to fold in ({ role, text })
+ * @returns {Object} Request ({ messages })
+ */
+export function build_summary_request(previous_summary, entries = []) {
+  const parts = [
+    'Summarize the conversation below so it can replace the original messages in future requests.',
+    'Keep facts, decisions, names, file paths, open questions and anything the user asked to remember.',
+    'Write concise markdown bullet points. Reply with the summary only.',
+  ];
+  if (previous_summary) parts.push(`## Summary so far\n${previous_summary}`);
+  parts.push('## Conversation');
+  entries.forEach(entry => parts.push(`### ${format_role(entry.role)}\n${clip(entry.text)}`));
+  return {
+    messages: [{ role: 'user', content: [{ type: 'text', text: parts.join('\n\n') }] }],
+    vault_context: false,
+  };
+}
+
+/**
+ * Fallback summary used when the chat model cannot produce one: the first lines of each turn.
+ * @param {string|null} previous_summary - Current summary content, if any
+ * @param {Array<Object>} entries - Turns to fold in ({ role, text })
+ * @param {number} [max_chars=280] - Characters kept per turn
+ * @returns {string}
+ */
+export function build_extractive_summary(previous_summary, entries = [], max_chars = 280) {
+  const lines = previous_summary ? [previous_summary] : [];
+  entries.forEach(entry => {
+    const text = String(entry.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    lines.push(`- ${format_role(entry.role)}: ${text.length > max_chars ? text.slice(0, max_chars) + '…' : text}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Request message that stands in for the summarized turns.
+ * @param {Object} summary - `thread.data.summary`
+ * @returns {Object} System request message
+ */
+export function build_summary_message(summary) {
+  return {
+    role: 'system',
+    content: [{
+      type: 'text',
+      text: `Summary of the earlier conversation (${summary.message_ids.length} messages):\n\n${summary.content}`,
+    }],
+  };
+}
+
+function format_role(role) {
+  if (role === 'user') return 'User';
+  if (role === 'tool') return 'Tool result';
+  if (role === 'system') return 'System';
+  return 'Assistant';
+}
+
+function clip(text = '') {
+  return text.length > MAX_MESSAGE_CHARS ? text.slice(0, MAX_MESSAGE_CHARS) + '…' : text;
+}
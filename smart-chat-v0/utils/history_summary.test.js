@@ -0,0 +1,64 @@
+import test from 'ava';
+import {
+  estimate_request_tokens,
+  find_summary_cutoff,
+  get_request_message_text,
+  build_summary_request,
+  build_extractive_summary,
+  build_summary_message,
+} from './history_summary.js';
+
+const roles = (...list) => list.map(role => ({ role }));
+
+// estimate_request_tokens
+test('estimates request size from message text and tool calls', t => {
+  const request = {
+    messages: [
+      { role: 'user', content: [{ type: 'text', text: 'a'.repeat(400) }] },
+      { role: 'assistant', tool_calls: [{ function: { name: 'lookup', arguments: '{}' } }] },
+    ],
+  };
+  t.is(estimate_request_tokens(request), 100 + 4 + 3 + 4);
+  t.is(get_request_message_text({ role: 'assistant', content: 'plain' }), 'plain');
+});
+
+// find_summary_cutoff
+test('keeps recent messages starting at a user message', t => {
+  const messages = roles('user', 'assistant', 'user', 'assistant', 'tool', 'assistant', 'user', 'assistant');
+  t.is(find_summary_cutoff(messages, 4), 2);
+  t.is(find_summary_cutoff(messages, 2), 6);
+});
+
+test('returns 0 when there is nothing to summarize', t => {
+  t.is(find_summary_cutoff(roles('user', 'assistant'), 6), 0);
+  t.is(find_summary_cutoff(roles('assistant', 'tool', 'assistant', 'user'), 2), 0);
+});
+
+// build_summary_request
+test('summary request folds new turns into the previous summary', t => {
+  const request = build_summary_request('- likes tomatoes', [
+    { role: 'user', text: 'What about roses?' },
+    { role: 'assistant', text: 'Prune in spring.' },
+  ]);
+  const text = request.messages[0].content[0].text;
+  t.false(request.vault_context);
+  t.true(text.includes('## Summary so far\n- likes tomatoes'));
+  t.true(text.indexOf('### User\nWhat about roses?') < text.indexOf('### Assistant\nPrune in spring.'));
+});
+
+// build_extractive_summary
+test('extractive summary keeps the start of each turn', t => {
+  const summary = build_extractive_summary('- earlier', [
+    { role: 'user', text: 'first\nquestion' },
+    { role: 'assistant', text: 'x'.repeat(300) },
+    { role: 'tool', text: '' },
+  ], 14);
+  t.is(summary, `- earlier\n- User: first question\n- Assistant: ${'x'.repeat(14)}…`);
+});
+
+// build_summary_message
+test('summary message is a system message naming the replaced count', t => {
+  const message = build_summary_message({ content: '- tomatoes', message_ids: ['a', 'b', 'c'] });
+  t.is(message.role, 'system');
+  t.is(message.content[0].text, 'Summary of the earlier conversation (3 messages):\n\n- tomatoes');
+});
@@ -0,0 +1,105 @@
+/**
+ * @module utils/prompt_templates
+ * @description Reusable prompts stored as vault notes.
+ *
+ * A template is a Markdown note in the prompt templates folder:
+ * - Frontmatter (optional): `description`, and request overrides `model`, `temperature`,
+ *   `max_tokens` applied when the filled prompt is sent
+ * - Body: the prompt, with variables `{{type}}` or `{{type:arg}}`, e.g. `{{selection}}`,
+ *   `{{active_note}}`, `{{connections:5}}`, `{{date}}`, `{{date:YYYY-MM-DD}}`
+ *
+ * Variables of an unknown type are left in place for the user to fill in.
+ */
+
+import { split_frontmatter } from './thread_markdown.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)(?:\s*:\s*([^}]*?))?\s*\}\}/g;
+const OVERRIDE_FIELDS = ['model', 'temperature', 'max_tokens'];
+
+/**
+ * Parses a template note.
+ * @param {string} markdown - Note content
+ * @param {string} [path=''] - Vault path of the note
+ * @returns {Object} { path, name, description, body, overrides, variables }
+ */
+export function parse_prompt_template(markdown = '', path = '') {
+  const { frontmatter, body } = split_frontmatter(String(markdown).replace(/\r\n/g, '\n'));
+  const overrides = {};
+  OVERRIDE_FIELDS.forEach(field => {
+    const value = frontmatter[field];
+    if (value === undefined || value === null || value === '') return;
+    overrides[field] = field === 'model' ? String(value) : Number(value);
+    if (Number.isNaN(overrides[field])) delete overrides[field];
+  });
+  return {
+    path,
+    name: path.split('/').pop().replace(/\.md$/, ''),
+    description: frontmatter.description ? String(frontmatter.description) : '',
+    body: body.trim(),
+    overrides,
+    variables: get_template_variables(body),
+  };
+}
+
+/**
+ * Lists the variables used in a template body.
+ * @param {string} body
+ * @returns {Array<Object>} [{ raw, type, arg }] in order of first use, without duplicates
+ */
+export function get_template_variables(body = '') {
+  const variables = [];
+  for (const [raw, type, arg] of String(body).matchAll(VARIABLE_PATTERN)) {
+    if (variables.some(variable => variable.raw === raw)) continue;
+    variables.push({ raw, type, arg: arg || null });
+  }
+  return variables;
+}
+
+/**
+ * Fills a template's variables.
+ * @async
+ * @param {Object|string} template - Parsed template or template body
+ * @param {Object} resolvers - Map of variable type to `async (arg) => string`
+ * @returns {Promise<string>} Filled prompt
+ */
+export async function fill_prompt_template(template, resolvers = {}) {
+  const body = typeof template === 'string' ? template : template.body;
+  const values = {};
+  for (const { raw, type, arg } of get_template_variables(body)) {
+    if (typeof resolvers[type] !== 'function') continue;
+    const value = await resolvers[type](arg);
+    if (value !== undefined && value !== null) values[raw] = String(value);
+  }
+  return body.replace(VARIABLE_PATTERN, raw => (raw in values ? values[raw] : raw));
+}
+
+/**
+ * Applies template overrides to a request built by `SmartThread.to_request()`.
+ * @param {Object} request - Request payload (mutated)
+ * @param {Object} [overrides={}] - { model, temperature, max_tokens }
+ * @returns {Object} The request
+ */
+export function apply_request_overrides(request, overrides = {}) {
+  OVERRIDE_FIELDS.forEach(field => {
+    if (overrides[field] !== undefined) request[field] = overrides[field];
+  });
+  return request;
+}
+
+/**
+ * Formats a date with `YYYY`, `MM`, `DD`, `HH` and `mm` tokens.
+ * @param {Date} date
+ * @param {string} [format='YYYY-MM-DD']
+ * @returns {string}
+ */
+export function format_date(date, format = 'YYYY-MM-DD') {
+  const pad = (value) => String(value).padStart(2, '0');
+  const tokens = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm/g, token => tokens[token]);
+}
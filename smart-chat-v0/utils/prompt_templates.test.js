@@ -0,0 +1,58 @@
+import test from 'ava';
+import {
+  parse_prompt_template,
+  get_template_variables,
+  fill_prompt_template,
+  apply_request_overrides,
+  format_date,
+} from './prompt_templates.js';
+
+const note = [
+  '---',
+  'description: Summarize the selection',
+  'model: gpt-4o-mini',
+  'temperature: 0.1',
+  'max_tokens: nope',
+  '---',
+  '',
+  'Summarize {{selection}} from {{ active_note }}.',
+  'Related: {{connections:5}} ({{date}}, {{selection}}) {{unknown}}',
+  '',
+].join('\n');
+
+test('parses a template note with overrides and variables', t => {
+  const template = parse_prompt_template(note, 'Smart Prompts/Summarize.md');
+  t.is(template.name, 'Summarize');
+  t.is(template.description, 'Summarize the selection');
+  t.deepEqual(template.overrides, { model: 'gpt-4o-mini', temperature: 0.1 });
+  t.true(template.body.startsWith('Summarize {{selection}}'));
+  t.deepEqual(parse_prompt_template('Just text', 'Plain.md').overrides, {});
+});
+
+test('lists variables with their type and argument once', t => {
+  t.deepEqual(get_template_variables(note).map(({ type, arg }) => [type, arg]), [
+    ['selection', null],
+    ['active_note', null],
+    ['connections', '5'],
+    ['date', null],
+    ['unknown', null],
+  ]);
+});
+
+test('fills known variables and leaves unknown ones', async t => {
+  const args = [];
+  const filled = await fill_prompt_template(parse_prompt_template(note), {
+    selection: async () => 'the text',
+    active_note: async () => '![[Plan.md]]',
+    connections: async (limit) => { args.push(limit); return '[[A.md]]'; },
+    date: async () => null,
+  });
+  t.is(filled, 'Summarize the text from ![[Plan.md]].\nRelated: [[A.md]] ({{date}}, the text) {{unknown}}');
+  t.deepEqual(args, ['5'], 'each variable is resolved once');
+});
+
+test('applies overrides to a request and formats dates', t => {
+  const request = apply_request_overrides({ messages: [], temperature: 0.3 }, { model: 'gpt-4o-mini', temperature: 0 });
+  t.deepEqual(request, { messages: [], temperature: 0, model: 'gpt-4o-mini' });
+  t.is(format_date(new Date(2024, 0, 5, 9, 7), 'YYYY-MM-DD HH:mm'), '2024-01-05 09:07');
+});
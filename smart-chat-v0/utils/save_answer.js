@@ -0,0 +1,167 @@
+/**
+ * @module utils/save_answer
+ * @description Builds the Markdown written when an assistant answer is saved to the vault: a new
+ * note with a backlink to the chat and the notes used as context, or a block appended under a
+ * heading / inserted at the cursor. Every write records where it came from: new notes in the
+ * `smart_chat_thread` and `smart_chat_message` frontmatter fields, blocks in a leading comment.
+ */
+
+import { split_frontmatter } from "./thread_markdown.js";
+
+/**
+ * Notes used as context for an answer: vault context packed into the request, lookup results
+ * and links in the user message. Past chat messages returned by the lookup are left out.
+ * @param {Array<Object>} messages_data - `message.data` of the messages of the turn (user message up to the answer)
+ * @returns {Array<string>} Unique keys, in the order they were used
+ */
+export function get_answer_source_keys(messages_data = []) {
+  const keys = [];
+  const add = (key) => { if (typeof key === 'string' && key && !keys.includes(key)) keys.push(key); };
+  messages_data.forEach(data => {
+    (data?.context?.internal_links || []).forEach(add);
+    (data?.tool_call_output || []).filter(item => !item?.chat).forEach(item => add(item?.key));
+    if (data?.context_pack?.active_note) add(data.context_pack.active_note.key);
+    (data?.context_pack?.blocks || []).forEach(block => add(block?.key));
+  });
+  return keys;
+}
+
+/**
+ * Provenance comment placed before an inserted answer.
+ * @param {string} thread_key
+ * @param {string} message_id
+ * @returns {string}
+ */
+export function build_provenance_comment(thread_key, message_id) {
+  return `<!-- smart-chat thread="${escape_comment(thread_key)}" message="${escape_comment(message_id)}" -->`;
+}
+
+/**
+ * Reads the provenance comment of an inserted answer.
+ * @param {string} text
+ * @returns {Object|null} { thread_key, message_id }
+ */
+export function parse_provenance_comment(text = '') {
+  const match = String(text).match(/<!-- smart-chat thread="([^"]*)" message="([^"]*)" -->/);
+  return match ? { thread_key: unescape_comment(match[1]), message_id: unescape_comment(match[2]) } : null;
+}
+
+/**
+ * Answer block for inserting into an existing note.
+ * @param {Object} answer
+ * @param {string} answer.content - Answer text
+ * @param {string} answer.thread_key
+ * @param {string} answer.message_id
+ * @returns {string}
+ */
+export function build_answer_block({ content = '', thread_key, message_id }) {
+  return `${build_provenance_comment(thread_key, message_id)}\n${String(content).trim()}\n`;
+}
+
+/**
+ * Content of a new note made from an answer.
+ * @param {Object} answer
+ * @param {string} answer.content - Answer text
+ * @param {string} answer.thread_key
+ * @param {string} answer.message_id
+ * @param {string} [answer.thread_link] - Link to the chat (e.g. `[[Smart Chats/Trip]]`); the thread key otherwise
+ * @param {Array<string>} [answer.sources=[]] - Keys of the notes used as context
+ * @param {Date} [answer.created=new Date()]
+ * @returns {string}
+ */
+export function build_answer_note({ content = '', thread_key, message_id, thread_link, sources = [], created = new Date() }) {
+  const lines = [
+    '---',
+    `smart_chat_thread: ${yaml_string(thread_key)}`,
+    `smart_chat_message: ${yaml_string(message_id)}`,
+    `created: ${created.toISOString()}`,
+    '---',
+    '',
+    String(content).trim(),
+    '',
+    '---',
+    `Source chat: ${thread_link || thread_key}`,
+  ];
+  if (sources.length) {
+    lines.push('', 'Context:');
+    sources.forEach(key => lines.push(`- [[${key}]]`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * File name for a note made from an answer: its first line (or heading), without characters
+ * that are not allowed in note names.
+ * @param {string} content - Answer text
+ * @param {number} [max_length=60]
+ * @returns {string} Name without extension ('' when the answer has no text)
+ */
+export function get_answer_note_name(content = '', max_length = 60) {
+  const first_line = String(content).split('\n').map(line => line.trim()).find(Boolean) || '';
+  const name = first_line
+    .replace(/^#+\s*/, '')
+    .replace(/[*_`[\]#^|\\/:<>?"]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  ;
+  if (name.length <= max_length) return name;
+  const cut = name.slice(0, max_length);
+  const space = cut.lastIndexOf(' ');
+  return (space > max_length / 2 ? cut.slice(0, space) : cut).trim();
+}
+
+/**
+ * Appends a block at the end of a heading's section, adding the heading at the end of the note
+ * when it is missing.
+ * @param {string} markdown - Note content
+ * @param {string} heading - Heading text (without `#`)
+ * @param {string} block - Text to append
+ * @returns {string}
+ */
+export function append_under_heading(markdown = '', heading, block) {
+  const lines = String(markdown).split('\n');
+  const { body } = split_frontmatter(String(markdown));
+  const head = String(markdown).slice(0, String(markdown).length - body.length);
+  const body_start = head ? head.split('\n').length - 1 : 0; // headings in the frontmatter don't count
+  const block_lines = String(block).replace(/\n+$/, '').split('\n');
+  const headings = get_headings(lines);
+  const heading_i = headings.findIndex((h, i) => i >= body_start && h?.text === heading.trim());
+  if (heading_i < 0) {
+    while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+    const gap = lines.length ? [''] : [];
+    return [...lines, ...gap, `## ${heading.trim()}`, '', ...block_lines, ''].join('\n');
+  }
+  const level = headings[heading_i].level;
+  let end = headings.findIndex((h, i) => i > heading_i && h && h.level <= level);
+  if (end < 0) end = lines.length;
+  let insert_at = end;
+  while (insert_at > heading_i + 1 && !lines[insert_at - 1].trim()) insert_at--;
+  return [...lines.slice(0, insert_at), '', ...block_lines, '', ...lines.slice(end)].join('\n');
+}
+
+/**
+ * Headings of a note by line; lines in code blocks are not headings.
+ * @param {Array<string>} lines
+ * @returns {Array<Object|null>} { level, text } per line
+ */
+function get_headings(lines) {
+  let in_code = false;
+  return lines.map(line => {
+    if (/^\s*(```|~~~)/.test(line)) in_code = !in_code;
+    if (in_code) return null;
+    const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    return match ? { level: match[1].length, text: match[2].trim() } : null;
+  });
+}
+
+function yaml_string(value) {
+  return JSON.stringify(String(value ?? ''));
+}
+
+function escape_comment(value) {
+  return String(value ?? '').replace(/"/g, '&quot;').replace(/--/g, '&#45;&#45;');
+}
+
+function unescape_comment(value) {
+  return value.replace(/&#45;/g, '-').replace(/&quot;/g, '"');
+}
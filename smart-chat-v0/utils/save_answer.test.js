@@ -0,0 +1,73 @@
+import test from 'ava';
+import {
+  get_answer_source_keys,
+  build_provenance_comment,
+  parse_provenance_comment,
+  build_answer_block,
+  build_answer_note,
+  get_answer_note_name,
+  append_under_heading,
+} from './save_answer.js';
+
+test('collects the notes used as context for an answer', t => {
+  const turn = [
+    { role: 'user', context: { internal_links: ['Trips/Lisbon.md'] } },
+    { role: 'tool', tool_call_output: [{ key: 'Budget.md#Travel' }, { key: 'Old chat#user-1-1', chat: true }, { key: 'Trips/Lisbon.md' }] },
+    { role: 'assistant', context_pack: { active_note: { key: 'Daily.md' }, blocks: [{ key: 'Budget.md#Travel' }, { key: 'Packing.md' }] } },
+  ];
+  t.deepEqual(get_answer_source_keys(turn), ['Trips/Lisbon.md', 'Budget.md#Travel', 'Daily.md', 'Packing.md']);
+  t.deepEqual(get_answer_source_keys([{ role: 'user', content: 'Hi' }]), []);
+});
+
+test('records the thread and message of inserted answers', t => {
+  const comment = build_provenance_comment('Trip "plan"', 'assistant-2-1');
+  t.deepEqual(parse_provenance_comment('text\n' + comment), { thread_key: 'Trip "plan"', message_id: 'assistant-2-1' });
+  t.is(build_answer_block({ content: ' Pack light.\n', thread_key: 'Trip', message_id: 'assistant-2-1' }),
+    '<!-- smart-chat thread="Trip" message="assistant-2-1" -->\nPack light.\n');
+  t.is(parse_provenance_comment('no comment'), null);
+});
+
+test('builds a note with provenance frontmatter, chat backlink and sources', t => {
+  const note = build_answer_note({
+    content: 'Pack light.',
+    thread_key: 'Trip',
+    message_id: 'assistant-2-1',
+    thread_link: '[[Smart Chats/Trip]]',
+    sources: ['Packing.md'],
+    created: new Date('2026-01-02T03:04:05Z'),
+  });
+  t.is(note, [
+    '---',
+    'smart_chat_thread: "Trip"',
+    'smart_chat_message: "assistant-2-1"',
+    'created: 2026-01-02T03:04:05.000Z',
+    '---',
+    '',
+    'Pack light.',
+    '',
+    '---',
+    'Source chat: [[Smart Chats/Trip]]',
+    '',
+    'Context:',
+    '- [[Packing.md]]',
+    '',
+  ].join('\n'));
+  t.true(build_answer_note({ content: 'x', thread_key: 'Trip', message_id: 'm' }).includes('Source chat: Trip\n'));
+});
+
+test('names notes after the first line of the answer', t => {
+  t.is(get_answer_note_name('\n## Packing list: [essentials]\n- socks'), 'Packing list essentials');
+  t.is(get_answer_note_name('word '.repeat(30), 22), 'word word word word');
+  t.is(get_answer_note_name(''), '');
+});
+
+test('appends under a heading, adding it when missing', t => {
+  const block = '<!-- c -->\nAnswer';
+  t.is(append_under_heading('# Note\n\n## Answers\nFirst\n\n## Later\nText\n', 'Answers', block),
+    '# Note\n\n## Answers\nFirst\n\n<!-- c -->\nAnswer\n\n## Later\nText\n');
+  t.is(append_under_heading('# Note\n## Answers\n### Sub\nx\n', 'Answers', block),
+    '# Note\n## Answers\n### Sub\nx\n\n<!-- c -->\nAnswer\n');
+  t.is(append_under_heading('Body\n\n\n', 'Answers', block), 'Body\n\n## Answers\n\n<!-- c -->\nAnswer\n');
+  t.is(append_under_heading('', 'Answers', block), '## Answers\n\n<!-- c -->\nAnswer\n');
+  t.is(append_under_heading('```\n## Answers\n```\n', 'Answers', block), '```\n## Answers\n```\n\n## Answers\n\n<!-- c -->\nAnswer\n');
+});
@@ -0,0 +1,277 @@
+import { render_body, parse_body, pick_visible } from './thread_markdown.js';
+
+/**
+ * @module utils/thread_canvas
+ * @description Mirrors a chat thread as an Obsidian canvas and reads the canvas back.
+ *
+ * - Each message is a text node whose id is the message id; the node text uses the
+ *   Markdown thread format (utils/thread_markdown.js), colored by role
+ * - Edges run from a message to the message that follows it, so branches fork visibly
+ *   from the message they continue
+ * - Node positions, sizes, other nodes (notes, groups, files) and edges are kept when the
+ *   canvas is written again; only nodes of messages that no longer exist are dropped
+ *
+ * Message data that has no visible form stays in the thread's own file; the canvas only
+ * carries the tree, the visible content and layout.
+ *
+ * Replaces the former ♻️/chatml_to_canvas.js and ♻️/canvas_to_chatml.js, which only handled a
+ * single linear ChatML list with positional `role-N` node ids and dropped the layout.
+ */
+
+const NODE_WIDTH = 480;
+const GAP_X = 80;
+const GAP_Y = 60;
+const MIN_HEIGHT = 80;
+const MAX_HEIGHT = 640;
+const ROLE_COLORS = { user: '5', assistant: '6', tool: '3', system: '2' };
+
+/**
+ * Writes the thread tree as canvas data.
+ * @param {Object} thread_data - `thread.data` (messages and branches)
+ * @param {Array<Object>} messages - Data of every message in the thread (current branch and other branches)
+ * @param {Object} [opts={}]
+ * @param {Object} [opts.previous] - Canvas data written before (layout and other nodes are kept)
+ * @param {Object} [opts.renames] - Node id -> message id for nodes that became messages
+ * @returns {Object} { nodes, edges }
+ */
+export function thread_to_canvas(thread_data = {}, messages = [], opts = {}) {
+  const previous = rename_nodes(parse_canvas(opts.previous), opts.renames);
+  const by_id = Object.fromEntries(messages.filter(message => message?.id).map(message => [message.id, message]));
+  const previous_nodes = Object.fromEntries(previous.nodes.map(node => [node.id, node]));
+  const previous_parents = get_parents(previous, by_id);
+  const structure_parents = get_thread_parents(thread_data);
+
+  const nodes = [];
+  const placed = {};
+  const child_counts = {};
+  // new root nodes go right of everything already on the canvas
+  const root_count = { value: 0, x: Math.max(0, ...previous.nodes.map(node => (node.x || 0) + (node.width || 0) + GAP_X)) };
+  const place = (message) => {
+    if (placed[message.id]) return placed[message.id];
+    const parent_id = previous_parents[message.id] ?? structure_parents[message.id];
+    const parent = by_id[parent_id] ? place(by_id[parent_id]) : null;
+    const text = render_body(message.role, pick_visible(message));
+    const node = {
+      ...(previous_nodes[message.id] || layout_node(parent, child_counts, root_count, text)),
+      id: message.id,
+      type: 'text',
+      text,
+    };
+    if (!node.color && ROLE_COLORS[message.role]) node.color = ROLE_COLORS[message.role];
+    if (parent) {
+      child_counts[parent.id] = (child_counts[parent.id] || 0) + 1;
+      node.parent_id = parent.id;
+    }
+    placed[message.id] = node;
+    nodes.push(node);
+    return node;
+  };
+  sort_messages(thread_data, Object.values(by_id)).forEach(place);
+
+  const edges = previous.edges.filter(edge => {
+    if (previous_nodes[edge.fromNode] && !is_kept(previous_nodes[edge.fromNode], by_id)) return false;
+    if (previous_nodes[edge.toNode] && !is_kept(previous_nodes[edge.toNode], by_id)) return false;
+    return true;
+  });
+  nodes.forEach(node => {
+    if (!node.parent_id) return;
+    if (!edges.some(edge => edge.fromNode === node.parent_id && edge.toNode === node.id)) {
+      edges.push({ id: `${node.parent_id}-${node.id}`, fromNode: node.parent_id, fromSide: 'bottom', toNode: node.id, toSide: 'top' });
+    }
+    delete node.parent_id;
+  });
+  const other_nodes = previous.nodes.filter(node => !by_id[node.id] && is_kept(node, by_id));
+  return { nodes: [...nodes, ...other_nodes], edges };
+}
+
+/**
+ * Reads the thread tree from a canvas.
+ * @param {Object|string} canvas - Canvas data
+ * @param {Array<string>} message_ids - Ids of the thread's messages; other nodes are ignored
+ * @param {string} [active_id] - Node the current branch leads to (a message or a new node under one)
+ * @returns {Object} { messages, branches } in `thread.data` form: the current branch maps ids to
+ * their position, and each message that forks from another starts a branch at its position
+ */
+export function canvas_to_thread(canvas, message_ids = [], active_id = null) {
+  canvas = parse_canvas(canvas);
+  const ids = new Set(message_ids);
+  const nodes = canvas.nodes.filter(node => ids.has(node.id));
+  const by_id = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const parents = get_parents(canvas, by_id);
+  const children = {};
+  nodes.forEach(node => {
+    const parent_id = parents[node.id];
+    if (!parent_id) return;
+    (children[parent_id] ||= []).push(node);
+  });
+  Object.values(children).forEach(list => list.sort(by_position));
+  const depth = (id) => get_path(parents, id).length;
+
+  // a new node continues the message it is connected from
+  const leaf_id = by_id[active_id]
+    ? active_id
+    : canvas.edges.find(edge => edge.toNode === active_id && by_id[edge.fromNode])?.fromNode
+  ;
+  const path = active_id ? get_path(parents, leaf_id) : default_path(nodes, parents, children);
+  const messages = Object.fromEntries(path.map(id => [id, depth(id)]));
+  const branches = {};
+  const assigned = new Set(path);
+  nodes
+    .filter(node => !assigned.has(node.id))
+    .sort((a, b) => depth(a.id) - depth(b.id) || by_position(a, b))
+    .forEach(node => {
+      if (assigned.has(node.id)) return;
+      const branch = {};
+      let current = node;
+      while (current) {
+        branch[current.id] = depth(current.id);
+        assigned.add(current.id);
+        current = (children[current.id] || []).find(child => !assigned.has(child.id));
+      }
+      (branches[depth(node.id)] ||= []).push(branch);
+    })
+  ;
+  return { messages, branches };
+}
+
+/**
+ * Messages whose node text was edited on the canvas.
+ * @param {Object|string} canvas - Canvas data
+ * @param {Array<Object>} messages - Message data
+ * @returns {Array<Object>} [{ id, content, tool_calls, tool_call_output }] parsed from the edited nodes
+ */
+export function get_edited_messages(canvas, messages = []) {
+  canvas = parse_canvas(canvas);
+  return messages
+    .map(message => {
+      const node = canvas.nodes.find(node => node.id === message.id);
+      if (typeof node?.text !== 'string') return null;
+      if (node.text === render_body(message.role, pick_visible(message))) return null;
+      return { id: message.id, ...parse_body(message.role, node.text) };
+    })
+    .filter(Boolean)
+  ;
+}
+
+/**
+ * @param {Object|string} canvas - Canvas data or its JSON
+ * @returns {Object} { nodes, edges }
+ */
+export function parse_canvas(canvas) {
+  if (typeof canvas === 'string') {
+    try {
+      canvas = canvas.trim() ? JSON.parse(canvas) : {};
+    } catch (error) {
+      console.warn('Invalid canvas JSON', error);
+      canvas = {};
+    }
+  }
+  return { ...(canvas || {}), nodes: canvas?.nodes || [], edges: canvas?.edges || [] };
+}
+
+function rename_nodes(canvas, renames = {}) {
+  if (!renames || !Object.keys(renames).length) return canvas;
+  const rename = (id) => renames[id] || id;
+  return {
+    ...canvas,
+    nodes: canvas.nodes.map(node => ({ ...node, id: rename(node.id) })),
+    edges: canvas.edges.map(edge => ({ ...edge, fromNode: rename(edge.fromNode), toNode: rename(edge.toNode) })),
+  };
+}
+
+// message nodes of deleted messages are dropped; everything else on the canvas is kept
+function is_kept(node, by_id) {
+  return by_id[node.id] || !is_message_node(node);
+}
+
+function is_message_node(node) {
+  return node.type === 'text' && /^(user|assistant|tool|system)-\d+-/.test(node.id);
+}
+
+// parent of each message node: the first message node with an edge to it
+function get_parents(canvas, by_id) {
+  const parents = {};
+  canvas.edges.forEach(edge => {
+    if (!by_id[edge.toNode] || !by_id[edge.fromNode] || parents[edge.toNode]) return;
+    parents[edge.toNode] = edge.fromNode;
+  });
+  return parents;
+}
+
+// parents implied by thread data: the previous message of the current branch, and for a branch
+// at msg_i the current-branch message before msg_i
+function get_thread_parents(thread_data) {
+  const parents = {};
+  const main = Object.entries(thread_data.messages || {}).sort(([, a], [, b]) => a - b);
+  const main_at = Object.fromEntries(main.map(([id, msg_i]) => [msg_i, id]));
+  main.forEach(([id, msg_i]) => { if (main_at[msg_i - 1]) parents[id] = main_at[msg_i - 1]; });
+  Object.values(thread_data.branches || {}).forEach(branch_list => {
+    branch_list.forEach(branch => {
+      let previous_id = null;
+      Object.entries(branch).sort(([, a], [, b]) => a - b).forEach(([id, msg_i]) => {
+        const parent_id = previous_id || main_at[msg_i - 1];
+        if (parent_id) parents[id] = parent_id;
+        previous_id = id;
+      });
+    });
+  });
+  return parents;
+}
+
+function sort_messages(thread_data, messages) {
+  const main = thread_data.messages || {};
+  return [...messages].sort((a, b) => {
+    const a_main = a.id in main;
+    const b_main = b.id in main;
+    if (a_main !== b_main) return a_main ? -1 : 1;
+    return (a.msg_i || 0) - (b.msg_i || 0);
+  });
+}
+
+function layout_node(parent, child_counts, root_count, text) {
+  const height = estimate_height(text);
+  if (!parent) {
+    const x = root_count.x + root_count.value++ * (NODE_WIDTH + GAP_X);
+    return { x, y: 0, width: NODE_WIDTH, height };
+  }
+  const column = child_counts[parent.id] || 0;
+  return {
+    x: parent.x + column * (NODE_WIDTH + GAP_X),
+    y: parent.y + parent.height + GAP_Y,
+    width: NODE_WIDTH,
+    height,
+  };
+}
+
+function estimate_height(text = '') {
+  const lines = text.split('\n').reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / 60)), 0);
+  return Math.min(MAX_HEIGHT, Math.max(MIN_HEIGHT, 40 + lines * 24));
+}
+
+// ids from the root to a message, following parents
+function get_path(parents, id) {
+  const path = [];
+  const seen = new Set();
+  while (id && !seen.has(id)) {
+    seen.add(id);
+    path.unshift(id);
+    id = parents[id];
+  }
+  return path;
+}
+
+// without an active node, follow the leftmost child from the first root
+function default_path(nodes, parents, children) {
+  const root = nodes.filter(node => !parents[node.id]).sort(by_position)[0];
+  const path = [];
+  let current = root;
+  while (current) {
+    path.push(current.id);
+    current = children[current.id]?.[0];
+  }
+  return path;
+}
+
+function by_position(a, b) {
+  return (a.x || 0) - (b.x || 0) || (a.y || 0) - (b.y || 0);
+}
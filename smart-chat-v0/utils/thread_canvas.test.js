@@ -0,0 +1,95 @@
+import test from 'ava';
+import {
+  thread_to_canvas,
+  canvas_to_thread,
+  get_edited_messages,
+  parse_canvas,
+} from './thread_canvas.js';
+
+const thread_data = {
+  messages: { 'user-1-1-1': 1, 'assistant-2-1-1': 2, 'user-3-1-1': 3, 'assistant-4-1-1': 4 },
+  branches: { 3: [{ 'user-3-2-1': 3, 'assistant-4-2-1': 4 }] },
+};
+
+const messages = [
+  { id: 'user-1-1-1', msg_i: 1, role: 'user', content: [{ type: 'text', text: 'Plan a trip' }] },
+  { id: 'assistant-2-1-1', msg_i: 2, role: 'assistant', content: 'Where to?' },
+  { id: 'user-3-1-1', msg_i: 3, role: 'user', content: [{ type: 'text', text: 'Lisbon' }] },
+  { id: 'assistant-4-1-1', msg_i: 4, role: 'assistant', content: 'Lisbon it is.' },
+  { id: 'user-3-2-1', msg_i: 3, role: 'user', content: [{ type: 'text', text: 'Porto' }] },
+  { id: 'assistant-4-2-1', msg_i: 4, role: 'assistant', content: 'Porto it is.' },
+];
+
+const edge_pairs = (canvas) => canvas.edges.map(edge => `${edge.fromNode}>${edge.toNode}`).sort();
+
+test('writes messages as nodes with edges that mirror the branches', t => {
+  const canvas = thread_to_canvas(thread_data, messages);
+  t.is(canvas.nodes.length, 6);
+  t.deepEqual(edge_pairs(canvas), [
+    'assistant-2-1-1>user-3-1-1',
+    'assistant-2-1-1>user-3-2-1',
+    'user-1-1-1>assistant-2-1-1',
+    'user-3-1-1>assistant-4-1-1',
+    'user-3-2-1>assistant-4-2-1',
+  ]);
+  const node = (id) => canvas.nodes.find(_node => _node.id === id);
+  t.is(node('assistant-2-1-1').text, 'Where to?');
+  t.is(node('user-3-1-1').color, '5');
+  t.true(node('user-3-2-1').x > node('user-3-1-1').x, 'branch is laid out beside the current branch');
+  t.true(node('user-3-1-1').y > node('assistant-2-1-1').y);
+});
+
+test('keeps layout and other nodes when written again', t => {
+  const first = thread_to_canvas(thread_data, messages);
+  first.nodes.find(node => node.id === 'assistant-2-1-1').x = 999;
+  first.nodes.push({ id: 'note1', type: 'text', text: 'my note', x: 0, y: 0, width: 100, height: 100 });
+  first.edges.push({ id: 'e1', fromNode: 'assistant-4-1-1', toNode: 'note1' });
+  const updated_messages = messages.filter(message => message.id !== 'assistant-4-2-1');
+  const updated_data = { ...thread_data, branches: { 3: [{ 'user-3-2-1': 3 }] } };
+  const second = thread_to_canvas(updated_data, updated_messages, { previous: JSON.stringify(first) });
+  t.is(second.nodes.find(node => node.id === 'assistant-2-1-1').x, 999);
+  t.truthy(second.nodes.find(node => node.id === 'note1'));
+  t.falsy(second.nodes.find(node => node.id === 'assistant-4-2-1'), 'node of a removed message is dropped');
+  t.true(edge_pairs(second).includes('assistant-4-1-1>note1'));
+  t.false(edge_pairs(second).some(pair => pair.includes('assistant-4-2-1')));
+});
+
+test('renamed node becomes the message node in place', t => {
+  const canvas = thread_to_canvas(thread_data, messages);
+  canvas.nodes.push({ id: 'abc123', type: 'text', text: 'Faro?', x: 5, y: 5, width: 200, height: 90 });
+  canvas.edges.push({ id: 'e2', fromNode: 'assistant-2-1-1', toNode: 'abc123' });
+  const new_message = { id: 'user-3-3-1', msg_i: 3, role: 'user', content: [{ type: 'text', text: 'Faro?' }] };
+  const data = { ...thread_data, messages: { 'user-1-1-1': 1, 'assistant-2-1-1': 2, 'user-3-3-1': 3 } };
+  const result = thread_to_canvas(data, [...messages, new_message], { previous: canvas, renames: { abc123: 'user-3-3-1' } });
+  const node = result.nodes.find(_node => _node.id === 'user-3-3-1');
+  t.deepEqual([node.x, node.y, node.width], [5, 5, 200]);
+  t.falsy(result.nodes.find(_node => _node.id === 'abc123'));
+  t.is(edge_pairs(result).filter(pair => pair === 'assistant-2-1-1>user-3-3-1').length, 1);
+});
+
+test('reads the current branch and branches from the canvas', t => {
+  const canvas = thread_to_canvas(thread_data, messages);
+  const ids = messages.map(message => message.id);
+
+  const to_porto = canvas_to_thread(canvas, ids, 'assistant-4-2-1');
+  t.deepEqual(to_porto.messages, { 'user-1-1-1': 1, 'assistant-2-1-1': 2, 'user-3-2-1': 3, 'assistant-4-2-1': 4 });
+  t.deepEqual(to_porto.branches, { 3: [{ 'user-3-1-1': 3, 'assistant-4-1-1': 4 }] });
+
+  // new node connected under a message continues that message
+  canvas.nodes.push({ id: 'new', type: 'text', text: 'And Faro?', x: 0, y: 0, width: 100, height: 80 });
+  canvas.edges.push({ id: 'e3', fromNode: 'assistant-4-1-1', toNode: 'new' });
+  const from_new = canvas_to_thread(canvas, ids, 'new');
+  t.deepEqual(from_new.messages, thread_data.messages);
+  t.deepEqual(from_new.branches, thread_data.branches);
+
+  t.deepEqual(canvas_to_thread(canvas, ids).messages, thread_data.messages, 'defaults to the leftmost path');
+});
+
+test('detects edited message nodes', t => {
+  const canvas = parse_canvas(JSON.stringify(thread_to_canvas(thread_data, messages)));
+  t.deepEqual(get_edited_messages(canvas, messages), []);
+  canvas.nodes.find(node => node.id === 'assistant-2-1-1').text = 'Where would you like to go?';
+  t.deepEqual(get_edited_messages(canvas, messages), [
+    { id: 'assistant-2-1-1', content: 'Where would you like to go?', tool_calls: null, tool_call_output: null },
+  ]);
+});
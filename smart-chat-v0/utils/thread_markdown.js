@@ -0,0 +1,296 @@
+/**
+ * @module utils/thread_markdown
+ * @description Converts a chat thread to a readable Markdown note and back without losing data.
+ *
+ * Layout:
+ * - Frontmatter: `smart_chat: true`, `key`, `created_at`, `model`, `branches` and any other
+ *   thread data (values are written as JSON, which YAML reads as well)
+ * - One `##### role` section per message, followed by an `<!-- sc-message {...} -->` comment with
+ *   the message data that has no visible form (id, msg_i, context, usage, ...)
+ * - Message text as Markdown; `![[path]]` for embedded notes and images
+ * - Tool calls as ```sc-tool-call name id``` blocks holding the JSON arguments
+ * - Lookup results as ```sc-context``` blocks with one `[[key]] score` line per result
+ * - Messages from other branches under a `## Branches` heading
+ *
+ * When the visible form cannot reproduce a field exactly (e.g. trailing whitespace), the original
+ * is kept in the comment as `raw` and used on import, unless the section was edited by hand.
+ *
+ * This extends the `##### role` dialect of the former ♻️/chat_ml_to_markdown.js and
+ * ♻️/markdown_to_chat_ml.js, which dropped message ids, branches and context on the way back.
+ */
+
+const FRONTMATTER_FLAG = 'smart_chat';
+const BRANCHES_HEADING = '## Branches';
+const META_PATTERN = /^<!-- sc-message (.*) -->$/;
+const ROLE_HEADING = /^##### (\w+)\s*$/;
+const VISIBLE_FIELDS = ['content', 'tool_calls', 'tool_call_output'];
+const OMITTED_FIELDS = ['role', 'thread_key', 'key', ...VISIBLE_FIELDS];
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'];
+
+/**
+ * Whether Markdown is a thread note written by `thread_to_markdown`.
+ * @param {string} markdown
+ * @returns {boolean}
+ */
+export function is_thread_markdown(markdown = '') {
+  return new RegExp(`^---\\n(?:.*\\n)*?${FRONTMATTER_FLAG}: true\\n`).test(String(markdown));
+}
+
+/**
+ * Writes a thread as Markdown.
+ * @param {Object} thread_data - `thread.data` (messages, branches, created_at, ...)
+ * @param {Array<Object>} messages - Message data of the current branch, in order
+ * @param {Object} [opts={}]
+ * @param {Array<Object>} [opts.branch_messages=[]] - Message data from other branches
+ * @param {string} [opts.model] - Model description for the frontmatter
+ * @returns {string}
+ */
+export function thread_to_markdown(thread_data = {}, messages = [], opts = {}) {
+  const { branch_messages = [], model } = opts;
+  const { messages: _messages, blocks, path, key, created_at, branches, ...other } = thread_data;
+  const frontmatter = {
+    [FRONTMATTER_FLAG]: true,
+    key,
+    created_at,
+    ...(model ? { model } : {}),
+    branches: branches || {},
+    ...other,
+  };
+  const lines = ['---'];
+  Object.entries(frontmatter).forEach(([name, value]) => {
+    if (value === undefined) return;
+    lines.push(`${name}: ${JSON.stringify(value)}`);
+  });
+  lines.push('---', '');
+  const sections = messages.map(message_to_markdown);
+  if (branch_messages.length) {
+    sections.push(BRANCHES_HEADING + '\n', ...branch_messages.map(message_to_markdown));
+  }
+  return lines.join('\n') + sections.join('\n');
+}
+
+/**
+ * Reads a thread note.
+ * @param {string} markdown
+ * @returns {Object} { data, messages, branch_messages } where `data.messages` maps message ids
+ * of the current branch to their position
+ */
+export function markdown_to_thread(markdown = '') {
+  const { frontmatter, body } = split_frontmatter(String(markdown).replace(/\r\n/g, '\n'));
+  const { [FRONTMATTER_FLAG]: _flag, model, ...data } = frontmatter;
+  if (!data.branches || typeof data.branches !== 'object') data.branches = {};
+
+  const messages = [];
+  const branch_messages = [];
+  let list = messages;
+  let current = null;
+  const flush = () => {
+    if (current) list.push(section_to_message(current));
+    current = null;
+  };
+  body.split('\n').forEach(line => {
+    if (line === BRANCHES_HEADING) {
+      flush();
+      list = branch_messages;
+      return;
+    }
+    const heading = line.match(ROLE_HEADING);
+    if (heading) {
+      flush();
+      current = { role: heading[1], meta: null, lines: [] };
+      return;
+    }
+    if (!current) return;
+    const meta = !current.meta && !current.lines.length && line.match(META_PATTERN);
+    if (meta) current.meta = parse_meta(meta[1]);
+    else current.lines.push(line);
+  });
+  flush();
+
+  data.messages = {};
+  messages.forEach((message, i) => {
+    message.msg_i = i + 1;
+    if (!message.id) message.id = create_message_id(message, data.created_at);
+    data.messages[message.id] = message.msg_i;
+  });
+  branch_messages.forEach(message => {
+    if (!message.id) message.id = create_message_id(message, data.created_at);
+  });
+  return { data, messages, branch_messages };
+}
+
+/**
+ * @param {Object} message - Message data
+ * @returns {string} `##### role` section
+ */
+export function message_to_markdown(message) {
+  const visible = pick_visible(message);
+  const body = render_body(message.role, visible);
+  const meta = Object.fromEntries(
+    Object.entries(message).filter(([name, value]) => !OMITTED_FIELDS.includes(name) && value !== undefined)
+  );
+  if (!same(parse_body(message.role, body), visible)) meta.raw = visible;
+  const meta_json = JSON.stringify(meta).replace(/-->/g, '--\\u003e');
+  return `##### ${message.role}\n<!-- sc-message ${meta_json} -->\n${body}\n`;
+}
+
+/**
+ * Renders the visible part of a message.
+ * @param {string} role
+ * @param {Object} visible - { content, tool_calls, tool_call_output }
+ * @returns {string}
+ */
+export function render_body(role, visible = {}) {
+  const parts = [];
+  const text = render_content(visible.content);
+  if (text) parts.push(escape_lines(text));
+  (visible.tool_calls || []).forEach(call => {
+    parts.push([
+      `\`\`\`sc-tool-call ${call.function?.name} ${call.id || ''}`.trimEnd(),
+      typeof call.function?.arguments === 'string' ? call.function.arguments : JSON.stringify(call.function?.arguments ?? {}),
+      '```',
+    ].join('\n'));
+  });
+  if (visible.tool_call_output?.length) {
+    parts.push([
+      '```sc-context',
+      ...visible.tool_call_output.map(result => `[[${result.key}]]${result.score !== undefined ? ` ${result.score}` : ''}`),
+      '```',
+    ].join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Parses the visible part of a message.
+ * @param {string} role
+ * @param {string} body
+ * @returns {Object} { content, tool_calls, tool_call_output }
+ */
+export function parse_body(role, body = '') {
+  const tool_calls = [];
+  let tool_call_output = null;
+  const text = body.replace(/```(sc-tool-call|sc-context)([^\n]*)\n([\s\S]*?)\n?```/g, (match, kind, info, inner) => {
+    if (kind === 'sc-tool-call') {
+      const [name, id] = info.trim().split(/\s+/);
+      tool_calls.push({ ...(id ? { id } : {}), type: 'function', function: { name, arguments: inner.trim() } });
+    } else {
+      tool_call_output = [...(tool_call_output || []), ...parse_context_lines(inner)];
+    }
+    return '';
+  }).replace(/^\n+|\n+$/g, '');
+  return {
+    content: parse_content(role, unescape_lines(text)),
+    tool_calls: tool_calls.length ? tool_calls : null,
+    tool_call_output,
+  };
+}
+
+function section_to_message(section) {
+  const { raw, ...meta } = section.meta || {};
+  const body = section.lines.join('\n').replace(/\n+$/, '');
+  const parsed = parse_body(section.role, body);
+  const visible = raw && same(parse_body(section.role, render_body(section.role, raw)), parsed) ? raw : parsed;
+  const message = { ...meta, role: section.role };
+  VISIBLE_FIELDS.forEach(name => {
+    if (visible[name] !== null && visible[name] !== undefined) message[name] = visible[name];
+  });
+  return message;
+}
+
+function render_content(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+  return content.map(part => {
+    if (part.type === 'image_url' && part.input?.image_path) return `![[${part.input.image_path}]]`;
+    if (part.type === 'text' && !part.text && part.input?.key) return `![[${part.input.key}]]`;
+    if (part.type === 'text') return part.text || '';
+    return '';
+  }).join('');
+}
+
+function parse_content(role, text) {
+  if (role !== 'user') return text ? text : null;
+  if (!text) return null;
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(/!\[\[([^\]]+)\]\]/g)) {
+    if (match.index > last) parts.push({ type: 'text', text: text.slice(last, match.index) });
+    const path = match[1];
+    const extension = path.split('.').pop().toLowerCase();
+    parts.push(IMAGE_EXTENSIONS.includes(extension)
+      ? { type: 'image_url', input: { image_path: path } }
+      : { type: 'text', input: { key: path } });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ type: 'text', text: text.slice(last) });
+  return parts;
+}
+
+function parse_context_lines(inner) {
+  return inner.split('\n')
+    .map(line => line.trim().match(/^\[\[(.+?)\]\](?:\s+(\S+))?$/))
+    .filter(Boolean)
+    .map(([, key, score]) => (score === undefined ? { key } : { key, score: Number(score) }))
+  ;
+}
+
+/**
+ * Splits a note into its frontmatter (values read as JSON, else as plain strings) and body.
+ * @param {string} markdown - Note with `\n` line endings
+ * @returns {Object} { frontmatter, body }
+ */
+export function split_frontmatter(markdown) {
+  const match = markdown.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (!match) return { frontmatter: {}, body: markdown };
+  const frontmatter = {};
+  match[1].split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator < 1) return;
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    try {
+      frontmatter[name] = JSON.parse(value);
+    } catch (error) {
+      frontmatter[name] = value.replace(/^["']|["']$/g, ''); // edited by hand as plain YAML
+    }
+  });
+  return { frontmatter, body: markdown.slice(match[0].length) };
+}
+
+function parse_meta(json) {
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn('Invalid sc-message metadata, using visible content only', error);
+    return {};
+  }
+}
+
+/**
+ * @param {Object} message - Message data
+ * @returns {Object} { content, tool_calls, tool_call_output } (missing fields are null)
+ */
+export function pick_visible(message) {
+  return Object.fromEntries(VISIBLE_FIELDS.map(name => [name, message[name] ?? null]));
+}
+
+function create_message_id(message, created_at) {
+  return `${message.role}-${message.msg_i || 0}-${created_at || Date.now()}-1`;
+}
+
+// keep message text from being read as section headings, the branches divider or metadata
+const RESERVED_LINE = /^(?=##### |## Branches$|<!-- sc-message )/gm;
+const ESCAPED_LINE = /^\\(?=##### |## Branches$|<!-- sc-message )/gm;
+
+function escape_lines(text) {
+  return text.replace(RESERVED_LINE, '\\');
+}
+
+function unescape_lines(text) {
+  return text.replace(ESCAPED_LINE, '');
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,109 @@
+import test from 'ava';
+import {
+  is_thread_markdown,
+  thread_to_markdown,
+  markdown_to_thread,
+  message_to_markdown,
+} from './thread_markdown.js';
+
+const created_at = 1700000000000;
+
+const thread_data = {
+  key: 'Trip planning',
+  path: '.smart-env/smart_threads/Trip planning.json',
+  created_at,
+  messages: { [`user-1-${created_at}-1`]: 1, [`assistant-2-${created_at}-1`]: 2, [`tool-3-${created_at}-1`]: 3, [`assistant-4-${created_at}-1`]: 4 },
+  branches: { 4: [{ [`assistant-4-${created_at}-2`]: 4 }] },
+  summary: { text: 'Planning a trip.', through_msg_i: 2 },
+};
+
+const messages = [
+  {
+    thread_key: 'Trip planning', key: `Trip planning#user-1-${created_at}-1`, id: `user-1-${created_at}-1`, msg_i: 1, role: 'user',
+    content: [
+      { type: 'text', text: 'Compare ' },
+      { type: 'text', input: { key: 'Trips/Lisbon.md' } },
+      { type: 'text', text: ' with this map:\n' },
+      { type: 'image_url', input: { image_path: 'Attachments/map.png' } },
+    ],
+    context: { 'Trips/Lisbon.md': true },
+  },
+  {
+    thread_key: 'Trip planning', id: `assistant-2-${created_at}-1`, msg_i: 2, role: 'assistant', content: null,
+    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"hypotheticals":["Lisbon trip"]}' } }],
+    usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12, source: 'reported' },
+  },
+  {
+    thread_key: 'Trip planning', id: `tool-3-${created_at}-1`, msg_i: 3, role: 'tool', tool_call_id: 'call_1', tool_name: 'lookup',
+    tool_call_output: [{ key: 'Trips/Lisbon.md', score: 0.91 }, { key: 'Trips/Porto.md#Food', score: 0.8 }],
+  },
+  { thread_key: 'Trip planning', id: `assistant-4-${created_at}-1`, msg_i: 4, role: 'assistant', content: 'Lisbon is **hillier**.\n\n- Trams\n- Pastéis' },
+];
+
+const branch_messages = [
+  { thread_key: 'Trip planning', id: `assistant-4-${created_at}-2`, msg_i: 4, role: 'assistant', content: 'Porto is smaller.' },
+];
+
+const strip = ({ thread_key, key, ...data }) => data;
+
+test('round-trips a thread with embeds, tool calls, lookup results and branches', t => {
+  const markdown = thread_to_markdown(thread_data, messages, { branch_messages, model: 'claude_code_cli/sonnet' });
+  t.true(is_thread_markdown(markdown));
+  t.true(markdown.includes('model: "claude_code_cli/sonnet"'));
+  t.true(markdown.includes('Compare ![[Trips/Lisbon.md]] with this map:\n![[Attachments/map.png]]'));
+  t.true(markdown.includes('```sc-tool-call lookup call_1\n{"hypotheticals":["Lisbon trip"]}\n```'));
+  t.true(markdown.includes('```sc-context\n[[Trips/Lisbon.md]] 0.91\n[[Trips/Porto.md#Food]] 0.8\n```'));
+  t.false(markdown.includes('"raw"'));
+
+  const parsed = markdown_to_thread(markdown);
+  t.deepEqual(parsed.data, {
+    key: 'Trip planning',
+    created_at,
+    branches: thread_data.branches,
+    summary: thread_data.summary,
+    messages: thread_data.messages,
+  });
+  // empty content is left to the message defaults
+  t.deepEqual(parsed.messages, messages.map(({ content, ...message }) => strip(content ? { ...message, content } : message)));
+  t.deepEqual(parsed.branch_messages, branch_messages.map(strip));
+});
+
+test('keeps exact content that Markdown cannot show and honors hand edits', t => {
+  const message = { id: 'assistant-2-1-1', msg_i: 2, role: 'assistant', content: '\nIndented answer  \n\n' };
+  const section = message_to_markdown(message);
+  t.true(section.includes('"raw"'));
+  const markdown = thread_to_markdown({ key: 'x', created_at: 1, messages: { 'assistant-2-1-1': 1 } }, [message]);
+  t.is(markdown_to_thread(markdown).messages[0].content, message.content);
+
+  const edited = markdown.replace(/^Indented answer/m, 'Edited answer');
+  t.is(markdown_to_thread(edited).messages[0].content, 'Edited answer  ');
+});
+
+test('escapes lines that would start a new section', t => {
+  const message = { id: 'user-1-1-1', msg_i: 1, role: 'user', content: [{ type: 'text', text: 'Quote:\n##### assistant\n## Branches\n#### fine' }] };
+  const markdown = thread_to_markdown({ key: 'x', created_at: 1 }, [message]);
+  t.true(markdown.includes('\\##### assistant\n\\## Branches\n#### fine'));
+  const parsed = markdown_to_thread(markdown);
+  t.is(parsed.messages.length, 1);
+  t.deepEqual(parsed.messages[0].content, message.content);
+});
+
+test('imports sections added by hand', t => {
+  const markdown = [
+    '---',
+    'smart_chat: true',
+    'created_at: 5',
+    '---',
+    '##### user',
+    'What links to [[Projects]]?',
+    '',
+    '##### assistant',
+    'Two notes.',
+  ].join('\n');
+  const { data, messages } = markdown_to_thread(markdown);
+  t.deepEqual(messages.map(message => message.id), ['user-1-5-1', 'assistant-2-5-1']);
+  t.deepEqual(data.messages, { 'user-1-5-1': 1, 'assistant-2-5-1': 2 });
+  t.deepEqual(messages[0].content, [{ type: 'text', text: 'What links to [[Projects]]?' }]);
+  t.is(messages[1].content, 'Two notes.');
+  t.false(is_thread_markdown('# Just a note'));
+});
@@ -0,0 +1,87 @@
+/**
+ * @module utils/thread_settings
+ * @description Per-thread chat options stored in `thread.data.settings`. Options left unset fall
+ * back to the collection settings (chat model) and request defaults.
+ *
+ * - `adapter`, `model_key`: chat model of the thread (the adapter's other settings, such as API
+ *   keys, come from the collection's chat model settings)
+ * - `temperature`, `max_tokens`: request parameters
+ * - `system_prompt`: sent as the first message of every request
+ * - `context_budget`: estimated request size (tokens) above which older messages are summarized
+ */
+
+export const DEFAULT_TEMPERATURE = 0.3;
+
+const FIELDS = {
+  adapter: 'string',
+  model_key: 'string',
+  temperature: 'number',
+  max_tokens: 'integer',
+  system_prompt: 'text',
+  context_budget: 'integer',
+};
+
+/**
+ * Cleans thread options (e.g. read from a form): trims strings, parses numbers and drops empty
+ * or invalid values and unknown fields.
+ * @param {Object} [input={}]
+ * @returns {Object} Thread settings with only the options that are set
+ */
+export function normalize_thread_settings(input = {}) {
+  const settings = {};
+  Object.entries(FIELDS).forEach(([field, type]) => {
+    let value = input?.[field];
+    if (value === undefined || value === null) return;
+    if (type === 'string' || type === 'text') {
+      value = String(value);
+      if (type === 'string') value = value.trim();
+      if (!value.trim()) return;
+    } else {
+      if (typeof value === 'string' && !value.trim()) return;
+      value = Number(value);
+      if (!Number.isFinite(value)) return;
+      if (type === 'integer') {
+        value = Math.round(value);
+        if (value < 1) return;
+      }
+      if (field === 'temperature') value = Math.min(2, Math.max(0, value));
+    }
+    settings[field] = value;
+  });
+  return settings;
+}
+
+/**
+ * Applies thread options to a request built by `SmartThread.to_request()`: temperature (default
+ * 0.3), max tokens and the system prompt.
+ * @param {Object} request - Request payload (mutated)
+ * @param {Object} [thread_settings={}] - Normalized thread settings
+ * @returns {Object} The request
+ */
+export function apply_thread_settings(request, thread_settings = {}) {
+  request.temperature = thread_settings.temperature ?? DEFAULT_TEMPERATURE;
+  if (thread_settings.max_tokens) request.max_tokens = thread_settings.max_tokens;
+  if (thread_settings.system_prompt) {
+    request.messages = [{ role: 'system', content: thread_settings.system_prompt }, ...(request.messages || [])];
+  }
+  return request;
+}
+
+/**
+ * Builds the chat model settings of a thread: the collection's chat model settings with the
+ * thread's adapter and model.
+ * @param {Object} [chat_model_settings={}] - Collection `settings.chat_model`
+ * @param {Object} [thread_settings={}] - Normalized thread settings
+ * @returns {Object|null} Settings for a separate chat model, or null when the thread uses the collection's
+ */
+export function get_thread_chat_model_settings(chat_model_settings = {}, thread_settings = {}) {
+  const adapter = thread_settings.adapter || chat_model_settings.adapter;
+  const adapter_settings = chat_model_settings[adapter] || {};
+  const model_key = thread_settings.model_key || adapter_settings.model_key;
+  if (adapter === chat_model_settings.adapter && model_key === adapter_settings.model_key) return null;
+  return {
+    ...chat_model_settings,
+    adapter,
+    [adapter]: { ...adapter_settings, ...(model_key ? { model_key } : {}) },
+  };
+}
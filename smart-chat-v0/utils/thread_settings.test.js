@@ -0,0 +1,45 @@
+import test from 'ava';
+import {
+  normalize_thread_settings,
+  apply_thread_settings,
+  get_thread_chat_model_settings,
+} from './thread_settings.js';
+
+test('normalizes thread options from a form', t => {
+  t.deepEqual(normalize_thread_settings({
+    adapter: ' ollama ',
+    model_key: '',
+    temperature: '3',
+    max_tokens: '1024.4',
+    system_prompt: '  Be brief.\n',
+    context_budget: '0',
+    other: 'x',
+  }), { adapter: 'ollama', temperature: 2, max_tokens: 1024, system_prompt: '  Be brief.\n' });
+  t.deepEqual(normalize_thread_settings({ temperature: 0, max_tokens: 'many' }), { temperature: 0 });
+  t.deepEqual(normalize_thread_settings(), {});
+});
+
+test('applies thread options to a request', t => {
+  const messages = [{ role: 'user', content: 'Hi' }];
+  t.deepEqual(apply_thread_settings({ messages }), { messages, temperature: 0.3 });
+  t.deepEqual(apply_thread_settings({ messages }, { temperature: 0, max_tokens: 200, system_prompt: 'Be brief.' }), {
+    messages: [{ role: 'system', content: 'Be brief.' }, ...messages],
+    temperature: 0,
+    max_tokens: 200,
+  });
+});
+
+test('builds chat model settings only when the thread uses another model', t => {
+  const global = {
+    adapter: 'claude_code_cli',
+    claude_code_cli: { model_key: 'claude-code-cli', timeout: 60000 },
+    ollama: { model_key: 'llama3', host: 'http://localhost:11434' },
+  };
+  t.is(get_thread_chat_model_settings(global, {}), null);
+  t.is(get_thread_chat_model_settings(global, { adapter: 'claude_code_cli', temperature: 1 }), null);
+  const settings = get_thread_chat_model_settings(global, { adapter: 'ollama', model_key: 'mistral' });
+  t.is(settings.adapter, 'ollama');
+  t.deepEqual(settings.ollama, { model_key: 'mistral', host: 'http://localhost:11434' });
+  t.is(global.ollama.model_key, 'llama3', 'collection settings are not mutated');
+  t.deepEqual(get_thread_chat_model_settings(global, { adapter: 'groq' }).groq, {});
+});
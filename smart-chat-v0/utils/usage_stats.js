@@ -0,0 +1,118 @@
+/**
+ * @module utils/usage_stats
+ * @description Token usage records stored on assistant messages (`message.data.usage`) and
+ * aggregation for the usage panel: totals per adapter, per model and per day.
+ * A record looks like { prompt_tokens, completion_tokens, total_tokens, source, adapter, model, at, cost_usd? }
+ * where `source` is 'reported' (counts from the backend) or 'estimate'.
+ */
+
+/**
+ * Normalizes usage reported by a chat backend: OpenAI style (`prompt_tokens`), Anthropic style
+ * (`input_tokens`, including cache reads/writes) or raw Ollama (`prompt_eval_count`).
+ * @param {Object} usage - Reported usage
+ * @returns {Object|null} { prompt_tokens, completion_tokens, total_tokens, source, cost_usd? }, null when unusable
+ */
+export function normalize_usage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  let prompt_tokens;
+  let completion_tokens;
+  if (usage.prompt_tokens != null || usage.completion_tokens != null) {
+    prompt_tokens = usage.prompt_tokens;
+    completion_tokens = usage.completion_tokens;
+  } else if (usage.input_tokens != null || usage.output_tokens != null) {
+    prompt_tokens = (usage.input_tokens || 0)
+      + (usage.cache_read_input_tokens || 0)
+      + (usage.cache_creation_input_tokens || 0)
+    ;
+    completion_tokens = usage.output_tokens;
+  } else if (usage.prompt_eval_count != null || usage.eval_count != null) {
+    prompt_tokens = usage.prompt_eval_count;
+    completion_tokens = usage.eval_count;
+  } else {
+    return null;
+  }
+  prompt_tokens = to_count(prompt_tokens);
+  completion_tokens = to_count(completion_tokens);
+  const normalized = {
+    prompt_tokens,
+    completion_tokens,
+    total_tokens: prompt_tokens + completion_tokens,
+    source: usage.source === 'estimate' ? 'estimate' : 'reported',
+  };
+  if (typeof usage.cost_usd === 'number') normalized.cost_usd = usage.cost_usd;
+  return normalized;
+}
+
+/**
+ * Collects usage records from messages.
+ * @param {Array<Object>} messages - SmartMessage instances (or objects with `data`)
+ * @param {Object} [filter={}]
+ * @param {string} [filter.thread_key] - Only messages of this thread
+ * @returns {Array<Object>} Records with `thread_key` added
+ */
+export function collect_usage_records(messages = [], filter = {}) {
+  return messages
+    .filter(msg => msg?.data?.usage)
+    .filter(msg => !filter.thread_key || msg.data.thread_key === filter.thread_key)
+    .map(msg => ({ ...msg.data.usage, thread_key: msg.data.thread_key }))
+  ;
+}
+
+/**
+ * Aggregates usage records.
+ * @param {Array<Object>} records - Usage records
+ * @returns {Object} { totals, by_adapter, by_model, by_day } where each group is an array of
+ * totals with a `key`, largest first (by_day is in date order)
+ */
+export function summarize_usage(records = []) {
+  const by_adapter = {};
+  const by_model = {};
+  const by_day = {};
+  const totals = empty_totals();
+  records.forEach(record => {
+    add_record(totals, record);
+    add_record(by_adapter[record.adapter || 'unknown'] ??= empty_totals(), record);
+    add_record(by_model[record.model || 'unknown'] ??= empty_totals(), record);
+    if (record.at) add_record(by_day[format_day(record.at)] ??= empty_totals(), record);
+  });
+  const to_list = (groups) => Object.entries(groups)
+    .map(([key, group]) => ({ key, ...group }))
+    .sort((a, b) => b.total_tokens - a.total_tokens)
+  ;
+  return {
+    totals,
+    by_adapter: to_list(by_adapter),
+    by_model: to_list(by_model),
+    by_day: Object.entries(by_day)
+      .map(([key, group]) => ({ key, ...group }))
+      .sort((a, b) => a.key.localeCompare(b.key)),
+  };
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+export function format_day(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function empty_totals() {
+  return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, responses: 0, estimated: 0, cost_usd: 0 };
+}
+
+function add_record(totals, record) {
+  totals.prompt_tokens += record.prompt_tokens || 0;
+  totals.completion_tokens += record.completion_tokens || 0;
+  totals.total_tokens += record.total_tokens || 0;
+  totals.responses++;
+  if (record.source === 'estimate') totals.estimated++;
+  if (typeof record.cost_usd === 'number') totals.cost_usd += record.cost_usd;
+}
+
+function to_count(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
@@ -0,0 +1,63 @@
+import test from 'ava';
+import {
+  normalize_usage,
+  collect_usage_records,
+  summarize_usage,
+  format_day,
+} from './usage_stats.js';
+
+// normalize_usage
+test('normalizes OpenAI, Anthropic and Ollama usage', t => {
+  t.deepEqual(
+    normalize_usage({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }),
+    { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, source: 'reported' }
+  );
+  t.deepEqual(
+    normalize_usage({ input_tokens: 3, cache_read_input_tokens: 100, cache_creation_input_tokens: 20, output_tokens: 7, cost_usd: 0.01 }),
+    { prompt_tokens: 123, completion_tokens: 7, total_tokens: 130, source: 'reported', cost_usd: 0.01 }
+  );
+  t.is(normalize_usage({ prompt_eval_count: 40, eval_count: 2 }).total_tokens, 42);
+  t.is(normalize_usage({ prompt_tokens: 9.6, completion_tokens: 1, source: 'estimate' }).source, 'estimate');
+  t.is(normalize_usage({ prompt_tokens: 9.6, completion_tokens: -1 }).total_tokens, 10);
+  t.is(normalize_usage({}), null);
+  t.is(normalize_usage(null), null);
+});
+
+// collect_usage_records
+test('collects usage records, optionally for one thread', t => {
+  const messages = [
+    { data: { thread_key: 'a', usage: { total_tokens: 5 } } },
+    { data: { thread_key: 'a' } },
+    { data: { thread_key: 'b', usage: { total_tokens: 7 } } },
+  ];
+  t.is(collect_usage_records(messages).length, 2);
+  t.deepEqual(collect_usage_records(messages, { thread_key: 'b' }), [{ total_tokens: 7, thread_key: 'b' }]);
+});
+
+// summarize_usage
+test('summarizes usage per adapter, model and day', t => {
+  const day_one = new Date(2026, 9, 18, 12).getTime();
+  const day_two = new Date(2026, 9, 19, 12).getTime();
+  const records = [
+    { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120, source: 'reported', adapter: 'claude_code_cli', model: 'sonnet', at: day_two, cost_usd: 0.02 },
+    { prompt_tokens: 50, completion_tokens: 10, total_tokens: 60, source: 'estimate', adapter: 'ollama', model: 'llama3', at: day_one },
+    { prompt_tokens: 300, completion_tokens: 30, total_tokens: 330, source: 'reported', adapter: 'claude_code_cli', model: 'opus', at: day_two, cost_usd: 0.1 },
+  ];
+  const summary = summarize_usage(records);
+
+  t.is(summary.totals.total_tokens, 510);
+  t.is(summary.totals.responses, 3);
+  t.is(summary.totals.estimated, 1);
+  t.is(Math.round(summary.totals.cost_usd * 100), 12);
+  t.deepEqual(summary.by_adapter.map(group => [group.key, group.total_tokens]), [['claude_code_cli', 450], ['ollama', 60]]);
+  t.deepEqual(summary.by_model.map(group => group.key), ['opus', 'sonnet', 'llama3']);
+  t.deepEqual(summary.by_day.map(group => [group.key, group.responses]), [['2026-10-18', 1], ['2026-10-19', 2]]);
+  t.is(format_day(day_two), '2026-10-19');
+});
+
+test('groups records without adapter or model as unknown', t => {
+  const summary = summarize_usage([{ total_tokens: 4 }]);
+  t.is(summary.by_adapter[0].key, 'unknown');
+  t.is(summary.by_model[0].key, 'unknown');
+  t.deepEqual(summary.by_day, []);
+});
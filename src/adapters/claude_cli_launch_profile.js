@@ -0,0 +1,238 @@
+/**
+ * @module adapters/claude_cli_launch_profile
+ * @description Resolves how the Claude Code CLI is launched (binary, arguments, model,
+ * working directory, environment, retry/timeout limits and prompt token budget) from the `claude_code_cli`
+ * settings block. Settings may contain `vault_overrides[vault_name]` with any of the same
+ * keys; those win for the named vault only (e.g. a different binary or cwd per vault).
+ */
+
+/**
+ * Built-in launch profile used when a setting is missing or empty.
+ */
+export const DEFAULT_LAUNCH_PROFILE = {
+  command: 'claude',
+  args: '',
+  model: '',
+  cwd: '',
+  env: '',
+  timeout: 60000,
+  max_retries: 3,
+  base_delay: 1000,
+  context_limit: 5,
+  token_budget: 16000,
+  context_percent: 50,
+};
+
+/**
+ * Flags the adapter sets itself; supplying them as extra args would break output parsing.
+ */
+export const RESERVED_CLI_FLAGS = ['-p', '--print', '--output-format', '--input-format', '--include-partial-messages'];
+
+const NUMERIC_LIMITS = {
+  timeout: { min: 5000, max: 600000 },
+  max_retries: { min: 1, max: 10 },
+  base_delay: { min: 0, max: 60000 },
+  context_limit: { min: 0, max: 50 },
+  token_budget: { min: 1000, max: 1000000 },
+  context_percent: { min: 10, max: 90 },
+};
+
+/**
+ * Splits an argument string like a shell would (whitespace separated, single/double quotes group).
+ * Arrays are returned as-is.
+ * @param {string|Array<string>} input - Extra CLI arguments
+ * @returns {Array<string>} Arguments
+ * @throws {Error} When a quote is left unclosed
+ */
+export function parse_cli_args(input) {
+  if (Array.isArray(input)) return input.map(String);
+  if (!input || typeof input !== 'string') return [];
+  const args = [];
+  let current = '';
+  let quote = null;
+  let has_token = false;
+  for (const char of input) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      has_token = true;
+    } else if (/\s/.test(char)) {
+      if (has_token) args.push(current);
+      current = '';
+      has_token = false;
+    } else {
+      current += char;
+      has_token = true;
+    }
+  }
+  if (quote) throw new Error(`Unclosed ${quote} in CLI arguments`);
+  if (has_token) args.push(current);
+  return args;
+}
+
+/**
+ * Parses environment variables given as `KEY=value` lines (or an object).
+ * Blank lines and lines starting with `#` are ignored.
+ * @param {string|Object} input - Environment variables
+ * @returns {Object} Map of variable name to value
+ * @throws {Error} When a line is not a valid `KEY=value` pair
+ */
+export function parse_env_vars(input) {
+  if (input && typeof input === 'object') return { ...input };
+  if (!input || typeof input !== 'string') return {};
+  return input.split(/\r?\n/).reduce((acc, raw_line, i) => {
+    const line = raw_line.trim();
+    if (!line || line.startsWith('#')) return acc;
+    const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (!match) throw new Error(`Invalid environment variable on line ${i + 1}: "${line}"`);
+    acc[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    return acc;
+  }, {});
+}
+
+/**
+ * Merges defaults, the settings block and the vault override into raw (unparsed) settings.
+ * @param {Object} [settings={}] - `claude_code_cli` settings block
+ * @param {string} [vault_name] - Current vault name
+ * @returns {Object} Raw merged settings
+ */
+export function merge_launch_settings(settings = {}, vault_name = null) {
+  const { vault_overrides, ...base } = settings || {};
+  const override = (vault_name && vault_overrides?.[vault_name]) || {};
+  const merged = { ...DEFAULT_LAUNCH_PROFILE };
+  [base, override].forEach(layer => {
+    Object.entries(layer).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      merged[key] = value;
+    });
+  });
+  return merged;
+}
+
+/**
+ * Resolves the launch profile used to spawn the CLI.
+ * Invalid values fall back to defaults so a typo in settings never blocks chat; use
+ * `validate_launch_settings()` to surface problems to the user.
+ * @param {Object} [settings={}] - `claude_code_cli` settings block
+ * @param {string} [vault_name] - Current vault name
+ * @returns {Object} Profile ({ command, args, model, cwd, env, timeout, max_retries, base_delay, context_limit, token_budget, context_percent })
+ */
+export function resolve_launch_profile(settings = {}, vault_name = null) {
+  const merged = merge_launch_settings(settings, vault_name);
+  const profile = {
+    command: String(merged.command).trim() || DEFAULT_LAUNCH_PROFILE.command,
+    args: safe_parse(parse_cli_args, merged.args, []).filter(arg => !RESERVED_CLI_FLAGS.includes(arg)),
+    model: String(merged.model || '').trim(),
+    cwd: String(merged.cwd || '').trim(),
+    env: safe_parse(parse_env_vars, merged.env, {}),
+  };
+  Object.entries(NUMERIC_LIMITS).forEach(([key, { min, max }]) => {
+    const value = Number(merged[key]);
+    profile[key] = Number.isFinite(value) && value >= min && value <= max
+      ? value
+      : DEFAULT_LAUNCH_PROFILE[key]
+    ;
+  });
+  return profile;
+}
+
+/**
+ * Validates a settings block (including the override for vault_name).
+ * @param {Object} [settings={}] - `claude_code_cli` settings block
+ * @param {Object} [opts={}]
+ * @param {string} [opts.vault_name] - Current vault name
+ * @param {Function} [opts.exists] - Returns whether a path exists (skipped when omitted)
+ * @returns {Array<Object>} Problems as { key, message }; empty when valid
+ */
+export function validate_launch_settings(settings = {}, opts = {}) {
+  const merged = merge_launch_settings(settings, opts.vault_name);
+  const errors = [];
+  const command = String(merged.command).trim();
+  if (/[\\/]/.test(command) && !is_absolute_path(command)) {
+    errors.push({ key: 'command', message: 'CLI path must be a command name on PATH or an absolute path' });
+  } else if (is_absolute_path(command) && opts.exists && !opts.exists(command)) {
+    errors.push({ key: 'command', message: `CLI binary not found at ${command}` });
+  }
+  try {
+    const reserved = parse_cli_args(merged.args).filter(arg => RESERVED_CLI_FLAGS.includes(arg));
+    if (reserved.length) {
+      errors.push({ key: 'args', message: `These flags are set by Smart Connections and cannot be overridden: ${reserved.join(', ')}` });
+    }
+  } catch (error) {
+    errors.push({ key: 'args', message: error.message });
+  }
+  if (/\s/.test(String(merged.model || '').trim())) {
+    errors.push({ key: 'model', message: 'Model must be a single name or alias, e.g. "sonnet"' });
+  }
+  const cwd = String(merged.cwd || '').trim();
+  if (cwd && !is_absolute_path(cwd)) {
+    errors.push({ key: 'cwd', message: 'Working directory must be an absolute path' });
+  } else if (cwd && opts.exists && !opts.exists(cwd)) {
+    errors.push({ key: 'cwd', message: `Working directory not found: ${cwd}` });
+  }
+  try {
+    parse_env_vars(merged.env);
+  } catch (error) {
+    errors.push({ key: 'env', message: error.message });
+  }
+  Object.entries(NUMERIC_LIMITS).forEach(([key, { min, max }]) => {
+    const value = Number(merged[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push({ key, message: `Must be a number between ${min} and ${max}` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Builds the argument list for a CLI invocation.
+ * @param {Object} profile - Resolved launch profile
+ * @param {Array<string>} base_args - Mode arguments chosen by the adapter (output format etc.)
+ * @returns {Array<string>} Arguments
+ */
+export function build_cli_args(profile, base_args = []) {
+  const args = [...base_args];
+  if (profile.model) args.push('--model', profile.model);
+  return [...args, ...profile.args];
+}
+
+/**
+ * Builds `cwd` and `env` spawn options. The binary's own directory is prepended to PATH so
+ * shims from nvm/asdf (which re-exec `node` via `/usr/bin/env`) work when Obsidian was not
+ * started from a shell.
+ * @param {Object} profile - Resolved launch profile
+ * @param {Object} [base_env=process.env] - Environment to extend
+ * @returns {Object} Spawn options ({ env, cwd? })
+ */
+export function build_spawn_options(profile, base_env = (typeof process !== 'undefined' ? process.env : {})) {
+  const env = { ...base_env, ...profile.env };
+  if (is_absolute_path(profile.command)) {
+    const separator = /^([A-Za-z]:|\\\\)/.test(profile.command) ? ';' : ':';
+    const dir = profile.command.replace(/[\\/][^\\/]*$/, '') || '/';
+    const path_key = Object.keys(env).find(key => key.toUpperCase() === 'PATH') || 'PATH';
+    const path = env[path_key] || '';
+    if (!path.split(separator).includes(dir)) env[path_key] = path ? `${dir}${separator}${path}` : dir;
+  }
+  const options = { env };
+  if (profile.cwd) options.cwd = profile.cwd;
+  return options;
+}
+
+/**
+ * @param {string} path
+ * @returns {boolean} True for POSIX (`/usr/bin`) and Windows (`C:\bin`, `\\server\share`) absolute paths
+ */
+export function is_absolute_path(path) {
+  return /^(\/|[A-Za-z]:[\\/]|\\\\)/.test(String(path || ''));
+}
+
+function safe_parse(parse, value, fallback) {
+  try {
+    return parse(value);
+  } catch (error) {
+    console.warn('Ignoring invalid Claude Code CLI setting:', error.message);
+    return fallback;
+  }
+}
@@ -0,0 +1,102 @@
+import test from 'ava';
+import {
+  DEFAULT_LAUNCH_PROFILE,
+  parse_cli_args,
+  parse_env_vars,
+  resolve_launch_profile,
+  validate_launch_settings,
+  build_cli_args,
+  build_spawn_options,
+  is_absolute_path,
+} from './claude_cli_launch_profile.js';
+
+test('parse_cli_args splits on whitespace and keeps quoted groups', t => {
+  t.deepEqual(parse_cli_args('--add-dir "/My Notes" --permission-mode \'plan\''), ['--add-dir', '/My Notes', '--permission-mode', 'plan']);
+  t.deepEqual(parse_cli_args('  '), []);
+  t.deepEqual(parse_cli_args('--flag ""'), ['--flag', '']);
+  t.deepEqual(parse_cli_args(['--a', 1]), ['--a', '1']);
+  t.throws(() => parse_cli_args('--add-dir "/open'), { message: /Unclosed "/ });
+});
+
+test('parse_env_vars reads KEY=value lines', t => {
+  t.deepEqual(parse_env_vars('# comment\nNODE_OPTIONS=--max-old-space-size=4096\n\nHOME="/home/me"'), {
+    NODE_OPTIONS: '--max-old-space-size=4096',
+    HOME: '/home/me',
+  });
+  t.deepEqual(parse_env_vars({ A: '1' }), { A: '1' });
+  t.throws(() => parse_env_vars('not valid'), { message: /line 1/ });
+});
+
+test('resolve_launch_profile falls back to defaults', t => {
+  const profile = resolve_launch_profile({});
+  t.is(profile.command, 'claude');
+  t.deepEqual(profile.args, []);
+  t.deepEqual(profile.env, {});
+  t.is(profile.timeout, DEFAULT_LAUNCH_PROFILE.timeout);
+  t.is(profile.context_limit, 5);
+});
+
+test('resolve_launch_profile applies vault overrides for the named vault only', t => {
+  const settings = {
+    command: '/usr/local/bin/claude',
+    timeout: '90000',
+    vault_overrides: { Work: { command: '/opt/claude', cwd: '/work' } },
+  };
+  t.is(resolve_launch_profile(settings, 'Work').command, '/opt/claude');
+  t.is(resolve_launch_profile(settings, 'Work').cwd, '/work');
+  t.is(resolve_launch_profile(settings, 'Personal').command, '/usr/local/bin/claude');
+  t.is(resolve_launch_profile(settings, 'Personal').timeout, 90000);
+});
+
+test('resolve_launch_profile ignores invalid values and reserved flags', t => {
+  const profile = resolve_launch_profile({ timeout: 'soon', args: '--output-format text --verbose', env: 'bad line' });
+  t.is(profile.timeout, 60000);
+  t.deepEqual(profile.args, ['text', '--verbose']);
+  t.deepEqual(profile.env, {});
+});
+
+test('validate_launch_settings reports each problem by key', t => {
+  const errors = validate_launch_settings({
+    command: 'bin/claude',
+    args: '-p',
+    model: 'two words',
+    cwd: 'relative',
+    env: 'nope',
+    max_retries: 0,
+  });
+  t.deepEqual(errors.map(e => e.key), ['command', 'args', 'model', 'cwd', 'env', 'max_retries']);
+  t.deepEqual(validate_launch_settings({ command: '/usr/bin/claude', cwd: '/vault' }), []);
+});
+
+test('validate_launch_settings checks paths exist when given an exists function', t => {
+  const errors = validate_launch_settings({ command: '/missing/claude', cwd: '/vault' }, { exists: (p) => p === '/vault' });
+  t.deepEqual(errors.map(e => e.key), ['command']);
+});
+
+test('build_cli_args appends model flag and extra args after mode args', t => {
+  const profile = resolve_launch_profile({ model: 'sonnet', args: '--add-dir /notes' });
+  t.deepEqual(build_cli_args(profile, ['-p']), ['-p', '--model', 'sonnet', '--add-dir', '/notes']);
+});
+
+test('build_spawn_options merges env, sets cwd and puts the binary directory on PATH', t => {
+  const profile = resolve_launch_profile({
+    command: '/home/me/.nvm/versions/node/v20/bin/claude',
+    cwd: '/vault',
+    env: 'ANTHROPIC_LOG=debug',
+  });
+  const options = build_spawn_options(profile, { PATH: '/usr/bin' });
+  t.is(options.cwd, '/vault');
+  t.is(options.env.ANTHROPIC_LOG, 'debug');
+  t.is(options.env.PATH, '/home/me/.nvm/versions/node/v20/bin:/usr/bin');
+
+  const plain = build_spawn_options(resolve_launch_profile({}), { PATH: '/usr/bin' });
+  t.is(plain.env.PATH, '/usr/bin');
+  t.false('cwd' in plain);
+});
+
+test('is_absolute_path recognizes POSIX and Windows paths', t => {
+  t.true(is_absolute_path('/usr/bin/claude'));
+  t.true(is_absolute_path('C:\\Users\\me\\claude.cmd'));
+  t.false(is_absolute_path('claude'));
+  t.false(is_absolute_path('./claude'));
+});
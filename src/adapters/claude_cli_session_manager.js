@@ -0,0 +1,349 @@
+import { spawn } from 'child_process';
+import { ClaudeCliStreamParser, delta_to_chunk } from './claude_cli_stream_parser.js';
+
+/**
+ * Arguments used to start a long-lived Claude Code CLI process that accepts
+ * newline-delimited JSON user turns on stdin and emits JSON events on stdout.
+ */
+export const DEFAULT_SESSION_ARGS = [
+  '-p',
+  '--input-format', 'stream-json',
+  '--output-format', 'stream-json',
+  '--verbose',
+  '--include-partial-messages',
+];
+
+/**
+ * Builds a stable signature for a request message so sessions can tell whether
+ * an incoming request continues the conversation they have already seen.
+ * @param {Object} message - Request message ({ role, content, ... })
+ * @returns {string} Signature string
+ */
+export function get_message_signature(message = {}) {
+  return JSON.stringify([
+    message.role || null,
+    message.content ?? null,
+    message.tool_calls ?? null,
+    message.tool_call_id ?? null,
+  ]);
+}
+
+/**
+ * Creates the error used when a request is stopped by the user.
+ * @returns {Error} Error with name `AbortError`
+ */
+export function create_abort_error() {
+  const error = new Error('Claude Code CLI request was stopped');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean} True when error comes from a stopped request
+ */
+export function is_abort_error(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * @class ClaudeCliSession
+ * @description A single warm Claude Code CLI process bound to one chat thread.
+ * Turns are written to stdin as stream-json user messages and resolved when
+ * the CLI emits its `result` event. Turns are serialized; only one runs at a time.
+ */
+export class ClaudeCliSession {
+  /**
+   * @constructor
+   * @param {ClaudeCliSessionManager} manager - Owning session manager
+   * @param {string} key - Session key (usually the SmartThread key)
+   */
+  constructor(manager, key) {
+    this.manager = manager;
+    this.key = key;
+    this.process = null;
+    this.alive = false;
+    this.history = []; // signatures of request messages already delivered to the CLI
+    this.turn_count = 0;
+    this.pending_turn = null;
+    this.queue = Promise.resolve();
+    this.idle_timer = null;
+    this.parser = new ClaudeCliStreamParser();
+    this.stderr_data = '';
+  }
+
+  /**
+   * Spawns the underlying CLI process and wires up its stdio handlers.
+   * @returns {ClaudeCliSession} this session
+   */
+  start() {
+    const { command, args, spawn_options } = this.manager;
+    this.process = this.manager.spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      ...spawn_options,
+    });
+    this.alive = true;
+
+    this.process.stdout.on('data', (data) => this.handle_stdout(data));
+    this.process.stderr.on('data', (data) => { this.stderr_data += data.toString(); });
+    this.process.on('close', (code) => this.handle_exit(code));
+    this.process.on('error', (error) => this.handle_exit(null, error));
+
+    this.reset_idle_timer();
+    return this;
+  }
+
+  /**
+   * Whether an incoming request continues this session's conversation, i.e. every
+   * message already delivered is unchanged and the assistant reply plus at least one
+   * new message follow it.
+   * @param {Array<Object>} messages - Request messages
+   * @returns {boolean}
+   */
+  can_continue(messages = []) {
+    if (!this.alive || !this.history.length) return false;
+    if (messages.length <= this.history.length + 1) return false;
+    return this.history.every((signature, i) => signature === get_message_signature(messages[i]));
+  }
+
+  /**
+   * Returns request messages the CLI has not yet seen (skips its own last reply).
+   * @param {Array<Object>} messages - Request messages
+   * @returns {Array<Object>}
+   */
+  get_new_messages(messages = []) {
+    return messages.slice(this.history.length + 1);
+  }
+
+  /**
+   * Queues a turn on this session.
+   * @param {string} prompt - Text to send as the user turn
+   * @param {Object} [opts={}] - Turn options
+   * @param {Array<Object>} [opts.messages] - Request messages covered by this turn
+   * @param {boolean} [opts.stream] - Emit text chunks through opts.chunk_handler
+   * @param {Function} [opts.chunk_handler] - Receives { id, content, role, delta } chunks
+   * @param {AbortSignal} [opts.signal] - Aborting stops the session process and rejects with an AbortError
+   * @returns {Promise<Object>} Response ({ id, content, role, model, usage, model_name, cost_usd })
+   */
+  send(prompt, opts = {}) {
+    const turn = this.queue.then(() => this.run_turn(prompt, opts));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Writes a single user turn and waits for its result.
+   * @private
+   */
+  run_turn(prompt, opts = {}) {
+    return new Promise((resolve, reject) => {
+      if (opts.signal?.aborted) return reject(create_abort_error());
+      if (!this.alive) return reject(new Error('Claude Code CLI session is not running'));
+      this.clear_idle_timer();
+      this.turn_count++;
+      this.parser.reset();
+      const timeout_id = setTimeout(() => {
+        this.close(new Error(`Claude Code CLI timed out after ${this.manager.timeout}ms`));
+      }, this.manager.timeout);
+      // a turn cannot be interrupted over stdio; stop the process, the next turn restarts the session
+      const handle_abort = () => this.close(create_abort_error());
+      opts.signal?.addEventListener('abort', handle_abort);
+      const settle = () => {
+        clearTimeout(timeout_id);
+        opts.signal?.removeEventListener('abort', handle_abort);
+      };
+      this.pending_turn = {
+        opts,
+        resolve: (response) => {
+          settle();
+          if (opts.messages) this.history = opts.messages.map(get_message_signature);
+          this.reset_idle_timer();
+          resolve(response);
+        },
+        reject: (error) => {
+          settle();
+          reject(error);
+        },
+      };
+      try {
+        this.process.stdin.write(JSON.stringify({
+          type: 'user',
+          message: { role: 'user', content: [{ type: 'text', text: prompt }] },
+        }) + '\n');
+      } catch (error) {
+        this.close(new Error(`Failed to send prompt to Claude Code CLI: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Decodes stdout and dispatches typed deltas to the pending turn.
+   * @private
+   * @param {Buffer|string} chunk - Raw stdout data
+   */
+  handle_stdout(chunk) {
+    this.parser.push(chunk).forEach(delta => this.handle_delta(delta));
+  }
+
+  /**
+   * Handles a parsed delta for the pending turn.
+   * @private
+   * @param {Object} delta - Delta from ClaudeCliStreamParser
+   */
+  handle_delta(delta) {
+    const turn = this.pending_turn;
+    if (!turn) return;
+    if (delta.type !== 'result') {
+      if (turn.opts.stream && turn.opts.chunk_handler) {
+        turn.opts.chunk_handler(delta_to_chunk(delta));
+      }
+      return;
+    }
+    this.pending_turn = null;
+    const message = this.parser.get_message();
+    if (delta.is_error) {
+      return turn.reject(new Error(delta.content || 'Claude Code CLI returned an error'));
+    }
+    turn.resolve({
+      id: message.id || (delta.session_id ? `${delta.session_id}-${this.turn_count}` : Date.now().toString()),
+      content: message.content || delta.content || '',
+      role: 'assistant',
+      model: 'claude-code-cli',
+      usage: delta.usage || null,
+      model_name: message.model || null,
+      cost_usd: delta.cost_usd ?? null,
+      tool_calls: message.tool_calls.length ? message.tool_calls : null,
+    });
+  }
+
+  /**
+   * Handles process exit or spawn errors; rejects any in-flight turn.
+   * @private
+   */
+  handle_exit(code, error = null) {
+    if (!this.alive) return;
+    this.alive = false;
+    this.clear_idle_timer();
+    this.manager.remove(this);
+    if (error?.code === 'ENOENT') {
+      error = new Error('Claude Code CLI not found. Please install claude CLI and ensure it\'s in your PATH, or set the CLI path in settings.');
+    }
+    this.fail_pending_turn(error || new Error(this.stderr_data || `Claude Code CLI exited with code ${code}`));
+  }
+
+  /**
+   * @private
+   */
+  fail_pending_turn(error) {
+    const turn = this.pending_turn;
+    this.pending_turn = null;
+    if (turn) turn.reject(error);
+  }
+
+  reset_idle_timer() {
+    this.clear_idle_timer();
+    if (!this.manager.idle_timeout) return;
+    this.idle_timer = setTimeout(() => this.close(), this.manager.idle_timeout);
+    this.idle_timer.unref?.();
+  }
+
+  clear_idle_timer() {
+    if (this.idle_timer) clearTimeout(this.idle_timer);
+    this.idle_timer = null;
+  }
+
+  /**
+   * Stops the CLI process. Any in-flight turn is rejected.
+   * @param {Error} [reason] - Error the in-flight turn is rejected with
+   */
+  close(reason = new Error('Claude Code CLI session closed')) {
+    this.fail_pending_turn(reason);
+    if (!this.alive) return;
+    this.alive = false;
+    this.clear_idle_timer();
+    this.manager.remove(this);
+    try {
+      this.process.stdin.end();
+      this.process.kill('SIGTERM');
+    } catch (error) {
+      console.warn('Failed to stop Claude Code CLI session:', error);
+    }
+  }
+}
+
+/**
+ * @class ClaudeCliSessionManager
+ * @description Keeps one warm Claude Code CLI process per chat thread so follow-up
+ * turns reuse the same stdio channel instead of forking a new process per message.
+ * Idle sessions are recycled after `idle_timeout`; crashed sessions are dropped and
+ * transparently replaced on the next turn.
+ */
+export class ClaudeCliSessionManager {
+  /**
+   * @constructor
+   * @param {Object} [opts={}]
+   * @param {Function} [opts.spawn] - child_process.spawn compatible function
+   * @param {string} [opts.command='claude'] - CLI binary
+   * @param {Array<string>} [opts.args=DEFAULT_SESSION_ARGS] - CLI arguments
+   * @param {Object} [opts.spawn_options={}] - Extra spawn options (cwd, env)
+   * @param {number} [opts.timeout=60000] - Per-turn timeout in ms
+   * @param {number} [opts.idle_timeout=300000] - Idle time before a session is recycled (0 disables)
+   */
+  constructor(opts = {}) {
+    this.spawn = opts.spawn || spawn;
+    this.command = opts.command || 'claude';
+    this.args = opts.args || DEFAULT_SESSION_ARGS;
+    this.spawn_options = opts.spawn_options || {};
+    this.timeout = opts.timeout ?? 60000;
+    this.idle_timeout = opts.idle_timeout ?? 300000;
+    this.sessions = {};
+  }
+
+  /**
+   * @param {string} key - Session key
+   * @returns {ClaudeCliSession|null} Live session for key, if any
+   */
+  get(key) {
+    const session = this.sessions[key];
+    return session?.alive ? session : null;
+  }
+
+  /**
+   * Returns the live session for key, starting a new one when missing or crashed.
+   * @param {string} key - Session key
+   * @returns {ClaudeCliSession}
+   */
+  acquire(key) {
+    const existing = this.get(key);
+    if (existing) return existing;
+    const session = new ClaudeCliSession(this, key);
+    this.sessions[key] = session;
+    return session.start();
+  }
+
+  /**
+   * Removes a session from the pool (called by sessions on exit).
+   * @param {ClaudeCliSession} session
+   */
+  remove(session) {
+    if (this.sessions[session.key] === session) delete this.sessions[session.key];
+  }
+
+  /**
+   * Closes the session for key.
+   * @param {string} key - Session key
+   */
+  close(key) {
+    this.sessions[key]?.close();
+  }
+
+  /**
+   * Closes every session in the pool.
+   */
+  close_all() {
+    Object.values(this.sessions).forEach(session => session.close());
+    this.sessions = {};
+  }
+
+  get size() { return Object.keys(this.sessions).length; }
+}
@@ -0,0 +1,183 @@
+import test from 'ava';
+import { EventEmitter } from 'events';
+import {
+  ClaudeCliSessionManager,
+  get_message_signature,
+  is_abort_error,
+} from './claude_cli_session_manager.js';
+
+// Long-lived mock of the CLI: answers every stdin line with an assistant + result event
+class MockSessionProcess extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.killed = false;
+    this.received = [];
+    this.reply = options.reply || ((turn) => `reply ${turn}`);
+    this.crash_on_turn = options.crash_on_turn || null;
+    this.split_output = options.split_output || false;
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.stdin = {
+      write: (data) => {
+        this.received.push(JSON.parse(data));
+        setTimeout(() => this.respond(), 5);
+        return true;
+      },
+      end: () => { this.stdin_ended = true; },
+    };
+  }
+
+  respond() {
+    const turn = this.received.length;
+    if (this.crash_on_turn === turn) {
+      this.emit('close', 1);
+      return;
+    }
+    const text = this.reply(turn);
+    const output = [
+      JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text }] } }),
+      JSON.stringify({ type: 'result', subtype: 'success', result: text, session_id: 'abc', usage: { input_tokens: 3, output_tokens: 2 } }),
+    ].join('\n') + '\n';
+    if (this.split_output) {
+      const mid = Math.floor(output.length / 2);
+      this.stdout.emit('data', Buffer.from(output.slice(0, mid)));
+      this.stdout.emit('data', Buffer.from(output.slice(mid)));
+    } else {
+      this.stdout.emit('data', Buffer.from(output));
+    }
+  }
+
+  kill(signal) {
+    this.killed = true;
+    this.killed_with = signal;
+    this.emit('close', null);
+  }
+}
+
+const create_manager = (process_options = {}, manager_options = {}) => {
+  const spawned = [];
+  const manager = new ClaudeCliSessionManager({
+    spawn: (command, args, options) => {
+      const child = new MockSessionProcess(
+        typeof process_options === 'function' ? process_options(spawned.length) : process_options
+      );
+      child.command = command;
+      child.args = args;
+      spawned.push(child);
+      return child;
+    },
+    timeout: 1000,
+    idle_timeout: 0,
+    ...manager_options,
+  });
+  return { manager, spawned };
+};
+
+test('acquire reuses one warm process per session key', async t => {
+  const { manager, spawned } = create_manager();
+  const first = await manager.acquire('thread-a').send('hello');
+  const second = await manager.acquire('thread-a').send('again');
+
+  t.is(spawned.length, 1);
+  t.is(spawned[0].received.length, 2);
+  t.is(first.content, 'reply 1');
+  t.is(second.content, 'reply 2');
+  t.deepEqual(second.usage, { input_tokens: 3, output_tokens: 2 });
+  t.is(spawned[0].received[1].message.content[0].text, 'again');
+
+  manager.acquire('thread-b');
+  t.is(spawned.length, 2);
+  t.is(manager.size, 2);
+  manager.close_all();
+});
+
+test('session starts the CLI with stream-json input and output', t => {
+  const { manager, spawned } = create_manager();
+  manager.acquire('thread-a');
+  t.is(spawned[0].command, 'claude');
+  t.true(spawned[0].args.includes('--input-format'));
+  t.true(spawned[0].args.includes('--output-format'));
+  manager.close_all();
+  t.true(spawned[0].killed);
+});
+
+test('session handles JSON lines split across stdout chunks', async t => {
+  const { manager } = create_manager({ split_output: true });
+  const response = await manager.acquire('thread-a').send('hello');
+  t.is(response.content, 'reply 1');
+  manager.close_all();
+});
+
+test('streaming turns forward assistant text to chunk_handler', async t => {
+  const { manager } = create_manager();
+  const chunks = [];
+  await manager.acquire('thread-a').send('hello', {
+    stream: true,
+    chunk_handler: (chunk) => chunks.push(chunk.content),
+  });
+  t.deepEqual(chunks, ['reply 1']);
+  manager.close_all();
+});
+
+test('crashed session rejects the turn and is replaced on next acquire', async t => {
+  const { manager, spawned } = create_manager((i) => (i === 0 ? { crash_on_turn: 1 } : {}));
+  await t.throwsAsync(() => manager.acquire('thread-a').send('hello'), { message: /exited with code 1/ });
+  t.is(manager.get('thread-a'), null);
+
+  const response = await manager.acquire('thread-a').send('hello');
+  t.is(spawned.length, 2);
+  t.is(response.content, 'reply 1');
+  manager.close_all();
+});
+
+test('aborting a turn kills the process and the next turn starts a fresh session', async t => {
+  const { manager, spawned } = create_manager();
+  const controller = new AbortController();
+  const turn = manager.acquire('thread-a').send('hello', { signal: controller.signal });
+  await new Promise(resolve => setTimeout(resolve, 1));
+  controller.abort();
+
+  const error = await t.throwsAsync(turn);
+  t.true(is_abort_error(error));
+  t.true(spawned[0].killed);
+  t.is(manager.size, 0);
+
+  const next = await manager.acquire('thread-a').send('again');
+  t.is(spawned.length, 2);
+  t.is(next.content, 'reply 1');
+});
+
+test('idle sessions are recycled after idle_timeout', async t => {
+  const { manager, spawned } = create_manager({}, { idle_timeout: 20 });
+  await manager.acquire('thread-a').send('hello');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  t.true(spawned[0].killed);
+  t.is(manager.size, 0);
+});
+
+test('can_continue only accepts requests extending the delivered history', async t => {
+  const { manager } = create_manager();
+  const session = manager.acquire('thread-a');
+  const messages = [{ role: 'user', content: 'one' }];
+  t.false(session.can_continue(messages));
+
+  await session.send('one', { messages });
+  const follow_up = [...messages, { role: 'assistant', content: 'reply 1' }, { role: 'user', content: 'two' }];
+  t.true(session.can_continue(follow_up));
+  t.deepEqual(session.get_new_messages(follow_up), [{ role: 'user', content: 'two' }]);
+
+  const edited = [{ role: 'user', content: 'changed' }, ...follow_up.slice(1)];
+  t.false(session.can_continue(edited));
+  manager.close_all();
+});
+
+test('get_message_signature distinguishes role and content', t => {
+  t.not(
+    get_message_signature({ role: 'user', content: 'a' }),
+    get_message_signature({ role: 'assistant', content: 'a' })
+  );
+  t.is(
+    get_message_signature({ role: 'user', content: [{ type: 'text', text: 'a' }] }),
+    get_message_signature({ role: 'user', content: [{ type: 'text', text: 'a' }] })
+  );
+});
@@ -0,0 +1,261 @@
+/**
+ * @module adapters/claude_cli_stream_parser
+ * @description Incremental decoder for Claude Code CLI `--output-format stream-json` output.
+ * Bytes are buffered until a full line is available, so JSON objects (and multi-byte
+ * characters) split across stdout chunks are reassembled before parsing.
+ *
+ * Understands the CLI envelope events (`system`, `assistant`, `result`) as well as the
+ * message events forwarded with `--include-partial-messages` (`stream_event` wrapping
+ * `message_start`, `content_block_start`, `content_block_delta`, `content_block_stop`,
+ * `message_delta`, `message_stop`). Bare message events without the envelope are accepted too.
+ *
+ * Each call to `push()` returns typed deltas:
+ * - `{ type: 'message_start', id, model, usage }`
+ * - `{ type: 'text', index, text }`
+ * - `{ type: 'tool_use_start', index, id, name }`
+ * - `{ type: 'tool_use_delta', index, id, partial_json }`
+ * - `{ type: 'tool_use', index, id, name, input }`
+ * - `{ type: 'message_stop', stop_reason, usage }`
+ * - `{ type: 'result', content, usage, cost_usd, session_id, is_error }`
+ */
+export class ClaudeCliStreamParser {
+  constructor() {
+    this.decoder = new TextDecoder('utf-8');
+    this.buffer = '';
+    this.reset();
+  }
+
+  /**
+   * Clears per-message state (the line buffer is kept so a partial line survives).
+   */
+  reset() {
+    this.message = {
+      id: null,
+      model: null,
+      content: '',
+      tool_calls: [],
+      usage: null,
+      cost_usd: null,
+      stop_reason: null,
+      session_id: null,
+      is_error: false,
+    };
+    this.blocks = {};
+    this.saw_stream_events = false;
+    this.saw_structured_output = false;
+    this.done = false;
+  }
+
+  /**
+   * Feeds a stdout chunk to the parser.
+   * @param {Buffer|Uint8Array|string} chunk - Raw stdout data
+   * @returns {Array<Object>} Deltas decoded from every completed line
+   */
+  push(chunk) {
+    this.buffer += typeof chunk === 'string'
+      ? chunk
+      : this.decoder.decode(chunk, { stream: true })
+    ;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    return lines.flatMap(line => this.parse_line(line));
+  }
+
+  /**
+   * Parses whatever remains in the buffer (call when the process exits).
+   * @returns {Array<Object>} Deltas decoded from the trailing line
+   */
+  flush() {
+    this.buffer += this.decoder.decode();
+    const line = this.buffer;
+    this.buffer = '';
+    return this.parse_line(line);
+  }
+
+  /**
+   * @param {string} line - A single complete line of output
+   * @returns {Array<Object>} Deltas
+   */
+  parse_line(line) {
+    const trimmed = line.replace(/\r$/, '');
+    if (!trimmed.trim()) return [];
+    let event;
+    try {
+      event = JSON.parse(trimmed);
+    } catch (e) {
+      // Not JSON: plain text output is passed through verbatim
+      return this.append_text(0, trimmed + '\n');
+    }
+    if (!event || typeof event !== 'object') return this.append_text(0, trimmed + '\n');
+    this.saw_structured_output = true;
+    return this.handle_event(event);
+  }
+
+  /**
+   * Dispatches a parsed CLI event.
+   * @param {Object} event - Parsed JSON event
+   * @returns {Array<Object>} Deltas
+   */
+  handle_event(event) {
+    switch (event.type) {
+      case 'stream_event':
+        this.saw_stream_events = true;
+        return this.handle_message_event(event.event || {});
+      case 'message_start':
+      case 'content_block_start':
+      case 'content_block_delta':
+      case 'content_block_stop':
+      case 'message_delta':
+      case 'message_stop':
+        this.saw_stream_events = true;
+        return this.handle_message_event(event);
+      case 'system':
+        if (event.session_id) this.message.session_id = event.session_id;
+        if (event.model) this.message.model = event.model;
+        return [];
+      case 'assistant':
+        return this.handle_assistant_message(event.message || {});
+      case 'result':
+        return this.handle_result(event);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Handles Messages API streaming events.
+   * @private
+   */
+  handle_message_event(event) {
+    switch (event.type) {
+      case 'message_start': {
+        const msg = event.message || {};
+        if (msg.id) this.message.id = msg.id;
+        if (msg.model) this.message.model = msg.model;
+        if (msg.usage) this.message.usage = msg.usage;
+        return [{ type: 'message_start', id: msg.id || null, model: msg.model || null, usage: msg.usage || null }];
+      }
+      case 'content_block_start': {
+        const block = event.content_block || {};
+        this.blocks[event.index] = { type: block.type, id: block.id, name: block.name, json: '' };
+        if (block.type === 'tool_use') {
+          return [{ type: 'tool_use_start', index: event.index, id: block.id, name: block.name }];
+        }
+        if (block.type === 'text' && block.text) return this.append_text(event.index, block.text);
+        return [];
+      }
+      case 'content_block_delta': {
+        const delta = event.delta || {};
+        if (delta.type === 'text_delta') return this.append_text(event.index, delta.text || '');
+        if (delta.type === 'input_json_delta') {
+          const block = this.blocks[event.index];
+          if (!block) return [];
+          block.json += delta.partial_json || '';
+          return [{ type: 'tool_use_delta', index: event.index, id: block.id, partial_json: delta.partial_json || '' }];
+        }
+        return [];
+      }
+      case 'content_block_stop': {
+        const block = this.blocks[event.index];
+        if (block?.type !== 'tool_use') return [];
+        let input = {};
+        try {
+          input = block.json ? JSON.parse(block.json) : {};
+        } catch (e) {
+          console.warn('Failed to parse tool_use input from Claude Code CLI:', block.json);
+        }
+        return this.add_tool_use(event.index, block.id, block.name, input);
+      }
+      case 'message_delta':
+        if (event.delta?.stop_reason) this.message.stop_reason = event.delta.stop_reason;
+        if (event.usage) this.message.usage = { ...(this.message.usage || {}), ...event.usage };
+        return [];
+      case 'message_stop':
+        return [{ type: 'message_stop', stop_reason: this.message.stop_reason, usage: this.message.usage }];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Handles a complete assistant message. When partial message events were already
+   * streamed, its content is a duplicate and only metadata is kept.
+   * @private
+   */
+  handle_assistant_message(msg) {
+    if (msg.id && !this.message.id) this.message.id = msg.id;
+    if (msg.model && !this.message.model) this.message.model = msg.model;
+    if (this.saw_stream_events) return [];
+    const deltas = [];
+    (msg.content || []).forEach((part, index) => {
+      if (part.type === 'text' && part.text) deltas.push(...this.append_text(index, part.text));
+      if (part.type === 'tool_use') deltas.push(...this.add_tool_use(index, part.id, part.name, part.input || {}));
+    });
+    if (msg.stop_reason) this.message.stop_reason = msg.stop_reason;
+    if (msg.usage) this.message.usage = msg.usage;
+    return deltas;
+  }
+
+  /**
+   * @private
+   */
+  handle_result(event) {
+    this.done = true;
+    this.message.is_error = !!event.is_error;
+    if (event.session_id) this.message.session_id = event.session_id;
+    if (event.usage) this.message.usage = event.usage;
+    if (typeof event.total_cost_usd === 'number') this.message.cost_usd = event.total_cost_usd;
+    if (typeof event.result === 'string' && !this.message.content) this.message.content = event.result;
+    return [{
+      type: 'result',
+      content: typeof event.result === 'string' ? event.result : this.message.content,
+      usage: event.usage || this.message.usage,
+      cost_usd: this.message.cost_usd,
+      session_id: event.session_id || null,
+      is_error: !!event.is_error,
+    }];
+  }
+
+  /**
+   * @private
+   */
+  append_text(index, text) {
+    if (!text) return [];
+    this.message.content += text;
+    return [{ type: 'text', index, text }];
+  }
+
+  /**
+   * @private
+   */
+  add_tool_use(index, id, name, input) {
+    this.message.tool_calls.push({
+      id,
+      type: 'function',
+      function: { name, arguments: JSON.stringify(input) },
+    });
+    return [{ type: 'tool_use', index, id, name, input }];
+  }
+
+  /**
+   * Returns the message accumulated so far.
+   * @returns {Object} { id, model, content, tool_calls, usage, cost_usd, stop_reason, session_id, is_error }
+   */
+  get_message() {
+    return { ...this.message, tool_calls: [...this.message.tool_calls] };
+  }
+}
+
+/**
+ * Converts a typed parser delta into the chunk shape passed to `chunk_handler`.
+ * @param {Object} delta - Delta from ClaudeCliStreamParser
+ * @returns {Object} Chunk ({ id, content, role, delta })
+ */
+export function delta_to_chunk(delta) {
+  return {
+    id: delta.type === 'message_start' ? delta.id : null,
+    content: delta.type === 'text' ? delta.text : '',
+    role: 'assistant',
+    delta,
+  };
+}
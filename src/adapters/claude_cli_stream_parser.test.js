@@ -0,0 +1,128 @@
+import test from 'ava';
+import { ClaudeCliStreamParser, delta_to_chunk } from './claude_cli_stream_parser.js';
+
+const stream_event = (event) => JSON.stringify({ type: 'stream_event', event });
+
+// Recorded shape of `claude -p --output-format stream-json --verbose --include-partial-messages`
+const PARTIAL_FIXTURE = [
+  JSON.stringify({ type: 'system', subtype: 'init', session_id: 'sess-1', model: 'claude-sonnet' }),
+  stream_event({ type: 'message_start', message: { id: 'msg_01', model: 'claude-sonnet', usage: { input_tokens: 12, output_tokens: 1 } } }),
+  stream_event({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+  stream_event({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Café ' } }),
+  stream_event({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'notes 📝 ' } }),
+  stream_event({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '— done' } }),
+  stream_event({ type: 'content_block_stop', index: 0 }),
+  stream_event({ type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_01', name: 'lookup', input: {} } }),
+  stream_event({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"hypotheticals": ["ré' } }),
+  stream_event({ type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'sumé"]}' } }),
+  stream_event({ type: 'content_block_stop', index: 1 }),
+  stream_event({ type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 24 } }),
+  stream_event({ type: 'message_stop' }),
+  JSON.stringify({ type: 'assistant', message: { id: 'msg_01', content: [{ type: 'text', text: 'Café notes 📝 — done' }] } }),
+  JSON.stringify({ type: 'result', subtype: 'success', result: 'Café notes 📝 — done', session_id: 'sess-1', is_error: false, usage: { input_tokens: 12, output_tokens: 24 } }),
+].join('\n') + '\n';
+
+const parse_all = (chunks) => {
+  const parser = new ClaudeCliStreamParser();
+  const deltas = chunks.flatMap(chunk => parser.push(chunk));
+  deltas.push(...parser.flush());
+  return { parser, deltas };
+};
+
+test('parses partial message events into typed deltas', t => {
+  const { parser, deltas } = parse_all([Buffer.from(PARTIAL_FIXTURE)]);
+
+  t.deepEqual(deltas.map(d => d.type), [
+    'message_start',
+    'text', 'text', 'text',
+    'tool_use_start', 'tool_use_delta', 'tool_use_delta', 'tool_use',
+    'message_stop',
+    'result',
+  ]);
+  t.is(deltas[0].id, 'msg_01');
+  t.deepEqual(deltas[7].input, { hypotheticals: ['résumé'] });
+
+  const message = parser.get_message();
+  t.is(message.content, 'Café notes 📝 — done');
+  t.is(message.session_id, 'sess-1');
+  t.is(message.stop_reason, 'tool_use');
+  t.deepEqual(message.usage, { input_tokens: 12, output_tokens: 24 });
+  t.deepEqual(message.tool_calls, [{
+    id: 'toolu_01',
+    type: 'function',
+    function: { name: 'lookup', arguments: JSON.stringify({ hypotheticals: ['résumé'] }) },
+  }]);
+});
+
+test('output split at every byte boundary yields identical deltas', t => {
+  const bytes = Buffer.from(PARTIAL_FIXTURE);
+  const expected = parse_all([bytes]);
+  for (let i = 1; i < bytes.length; i++) {
+    const { parser, deltas } = parse_all([bytes.subarray(0, i), bytes.subarray(i)]);
+    if (JSON.stringify(deltas) !== JSON.stringify(expected.deltas)) {
+      return t.fail(`deltas differ when split at byte ${i}`);
+    }
+    if (parser.get_message().content !== expected.parser.get_message().content) {
+      return t.fail(`content differs when split at byte ${i}`);
+    }
+  }
+  t.pass();
+});
+
+test('output delivered one byte at a time is reassembled', t => {
+  const bytes = Buffer.from(PARTIAL_FIXTURE);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i++) chunks.push(bytes.subarray(i, i + 1));
+  const { parser, deltas } = parse_all(chunks);
+  t.is(deltas.filter(d => d.type === 'text').map(d => d.text).join(''), 'Café notes 📝 — done');
+  t.is(parser.get_message().tool_calls.length, 1);
+});
+
+test('assistant messages are used when partial messages are not enabled', t => {
+  const output = [
+    JSON.stringify({ type: 'system', subtype: 'init', session_id: 'sess-2' }),
+    JSON.stringify({ type: 'assistant', message: { id: 'msg_02', content: [
+      { type: 'text', text: 'Looking that up.' },
+      { type: 'tool_use', id: 'toolu_02', name: 'lookup', input: { hypotheticals: ['x'] } },
+    ] } }),
+    JSON.stringify({ type: 'result', result: 'Looking that up.', session_id: 'sess-2' }),
+  ].join('\n');
+  const { parser, deltas } = parse_all([output]);
+
+  t.deepEqual(deltas.map(d => d.type), ['text', 'tool_use', 'result']);
+  const message = parser.get_message();
+  t.is(message.id, 'msg_02');
+  t.is(message.content, 'Looking that up.');
+  t.is(message.tool_calls[0].function.name, 'lookup');
+});
+
+test('non-JSON lines are passed through as text', t => {
+  const { parser, deltas } = parse_all(['plain ', 'text output\nsecond line']);
+  t.deepEqual(deltas.map(d => d.text), ['plain text output\n', 'second line\n']);
+  t.false(parser.saw_structured_output);
+});
+
+test('error results are flagged', t => {
+  const { parser, deltas } = parse_all([JSON.stringify({ type: 'result', is_error: true, result: 'Rate limited' }) + '\n']);
+  t.true(deltas[0].is_error);
+  t.is(deltas[0].content, 'Rate limited');
+  t.true(parser.get_message().is_error);
+});
+
+test('reset clears message state but keeps a partial line', t => {
+  const parser = new ClaudeCliStreamParser();
+  const line = stream_event({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'next' } }) + '\n';
+  parser.push(JSON.stringify({ type: 'result', result: 'first' }) + '\n' + line.slice(0, 10));
+  parser.reset();
+  const deltas = parser.push(line.slice(10));
+  t.is(deltas[0].text, 'next');
+  t.is(parser.get_message().content, 'next');
+});
+
+test('delta_to_chunk maps deltas to chunk_handler chunks', t => {
+  t.deepEqual(delta_to_chunk({ type: 'text', index: 0, text: 'hi' }), {
+    id: null, content: 'hi', role: 'assistant', delta: { type: 'text', index: 0, text: 'hi' },
+  });
+  t.is(delta_to_chunk({ type: 'message_start', id: 'msg_01' }).id, 'msg_01');
+  t.is(delta_to_chunk({ type: 'tool_use_start', id: 'toolu_01' }).content, '');
+});
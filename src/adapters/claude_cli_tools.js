@@ -0,0 +1,155 @@
+/**
+ * @module adapters/claude_cli_tools
+ * @description Bridges OpenAI-style function tools (`request.tools`, `request.tool_choice`) and
+ * the Claude Code CLI. The CLI cannot register caller-defined functions, so tools are described
+ * in the prompt and the model calls one by replying with a `<tool_call name="...">{json}</tool_call>`
+ * block. Those blocks, and native `tool_use` blocks whose name matches a requested tool (e.g. the
+ * same tool exposed through an MCP server as `mcp__server__lookup`), are returned as
+ * `tool_calls` so the thread can run them.
+ */
+
+const TOOL_CALL_PATTERN = /<tool_call\s+name=["']([^"']+)["']\s*>([\s\S]*?)<\/tool_call>/g;
+const TOOL_CALL_OPEN = '<tool_call';
+
+let tool_call_counter = 0;
+
+/**
+ * @param {Array<Object>} [tools] - OpenAI-style tools
+ * @returns {Array<string>} Function names
+ */
+export function get_tool_names(tools = []) {
+  return (tools || []).map(tool => tool?.function?.name).filter(Boolean);
+}
+
+/**
+ * Name of the function `tool_choice` forces, if any.
+ * @param {Object|string} [tool_choice]
+ * @returns {string|null}
+ */
+export function get_forced_tool(tool_choice) {
+  if (tool_choice?.type === 'function') return tool_choice.function?.name || null;
+  return null;
+}
+
+/**
+ * Describes tools and the call protocol for the prompt.
+ * @param {Array<Object>} [tools] - OpenAI-style tools
+ * @param {Object|string} [tool_choice] - OpenAI-style tool choice
+ * @returns {string} Prompt section ('' when there are no tools or tool_choice is 'none')
+ */
+export function format_tools_prompt(tools = [], tool_choice = null) {
+  const functions = (tools || []).map(tool => tool?.function).filter(fn => fn?.name);
+  if (!functions.length || tool_choice === 'none') return '';
+  const parts = ['## Tools'];
+  parts.push('You can call these tools. To call one, reply with only a block like this and nothing after it:');
+  parts.push('<tool_call name="TOOL_NAME">{"argument": "value"}</tool_call>');
+  parts.push('The arguments must be JSON matching the tool\'s parameters. The result will be sent back to you. Call a tool only when you need information you do not have yet.');
+  functions.forEach(fn => {
+    parts.push(`### ${fn.name}\n${fn.description || ''}\nParameters (JSON Schema):\n${JSON.stringify(fn.parameters || {}, null, 2)}`);
+  });
+  const forced = get_forced_tool(tool_choice);
+  if (forced) parts.push(`You must call \`${forced}\` now, before answering.`);
+  return parts.join('\n\n');
+}
+
+/**
+ * Extracts `<tool_call>` blocks for known tools from response text.
+ * Blocks with unknown names or invalid JSON are left in the text.
+ * @param {string} text - Response text
+ * @param {Array<Object>} [tools] - Tools offered in the request
+ * @returns {Object} { content, tool_calls }
+ */
+export function parse_tool_calls(text = '', tools = []) {
+  const names = get_tool_names(tools);
+  const tool_calls = [];
+  const content = String(text || '').replace(TOOL_CALL_PATTERN, (match, name, body) => {
+    if (!names.includes(name)) return match;
+    const args = parse_arguments(body);
+    if (args === null) return match;
+    tool_calls.push(create_tool_call(name, args));
+    return '';
+  }).trim();
+  return { content, tool_calls };
+}
+
+/**
+ * Keeps native tool calls that refer to a requested tool and renames them to the tool's name.
+ * Calls to the CLI's own tools (Read, Bash, ...) have already run inside the CLI and are dropped.
+ * @param {Array<Object>} [tool_calls] - Tool calls collected by ClaudeCliStreamParser
+ * @param {Array<Object>} [tools] - Tools offered in the request
+ * @returns {Array<Object>} OpenAI-style tool calls
+ */
+export function map_native_tool_calls(tool_calls = [], tools = []) {
+  const names = get_tool_names(tools);
+  return (tool_calls || []).reduce((acc, call) => {
+    const name = String(call?.function?.name || '').replace(/^mcp__.+?__/, '');
+    if (names.includes(name)) acc.push({ ...call, function: { ...call.function, name } });
+    return acc;
+  }, []);
+}
+
+/**
+ * Turns a CLI response into assistant message fields, moving tool calls out of the text.
+ * @param {Object} response - CLI response ({ content, tool_calls })
+ * @param {Array<Object>} [tools] - Tools offered in the request
+ * @returns {Object} { content, tool_calls } (tool_calls is null when there are none)
+ */
+export function extract_tool_calls(response = {}, tools = []) {
+  if (!get_tool_names(tools).length) return { content: response.content, tool_calls: null };
+  const parsed = parse_tool_calls(response.content, tools);
+  const tool_calls = [...map_native_tool_calls(response.tool_calls, tools), ...parsed.tool_calls];
+  return { content: parsed.content, tool_calls: tool_calls.length ? tool_calls : null };
+}
+
+/**
+ * Hides tool call markup from streamed text, including a block that is still being written.
+ * @param {string} text - Accumulated response text
+ * @returns {string} Text safe to display
+ */
+export function strip_tool_markup(text = '') {
+  const visible = String(text || '').replace(TOOL_CALL_PATTERN, '');
+  const open = visible.indexOf(TOOL_CALL_OPEN);
+  if (open !== -1) return visible.slice(0, open).trimEnd();
+  // hold back a trailing prefix of the opening tag, e.g. "<tool_c"
+  for (let i = Math.min(TOOL_CALL_OPEN.length - 1, visible.length); i > 0; i--) {
+    if (visible.endsWith(TOOL_CALL_OPEN.slice(0, i))) return visible.slice(0, -i);
+  }
+  return visible;
+}
+
+/**
+ * Renders assistant tool calls back into the prompt protocol for conversation history.
+ * @param {Array<Object>} [tool_calls] - OpenAI-style tool calls
+ * @returns {string}
+ */
+export function format_tool_calls(tool_calls = []) {
+  return (tool_calls || [])
+    .map(call => `<tool_call name="${call.function?.name}">${format_arguments(call.function?.arguments)}</tool_call>`)
+    .join('\n')
+  ;
+}
+
+function create_tool_call(name, args) {
+  tool_call_counter++;
+  return {
+    id: `toolu_${Date.now().toString(36)}_${tool_call_counter}`,
+    type: 'function',
+    function: { name, arguments: JSON.stringify(args) },
+  };
+}
+
+function parse_arguments(body = '') {
+  const json = body.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+  if (!json) return {};
+  try {
+    const args = JSON.parse(json);
+    return args && typeof args === 'object' ? args : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function format_arguments(args) {
+  if (typeof args === 'string') return args;
+  return JSON.stringify(args || {});
+}
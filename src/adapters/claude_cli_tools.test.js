@@ -0,0 +1,75 @@
+import test from 'ava';
+import {
+  format_tools_prompt,
+  parse_tool_calls,
+  map_native_tool_calls,
+  extract_tool_calls,
+  strip_tool_markup,
+  format_tool_calls,
+} from './claude_cli_tools.js';
+
+const TOOLS = [{
+  type: 'function',
+  function: {
+    name: 'lookup',
+    description: 'Performs a semantic search of the user\'s data.',
+    parameters: { type: 'object', properties: { hypotheticals: { type: 'object' } }, required: ['hypotheticals'] },
+  },
+}];
+
+test('format_tools_prompt describes tools and a forced choice', t => {
+  const prompt = format_tools_prompt(TOOLS, { type: 'function', function: { name: 'lookup' } });
+  t.true(prompt.startsWith('## Tools'));
+  t.true(prompt.includes('<tool_call name="TOOL_NAME">'));
+  t.true(prompt.includes('### lookup\nPerforms a semantic search'));
+  t.true(prompt.includes('"required": [\n    "hypotheticals"\n  ]'));
+  t.true(prompt.endsWith('You must call `lookup` now, before answering.'));
+  t.is(format_tools_prompt(TOOLS, 'none'), '');
+  t.is(format_tools_prompt([]), '');
+});
+
+test('parse_tool_calls extracts known tools and leaves the rest', t => {
+  const text = [
+    'Checking your notes.',
+    '<tool_call name="lookup">```json\n{"hypotheticals": {"1": "a", "2": "b", "3": "c"}}\n```</tool_call>',
+    '<tool_call name="delete_vault">{}</tool_call>',
+    '<tool_call name="lookup">{not json}</tool_call>',
+  ].join('\n');
+  const { content, tool_calls } = parse_tool_calls(text, TOOLS);
+
+  t.is(tool_calls.length, 1);
+  t.is(tool_calls[0].type, 'function');
+  t.regex(tool_calls[0].id, /^toolu_/);
+  t.deepEqual(JSON.parse(tool_calls[0].function.arguments), { hypotheticals: { 1: 'a', 2: 'b', 3: 'c' } });
+  t.is(content, 'Checking your notes.\n\n<tool_call name="delete_vault">{}</tool_call>\n<tool_call name="lookup">{not json}</tool_call>');
+});
+
+test('map_native_tool_calls keeps requested tools, including MCP-prefixed names', t => {
+  const calls = [
+    { id: 'toolu_1', type: 'function', function: { name: 'Read', arguments: '{}' } },
+    { id: 'toolu_2', type: 'function', function: { name: 'mcp__smart_connections__lookup', arguments: '{"hypotheticals":["x"]}' } },
+  ];
+  t.deepEqual(map_native_tool_calls(calls, TOOLS), [
+    { id: 'toolu_2', type: 'function', function: { name: 'lookup', arguments: '{"hypotheticals":["x"]}' } },
+  ]);
+});
+
+test('extract_tool_calls leaves responses alone when no tools were offered', t => {
+  const response = { content: '<tool_call name="lookup">{}</tool_call>', tool_calls: [] };
+  t.deepEqual(extract_tool_calls(response, undefined), { content: response.content, tool_calls: null });
+  t.is(extract_tool_calls(response, TOOLS).tool_calls.length, 1);
+});
+
+test('strip_tool_markup hides complete and partial tool calls', t => {
+  t.is(strip_tool_markup('Hi <tool_call name="lookup">{}</tool_call> there'), 'Hi  there');
+  t.is(strip_tool_markup('Searching <tool_call name="look'), 'Searching');
+  t.is(strip_tool_markup('Searching <tool_'), 'Searching ');
+  t.is(strip_tool_markup('a < b'), 'a < b');
+});
+
+test('format_tool_calls writes calls back in the prompt protocol', t => {
+  t.is(
+    format_tool_calls([{ function: { name: 'lookup', arguments: { hypotheticals: ['x'] } } }]),
+    '<tool_call name="lookup">{"hypotheticals":["x"]}</tool_call>'
+  );
+});
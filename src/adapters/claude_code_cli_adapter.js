@@ -1,4 +1,30 @@
 import { spawn } from 'child_process';
+import {
+  ClaudeCliSessionManager,
+  DEFAULT_SESSION_ARGS,
+  create_abort_error,
+  is_abort_error,
+} from './claude_cli_session_manager.js';
+import { ClaudeCliStreamParser, delta_to_chunk } from './claude_cli_stream_parser.js';
+import {
+  resolve_launch_profile,
+  build_cli_args,
+  build_spawn_options,
+} from './claude_cli_launch_profile.js';
+import {
+  collect_context_candidates,
+  pack_context,
+  format_context_pack,
+  summarize_context_pack,
+  split_token_budget,
+} from '../utils/context_packer.js';
+import { count_tokens } from '../utils/token_counter.js';
+import {
+  format_tools_prompt,
+  format_tool_calls,
+  extract_tool_calls,
+  strip_tool_markup,
+} from './claude_cli_tools.js';
 
 // Safely import Notice from obsidian, fallback to console.log for testing
 let Notice;
@@ -23,6 +49,23 @@ if (typeof require !== 'undefined') {
   };
 }
 
+const HISTORY_ROLE_LABELS = {
+  user: 'Human',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool Result',
+};
+
+let response_counter = 0;
+/**
+ * Creates a unique, stable id for a single CLI response (shared by all of its chunks)
+ * @returns {string} Response id
+ */
+export function create_response_id() {
+  response_counter++;
+  return `claude-cli-${Date.now().toString(36)}-${response_counter}`;
+}
+
 /**
  * @class ClaudeCodeCLIAdapter
  * @description Adapter for integrating Claude Code CLI with Smart Connections.
@@ -30,8 +73,12 @@ if (typeof require !== 'undefined') {
  * 
  * Features:
  * - Process management with timeout and cleanup
- * - Semantic context integration from smart_sources
+ * - Settings-driven launch profile (binary, args, model, cwd, env; see claude_cli_launch_profile.js)
+ * - Persistent per-thread CLI sessions (see ClaudeCliSessionManager)
+ * - Token-budgeted, block-level vault context (see utils/context_packer.js)
+ * - Tool calling through a prompt-level protocol (see claude_cli_tools.js)
  * - Exponential backoff retry logic
+ * - Cancellation through `request.signal` or `stop_stream()` (kills the CLI process)
  * - Proper error handling with user feedback
  * - Support for streaming and non-streaming completions
  */
@@ -43,20 +90,108 @@ export class ClaudeCodeCLIAdapter {
   constructor(main) {
     this.main = main;
     this.config = main.config || {};
-    this.timeout = 60000; // 60 seconds timeout
-    this.max_retries = 3;
-    this.base_delay = 1000; // 1 second base delay for exponential backoff
     this.can_stream = true; // Claude Code CLI supports streaming
+    this.use_sessions = true; // keep one warm CLI process per thread
+    this.idle_timeout = 300000; // 5 minutes before an idle session is recycled
+    this.availability_ttl = 300000; // 5 minutes availability cache
+    this._availability = null;
+    this.active_controllers = new Set(); // in-flight requests, aborted by stop_stream()
   }
 
   /**
-   * Validates that Claude Code CLI is available on the system
+   * @property {Object} settings - Live `claude_code_cli` settings block from the chat model
+   * @readonly
+   */
+  get settings() {
+    return this.main.settings?.claude_code_cli || this.config.claude_code_cli || {};
+  }
+
+  /**
+   * @property {string|null} vault_name - Name of the current vault, used for per-vault overrides
+   * @readonly
+   */
+  get vault_name() {
+    return this.main.env?.main?.app?.vault?.getName?.() || null;
+  }
+
+  /**
+   * @property {Object} launch_profile - Resolved from settings on every access so changes apply to the next turn
+   * @readonly
+   */
+  get launch_profile() {
+    return resolve_launch_profile(this.settings, this.vault_name);
+  }
+
+  /**
+   * @property {number} timeout - Per-request timeout in ms (assignment overrides settings)
+   */
+  get timeout() { return this._timeout ?? this.launch_profile.timeout; }
+  set timeout(value) { this._timeout = value; }
+
+  /**
+   * @property {number} max_retries - Attempts before giving up (assignment overrides settings)
+   */
+  get max_retries() { return this._max_retries ?? this.launch_profile.max_retries; }
+  set max_retries(value) { this._max_retries = value; }
+
+  /**
+   * @property {number} base_delay - Base delay in ms for exponential backoff (assignment overrides settings)
+   */
+  get base_delay() { return this._base_delay ?? this.launch_profile.base_delay; }
+  set base_delay(value) { this._base_delay = value; }
+
+  /**
+   * @property {ClaudeCliSessionManager} session_manager - Pool of warm CLI processes keyed by thread.
+   * Recreated (closing running sessions) when the launch profile changes.
+   * @readonly
+   */
+  get session_manager() {
+    const profile = this.launch_profile;
+    const launch_key = JSON.stringify([profile, this.timeout]);
+    if (this._session_manager && this._session_launch_key && this._session_launch_key !== launch_key) {
+      this._session_manager.close_all();
+      this._session_manager = null;
+    }
+    if (!this._session_manager) {
+      this._session_manager = new ClaudeCliSessionManager({
+        command: profile.command,
+        args: build_cli_args(profile, DEFAULT_SESSION_ARGS),
+        spawn_options: build_spawn_options(profile),
+        timeout: this.timeout,
+        idle_timeout: this.idle_timeout,
+      });
+      this._session_launch_key = launch_key;
+    }
+    return this._session_manager;
+  }
+
+  /**
+   * Validates that Claude Code CLI is available on the system.
+   * The result is cached for `availability_ttl` ms so each turn does not spawn `claude --version`.
+   * @param {Object} [opts={}]
+   * @param {boolean} [opts.force=false] - Bypass the cached result
+   * @returns {Promise<boolean>} True if CLI is available, false otherwise
+   */
+  async validate_connection(opts = {}) {
+    const cached = this._availability;
+    if (!opts.force && cached && (Date.now() - cached.checked_at) < this.availability_ttl) {
+      return cached.available;
+    }
+    const available = await this.check_cli_available();
+    this._availability = { available, checked_at: Date.now() };
+    return available;
+  }
+
+  /**
+   * Spawns `<command> --version` to check that the configured CLI can be executed
    * @returns {Promise<boolean>} True if CLI is available, false otherwise
    */
-  async validate_connection() {
+  async check_cli_available() {
     try {
       return new Promise((resolve) => {
-        const process = spawn('claude', ['--version'], { 
+        const profile = this.launch_profile;
+        const process = spawn(profile.command, ['--version'], {
+          ...build_spawn_options(profile),
           timeout: 5000,
           stdio: 'ignore' 
         });
@@ -76,50 +211,33 @@ export class ClaudeCodeCLIAdapter {
   }
 
   /**
-   * Gathers semantic context from the vault using smart_sources search
+   * Gathers vault context for a message: ranks blocks from the vault, drops overlapping
+   * blocks and packs the best ones into the context token budget.
    * @param {string} user_message - The user's message to search context for
+   * @param {Object} [opts={}]
+   * @param {number} [opts.budget] - Tokens available (defaults to the context share of `token_budget`)
+   * @param {Object} [opts.state] - Receives `context_pack`, a record of the selected blocks
    * @returns {Promise<string>} Formatted context string
    */
-  async gather_context(user_message) {
+  async gather_context(user_message, opts = {}) {
     try {
       const env = this.main.env;
       if (!env?.smart_sources) return '';
+      const profile = this.launch_profile;
 
-      // Use semantic search to find relevant content
-      const search_results = await env.smart_sources.search(user_message, {
-        limit: 5,
-        threshold: 0.5
+      const candidates = await collect_context_candidates(env, user_message, {
+        limit: profile.context_limit,
       });
+      if (!candidates.length) return '';
 
-      if (!search_results || search_results.length === 0) return '';
-
-      const context_parts = [];
-      
-      // Add current active note context if available
-      if (env.smart_view?.active_note) {
-        const active_note = env.smart_view.active_note;
-        context_parts.push(`## Current Note: ${active_note.basename || 'Unknown'}`);
-        if (active_note.content && active_note.content.length > 0) {
-          context_parts.push(active_note.content.substring(0, 1000) + '...');
-        }
-      }
-
-      // Add semantic search results
-      context_parts.push('## Related Content from Vault:');
-      search_results.forEach((result, index) => {
-        const source = result.item || result;
-        context_parts.push(`### ${index + 1}. ${source.path || source.key}`);
-        
-        if (source.content) {
-          // Limit context length per result
-          const content = source.content.length > 500 
-            ? source.content.substring(0, 500) + '...'
-            : source.content;
-          context_parts.push(content);
-        }
+      const budget = opts.budget ?? split_token_budget(profile.token_budget, profile.context_percent).context;
+      const pack = pack_context(candidates, {
+        budget,
+        query: user_message,
+        active_note: env.smart_view?.active_note || null,
       });
-
-      return context_parts.join('\n\n');
+      if (opts.state) opts.state.context_pack = summarize_context_pack(pack);
+      return format_context_pack(pack);
     } catch (error) {
       console.error('Failed to gather context:', error);
       return '';
@@ -127,14 +245,22 @@ export class ClaudeCodeCLIAdapter {
   }
 
   /**
-   * Formats the prompt with vault context and conversation history
+   * Formats the prompt with vault context and conversation history.
+   * History is trimmed from the oldest message to fit its share of `token_budget`; any
+   * share it does not use goes to vault context.
    * @param {Array} messages - Array of conversation messages
+   * @param {Object} [state={}] - Prompt options from the request (`vault_context`, `tools`,
+   * `tool_choice`, see `get_prompt_state()`); receives `context_pack` describing what went into the prompt
    * @returns {Promise<string>} Formatted prompt for Claude Code CLI
    */
-  async format_prompt(messages) {
-    const context = await this.gather_context(
-      messages[messages.length - 1]?.content || ''
+  async format_prompt(messages, state = {}) {
+    const budget = this.get_token_budget();
+    const history = this.fit_history(messages, budget.history);
+    const context = state.vault_context === false ? '' : await this.gather_context(
+      this.get_message_text(messages[messages.length - 1]),
+      { budget: budget.context + budget.history - history.tokens, state }
     );
+    this.record_history_usage(state, budget, history);
 
     const prompt_parts = [];
     
@@ -149,46 +275,179 @@ export class ClaudeCodeCLIAdapter {
     // Add conversation history
     if (messages.length > 0) {
       prompt_parts.push('## Conversation History:');
-      messages.forEach((msg, index) => {
-        const role = msg.role === 'user' ? 'Human' : 'Assistant';
-        prompt_parts.push(`### ${role} ${index + 1}:`);
-        prompt_parts.push(msg.content || '');
-      });
+      if (history.omitted) {
+        prompt_parts.push(`_(${history.omitted} earlier messages omitted to fit the token budget)_`);
+      }
+      prompt_parts.push(...this.format_history(history.messages, history.omitted));
     }
 
+    const tools_prompt = format_tools_prompt(state.tools, state.tool_choice);
+    if (tools_prompt) prompt_parts.push(tools_prompt);
+
     return prompt_parts.join('\n\n');
   }
 
+  /**
+   * Formats only the messages a warm session has not seen yet, with fresh vault context.
+   * @param {Array} messages - New conversation messages
+   * @param {number} [offset=0] - Number of messages that precede `messages` in the thread
+   * @param {Object} [state={}] - Receives `context_pack` describing what went into the prompt
+   * @returns {Promise<string>} Follow-up prompt for an existing session
+   */
+  async format_follow_up(messages, offset = 0, state = {}) {
+    const budget = this.get_token_budget();
+    const history = this.fit_history(messages, budget.history);
+    const context = await this.gather_context(
+      this.get_message_text(messages[messages.length - 1]),
+      { budget: budget.context + budget.history - history.tokens, state }
+    );
+    this.record_history_usage(state, budget, history);
+    const prompt_parts = [];
+    if (context) {
+      prompt_parts.push('## Vault Context:');
+      prompt_parts.push(context);
+    }
+    prompt_parts.push(...this.format_history(history.messages, offset + history.omitted));
+    const tools_prompt = format_tools_prompt(state.tools, state.tool_choice);
+    if (tools_prompt) prompt_parts.push(tools_prompt);
+    return prompt_parts.join('\n\n');
+  }
+
+  /**
+   * Collects the request options that shape the prompt.
+   * @param {Object} request - Chat request
+   * @returns {Object} Prompt state ({ vault_context?, tools?, tool_choice? })
+   */
+  get_prompt_state(request = {}) {
+    const state = {};
+    if (request.vault_context === false) state.vault_context = false;
+    if (request.tools?.length) {
+      state.tools = request.tools;
+      if (request.tool_choice) state.tool_choice = request.tool_choice;
+    }
+    return state;
+  }
+
+  /**
+   * @returns {Object} Token budget split ({ total, context, history }) from settings
+   */
+  get_token_budget() {
+    const profile = this.launch_profile;
+    return split_token_budget(profile.token_budget, profile.context_percent);
+  }
+
+  /**
+   * Keeps the most recent messages that fit the history budget. The latest message is
+   * always kept.
+   * @param {Array} messages - Conversation messages
+   * @param {number} budget - History token budget
+   * @returns {Object} { messages, omitted, tokens }
+   */
+  fit_history(messages = [], budget = Infinity) {
+    let tokens = 0;
+    let start = messages.length;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const message_tokens = count_tokens(this.get_history_text(messages[i])) + 4; // + role header
+      if (start < messages.length && tokens + message_tokens > budget) break;
+      tokens += message_tokens;
+      start = i;
+    }
+    return { messages: messages.slice(start), omitted: start, tokens };
+  }
+
+  /**
+   * Adds budget and history figures to the context pack recorded in state.
+   * @private
+   */
+  record_history_usage(state, budget, history) {
+    if (!state) return;
+    const pack = state.context_pack || summarize_context_pack(pack_context([], { budget: budget.context }));
+    state.context_pack = {
+      ...pack,
+      budget: { ...budget },
+      tokens: { context: pack.tokens, history: history.tokens },
+      history: { included: history.messages.length, omitted: history.omitted },
+    };
+  }
+
+  /**
+   * Renders messages as numbered Human/Assistant sections (System for a conversation summary,
+   * Tool Result for tool output)
+   * @param {Array} messages - Conversation messages
+   * @param {number} [offset=0] - Index of the first message within the thread
+   * @returns {Array<string>} Prompt parts
+   */
+  format_history(messages, offset = 0) {
+    const parts = [];
+    messages.forEach((msg, index) => {
+      parts.push(`### ${HISTORY_ROLE_LABELS[msg.role] || 'Assistant'} ${offset + index + 1}:`);
+      parts.push(this.get_history_text(msg));
+    });
+    return parts;
+  }
+
+  /**
+   * Text of a message as it appears in conversation history; assistant tool calls are
+   * written in the `<tool_call>` protocol so the model sees what it called.
+   * @param {Object} msg - Request message
+   * @returns {string}
+   */
+  get_history_text(msg) {
+    const text = this.get_message_text(msg);
+    if (!msg?.tool_calls?.length) return text;
+    return [text, format_tool_calls(msg.tool_calls)].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Extracts plain text from a request message (string or content-part array)
+   * @param {Object} msg - Request message
+   * @returns {string} Message text
+   */
+  get_message_text(msg) {
+    const content = msg?.content;
+    if (Array.isArray(content)) {
+      return content
+        .filter(part => part?.type === 'text')
+        .map(part => part.text || '')
+        .join('\n');
+    }
+    return content || '';
+  }
+
   /**
    * Executes Claude Code CLI with retry logic and proper error handling
    * @param {string} prompt - The formatted prompt to send
    * @param {Object} options - Options for the CLI execution
+   * @param {AbortSignal} [options.signal] - Stops the CLI process; no further attempts are made
    * @returns {Promise<Object>} Response object with content or error
+   * @throws {Error} AbortError when options.signal is aborted
    */
   async execute_claude_cli(prompt, options = {}) {
     let last_error = null;
 
     for (let attempt = 1; attempt <= this.max_retries; attempt++) {
+      if (options.signal?.aborted) throw create_abort_error();
       try {
-        const response = await this.spawn_claude_process(prompt, {
-          ...options,
-          attempt
-        });
+        const response = (this.use_sessions && options.session_key)
+          ? await this.send_to_session(prompt, { ...options, attempt })
+          : await this.spawn_claude_process(prompt, { ...options, attempt });
         
         if (response.error && attempt < this.max_retries) {
           // Exponential backoff before retry
           const delay = this.base_delay * Math.pow(2, attempt - 1);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await this.wait(delay, options.signal);
           last_error = response.error;
           continue;
         }
         
         return response;
       } catch (error) {
+        if (is_abort_error(error)) throw error;
         last_error = error;
+        if (error.message?.includes('not found')) this._availability = null;
         if (attempt < this.max_retries) {
           const delay = this.base_delay * Math.pow(2, attempt - 1);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await this.wait(delay, options.signal);
           continue;
         }
       }
@@ -202,6 +461,51 @@ export class ClaudeCodeCLIAdapter {
     };
   }
 
+  /**
+   * Waits before a retry; rejects early with an AbortError when signal is aborted.
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(create_abort_error());
+      const handle_abort = () => {
+        clearTimeout(timer);
+        reject(create_abort_error());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', handle_abort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', handle_abort, { once: true });
+    });
+  }
+
+  /**
+   * Sends a turn through the thread's warm CLI session.
+   * When the request continues the session's conversation only the new messages are sent;
+   * otherwise (new, crashed or diverged session) a fresh session receives the full prompt.
+   * @param {string} prompt - The full formatted prompt
+   * @param {Object} options - Execution options
+   * @param {string} options.session_key - Session key (thread key)
+   * @param {Array} [options.messages] - Request messages covered by the prompt
+   * @returns {Promise<Object>} Response from the CLI session
+   */
+  async send_to_session(prompt, options = {}) {
+    const messages = options.messages || [];
+    let session = this.session_manager.acquire(options.session_key);
+    if (session.history.length && !session.can_continue(messages)) {
+      // thread was edited, regenerated or switched branch: start over
+      session.close();
+      session = this.session_manager.acquire(options.session_key);
+    }
+    const turn_prompt = session.can_continue(messages)
+      ? await this.format_follow_up(session.get_new_messages(messages), session.history.length + 1, options.prompt_state)
+      : prompt;
+    return await session.send(turn_prompt, { ...options, messages });
+  }
+
   /**
    * Spawns Claude Code CLI process and manages its lifecycle
    * @param {string} prompt - The prompt to send
@@ -210,16 +514,17 @@ export class ClaudeCodeCLIAdapter {
    */
   async spawn_claude_process(prompt, options = {}) {
     return new Promise((resolve, reject) => {
-      const args = ['--format', 'json'];
-      if (options.stream) {
-        args.push('--stream');
-      }
+      if (options.signal?.aborted) return reject(create_abort_error());
+      const profile = this.launch_profile;
+      const args = this.get_cli_args(options, profile);
 
-      const claude_process = spawn('claude', args, {
+      const claude_process = spawn(profile.command, args, {
+        ...build_spawn_options(profile),
         stdio: ['pipe', 'pipe', 'pipe'],
         timeout: this.timeout
       });
 
+      const parser = new ClaudeCliStreamParser();
       let stdout_data = '';
       let stderr_data = '';
       let resolved = false;
@@ -227,45 +532,42 @@ export class ClaudeCodeCLIAdapter {
       // Set up timeout
       const timeout_id = setTimeout(() => {
         if (!resolved) {
-          resolved = true;
+          settle();
           claude_process.kill('SIGTERM');
           reject(new Error(`Claude Code CLI timed out after ${this.timeout}ms`));
         }
       }, this.timeout);
 
-      // Handle stdout data
-      claude_process.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        stdout_data += chunk;
-        
-        // For streaming mode, emit chunks as they arrive
-        if (options.stream && options.chunk_handler) {
+      // Stop requested by the user
+      const handle_abort = () => {
+        if (!resolved) {
+          settle();
+          claude_process.kill('SIGTERM');
+          reject(create_abort_error());
+        }
+      };
+      options.signal?.addEventListener('abort', handle_abort, { once: true });
+      const settle = () => {
+        resolved = true;
+        clearTimeout(timeout_id);
+        options.signal?.removeEventListener('abort', handle_abort);
+      };
+
+      const handle_deltas = (deltas) => {
+        if (!options.stream || !options.chunk_handler) return;
+        deltas.forEach(delta => {
           try {
-            // Try to parse each line as JSON for streaming responses
-            const lines = chunk.split('\n').filter(line => line.trim());
-            lines.forEach(line => {
-              try {
-                const parsed = JSON.parse(line);
-                if (parsed.content) {
-                  options.chunk_handler({
-                    id: Date.now().toString(),
-                    content: parsed.content,
-                    role: 'assistant'
-                  });
-                }
-              } catch (e) {
-                // Not JSON, treat as plain text chunk
-                options.chunk_handler({
-                  id: Date.now().toString(),
-                  content: line,
-                  role: 'assistant'
-                });
-              }
-            });
+            options.chunk_handler(delta_to_chunk(delta));
           } catch (error) {
-            console.warn('Failed to parse streaming chunk:', error);
+            console.warn('Failed to handle streaming chunk:', error);
           }
-        }
+        });
+      };
+
+      // Handle stdout data
+      claude_process.stdout.on('data', (data) => {
+        stdout_data += data.toString();
+        handle_deltas(parser.push(data));
       });
 
       // Handle stderr
@@ -276,31 +578,14 @@ export class ClaudeCodeCLIAdapter {
       // Handle process exit
       claude_process.on('close', (code) => {
         if (!resolved) {
-          resolved = true;
-          clearTimeout(timeout_id);
+          settle();
+          handle_deltas(parser.flush());
 
           if (code === 0) {
             try {
-              // Try to parse as JSON first
-              let response_content = stdout_data.trim();
-              let parsed_response = null;
-              
-              try {
-                parsed_response = JSON.parse(response_content);
-                response_content = parsed_response.content || response_content;
-              } catch (e) {
-                // Not JSON, use as plain text
-              }
-
-              resolve({
-                id: Date.now().toString(),
-                content: response_content,
-                role: 'assistant',
-                model: 'claude-code-cli',
-                usage: parsed_response?.usage || null
-              });
+              resolve(this.build_cli_response(parser, stdout_data));
             } catch (error) {
-              reject(new Error(`Failed to parse Claude Code response: ${error.message}`));
+              reject(error);
             }
           } else {
             const error_msg = stderr_data || `Claude Code CLI exited with code ${code}`;
@@ -312,11 +597,10 @@ export class ClaudeCodeCLIAdapter {
       // Handle process errors
       claude_process.on('error', (error) => {
         if (!resolved) {
-          resolved = true;
-          clearTimeout(timeout_id);
+          settle();
           
           if (error.code === 'ENOENT') {
-            reject(new Error('Claude Code CLI not found. Please install claude CLI and ensure it\'s in your PATH.'));
+            reject(new Error('Claude Code CLI not found. Please install claude CLI and ensure it\'s in your PATH, or set the CLI path in settings.'));
           } else {
             reject(error);
           }
@@ -329,20 +613,100 @@ export class ClaudeCodeCLIAdapter {
         claude_process.stdin.end();
       } catch (error) {
         if (!resolved) {
-          resolved = true;
-          clearTimeout(timeout_id);
+          settle();
           reject(new Error(`Failed to send prompt to Claude Code CLI: ${error.message}`));
         }
       }
     });
   }
 
+  /**
+   * Builds CLI arguments for a one-shot (print mode) invocation
+   * @param {Object} options - Spawn options
+   * @param {boolean} [options.stream] - Request token-level stream-json events
+   * @param {Object} [profile=this.launch_profile] - Resolved launch profile (model flag, extra args)
+   * @returns {Array<string>} CLI arguments
+   */
+  get_cli_args(options = {}, profile = this.launch_profile) {
+    const base_args = options.stream
+      ? ['-p', '--output-format', 'stream-json', '--verbose', '--include-partial-messages']
+      : ['-p', '--output-format', 'json']
+    ;
+    return build_cli_args(profile, base_args);
+  }
+
+  /**
+   * Converts the parser state after process exit into a response object.
+   * Falls back to the raw stdout when the CLI produced no structured output.
+   * @param {ClaudeCliStreamParser} parser - Parser that consumed the process output
+   * @param {string} stdout_data - Raw stdout
+   * @returns {Object} Response ({ id, content, role, model, usage, tool_calls })
+   */
+  build_cli_response(parser, stdout_data) {
+    const message = parser.get_message();
+    if (message.is_error) throw new Error(message.content || 'Claude Code CLI returned an error');
+    let content = message.content;
+    if (!parser.saw_structured_output) {
+      content = stdout_data.trim();
+      try {
+        // pretty-printed JSON spans several lines and is not seen by the line parser
+        const parsed = JSON.parse(content);
+        content = parsed.result ?? parsed.content ?? content;
+      } catch (e) {
+        // Not JSON, use as plain text
+      }
+    }
+    return {
+      id: message.id || create_response_id(),
+      content,
+      role: 'assistant',
+      model: 'claude-code-cli',
+      usage: message.usage || null,
+      model_name: message.model || null,
+      cost_usd: message.cost_usd ?? null,
+      tool_calls: message.tool_calls.length ? message.tool_calls : null,
+    };
+  }
+
+  /**
+   * Token usage for a response in the OpenAI shape the thread stores on the message.
+   * Counts reported by the CLI are preferred (Anthropic input tokens include cache reads and
+   * writes); otherwise prompt and response are counted with the tokenizer.
+   * @param {string} prompt - Prompt sent to the CLI
+   * @param {string} content - Response text
+   * @param {Object} [response] - CLI response ({ usage, model_name, cost_usd })
+   * @returns {Object} { prompt_tokens, completion_tokens, total_tokens, source, model?, cost_usd? }
+   */
+  build_usage(prompt, content, response = {}) {
+    const reported = response?.usage;
+    let usage;
+    if (reported?.prompt_tokens != null || reported?.completion_tokens != null) {
+      usage = { prompt_tokens: reported.prompt_tokens || 0, completion_tokens: reported.completion_tokens || 0, source: 'cli' };
+    } else if (reported?.input_tokens != null || reported?.output_tokens != null) {
+      usage = {
+        prompt_tokens: (reported.input_tokens || 0)
+          + (reported.cache_read_input_tokens || 0)
+          + (reported.cache_creation_input_tokens || 0),
+        completion_tokens: reported.output_tokens || 0,
+        source: 'cli',
+      };
+    } else {
+      usage = { prompt_tokens: count_tokens(prompt), completion_tokens: count_tokens(content || ''), source: 'estimate' };
+    }
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    if (response?.model_name) usage.model = response.model_name;
+    if (typeof response?.cost_usd === 'number') usage.cost_usd = response.cost_usd;
+    return usage;
+  }
+
   /**
    * Non-streaming completion method
    * @param {Object} request - The request object with messages
-   * @returns {Promise<Object>} Completion response
+   * @param {AbortSignal} [request.signal] - Stops the request
+   * @returns {Promise<Object>} Completion response ({ aborted: true } when stopped)
    */
   async complete(request) {
+    const controller = this.create_request_controller(request.signal);
     try {
       // Validate CLI availability
       const is_available = await this.validate_connection();
@@ -353,25 +717,32 @@ export class ClaudeCodeCLIAdapter {
         };
       }
 
-      const prompt = await this.format_prompt(request.messages || []);
-      const response = await this.execute_claude_cli(prompt, { stream: false });
+      const prompt_state = this.get_prompt_state(request);
+      const prompt = await this.format_prompt(request.messages || [], prompt_state);
+      const response = await this.execute_claude_cli(prompt, {
+        stream: false,
+        session_key: request.thread_key,
+        messages: request.messages,
+        prompt_state,
+        signal: controller.signal,
+      });
       
+      const { content, tool_calls } = extract_tool_calls(response, prompt_state.tools);
       return {
-        id: response.id || Date.now().toString(),
+        id: response.id || create_response_id(),
         choices: [{
           message: {
-            content: response.content,
-            role: 'assistant'
+            content,
+            role: 'assistant',
+            ...(tool_calls ? { tool_calls } : {}),
+            ...(prompt_state.context_pack ? { context_pack: prompt_state.context_pack } : {})
           }
         }],
         model: 'claude-code-cli',
-        usage: response.usage || {
-          prompt_tokens: prompt.length / 4, // Rough estimation
-          completion_tokens: response.content?.length / 4 || 0,
-          total_tokens: (prompt.length + (response.content?.length || 0)) / 4
-        }
+        usage: this.build_usage(prompt, response.content, response)
       };
     } catch (error) {
+      if (is_abort_error(error)) return { error, aborted: true, content: '' };
       console.error('Claude Code CLI completion error:', error);
       new Notice('Claude Code CLI error: ' + error.message);
       
@@ -379,6 +750,8 @@ export class ClaudeCodeCLIAdapter {
         error: error,
         content: "I apologize, but I encountered an error while processing your request. Please try again."
       };
+    } finally {
+      this.active_controllers.delete(controller);
     }
   }
 
@@ -386,9 +759,11 @@ export class ClaudeCodeCLIAdapter {
    * Streaming completion method
    * @param {Object} request - The request object with messages
    * @param {Object} handlers - Handler functions for streaming events
-   * @returns {Promise<void>} Promise that resolves when streaming completes
+   * @returns {Promise<void>} Promise that resolves when streaming completes or is stopped
+   * (`request.signal` or `stop_stream()`); a stopped stream calls neither `done` nor `error`
    */
   async stream(request, handlers = {}) {
+    const controller = this.create_request_controller(request.signal);
     try {
       // Validate CLI availability
       const is_available = await this.validate_connection();
@@ -402,49 +777,76 @@ export class ClaudeCodeCLIAdapter {
         return;
       }
 
-      const prompt = await this.format_prompt(request.messages || []);
+      const prompt_state = this.get_prompt_state(request);
+      const prompt = await this.format_prompt(request.messages || [], prompt_state);
       
       let accumulated_content = '';
-      const response_id = Date.now().toString();
+      let visible_content = '';
+      let response_id = create_response_id();
+      let chunk_count = 0;
       
       const response = await this.execute_claude_cli(prompt, {
         stream: true,
+        session_key: request.thread_key,
+        prompt_state,
+        messages: request.messages,
+        signal: controller.signal,
         chunk_handler: (chunk) => {
-          accumulated_content += chunk.content || '';
+          // adopt the CLI message id when it arrives before any content
+          if (chunk.delta?.type === 'message_start' && chunk.id && !chunk_count) response_id = chunk.id;
+          if (!chunk.content) return;
+          chunk_count++;
+          accumulated_content += chunk.content;
+          // tool call blocks are returned as tool_calls, not shown as text
+          const visible = prompt_state.tools ? strip_tool_markup(accumulated_content) : accumulated_content;
+          const content = visible.slice(visible_content.length);
+          if (!content) return;
+          visible_content = visible;
           
           // Call the chunk handler if provided
           if (handlers.chunk) {
             handlers.chunk({
               id: response_id,
-              content: chunk.content || '',
+              content,
               role: 'assistant',
-              delta: { content: chunk.content || '' }
+              delta: { ...(chunk.delta || { type: 'text' }), content },
+              choices: [{
+                message: {
+                  content: visible_content,
+                  role: 'assistant'
+                }
+              }]
             });
           }
         }
       });
+      if (response?.error) throw response.error;
 
       // Call done handler with final response
       if (handlers.done) {
+        const { content, tool_calls } = extract_tool_calls(
+          { content: accumulated_content, tool_calls: response?.tool_calls },
+          prompt_state.tools
+        );
         handlers.done({
           id: response_id,
-          content: accumulated_content,
+          content,
           role: 'assistant',
           model: 'claude-code-cli',
           choices: [{
             message: {
-              content: accumulated_content,
-              role: 'assistant'
+              content,
+              role: 'assistant',
+              ...(tool_calls ? { tool_calls } : {}),
+              ...(prompt_state.context_pack ? { context_pack: prompt_state.context_pack } : {})
             }
           }],
-          usage: {
-            prompt_tokens: prompt.length / 4,
-            completion_tokens: accumulated_content.length / 4,
-            total_tokens: (prompt.length + accumulated_content.length) / 4
-          }
+          usage: this.build_usage(prompt, accumulated_content, response)
         });
       }
     } catch (error) {
+      // chunks already delivered stay with the caller
+      if (is_abort_error(error)) return;
       console.error('Claude Code CLI streaming error:', error);
       new Notice('Claude Code CLI streaming error: ' + error.message);
       
@@ -454,9 +856,33 @@ export class ClaudeCodeCLIAdapter {
           content: "I apologize, but I encountered an error while streaming your request. Please try again."
         });
       }
+    } finally {
+      this.active_controllers.delete(controller);
     }
   }
 
+  /**
+   * Creates the controller for one request; it follows the caller's signal and is aborted
+   * by `stop_stream()`.
+   * @param {AbortSignal} [signal] - Caller's signal
+   * @returns {AbortController}
+   */
+  create_request_controller(signal) {
+    const controller = new AbortController();
+    if (signal?.aborted) controller.abort();
+    else signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    this.active_controllers.add(controller);
+    return controller;
+  }
+
+  /**
+   * Stops every in-flight request, killing its CLI process.
+   */
+  stop_stream() {
+    this.active_controllers.forEach(controller => controller.abort());
+    this.active_controllers.clear();
+  }
+
   /**
    * Get available models (for settings UI)
    * @returns {Array<Object>} Array of model configurations
@@ -477,13 +903,13 @@ export class ClaudeCodeCLIAdapter {
    */
   async test_connection() {
     try {
-      const is_available = await this.validate_connection();
+      const is_available = await this.validate_connection({ force: true });
       
       if (is_available) {
         new Notice('✅ Claude Code CLI is available and ready');
         return true;
       } else {
-        new Notice('❌ Claude Code CLI not found. Please install claude CLI and ensure it\'s in your PATH.');
+        new Notice('❌ Claude Code CLI not found. Please install claude CLI and ensure it\'s in your PATH, or set the CLI path in settings.');
         return false;
       }
     } catch (error) {
@@ -496,7 +922,8 @@ export class ClaudeCodeCLIAdapter {
    * Cleanup method to be called when adapter is destroyed
    */
   cleanup() {
-    // Any cleanup logic if needed
+    this.stop_stream();
+    this._session_manager?.close_all();
     console.log('Claude Code CLI adapter cleaned up');
   }
 }
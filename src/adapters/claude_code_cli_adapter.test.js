@@ -1,5 +1,6 @@
 import test from 'ava';
 import { EventEmitter } from 'events';
+import { create_abort_error } from './claude_cli_session_manager.js';
 
 // Wait for dynamic import to complete
 let ClaudeCodeCLIAdapter;
@@ -144,17 +145,65 @@ test('ClaudeCodeCLIAdapter initialization with default values', t => {
 
 test('ClaudeCodeCLIAdapter initialization with custom config', t => {
   const customConfig = {
-    timeout: 90000,
-    max_retries: 5,
-    base_delay: 2000
+    claude_code_cli: {
+      timeout: 90000,
+      max_retries: 5,
+      base_delay: 2000
+    }
   };
   const mockModel = new MockSmartChatModel({ config: customConfig });
   const adapter = new ClaudeCodeCLIAdapter(mockModel);
   
-  t.is(adapter.timeout, 60000); // Should use adapter's default, not config
-  t.is(adapter.max_retries, 3); // Should use adapter's default, not config
-  t.is(adapter.base_delay, 1000); // Should use adapter's default, not config
-  t.deepEqual(adapter.config, customConfig); // But config should be stored
+  t.is(adapter.timeout, 90000); // Read from the claude_code_cli settings block
+  t.is(adapter.max_retries, 5);
+  t.is(adapter.base_delay, 2000);
+  t.deepEqual(adapter.config.claude_code_cli, customConfig.claude_code_cli);
+});
+
+test('adapter reads launch settings live from chat model settings', t => {
+  const mockModel = new MockSmartChatModel();
+  mockModel.settings = { claude_code_cli: { timeout: 30000 } };
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  t.is(adapter.timeout, 30000);
+  
+  mockModel.settings.claude_code_cli.timeout = 45000;
+  mockModel.settings.claude_code_cli.model = 'opus';
+  mockModel.settings.claude_code_cli.args = '--add-dir "/notes/shared"';
+  t.is(adapter.timeout, 45000);
+  t.deepEqual(adapter.get_cli_args({}), ['-p', '--output-format', 'json', '--model', 'opus', '--add-dir', '/notes/shared']);
+  
+  adapter.timeout = 100; // explicit assignment still wins
+  t.is(adapter.timeout, 100);
+});
+
+test('adapter applies the override for the current vault', t => {
+  const mockModel = new MockSmartChatModel();
+  mockModel.env.main = { app: { vault: { getName: () => 'Work' } } };
+  mockModel.settings = {
+    claude_code_cli: {
+      command: 'claude',
+      vault_overrides: { Work: { command: '/opt/claude/bin/claude', cwd: '/work' } }
+    }
+  };
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  t.is(adapter.launch_profile.command, '/opt/claude/bin/claude');
+  t.is(adapter.launch_profile.cwd, '/work');
+});
+
+test('session manager is recreated when the launch profile changes', t => {
+  const mockModel = new MockSmartChatModel();
+  mockModel.settings = { claude_code_cli: { command: '/usr/local/bin/claude' } };
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  const first = adapter.session_manager;
+  t.is(first.command, '/usr/local/bin/claude');
+  t.is(adapter.session_manager, first);
+  
+  mockModel.settings.claude_code_cli.model = 'sonnet';
+  const second = adapter.session_manager;
+  t.not(second, first);
+  t.true(second.args.includes('--model'));
+  t.true(second.args.includes('--input-format'));
 });
 
 test('models property returns correct structure', t => {
@@ -246,21 +295,90 @@ test('gather_context handles missing active note', async t => {
   t.true(context.includes('## Related Content from Vault:'));
 });
 
-test('gather_context truncates long content appropriately', async t => {
-  const mockModel = new MockSmartChatModel();
+test('gather_context truncates long content to the token budget', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noActiveNote: true } });
   // Override search to return long content
   mockModel.env.smart_sources.search = async () => [{
     item: {
       path: 'long/note.md',
-      content: 'A'.repeat(1000) // Exactly 1000 characters
+      content: 'word '.repeat(1000)
     }
   }];
   
   const adapter = new ClaudeCodeCLIAdapter(mockModel);
-  const context = await adapter.gather_context('test query');
+  const state = {};
+  const context = await adapter.gather_context('test query', { budget: 200, state });
+  
+  t.true(context.includes('### 1. long/note.md'));
+  t.true(context.endsWith('...'));
+  t.true(context.length < 'word '.repeat(300).length);
+  t.is(state.context_pack.blocks.length, 1);
+  t.true(state.context_pack.blocks[0].truncated);
+  t.true(state.context_pack.tokens <= 200);
+});
+
+test('gather_context ranks blocks and records which went in', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noActiveNote: true } });
+  mockModel.env.smart_sources.search = async () => [
+    { item: { path: 'garden.md', content: '# Tomatoes\nWater tomatoes daily.\n# Roses\nPrune roses in spring.' }, score: 0.9 },
+    { item: { path: 'other.md', content: 'Unrelated text.' }, score: 0.6 }
+  ];
+  
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  const state = {};
+  const context = await adapter.gather_context('water tomatoes', { state });
+  
+  t.true(context.indexOf('garden.md#Tomatoes') < context.indexOf('garden.md#Roses'));
+  t.deepEqual(state.context_pack.blocks.map(b => b.key), ['garden.md#Tomatoes', 'other.md', 'garden.md#Roses']);
+  t.false('content' in state.context_pack.blocks[0]);
+});
+
+test('format_prompt trims oldest history to the history budget and records usage', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  mockModel.settings = { claude_code_cli: { token_budget: 1000, context_percent: 50 } };
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  const messages = [
+    { role: 'user', content: 'old '.repeat(600) },
+    { role: 'assistant', content: 'older answer' },
+    { role: 'user', content: 'Latest question?' }
+  ];
+  const state = {};
+  const prompt = await adapter.format_prompt(messages, state);
+  
+  t.false(prompt.includes('old old old'));
+  t.true(prompt.includes('1 earlier messages omitted'));
+  t.true(prompt.includes('### Assistant 2:'));
+  t.true(prompt.includes('### Human 3:'));
+  t.deepEqual(state.context_pack.budget, { total: 1000, context: 500, history: 500 });
+  t.deepEqual(state.context_pack.history, { included: 2, omitted: 1 });
+});
+
+test('complete attaches the context pack to the assistant message', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noActiveNote: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  adapter.validate_connection = async () => true;
+  adapter.execute_claude_cli = async () => ({ content: 'Answer' });
   
-  t.true(context.includes('A'.repeat(500) + '...'));
-  t.false(context.includes('A'.repeat(600)));
+  const response = await adapter.complete({ messages: [{ role: 'user', content: 'test' }] });
+  const pack = response.choices[0].message.context_pack;
+  t.truthy(pack);
+  t.deepEqual(pack.blocks.map(b => b.key), ['test/note.md', 'another/note.md']);
+});
+
+test('format_prompt labels a summary message and can skip vault context', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  const messages = [
+    { role: 'system', content: [{ type: 'text', text: 'Summary of the earlier conversation (4 messages):\n\n- tomatoes' }] },
+    { role: 'user', content: 'And the roses?' }
+  ];
+  const prompt = await adapter.format_prompt(messages, { vault_context: false });
+  
+  t.true(prompt.includes('### System 1:'));
+  t.true(prompt.includes('### Human 2:'));
+  t.false(prompt.includes('## Vault Context:'));
 });
 
 test('gather_context handles missing env gracefully', async t => {
@@ -679,9 +797,37 @@ test('complete method estimates token usage when not provided', async t => {
   
   t.truthy(response.usage);
   t.true(response.usage.prompt_tokens > 0);
-  t.true(response.usage.completion_tokens > 0);
+  t.is(response.usage.completion_tokens, 2); // 'Short', ' response': counted, not length / 4
   t.true(response.usage.total_tokens > 0);
   t.is(response.usage.total_tokens, response.usage.prompt_tokens + response.usage.completion_tokens);
+  t.true(Number.isInteger(response.usage.prompt_tokens));
+  t.is(response.usage.source, 'estimate');
+});
+
+test('complete method converts CLI-reported usage, model and cost', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+
+  adapter.validate_connection = async () => true;
+  adapter.execute_claude_cli = async () => ({
+    id: 'test-id',
+    content: 'Short response',
+    usage: { input_tokens: 4, cache_read_input_tokens: 1200, cache_creation_input_tokens: 300, output_tokens: 25 },
+    model_name: 'claude-sonnet',
+    cost_usd: 0.0123,
+  });
+
+  const response = await adapter.complete({ messages: [{ role: 'user', content: 'Test' }] });
+
+  t.deepEqual(response.usage, {
+    prompt_tokens: 1504,
+    completion_tokens: 25,
+    total_tokens: 1529,
+    source: 'cli',
+    model: 'claude-sonnet',
+    cost_usd: 0.0123,
+  });
+  t.is(response.model, 'claude-code-cli');
 });
 
 // ============================================================================
@@ -913,3 +1059,266 @@ test('stream method handles missing request messages', async t => {
   // The accumulated content should match what was built from chunks
   t.is(doneResponse.content, 'Response to empty messages');
 });
+
+// ============================================================================
+// PERSISTENT SESSIONS AND AVAILABILITY CACHE
+// ============================================================================
+
+test('validate_connection caches availability until forced', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  let checks = 0;
+  adapter.check_cli_available = async () => {
+    checks++;
+    return true;
+  };
+  
+  t.true(await adapter.validate_connection());
+  t.true(await adapter.validate_connection());
+  t.is(checks, 1);
+  
+  await adapter.validate_connection({ force: true });
+  t.is(checks, 2);
+  
+  adapter.availability_ttl = 0;
+  await adapter.validate_connection();
+  t.is(checks, 3);
+});
+
+test('execute_claude_cli routes thread requests through the session manager', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  const sent = [];
+  const session = {
+    history: [],
+    can_continue: () => false,
+    send: async (prompt, options) => {
+      sent.push({ prompt, options });
+      return { id: 'session-response', content: 'From session', role: 'assistant' };
+    }
+  };
+  adapter._session_manager = { acquire: () => session, close_all: () => {} };
+  adapter.spawn_claude_process = async () => t.fail('Should not spawn a one-shot process');
+  
+  const response = await adapter.execute_claude_cli('full prompt', { session_key: 'thread-1', messages: [] });
+  
+  t.is(response.content, 'From session');
+  t.is(sent.length, 1);
+  t.is(sent[0].prompt, 'full prompt');
+});
+
+test('send_to_session only sends new messages to a continuing session', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  const messages = [
+    { role: 'user', content: 'First question' },
+    { role: 'assistant', content: 'First answer' },
+    { role: 'user', content: 'Second question' }
+  ];
+  let sent_prompt = null;
+  const session = {
+    history: ['first'],
+    can_continue: () => true,
+    get_new_messages: (msgs) => msgs.slice(2),
+    send: async (prompt) => {
+      sent_prompt = prompt;
+      return { content: 'ok' };
+    }
+  };
+  adapter._session_manager = { acquire: () => session, close_all: () => {} };
+  
+  await adapter.send_to_session('full prompt', { session_key: 'thread-1', messages });
+  
+  t.true(sent_prompt.includes('### Human 3:'));
+  t.true(sent_prompt.includes('Second question'));
+  t.false(sent_prompt.includes('First question'));
+});
+
+test('format_prompt flattens content part arrays', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  const prompt = await adapter.format_prompt([
+    { role: 'user', content: [{ type: 'text', text: 'Part one' }, { type: 'text', text: 'Part two' }] }
+  ]);
+  
+  t.true(prompt.includes('Part one\nPart two'));
+  t.false(prompt.includes('[object Object]'));
+});
+
+test('cleanup closes persistent sessions', t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  
+  let closed = false;
+  adapter._session_manager = { close_all: () => { closed = true; } };
+  adapter.cleanup();
+  t.true(closed);
+});
+
+test('stream chunks share one id and carry accumulated choices', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  adapter.validate_connection = async () => true;
+  adapter.execute_claude_cli = async (prompt, options) => {
+    options.chunk_handler({ id: 'msg_01', content: '', role: 'assistant', delta: { type: 'message_start', id: 'msg_01' } });
+    options.chunk_handler({ id: null, content: 'Hel', role: 'assistant', delta: { type: 'text', text: 'Hel' } });
+    options.chunk_handler({ id: null, content: 'lo', role: 'assistant', delta: { type: 'text', text: 'lo' } });
+    return { content: 'Hello' };
+  };
+
+  const chunks = [];
+  let done_response;
+  await adapter.stream({ messages: [{ role: 'user', content: 'Hi' }] }, {
+    chunk: (chunk) => chunks.push(chunk),
+    done: (response) => { done_response = response; },
+  });
+
+  t.is(chunks.length, 2);
+  t.true(chunks.every(chunk => chunk.id === 'msg_01'));
+  t.is(chunks[1].choices[0].message.content, 'Hello');
+  t.is(done_response.id, 'msg_01');
+  t.is(done_response.content, 'Hello');
+});
+
+const LOOKUP_TOOL = {
+  type: 'function',
+  function: { name: 'lookup', description: 'Semantic search', parameters: { type: 'object', properties: { hypotheticals: { type: 'object' } } } }
+};
+
+test('complete sends tools in the prompt and returns parsed tool_calls', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  adapter.validate_connection = async () => true;
+  let sent_prompt;
+  adapter.execute_claude_cli = async (prompt) => {
+    sent_prompt = prompt;
+    return { content: 'Let me search.\n<tool_call name="lookup">{"hypotheticals": {"1": "garden"}}</tool_call>' };
+  };
+
+  const response = await adapter.complete({
+    messages: [{ role: 'user', content: 'Based on my notes, what grows well?' }],
+    tools: [LOOKUP_TOOL],
+    tool_choice: { type: 'function', function: { name: 'lookup' } },
+  });
+
+  t.true(sent_prompt.includes('## Tools'));
+  t.true(sent_prompt.includes('### lookup'));
+  t.true(sent_prompt.includes('You must call `lookup` now'));
+  const message = response.choices[0].message;
+  t.is(message.content, 'Let me search.');
+  t.is(message.tool_calls.length, 1);
+  t.is(message.tool_calls[0].function.name, 'lookup');
+  t.deepEqual(JSON.parse(message.tool_calls[0].function.arguments), { hypotheticals: { '1': 'garden' } });
+  t.truthy(message.tool_calls[0].id);
+});
+
+test('stream hides tool call markup and reports tool_calls when done', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  adapter.validate_connection = async () => true;
+  adapter.execute_claude_cli = async (prompt, options) => {
+    ['Searching', ' now <tool_', 'call name="lookup">{"hypotheticals": ', '["x"]}</tool_call>'].forEach(text => {
+      options.chunk_handler({ id: null, content: text, role: 'assistant', delta: { type: 'text', text } });
+    });
+    return { content: '' };
+  };
+
+  const chunks = [];
+  let done_response;
+  await adapter.stream({ messages: [{ role: 'user', content: 'Hi' }], tools: [LOOKUP_TOOL] }, {
+    chunk: (chunk) => chunks.push(chunk),
+    done: (response) => { done_response = response; },
+  });
+
+  t.false(chunks.some(chunk => chunk.content.includes('<')));
+  t.is(chunks[chunks.length - 1].choices[0].message.content, 'Searching now ');
+  t.is(done_response.choices[0].message.content, 'Searching now');
+  t.is(done_response.choices[0].message.tool_calls[0].function.name, 'lookup');
+});
+
+test('format_history renders tool calls and tool results', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+
+  const parts = adapter.format_history([
+    { role: 'user', content: 'Based on my notes?' },
+    { role: 'assistant', tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'lookup', arguments: '{"hypotheticals":["x"]}' } }] },
+    { role: 'tool', tool_call_id: 'toolu_1', content: [{ type: 'text', text: 'garden.md (relevance score: 0.9)' }] },
+  ]);
+
+  t.is(parts[2], '### Assistant 2:');
+  t.is(parts[3], '<tool_call name="lookup">{"hypotheticals":["x"]}</tool_call>');
+  t.is(parts[4], '### Tool Result 3:');
+  t.is(parts[5], 'garden.md (relevance score: 0.9)');
+});
+
+test('stop_stream aborts an in-flight stream without calling done or error', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  adapter.validate_connection = async () => true;
+  adapter.execute_claude_cli = (prompt, options) => new Promise((resolve, reject) => {
+    options.chunk_handler({ id: null, content: 'Partial', role: 'assistant', delta: { type: 'text', text: 'Partial' } });
+    options.signal.addEventListener('abort', () => reject(create_abort_error()));
+  });
+
+  const chunks = [];
+  let done_called = false;
+  let error_called = false;
+  const streaming = adapter.stream({ messages: [{ role: 'user', content: 'Hi' }] }, {
+    chunk: (chunk) => chunks.push(chunk),
+    done: () => { done_called = true; },
+    error: () => { error_called = true; },
+  });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  adapter.stop_stream();
+  await streaming;
+
+  t.is(chunks.length, 1);
+  t.false(done_called);
+  t.false(error_called);
+  t.is(adapter.active_controllers.size, 0);
+});
+
+test('complete returns an aborted response when the request signal is aborted', async t => {
+  const mockModel = new MockSmartChatModel({ envOptions: { noSearchResults: true } });
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  adapter.validate_connection = async () => true;
+  let attempts = 0;
+  adapter.spawn_claude_process = async () => {
+    attempts++;
+    throw new Error('Transient failure');
+  };
+  adapter.base_delay = 1000;
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+
+  const started = Date.now();
+  const response = await adapter.complete({ messages: [{ role: 'user', content: 'Hi' }], signal: controller.signal });
+
+  t.true(response.aborted);
+  t.is(attempts, 1); // the backoff wait is cut short and no retry follows
+  t.true(Date.now() - started < 900);
+});
+
+test('build_cli_response parses JSON output and rejects error results', async t => {
+  const mockModel = new MockSmartChatModel();
+  const adapter = new ClaudeCodeCLIAdapter(mockModel);
+  const { ClaudeCliStreamParser } = await import('./claude_cli_stream_parser.js');
+
+  const json_output = JSON.stringify({ type: 'result', result: 'Answer', session_id: 's', usage: { output_tokens: 1 } });
+  const parser = new ClaudeCliStreamParser();
+  parser.push(json_output);
+  parser.flush();
+  const response = adapter.build_cli_response(parser, json_output);
+  t.is(response.content, 'Answer');
+  t.deepEqual(response.usage, { output_tokens: 1 });
+  t.truthy(response.id);
+
+  const error_parser = new ClaudeCliStreamParser();
+  error_parser.push(JSON.stringify({ type: 'result', is_error: true, result: 'Overloaded' }) + '\n');
+  t.throws(() => adapter.build_cli_response(error_parser, ''), { message: 'Overloaded' });
+});
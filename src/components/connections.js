@@ -1,6 +1,8 @@
 import { StoryModal } from 'obsidian-smart-env/modals/story.js';
 import { SmartNoteInspectModal } from "obsidian-smart-env/views/source_inspector.js";
 import { ConnectionsFilterModal } from '../modals/connections_filter.js';
+import { cos_sim } from 'smart-utils/cos_sim.js';
+import { apply_pinned_connections, get_pinned_connections } from '../utils/pinned_connections.js';
 
 function build_top_bar_buttons(view_env, opts = {}) {
   const connections_settings = opts.connections_settings
@@ -60,10 +62,16 @@ export async function post_process(entity, container, opts = {}) {
 
   const render_results = async () => {
     const exclude_keys = Object.keys(entity.data.hidden_connections || {});
-    const results = await entity.find_connections({
+    const found = await entity.find_connections({
       exclude_keys,
       ...(opts.filter || {}),
     });
+    // feedback from earlier interactions adjusts the order; pinned connections still come first
+    const reranked = await plugin?.connection_feedback?.rerank(entity.key, found, connections_settings) ?? found;
+    const results = apply_pinned_connections(reranked, get_pinned_connections(entity.data), {
+      get_item: (key) => (key.includes('#') ? entity.env.smart_blocks : entity.env.smart_sources).get(key),
+      get_score: (item) => (entity.vec && item.vec ? cos_sim(entity.vec, item.vec) : undefined),
+    });
 
     const results_frag = await entity.env.render_component(
       'connections_results',
@@ -73,6 +81,7 @@ export async function post_process(entity, container, opts = {}) {
 
     this.empty(list_el);
     Array.from(results_frag.children).forEach((el) => list_el.appendChild(el));
+    list_el.appendChild(await entity.env.render_component('related_chats', entity, opts));
 
     /* update context labels */
     header_ctx.innerText = entity.path.split('/').pop();
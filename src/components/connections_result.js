@@ -1,8 +1,11 @@
 import { Keymap, Menu, Notice } from 'obsidian';
 import { register_block_hover_popover } from 'obsidian-smart-env/utils/register_block_hover_popover.js';
 import { handle_drag_result } from '../utils/drag.js';
+import { escape_html } from 'smart-utils/index.js';
 import { get_block_display_name } from 'smart-blocks/utils/get_block_display_name.js';
 import { get_item_display_name } from 'smart-collections/utils/get_item_display_name.js';
+import { ManageConnectionsModal } from '../modals/manage_connections.js';
+import { pin_connection, unpin_connection, hide_connection } from '../utils/pinned_connections.js';
 
 /**
  * Builds the HTML string for the result component.
@@ -18,7 +21,7 @@ export async function build_html(result, opts = {}) {
   
   return `<div class="temp-container">
     <div
-      class="sc-result sc-collapsed"
+      class="sc-result sc-collapsed${result.pinned ? ' sc-result-pinned' : ''}"
       data-path="${item.path.replace(/"/g, '&quot;')}"
       data-link="${item.link?.replace(/"/g, '&quot;') || ''}"
       data-collection="${item.collection_key}"
@@ -29,8 +32,12 @@ export async function build_html(result, opts = {}) {
       <span class="header">
         ${this.get_icon_html('right-triangle')}
         <a class="sc-result-file-title" href="#" title="${item.path.replace(/"/g, '&quot;')}" draggable="true">
-          <small>${[score?.toFixed(2), display_name].join(' | ')}</small>
+          <small>${[score?.toFixed(2), display_name].filter(Boolean).join(' | ')}</small>
         </a>
+        ${build_pin_html.call(this, result)}
+        ${build_feedback_html(result)}
+        ${build_signals_html(result)}
+        ${build_top_query_html(result)}
       </span>
       <ul draggable="true">
         <li class="sc-result-file-title" title="${item.path.replace(/"/g, '&quot;')}" data-collection="${item.collection_key}" data-key="${item.key}"></li>
@@ -86,6 +93,12 @@ export async function post_process(result_scope, frag, opts = {}) {
     _result_elm.classList.toggle('sc-collapsed');
   };
 
+  // interactions are relevance feedback for the note the connections are shown for
+  const record_feedback = (signal) => {
+    const source_key = result_elm.closest('.sc-list')?.dataset.key;
+    if (source_key) plugin.connection_feedback?.record(source_key, item.key, signal);
+  };
+
   const handle_result_click = (event) => {
     event.preventDefault();
     event.stopPropagation();
@@ -99,11 +112,13 @@ export async function post_process(result_scope, frag, opts = {}) {
     const link = _result_elm.dataset.link || _result_elm.dataset.path;
     if (_result_elm.classList.contains('sc-collapsed')) {
       if (Keymap.isModEvent(event)) {
+        record_feedback('open');
         plugin.open_note(link, event);
       } else {
         toggle_result(_result_elm);
       }
     } else {
+      record_feedback('open');
       plugin.open_note(link, event);
     }
   };
@@ -112,6 +127,7 @@ export async function post_process(result_scope, frag, opts = {}) {
 
   const key = result_elm.querySelector('li').dataset.key;
   result_elm.addEventListener('dragstart', (event) => {
+    record_feedback('drag');
     handle_drag_result(app, event, key);
   });
 
@@ -162,43 +178,57 @@ export async function post_process(result_scope, frag, opts = {}) {
     ;
     const curr_item = curr_collection.get(curr_key);
     if(!curr_item) return;
+    const refresh_results = () => result_elm.closest('.sc-connections-view')?.querySelector('[title="Refresh"]')?.click();
+    const update_connections = (change, error_message) => {
+      try {
+        change();
+        curr_item.queue_save();
+        curr_item.collection.save();
+      } catch (err) {
+        new Notice(`${error_message} – check console`);
+        console.error(err);
+      }
+    };
     const menu = new Menu(app);
+    const is_pinned = !!curr_item.data.pinned_connections?.[result_elm.dataset.key];
+    menu.addItem((menu_item) => {
+      menu_item
+        .setTitle(`${is_pinned ? 'Unpin' : 'Pin'} ${get_item_name(item, opts)}`)
+        .setIcon(is_pinned ? 'pin-off' : 'pin')
+        .onClick(() => {
+          update_connections(() => {
+            if (is_pinned) unpin_connection(curr_item.data, result_elm.dataset.key);
+            else {
+              pin_connection(curr_item.data, result_elm.dataset.key);
+              record_feedback('pin');
+            }
+          }, is_pinned ? 'Unpin failed' : 'Pin failed');
+          refresh_results();
+        })
+      ;
+    });
     menu.addItem((menu_item) => {
       menu_item
         .setTitle(`Hide ${get_item_name(item, opts)}`)
         .setIcon('eye-off')
         .onClick(() => {
-          try {
-            if(!curr_item.data.hidden_connections) curr_item.data.hidden_connections = {};
-            curr_item.data.hidden_connections[result_elm.dataset.key] = Date.now();
-            curr_item.queue_save();
-            result_elm.style.display = 'none'; // hide the result element
-            curr_item.collection.save();
-          } catch (err) {
-            new Notice('Hide failed – check console');
-            console.error(err);
-          }
+          update_connections(() => hide_connection(curr_item.data, result_elm.dataset.key), 'Hide failed');
+          record_feedback('hide');
+          result_elm.style.display = 'none'; // hide the result element
         })
       ;
     });
     // separator
     menu.addSeparator();
-    // unhide-all
+    // pinned and hidden connections of the current item
+    const pinned_count = Object.keys(curr_item.data.pinned_connections || {}).length;
+    const hidden_count = Object.keys(curr_item.data.hidden_connections || {}).length;
     menu.addItem((menu_item) => {
       menu_item
-        .setTitle(`Unhide All (${Object.keys(curr_item.data.hidden_connections || {}).length})`)
-        .setIcon('eye')
+        .setTitle(`Manage pinned (${pinned_count}) and hidden (${hidden_count})…`)
+        .setIcon('list-checks')
         .onClick(() => {
-          try {
-            if(!curr_item.data.hidden_connections) return;
-            delete curr_item.data.hidden_connections;
-            curr_item.queue_save();
-            result_elm.closest('.sc-connections-view')?.querySelector('[title="Refresh"]')?.click(); // refresh the results
-            curr_item.collection.save();
-          } catch (err) {
-            new Notice('Unhide failed – check console');
-            console.error(err);
-          }
+          new ManageConnectionsModal(app, curr_item, { on_change: refresh_results }).open();
         })
       ;
     });
@@ -228,6 +258,61 @@ export function process_for_rendering(content) {
   return content;
 }
 
+/**
+ * Pin marker of a pinned connection; its note is shown on hover.
+ * @param {Object} result - Result from apply_pinned_connections
+ * @returns {string} HTML ('' when not pinned)
+ */
+function build_pin_html(result) {
+  if (!result.pinned) return '';
+  const title = escape_html(result.pin_note || 'Pinned');
+  return `<span class="sc-result-pin" title="${title}">${this.get_icon_html('pin')}</span>`;
+}
+
+/**
+ * Marker of a connection moved by feedback re-ranking, with the similarity before adjusting.
+ * @param {Object} result - Result from rerank_connections
+ * @returns {string} HTML ('' when not adjusted)
+ */
+function build_feedback_html(result) {
+  if (!result.feedback_adjustment) return '';
+  const direction = result.feedback_adjustment > 0 ? 'up' : 'down';
+  const title = `Adjusted by your feedback: similarity ${result.raw_score.toFixed(2)}, ${result.feedback_adjustment > 0 ? '+' : ''}${result.feedback_adjustment.toFixed(2)}`;
+  return `<small class="sc-result-adjusted sc-result-adjusted-${direction}" title="${title}">adjusted</small>`;
+}
+
+/**
+ * Badge naming the ranking(s) that matched a keyword or hybrid lookup result.
+ * @param {Object} result - Result from hybrid_lookup
+ * @returns {string} HTML ('' for semantic-only lookups)
+ */
+function build_signals_html(result) {
+  const signals = Object.keys(result.signals || {});
+  if (!signals.length) return '';
+  const label = signals.length > 1 ? 'both' : signals[0];
+  const title = signals
+    .map(signal => `${signal}: #${result.signals[signal].rank} (${result.signals[signal].score?.toFixed(2)})`)
+    .join('\n')
+  ;
+  return `<small class="sc-result-signal sc-result-signal-${label}" title="${title}">${label}</small>`;
+}
+
+/**
+ * Names the query line that contributed most to a weighted lookup result.
+ * @param {Object} result - Result from weighted_lookup
+ * @returns {string} HTML ('' for single-query results)
+ */
+function build_top_query_html(result) {
+  const top_query = result.top_query;
+  if (!top_query || !(result.query_scores?.length > 1)) return '';
+  const text = escape_html(top_query.text);
+  const details = escape_html(result.query_scores
+    .map(query => `${query.weight}: ${query.text} (${query.score.toFixed(2)})`)
+    .join('\n')
+  );
+  return `<small class="sc-result-top-query" title="${details}">${text}</small>`;
+}
+
 function get_item_name(item, opts) {
   const get_display_name = item.key.includes('#')
     ? get_block_display_name
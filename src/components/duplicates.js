@@ -0,0 +1,233 @@
+/**
+ * @module components/duplicates
+ * @description "Duplicates" report: clusters of notes or blocks whose vectors are nearly the same,
+ * with a side by side diff and, for notes, merging the others into the one that is kept.
+ */
+
+import { Notice } from 'obsidian';
+import { SmartNoteInspectModal } from "obsidian-smart-env/views/source_inspector.js";
+import { escape_html } from 'smart-utils/index.js';
+import { cluster_duplicates, diff_lines } from '../utils/duplicates.js';
+import { MergeDuplicatesModal } from '../modals/merge_duplicates.js';
+
+const CONNECTIONS_PER_ITEM = 10;
+const YIELD_EVERY = 20; // items scanned between UI updates
+
+/**
+ * Report settings (`env.settings.duplicates`) with defaults.
+ * @param {Object} env - Smart environment
+ * @returns {Object} { threshold, scope: 'sources'|'blocks', archive_folder }
+ */
+export function get_duplicates_settings(env) {
+  if (!env.settings.duplicates) env.settings.duplicates = {};
+  const settings = env.settings.duplicates;
+  if (typeof settings.threshold !== 'number') settings.threshold = 0.95;
+  if (!['sources', 'blocks'].includes(settings.scope)) settings.scope = 'sources';
+  if (!settings.archive_folder) settings.archive_folder = 'Archive/Duplicates';
+  return settings;
+}
+
+/**
+ * Builds the HTML string for the report.
+ * @param {Object} env - Smart environment
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string
+ */
+export function build_html(env, opts = {}) {
+  const settings = get_duplicates_settings(env);
+  return `<div id="sc-duplicates-view">
+    <div class="sc-container">
+      <h2>Duplicates</h2>
+      <p>Notes or blocks whose embeddings are nearly the same. Compare them side by side, or keep one note and merge the others into it: blocks only they have are moved into the kept note, links to them are redirected and they are moved to "${escape_html(settings.archive_folder)}".</p>
+      <div class="sc-duplicates-controls">
+        <label>Similarity <input type="number" class="sc-duplicates-threshold" min="0" max="1" step="0.01" value="${settings.threshold}"></label>
+        <label>Compare
+          <select class="sc-duplicates-scope">
+            <option value="sources"${settings.scope === 'sources' ? ' selected' : ''}>notes</option>
+            <option value="blocks"${settings.scope === 'blocks' ? ' selected' : ''}>blocks</option>
+          </select>
+        </label>
+        <button class="sc-duplicates-scan">${this.get_icon_html('search')} Scan vault</button>
+      </div>
+      <p class="sc-duplicates-status"></p>
+    </div>
+    <div class="sc-duplicates-list"></div>
+    <div class="sc-bottom-bar">
+      ${opts.attribution || ''}
+    </div>
+  </div>`;
+}
+
+/**
+ * Builds the HTML string for one cluster. The first item is the one the others are compared with.
+ * @param {Object} cluster - { keys, score } from `cluster_duplicates`
+ * @param {string} scope - 'sources' or 'blocks'
+ * @returns {string} HTML string
+ */
+export function build_cluster_html(cluster, scope) {
+  const [base_key] = cluster.keys;
+  return `<div class="sc-duplicate-cluster">
+    <div class="sc-duplicate-cluster-header">
+      ${cluster.keys.length} ${scope === 'blocks' ? 'blocks' : 'notes'} <small>up to ${cluster.score.toFixed(2)}</small>
+    </div>
+    <ul>
+      ${cluster.keys.map(key => `
+        <li class="sc-duplicate" data-key="${escape_html(key)}">
+          <a href="#" class="sc-duplicate-name" title="Open">${escape_html(key)}</a>
+          <span class="sc-duplicate-actions">
+            ${key === base_key ? '' : `<button data-action="compare" title="Compare with ${escape_html(base_key)}">${this.get_icon_html('diff')}</button>`}
+            <button data-action="inspect" title="Inspect">${this.get_icon_html('info')}</button>
+            ${scope === 'sources' ? `<button data-action="keep" title="Keep this note and merge the others into it">${this.get_icon_html('git-merge')}</button>` : ''}
+          </span>
+        </li>
+      `).join('')}
+    </ul>
+    <div class="sc-duplicate-diff"></div>
+  </div>`;
+}
+
+/**
+ * Builds the side by side diff of two items.
+ * @param {Array<Object>} rows - From `diff_lines`
+ * @param {string} left_key
+ * @param {string} right_key
+ * @returns {string} HTML string
+ */
+export function build_diff_html(rows, left_key, right_key) {
+  const cell = (text) => `<td>${text === undefined ? '' : escape_html(text) || '&nbsp;'}</td>`;
+  return `<table class="sc-duplicate-diff-table">
+    <thead><tr><th>${escape_html(left_key)}</th><th>${escape_html(right_key)}</th></tr></thead>
+    <tbody>
+      ${rows.map(row => `<tr class="sc-diff-${row.type}">${cell(row.left)}${cell(row.right)}</tr>`).join('')}
+    </tbody>
+  </table>`;
+}
+
+/**
+ * Renders the report.
+ * @async
+ * @param {Object} env - Smart environment
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered report
+ */
+export async function render(env, opts = {}) {
+  const frag = this.create_doc_fragment(build_html.call(this, env, opts));
+  return await post_process.call(this, env, frag, opts);
+}
+
+/**
+ * Wires the scan, the settings and the actions of each cluster.
+ * @async
+ * @param {Object} env - Smart environment
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(env, frag, opts = {}) {
+  const plugin = env.smart_connections_plugin;
+  const settings = get_duplicates_settings(env);
+  const list_el = frag.querySelector('.sc-duplicates-list');
+  const status_el = frag.querySelector('.sc-duplicates-status');
+  const scan_button = frag.querySelector('.sc-duplicates-scan');
+  let scope = settings.scope; // of the listed clusters
+
+  frag.querySelector('.sc-duplicates-threshold').addEventListener('change', (event) => {
+    const threshold = parseFloat(event.target.value);
+    if (!isNaN(threshold)) settings.threshold = threshold;
+  });
+  frag.querySelector('.sc-duplicates-scope').addEventListener('change', (event) => {
+    settings.scope = event.target.value;
+  });
+
+  scan_button.addEventListener('click', async () => {
+    scan_button.disabled = true;
+    this.empty(list_el);
+    scope = settings.scope;
+    try {
+      const clusters = await scan_duplicates(env, settings, (done, total) => {
+        status_el.textContent = `Scanning ${done}/${total} ${scope === 'blocks' ? 'blocks' : 'notes'}…`;
+      });
+      status_el.textContent = clusters.length
+        ? `${clusters.length} group${clusters.length === 1 ? '' : 's'} of duplicates.`
+        : 'No duplicates above the similarity threshold.'
+      ;
+      list_el.appendChild(this.create_doc_fragment(clusters.map(cluster => build_cluster_html.call(this, cluster, scope)).join('')));
+    } catch (error) {
+      console.error('Duplicates: scan failed', error);
+      status_el.textContent = 'Scan failed – check console.';
+    } finally {
+      scan_button.disabled = false;
+    }
+  });
+
+  list_el.addEventListener('click', async (event) => {
+    const item_el = event.target.closest('.sc-duplicate');
+    if (!item_el) return;
+    const cluster_el = item_el.closest('.sc-duplicate-cluster');
+    const keys = Array.from(cluster_el.querySelectorAll('.sc-duplicate')).map(elm => elm.dataset.key);
+    const { key } = item_el.dataset;
+    const collection = scope === 'blocks' ? env.smart_blocks : env.smart_sources;
+    if (event.target.closest('.sc-duplicate-name')) {
+      event.preventDefault();
+      plugin.open_note(key, event);
+      return;
+    }
+    const action = event.target.closest('button[data-action]')?.dataset.action;
+    try {
+      if (action === 'compare') {
+        const [left, right] = [collection.get(keys[0]), collection.get(key)];
+        if (!left || !right) return;
+        const diff_el = cluster_el.querySelector('.sc-duplicate-diff');
+        this.empty(diff_el);
+        diff_el.appendChild(this.create_doc_fragment(build_diff_html(diff_lines(await left.read(), await right.read()), left.key, right.key)));
+      } else if (action === 'inspect') {
+        const item = collection.get(key);
+        if (item) new SmartNoteInspectModal(plugin, item).open();
+      } else if (action === 'keep') {
+        new MergeDuplicatesModal(plugin.app, plugin.duplicate_merger, {
+          keep_key: key,
+          other_keys: keys.filter(other_key => other_key !== key),
+          on_merge: ({ moved_blocks, redirected_links, archived }) => {
+            new Notice(`Merged ${archived.length} note${archived.length === 1 ? '' : 's'}: ${moved_blocks} block${moved_blocks === 1 ? '' : 's'} moved, ${redirected_links} link${redirected_links === 1 ? '' : 's'} redirected.`);
+            cluster_el.remove();
+          },
+        }).open();
+      }
+    } catch (error) {
+      console.error('Duplicates: action failed', error);
+      new Notice('Duplicates: action failed – check console');
+    }
+  });
+
+  return frag;
+}
+
+/**
+ * Clusters the embedded notes or blocks by their closest connections.
+ * @async
+ * @param {Object} env - Smart environment
+ * @param {Object} settings - Report settings
+ * @param {Function} [on_progress] - Called with (scanned, total)
+ * @returns {Promise<Array<Object>>} Clusters from `cluster_duplicates`
+ */
+async function scan_duplicates(env, settings, on_progress = () => {}) {
+  const is_blocks = settings.scope === 'blocks';
+  const collection = is_blocks ? env.smart_blocks : env.smart_sources;
+  const items = Object.values(collection.items).filter(item => item.vec);
+  const neighbors = [];
+  for (let i = 0; i < items.length; i++) {
+    if (i % YIELD_EVERY === 0) {
+      on_progress(i, items.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    const item = items[i];
+    const results = await item.find_connections({
+      exclude_blocks_from_source_connections: !is_blocks,
+      limit: CONNECTIONS_PER_ITEM,
+    });
+    // notes are compared with notes, blocks with blocks
+    neighbors.push({ key: item.key, results: results.filter(result => result.item?.key?.includes('#') === is_blocks) });
+  }
+  on_progress(items.length, items.length);
+  return cluster_duplicates(neighbors, { threshold: settings.threshold });
+}
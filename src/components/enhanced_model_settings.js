@@ -4,6 +4,14 @@
  * Emphasizes local processing benefits and simplifies Claude Code CLI settings
  */
 
+import { escape_html } from 'smart-utils/index.js';
+import { validate_launch_settings } from '../adapters/claude_cli_launch_profile.js';
+
+/**
+ * Launch profile settings that can be overridden for a single vault
+ */
+export const VAULT_OVERRIDE_KEYS = ['command', 'args', 'model', 'cwd', 'env'];
+
 /**
  * Determines if an adapter runs locally (no external API required)
  */
@@ -46,6 +54,41 @@ export function generateStatusIndicator(adapter) {
  */
 export function getClaudeCodeCliSettings() {
   return {
+    command: {
+      name: 'CLI Path',
+      type: 'text',
+      description: 'Command name on your PATH or absolute path to the claude binary (e.g. a nvm/asdf shim)',
+      default: '',
+      placeholder: 'claude'
+    },
+    args: {
+      name: 'Extra Arguments',
+      type: 'text',
+      description: 'Additional CLI arguments, quoted like a shell (e.g. --add-dir "/My Notes")',
+      default: '',
+      placeholder: '--permission-mode plan'
+    },
+    model: {
+      name: 'Model',
+      type: 'text',
+      description: 'Passed as --model (alias like "sonnet" or a full model name). Leave empty for the CLI default',
+      default: '',
+      placeholder: 'sonnet'
+    },
+    cwd: {
+      name: 'Working Directory',
+      type: 'text',
+      description: 'Absolute directory the CLI runs in. Leave empty to inherit from Obsidian',
+      default: '',
+      placeholder: '/path/to/vault'
+    },
+    env: {
+      name: 'Environment Variables',
+      type: 'textarea',
+      description: 'One KEY=value per line, added to the CLI environment',
+      default: '',
+      placeholder: 'NODE_OPTIONS=--max-old-space-size=4096'
+    },
     timeout: {
       name: 'Request Timeout',
       type: 'number',
@@ -63,13 +106,40 @@ export function getClaudeCodeCliSettings() {
       min: 1,
       max: 5
     },
+    base_delay: {
+      name: 'Retry Delay',
+      type: 'number',
+      description: 'Base delay before retrying, doubled on each attempt (milliseconds)',
+      default: 1000,
+      min: 0,
+      max: 60000,
+      step: 100
+    },
     context_limit: {
       name: 'Context Results Limit',
       type: 'number', 
-      description: 'Maximum number of semantic search results to include as context',
+      description: 'Number of semantic search results to rank (each note is split into blocks)',
       default: 5,
       min: 1,
       max: 20
+    },
+    token_budget: {
+      name: 'Prompt Token Budget',
+      type: 'number',
+      description: 'Maximum tokens of vault context and conversation history sent with each message',
+      default: 16000,
+      min: 1000,
+      max: 1000000,
+      step: 1000
+    },
+    context_percent: {
+      name: 'Vault Context Share',
+      type: 'number',
+      description: 'Percent of the token budget reserved for vault context; the rest goes to history (unused history goes to context)',
+      default: 50,
+      min: 10,
+      max: 90,
+      step: 5
     }
   };
 }
@@ -88,10 +158,64 @@ export function getVisibleSettings(adapter) {
   return [...baseSettings, ...externalSettings];
 }
 
+/**
+ * Returns the values shown in the Claude Code CLI form: the vault override layered over
+ * the shared settings when the override is enabled for vaultName
+ */
+export function getClaudeCodeCliFormValues(settings = {}, vaultName = null) {
+  const override = vaultName ? settings.vault_overrides?.[vaultName] : null;
+  if (!override) return settings;
+  return { ...settings, ...override };
+}
+
+/**
+ * Writes a changed setting to the shared settings, or to the vault override when enabled
+ */
+export function updateClaudeCodeCliSetting(settings, key, value, vaultName = null) {
+  const override = vaultName ? settings.vault_overrides?.[vaultName] : null;
+  if (override && VAULT_OVERRIDE_KEYS.includes(key)) {
+    override[key] = value;
+  } else {
+    settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Enables or disables the launch profile override for a vault.
+ * Enabling copies the current shared values so the form starts from what is in effect.
+ */
+export function setVaultOverrideEnabled(settings, vaultName, enabled) {
+  if (!vaultName) return settings;
+  if (enabled) {
+    if (!settings.vault_overrides) settings.vault_overrides = {};
+    if (!settings.vault_overrides[vaultName]) {
+      settings.vault_overrides[vaultName] = VAULT_OVERRIDE_KEYS.reduce((acc, key) => {
+        if (settings[key] !== undefined) acc[key] = settings[key];
+        return acc;
+      }, {});
+    }
+  } else if (settings.vault_overrides) {
+    delete settings.vault_overrides[vaultName];
+    if (!Object.keys(settings.vault_overrides).length) delete settings.vault_overrides;
+  }
+  return settings;
+}
+
+/**
+ * Renders validation messages for the Claude Code CLI form keyed by setting
+ */
+function renderSettingErrors(errors, key) {
+  return errors
+    .filter(error => error.key === key)
+    .map(error => `<div class="setting-error">${escape_html(error.message)}</div>`)
+    .join('');
+}
+
 /**
  * Creates enhanced settings HTML with conditional rendering
  */
-export function createEnhancedSettingsHTML(adapter, settings = {}) {
+export function createEnhancedSettingsHTML(adapter, settings = {}, opts = {}) {
   const statusIndicator = generateStatusIndicator(adapter);
   const visibleSettings = getVisibleSettings(adapter);
   const isLocal = isLocalAdapter(adapter);
@@ -137,6 +261,10 @@ export function createEnhancedSettingsHTML(adapter, settings = {}) {
   // Claude Code CLI specific settings
   if (adapter === 'claude_code_cli') {
     const claudeSettings = getClaudeCodeCliSettings();
+    const vaultName = opts.vault_name || null;
+    const hasOverride = !!(vaultName && settings.vault_overrides?.[vaultName]);
+    const values = getClaudeCodeCliFormValues(settings, vaultName);
+    const errors = validate_launch_settings(settings, { vault_name: vaultName, exists: opts.exists });
     html += `
       <div class="claude-code-cli-settings">
         <h3>Claude Code CLI Configuration</h3>
@@ -145,22 +273,39 @@ export function createEnhancedSettingsHTML(adapter, settings = {}) {
           <a href="#" class="install-guide-link">Installation guide</a>
         </div>
     `;
+
+    if (vaultName) {
+      html += `
+        <div class="setting-item vault-override">
+          <div class="setting-name">Override for this vault</div>
+          <div class="setting-description">
+            Use a separate CLI path, arguments, model, working directory and environment in "${escape_html(vaultName)}"
+          </div>
+          <input type="checkbox" class="setting-input" data-setting="vault_override" ${hasOverride ? 'checked' : ''} />
+        </div>
+      `;
+    }
     
     Object.entries(claudeSettings).forEach(([key, config]) => {
-      const value = settings[key] || config.default;
-      html += `
-        <div class="setting-item">
-          <div class="setting-name">${config.name}</div>
-          <div class="setting-description">${config.description}</div>
-          <input 
+      const value = values[key] ?? config.default;
+      const attrs = `class="setting-input" data-setting="${key}" ${config.placeholder ? `placeholder="${escape_html(config.placeholder)}"` : ''}`;
+      const input = config.type === 'textarea'
+        ? `<textarea ${attrs} rows="3">${escape_html(String(value ?? ''))}</textarea>`
+        : `<input 
             type="${config.type}" 
-            class="setting-input" 
-            data-setting="${key}"
-            value="${value}"
+            ${attrs}
+            value="${escape_html(String(value ?? ''))}"
             ${config.min ? `min="${config.min}"` : ''}
             ${config.max ? `max="${config.max}"` : ''}
             ${config.step ? `step="${config.step}"` : ''}
-          />
+          />`
+      ;
+      html += `
+        <div class="setting-item${hasOverride && VAULT_OVERRIDE_KEYS.includes(key) ? ' vault-overridden' : ''}" data-setting-item="${key}">
+          <div class="setting-name">${config.name}</div>
+          <div class="setting-description">${config.description}</div>
+          ${input}
+          <div class="setting-errors">${renderSettingErrors(errors, key)}</div>
         </div>
       `;
     });
@@ -198,7 +343,10 @@ export async function render(scope, opts = {}) {
   const adapter = scope?.settings?.adapter || 'claude_code_cli';
   const adapterSettings = scope?.settings?.[adapter] || {};
   
-  const html = createEnhancedSettingsHTML(adapter, adapterSettings);
+  const html = createEnhancedSettingsHTML(adapter, adapterSettings, {
+    vault_name: getVaultName(scope),
+    exists: getPathExists(),
+  });
   const frag = this?.create_doc_fragment ? 
     this.create_doc_fragment(html) : 
     createDocumentFragment(html);
@@ -206,6 +354,25 @@ export async function render(scope, opts = {}) {
   return await addEventListeners(frag, scope);
 }
 
+/**
+ * Returns the current vault name (used for per-vault overrides)
+ */
+function getVaultName(scope) {
+  return scope?.env?.main?.app?.vault?.getName?.() || null;
+}
+
+/**
+ * Returns a path existence check when the filesystem is available (desktop only)
+ */
+function getPathExists() {
+  try {
+    const fs = typeof require === 'function' ? require('fs') : null;
+    return fs ? (path) => fs.existsSync(path) : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
 /**
  * Creates document fragment from HTML string (fallback for test environment)
  */
@@ -237,18 +404,44 @@ async function addEventListeners(frag, scope) {
     });
   }
 
+  const vaultName = getVaultName(scope);
+  // keep references: the fragment is emptied once it is attached to the settings container
+  const settingItems = Array.from(frag.querySelectorAll?.('[data-setting-item]') || []);
+  const adapterSettings = () => {
+    if (!scope?.settings) return null;
+    const adapter = scope.settings.adapter || 'claude_code_cli';
+    if (!scope.settings[adapter]) scope.settings[adapter] = {};
+    return scope.settings[adapter];
+  };
+
+  // Per-vault override toggle
+  const overrideToggle = frag.querySelector?.('[data-setting="vault_override"]');
+  if (overrideToggle) {
+    overrideToggle.addEventListener('change', (e) => {
+      const settings = adapterSettings();
+      if (settings) setVaultOverrideEnabled(settings, vaultName, e.target.checked);
+      if (scope?.re_render_settings) scope.re_render_settings();
+    });
+  }
+
   // Setting input changes
   const settingInputs = frag.querySelectorAll?.('[data-setting]') || [];
   settingInputs.forEach(input => {
-    if (input.getAttribute('data-setting') === 'adapter') return; // Already handled
+    const inputSetting = input.getAttribute('data-setting');
+    if (inputSetting === 'adapter' || inputSetting === 'vault_override') return; // Already handled
     
     input.addEventListener('change', (e) => {
       const setting = e.target.getAttribute('data-setting');
       const value = e.target.type === 'number' ? parseInt(e.target.value) : e.target.value;
       
       // Update settings
-      if (scope?.settings && scope.settings[scope.settings.adapter]) {
-        scope.settings[scope.settings.adapter][setting] = value;
+      const settings = adapterSettings();
+      if (!settings) return;
+      if (scope.settings.adapter === 'claude_code_cli' || !scope.settings.adapter) {
+        updateClaudeCodeCliSetting(settings, setting, value, vaultName);
+        showValidationErrors(settingItems, settings, vaultName);
+      } else {
+        settings[setting] = value;
       }
     });
   });
@@ -264,4 +457,16 @@ async function addEventListeners(frag, scope) {
   }
 
   return frag;
+}
+
+/**
+ * Re-validates the Claude Code CLI settings and updates the inline error messages
+ */
+function showValidationErrors(settingItems, settings, vaultName) {
+  const errors = validate_launch_settings(settings, { vault_name: vaultName, exists: getPathExists() });
+  settingItems.forEach(item => {
+    const container = item.querySelector('.setting-errors');
+    if (!container) return;
+    container.innerHTML = renderSettingErrors(errors, item.getAttribute('data-setting-item'));
+  });
 }
\ No newline at end of file
@@ -1,19 +1,42 @@
+import { parse_weighted_queries, is_weighted } from '../utils/weighted_lookup.js';
+import { hybrid_lookup, KeywordIndex, LOOKUP_MODES } from '../utils/hybrid_search.js';
+
+const LOOKUP_MODE_LABELS = {
+  semantic: 'Semantic',
+  keyword: 'Keyword',
+  hybrid: 'Hybrid',
+};
+
 /**
  * Build parameters for lookup requests.
- * @param {string} query - Hypothetical user query.
+ * @param {string} query - Hypothetical user query, one query per line (`weight: text` for weighted lines).
  * @param {Object} settings - Environment settings.
  * @param {Object} [filter] - Optional filter overrides.
- * @returns {Object} Params for collection.lookup.
+ * @returns {Object} Params for weighted_lookup (collection.lookup when there is a single plain line).
  */
 export const get_lookup_params = (query, settings, filter) => {
   const skip_blocks = settings.smart_view_filter?.exclude_blocks_from_source_connections;
+  const queries = parse_weighted_queries(query);
   return {
-    hypotheticals: [query],
+    hypotheticals: is_weighted(queries)
+      ? queries.filter(q => q.weight > 0).map(q => q.text)
+      : [query],
+    queries,
     filter,
     ...(skip_blocks ? { skip_blocks: true } : {}),
   };
 };
 
+/**
+ * Lookup mode saved in `smart_view_filter.lookup_mode` (defaults to semantic).
+ * @param {Object} settings - Environment settings.
+ * @returns {string} 'semantic', 'keyword' or 'hybrid'.
+ */
+export const get_lookup_mode = (settings) => {
+  const mode = settings.smart_view_filter?.lookup_mode;
+  return LOOKUP_MODES.includes(mode) ? mode : 'semantic';
+};
+
 /**
  * Builds the HTML string for the component.
  * @param {Object} collection - The scope object containing component data.
@@ -24,23 +47,30 @@ export async function build_html(collection, opts = {}) {
   const expanded_view = collection.env.settings.smart_view_filter?.expanded_view
     ?? collection.env.settings.expanded_view // @deprecated
   ;
+  const lookup_mode = get_lookup_mode(collection.env.settings);
   return `<div id="sc-lookup-view">
     <div class="sc-top-bar">
       <button class="sc-fold-toggle">${this.get_icon_html(expanded_view ? 'fold-vertical' : 'unfold-vertical')}</button>
     </div>
     <div class="sc-container">
       <h2>Smart Lookup</h2>
+      <div class="sc-lookup-modes">
+        ${LOOKUP_MODES.map(mode => `
+          <button class="sc-lookup-mode${mode === lookup_mode ? ' is-active' : ''}" data-mode="${mode}">${LOOKUP_MODE_LABELS[mode]}</button>
+        `).join('')}
+      </div>
       <div class="sc-textarea-container">
         <textarea
           id="query"
           name="query"
-          placeholder="Describe what you're looking for (e.g., 'PKM strategies', 'story elements', 'personal AI alignment')"
+          placeholder="Describe what you're looking for (e.g., 'PKM strategies', 'story elements', 'personal AI alignment')&#10;Add lines to combine queries: '0.5: near this', '-: not this'"
         ></textarea>
         <div class="sc-textarea-btn-container">
           <button class="send-button">${this.get_icon_html('search')}</button>
         </div>
       </div>
-      <p>Use semantic (embeddings) search to surface relevant notes. Results are sorted by similarity to your query. Note: returns different results than lexical (keyword) search.</p>
+      <p>Use semantic (embeddings) search to surface relevant notes. Results are sorted by similarity to your query. Note: returns different results than lexical (keyword) search. Switch to Keyword for exact identifiers, ticket numbers or names, or to Hybrid to rank by both; each result shows which search matched it.</p>
+      <p>Combine several queries with one per line. Prefix a line with a weight (<code>0.5: daily notes</code>) or with <code>-:</code> to steer away from it; each result shows the line it matched best.</p>
     </div>
     <div class="sc-list">
     </div>
@@ -75,7 +105,7 @@ export async function post_process(collection, frag, opts = {}) {
   const results_container = frag.querySelector('.sc-list');
   const render_lookup = async (query, results_container) => {
     const lookup_params = get_lookup_params(query, collection.env.settings, opts.filter);
-    const results = await collection.lookup(lookup_params);
+    const results = await hybrid_lookup(collection, lookup_params, get_lookup_mode(collection.env.settings));
     this.empty(results_container); // Clear previous results
     const results_frag = await collection.env.render_component('connections_results', results, opts);
     Array.from(results_frag.children).forEach((elm) => results_container.appendChild(elm));
@@ -98,6 +128,20 @@ export async function post_process(collection, frag, opts = {}) {
     await render_lookup(opts.query, results_container);
   }
   
+  const mode_buttons = frag.querySelectorAll('.sc-lookup-mode');
+  mode_buttons.forEach((button) => {
+    button.addEventListener('click', async () => {
+      const settings = collection.env.settings;
+      if (!settings.smart_view_filter) settings.smart_view_filter = {};
+      settings.smart_view_filter.lookup_mode = button.dataset.mode;
+      mode_buttons.forEach((other) => other.classList.toggle('is-active', other === button));
+      // build the keyword index in the background while the query is typed
+      if (button.dataset.mode !== 'semantic') KeywordIndex.for_collection(collection).sync();
+      const query = query_input.value.trim();
+      if (query) await render_lookup(query, results_container);
+    });
+  });
+
   const send_button = frag.querySelector('.send-button');
   send_button.addEventListener('click', async (event) => {
     clearTimeout(timeout); // Clear any pending auto-submit
@@ -1,5 +1,5 @@
 import test from 'ava';
-import { get_lookup_params } from './lookup.js';
+import { get_lookup_params, get_lookup_mode } from './lookup.js';
 
 test('includes skip_blocks when setting excludes blocks', t => {
   const params = get_lookup_params('test', { smart_view_filter: { exclude_blocks_from_source_connections: true } });
@@ -10,3 +10,21 @@ test('omits skip_blocks when setting allows blocks', t => {
   const params = get_lookup_params('test', { smart_view_filter: { exclude_blocks_from_source_connections: false } });
   t.false('skip_blocks' in params);
 });
+
+test('keeps a single plain query as the only hypothetical', t => {
+  const params = get_lookup_params('PKM strategies', {});
+  t.deepEqual(params.hypotheticals, ['PKM strategies']);
+  t.deepEqual(params.queries, [{ text: 'PKM strategies', weight: 1 }]);
+});
+
+test('uses positive query lines as hypotheticals for weighted queries', t => {
+  const params = get_lookup_params('gardening\n0.5: tomatoes\n-: pests', {});
+  t.deepEqual(params.hypotheticals, ['gardening', 'tomatoes']);
+  t.is(params.queries.length, 3);
+});
+
+test('get_lookup_mode defaults to semantic', t => {
+  t.is(get_lookup_mode({}), 'semantic');
+  t.is(get_lookup_mode({ smart_view_filter: { lookup_mode: 'hybrid' } }), 'hybrid');
+  t.is(get_lookup_mode({ smart_view_filter: { lookup_mode: 'fuzzy' } }), 'semantic');
+});
@@ -18,6 +18,10 @@ async function build_html(scope_plugin) {
         <h2>Connections view</h2>
       </div>
 
+      <div data-related-links-settings>
+        <h2>Related links</h2>
+      </div>
+
       <div data-ribbon-icons-settings>
         <h2>Ribbon icons</h2>
       </div>
@@ -79,6 +83,88 @@ export async function post_process(scope_plugin, frag) {
       { scope: { settings: scope_plugin.env.settings } }
     );
     connections_settings.appendChild(connections_settings_frag);
+    const feedback_settings_frag = await this.render_settings(
+      {
+        feedback_ranking: {
+          setting: 'feedback_ranking',
+          name: 'Re-rank with feedback',
+          description: 'Move connections you open, drag or pin up and hidden ones down. Re-ranked connections are marked &quot;adjusted&quot;. Turn off to rank by similarity only. Feedback is stored in .smart-env/connection_feedback.json.',
+          type: 'toggle',
+        },
+        clear_feedback: {
+          name: 'Clear feedback',
+          description: 'Forget all recorded connection feedback.',
+          type: 'button',
+          callback: 'clear_connection_feedback',
+        },
+      },
+      {
+        scope: {
+          settings: scope_plugin.env.settings.smart_view_filter,
+          clear_connection_feedback: async () => {
+            await scope_plugin.connection_feedback.clear();
+            scope_plugin.notices.show('connection_feedback_cleared', 'Connection feedback cleared');
+          },
+        },
+      }
+    );
+    connections_settings.appendChild(feedback_settings_frag);
+  }
+
+  /* related links settings */
+  const related_links_container = frag.querySelector('[data-related-links-settings]');
+  if (related_links_container) {
+    if (!scope_plugin.env.settings.related_links) scope_plugin.env.settings.related_links = {};
+    const related_links_frag = await this.render_settings(
+      {
+        target: {
+          setting: 'target',
+          name: 'Write links to',
+          description: 'Where &quot;Write related links to current note&quot; puts the top connections of a note.',
+          type: 'dropdown',
+          options_callback: 'get_related_links_target_options',
+        },
+        property: {
+          setting: 'property',
+          name: 'Frontmatter property',
+          description: 'Property that holds the links as wikilinks, for Graph view, Dataview and Bases.',
+          type: 'text',
+        },
+        heading: {
+          setting: 'heading',
+          name: 'Section heading',
+          description: 'Heading of the managed section. The section is replaced as a whole on every update.',
+          type: 'text',
+        },
+        limit: {
+          setting: 'limit',
+          name: 'Number of links',
+          type: 'number',
+        },
+        min_score: {
+          setting: 'min_score',
+          name: 'Minimum score',
+          description: 'Connections scoring lower are not linked. Pinned connections are always linked; hidden ones never.',
+          type: 'number',
+        },
+        auto_update: {
+          setting: 'auto_update',
+          name: 'Update automatically',
+          description: 'Rewrite the links of a note once it is re-embedded after a change, and of the notes whose connections changed with it. Notes are only modified when their links change.',
+          type: 'toggle',
+        },
+      },
+      {
+        scope: {
+          settings: scope_plugin.env.settings.related_links,
+          get_related_links_target_options: () => [
+            { value: 'frontmatter', name: 'Frontmatter property' },
+            { value: 'section', name: 'Related section' },
+          ],
+        },
+      }
+    );
+    related_links_container.appendChild(related_links_frag);
   }
 
   /* ribbon icon settings */
@@ -0,0 +1,230 @@
+/**
+ * @module components/missing_links
+ * @description "Missing links" report: notes whose connections are close but that do not link to
+ * each other in either direction. Each pair can be linked, dismissed (hidden from both notes'
+ * connections) or opened side by side.
+ */
+
+import { Notice } from 'obsidian';
+import { escape_html } from 'smart-utils/index.js';
+import { find_missing_links, insert_link } from '../utils/missing_links.js';
+import { hide_connection } from '../utils/pinned_connections.js';
+
+const CONNECTIONS_PER_NOTE = 10;
+const YIELD_EVERY = 20; // notes scanned between UI updates
+
+/**
+ * Report settings (`env.settings.missing_links`) with defaults.
+ * @param {Object} env - Smart environment
+ * @returns {Object} { min_score, insert_at: 'section'|'end' }
+ */
+export function get_missing_links_settings(env) {
+  if (!env.settings.missing_links) env.settings.missing_links = {};
+  const settings = env.settings.missing_links;
+  if (typeof settings.min_score !== 'number') settings.min_score = 0.75;
+  if (!['section', 'end'].includes(settings.insert_at)) settings.insert_at = 'section';
+  return settings;
+}
+
+/**
+ * Builds the HTML string for the report.
+ * @param {Object} env - Smart environment
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string
+ */
+export function build_html(env, opts = {}) {
+  const settings = get_missing_links_settings(env);
+  const heading = env.settings.related_links?.heading || 'Related';
+  return `<div id="sc-missing-links-view">
+    <div class="sc-container">
+      <h2>Missing links</h2>
+      <p>Notes that are semantically close but don't link to each other in either direction. Link them, dismiss the pair (it is hidden from both notes' connections) or open both notes side by side.</p>
+      <div class="sc-missing-links-controls">
+        <label>Minimum score <input type="number" class="sc-missing-links-min-score" min="0" max="1" step="0.01" value="${settings.min_score}"></label>
+        <label>Insert links
+          <select class="sc-missing-links-insert-at">
+            <option value="section"${settings.insert_at === 'section' ? ' selected' : ''}>in the "${escape_html(heading)}" section</option>
+            <option value="end"${settings.insert_at === 'end' ? ' selected' : ''}>at the end of the note</option>
+          </select>
+        </label>
+        <button class="sc-missing-links-scan">${this.get_icon_html('search')} Scan vault</button>
+      </div>
+      <p class="sc-missing-links-status"></p>
+    </div>
+    <ul class="sc-missing-links-list"></ul>
+    <div class="sc-bottom-bar">
+      ${opts.attribution || ''}
+    </div>
+  </div>`;
+}
+
+/**
+ * Builds the HTML string for one missing link.
+ * @param {Object} pair - { source_key, target_key, score } from `find_missing_links`
+ * @returns {string} HTML string
+ */
+export function build_pair_html(pair) {
+  const name = (key) => escape_html(key.replace(/\.md$/, ''));
+  return `<li class="sc-missing-link" data-source-key="${escape_html(pair.source_key)}" data-target-key="${escape_html(pair.target_key)}">
+    <span class="sc-missing-link-pair"><small>${pair.score.toFixed(2)}</small> ${name(pair.source_key)} ↔ ${name(pair.target_key)}</span>
+    <span class="sc-missing-link-actions">
+      <button data-action="accept" title="Link ${name(pair.target_key)} from ${name(pair.source_key)}">${this.get_icon_html('link')}</button>
+      <button data-action="dismiss" title="Dismiss (hide from both notes' connections)">${this.get_icon_html('eye-off')}</button>
+      <button data-action="open" title="Open side by side">${this.get_icon_html('columns-2')}</button>
+    </span>
+  </li>`;
+}
+
+/**
+ * Renders the report.
+ * @async
+ * @param {Object} env - Smart environment
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered report
+ */
+export async function render(env, opts = {}) {
+  const frag = this.create_doc_fragment(build_html.call(this, env, opts));
+  return await post_process.call(this, env, frag, opts);
+}
+
+/**
+ * Wires the scan, the settings and the actions of each pair.
+ * @async
+ * @param {Object} env - Smart environment
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(env, frag, opts = {}) {
+  const plugin = env.smart_connections_plugin;
+  const settings = get_missing_links_settings(env);
+  const list_el = frag.querySelector('.sc-missing-links-list');
+  const status_el = frag.querySelector('.sc-missing-links-status');
+  const scan_button = frag.querySelector('.sc-missing-links-scan');
+
+  frag.querySelector('.sc-missing-links-min-score').addEventListener('change', (event) => {
+    const min_score = parseFloat(event.target.value);
+    if (!isNaN(min_score)) settings.min_score = min_score;
+  });
+  frag.querySelector('.sc-missing-links-insert-at').addEventListener('change', (event) => {
+    settings.insert_at = event.target.value;
+  });
+
+  scan_button.addEventListener('click', async () => {
+    scan_button.disabled = true;
+    this.empty(list_el);
+    try {
+      const pairs = await scan_missing_links(env, settings, (done, total) => {
+        status_el.textContent = `Scanning ${done}/${total} notes…`;
+      });
+      status_el.textContent = pairs.length
+        ? `${pairs.length} close pair${pairs.length === 1 ? '' : 's'} without a link.`
+        : 'No close pairs without a link.'
+      ;
+      list_el.appendChild(this.create_doc_fragment(pairs.map(pair => build_pair_html.call(this, pair)).join('')));
+    } catch (error) {
+      console.error('Missing links: scan failed', error);
+      status_el.textContent = 'Scan failed – check console.';
+    } finally {
+      scan_button.disabled = false;
+    }
+  });
+
+  list_el.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const pair_el = button.closest('.sc-missing-link');
+    const { sourceKey, targetKey } = pair_el.dataset;
+    try {
+      if (button.dataset.action === 'accept') {
+        await accept_missing_link(plugin, sourceKey, targetKey, settings);
+        pair_el.remove();
+      } else if (button.dataset.action === 'dismiss') {
+        dismiss_missing_link(env, sourceKey, targetKey);
+        pair_el.remove();
+      } else if (button.dataset.action === 'open') {
+        await open_side_by_side(plugin.app, sourceKey, targetKey);
+      }
+    } catch (error) {
+      console.error('Missing links: action failed', error);
+      new Notice('Missing links: action failed – check console');
+    }
+  });
+
+  return frag;
+}
+
+/**
+ * Scans the connections of every embedded note for close pairs without a link.
+ * @async
+ * @param {Object} env - Smart environment
+ * @param {Object} settings - Report settings
+ * @param {Function} [on_progress] - Called with (scanned, total)
+ * @returns {Promise<Array<Object>>} Pairs from `find_missing_links`
+ */
+async function scan_missing_links(env, settings, on_progress = () => {}) {
+  const sources = Object.values(env.smart_sources.items).filter(source => source.vec);
+  const connections = [];
+  for (let i = 0; i < sources.length; i++) {
+    if (i % YIELD_EVERY === 0) {
+      on_progress(i, sources.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    const source = sources[i];
+    const hidden_keys = Object.keys(source.data.hidden_connections || {});
+    const results = await source.find_connections({
+      exclude_keys: hidden_keys,
+      exclude_blocks_from_source_connections: true,
+      limit: CONNECTIONS_PER_NOTE,
+    });
+    connections.push({ source_key: source.key, results, hidden_keys });
+  }
+  on_progress(sources.length, sources.length);
+  return find_missing_links(connections, env.smart_connections_plugin.app.metadataCache.resolvedLinks, {
+    min_score: settings.min_score,
+  });
+}
+
+/**
+ * Links the target from the source note.
+ * @async
+ */
+async function accept_missing_link(plugin, source_key, target_key, settings) {
+  const { vault, metadataCache } = plugin.app;
+  const file = vault.getFileByPath(source_key);
+  const target = vault.getFileByPath(target_key);
+  if (!file || !target) throw new Error(`Missing links: ${file ? target_key : source_key} not found`);
+  const link = `[[${metadataCache.fileToLinktext(target, file.path, true)}]]`;
+  const heading = settings.insert_at === 'section'
+    ? (plugin.env.settings.related_links?.heading || 'Related')
+    : null
+  ;
+  await vault.process(file, (markdown) => insert_link(markdown, link, { heading }));
+}
+
+/**
+ * Hides the pair from the connections of both notes.
+ */
+function dismiss_missing_link(env, source_key, target_key) {
+  [[source_key, target_key], [target_key, source_key]].forEach(([key, other_key]) => {
+    const source = env.smart_sources.get(key);
+    if (!source) return;
+    hide_connection(source.data, other_key);
+    source.queue_save();
+    env.smart_connections_plugin.connection_feedback?.record(key, other_key, 'hide');
+  });
+  env.smart_sources.save();
+}
+
+/**
+ * Opens both notes next to each other in a new tab.
+ * @async
+ */
+async function open_side_by_side(app, source_key, target_key) {
+  const file = app.vault.getFileByPath(source_key);
+  const target = app.vault.getFileByPath(target_key);
+  if (!file || !target) return;
+  const leaf = app.workspace.getLeaf('tab');
+  await leaf.openFile(file);
+  await app.workspace.createLeafBySplit(leaf, 'vertical').openFile(target);
+}
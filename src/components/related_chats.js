@@ -0,0 +1,75 @@
+/**
+ * @module components/related_chats
+ * @description "Related conversations" group of the connections view: past chats ranked by the
+ * message most similar to the note, with score and a link that opens the chat at that message.
+ */
+
+import { escape_html } from 'smart-utils/index.js';
+import { get_message_search_text, build_snippet } from '../../smart-chat-v0/utils/chat_history.js';
+
+const RELATED_CHATS_LIMIT = 5;
+
+/**
+ * Builds the HTML string for the related chats group.
+ * @param {Array<Object>} results - [{ key, thread_key, score, message }] from `ChatHistoryIndex.find_related`
+ * @param {Object} [opts={}] - Optional parameters for customizing the build
+ * @returns {string} HTML string ('' when there are no related chats)
+ */
+export function build_html(results, opts = {}) {
+  if (!results.length) return '';
+  return `
+    <div class="sc-related-chats">
+      <div class="sc-related-chats-header">${this.get_icon_html('message-square')} Related conversations</div>
+      <ul>
+        ${results.map(result => `
+          <li class="sc-related-chat" data-thread-key="${escape_html(result.thread_key)}" data-message-id="${escape_html(result.message.id)}">
+            <a href="#" title="Open chat at this message"><small>${result.score.toFixed(2)} | ${escape_html(result.thread_key)}</small></a>
+            <span class="sc-related-chat-snippet">${escape_html(build_snippet(get_message_search_text(result.message.data), '', 120))}</span>
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Renders the chats related to a note or block. Empty unless "Show Related Chats in
+ * Connections" is on and the entity is embedded.
+ * @async
+ * @param {SmartSource|SmartBlock} entity - Entity the connections are shown for
+ * @param {Object} [opts={}] - Rendering options
+ * @returns {Promise<DocumentFragment>} Rendered group
+ */
+export async function render(entity, opts = {}) {
+  const smart_threads = entity.env.smart_threads;
+  let results = [];
+  if (smart_threads?.settings?.show_related_chats && entity.vec) {
+    try {
+      results = await smart_threads.history_index.find_related(entity.vec, { limit: RELATED_CHATS_LIMIT });
+    } catch (error) {
+      console.warn('Related chats: lookup failed', error);
+    }
+  }
+  const frag = this.create_doc_fragment(build_html.call(this, results, opts));
+  return await post_process.call(this, entity, frag, opts);
+}
+
+/**
+ * Opens the chat at the message when a related chat is clicked.
+ * @async
+ * @param {SmartSource|SmartBlock} entity
+ * @param {DocumentFragment} frag - Rendered fragment
+ * @param {Object} opts - Processing options
+ * @returns {Promise<DocumentFragment>} Post-processed fragment
+ */
+export async function post_process(entity, frag, opts = {}) {
+  const plugin = entity.env.smart_connections_plugin;
+  frag.querySelectorAll('.sc-related-chat a').forEach(link => {
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      const { threadKey, messageId } = link.closest('.sc-related-chat').dataset;
+      plugin.open_chat_message(threadKey, messageId);
+    });
+  });
+  return frag;
+}
@@ -12,6 +12,8 @@ import { smart_env_config as built_smart_env_config } from "../smart_env.config.
 
 import { ConnectionsView } from "./views/connections_view.js";
 import { ScLookupView } from "./views/sc_lookup.obsidian.js";
+import { MissingLinksView } from "./views/missing_links_view.js";
+import { DuplicatesView } from "./views/duplicates_view.js";
 import { SmartChatsView } from "./views/smart_chat.obsidian.js";
 import { SmartChatGPTView } from "./views/sc_chatgpt.obsidian.js";
 import { SmartPrivateChatView } from "./views/sc_private_chat.obsidian.js";
@@ -38,6 +40,10 @@ import { add_smart_dice_icon } from "./utils/add_icons.js";
 import { toggle_plugin_ribbon_icon } from "./utils/toggle_plugin_ribbon_icon.js";
 import { determine_installed_at } from "./utils/determine_installed_at.js";
 import { build_connections_codeblock } from "./utils/build_connections_codeblock.js";
+import { ConnectionFeedbackStore } from "./utils/connection_feedback_store.js";
+import { RelatedLinksWriter } from "./utils/related_links_writer.js";
+import { KeywordIndex } from "./utils/hybrid_search.js";
+import { DuplicateMerger } from "./utils/duplicate_merger.js";
 import { FirstRunManager } from "./utils/first_run_manager.js";
 import { MigrationManager } from "./utils/migration_manager.js";
 
@@ -47,6 +53,8 @@ export default class SmartConnectionsPlugin extends Plugin {
     return {
       ConnectionsView,
       ScLookupView,
+      MissingLinksView,
+      DuplicatesView,
       SmartChatsView,
       SmartChatGPTView,
       // SmartPrivateChatView,
@@ -97,6 +105,7 @@ export default class SmartConnectionsPlugin extends Plugin {
     console.log("unloading plugin");
     this.env?.unload_main?.(this);
     this.notices?.unload();
+    this._connection_feedback?.flush();
   }
 
   async initialize() {
@@ -138,6 +147,23 @@ export default class SmartConnectionsPlugin extends Plugin {
       this.app.setting.removeSettingTab('smart-chat');
     });
     console.log("Smart Chat is registered");
+    // keep related links up to date (when turned on in settings)
+    this.registerEvent(this.app.vault.on('modify', (file) => this.related_links_writer.queue_update(file)));
+    this.register(() => this._related_links_writer?.unload());
+    // keep the keyword index of Smart Lookup up to date (built when keyword or hybrid lookup is used)
+    const keyword_index = KeywordIndex.for_collection(this.env.smart_sources);
+    const queue_keyword_update = (file) => {
+      if (this.env.smart_sources?.source_adapters?.[file.extension]) keyword_index.queue_update(file.path, file.stat.mtime);
+    };
+    this.registerEvent(this.app.vault.on('create', queue_keyword_update));
+    this.registerEvent(this.app.vault.on('modify', queue_keyword_update));
+    this.registerEvent(this.app.vault.on('delete', (file) => keyword_index.remove_path(file.path)));
+    this.registerEvent(this.app.vault.on('rename', (file, old_path) => {
+      keyword_index.remove_path(old_path);
+      queue_keyword_update(file);
+    }));
+    this.register(() => keyword_index.unload());
+    if (['keyword', 'hybrid'].includes(this.settings.smart_view_filter?.lookup_mode)) keyword_index.sync();
   }
 
   /**
@@ -175,6 +201,33 @@ export default class SmartConnectionsPlugin extends Plugin {
 
   get settings() { return this.env?.settings || {}; }
 
+  /**
+   * Feedback from the connections view (opens, drags, pins, hides) used to re-rank connections.
+   * @returns {ConnectionFeedbackStore}
+   */
+  get connection_feedback() {
+    if(!this._connection_feedback) this._connection_feedback = new ConnectionFeedbackStore(this.env);
+    return this._connection_feedback;
+  }
+
+  /**
+   * Writes the top connections of notes into their frontmatter or a Related section.
+   * @returns {RelatedLinksWriter}
+   */
+  get related_links_writer() {
+    if(!this._related_links_writer) this._related_links_writer = new RelatedLinksWriter(this);
+    return this._related_links_writer;
+  }
+
+  /**
+   * Merges duplicate notes found by the Duplicates view.
+   * @returns {DuplicateMerger}
+   */
+  get duplicate_merger() {
+    if(!this._duplicate_merger) this._duplicate_merger = new DuplicateMerger(this);
+    return this._duplicate_merger;
+  }
+
   async new_user() {
     if(!this.is_new_user()) return;
     await this.save_installed_at(Date.now());
@@ -294,6 +347,57 @@ export default class SmartConnectionsPlugin extends Plugin {
       }
     });
 
+    this.addCommand({
+      id: 'write-related-links',
+      name: 'Write related links to current note',
+      checkCallback: (checking) => {
+        const file = this.app.workspace.getActiveFile();
+        if(checking) return file?.extension === 'md';
+        this.write_related_links(file);
+      }
+    });
+
+    // search inside past chats
+    this.addCommand({
+      id: 'search-chat-history',
+      name: 'Chat: Search chat history',
+      callback: async () => {
+        (await this.get_chat_v0())?.open_chat_history_search();
+      }
+    });
+
+    // canvas chat threads
+    this.addCommand({
+      id: 'open-chat-as-canvas',
+      name: 'Chat: Open current chat as canvas',
+      checkCallback: (checking) => {
+        const thread = this.env?.smart_threads?.get_active_thread();
+        if(checking) return !!thread?.messages.length;
+        this.open_chat_canvas(thread);
+      }
+    });
+    this.addCommand({
+      id: 'continue-canvas-chat',
+      name: 'Chat: Continue canvas chat from selected node',
+      checkCallback: (checking) => {
+        const canvas_view = this.get_active_canvas_view();
+        if(checking) return !!canvas_view && !!this.env?.smart_threads?.get_by_canvas_path(canvas_view.file?.path);
+        this.continue_canvas_chat(canvas_view);
+      }
+    });
+
+  }
+
+  async write_related_links(file) {
+    try {
+      const { status, links } = await this.related_links_writer.write(file);
+      if(status === 'not_embedded') new Notice('Related links: ' + file.path + ' is not embedded yet');
+      else if(status === 'unchanged') new Notice('Related links are up to date');
+      else new Notice(`Wrote ${links.length} related link${links.length === 1 ? '' : 's'} to ${file.basename}`);
+    } catch (error) {
+      new Notice('Could not write related links – check console');
+      console.error(error);
+    }
   }
 
   async open_random_connection() {
@@ -310,6 +414,58 @@ export default class SmartConnectionsPlugin extends Plugin {
     this.open_note(rand_entity.item.path);
   }
 
+  /**
+   * Opens the chat view and returns it once its leaf has loaded.
+   * @returns {Promise<SmartChatsView|undefined>}
+   */
+  async get_chat_v0() {
+    if(!(this.chat_v0 instanceof SmartChatsView)) {
+      await this.open_chat_v0();
+      await SmartChatsView.get_leaf(this.app.workspace)?.loadIfDeferred?.(); // restored leaves load on reveal
+    }
+    return this.chat_v0 instanceof SmartChatsView ? this.chat_v0 : undefined;
+  }
+
+  /**
+   * Opens a chat scrolled to one of its messages.
+   * @param {string} thread_key
+   * @param {string} message_id
+   */
+  async open_chat_message(thread_key, message_id) {
+    const chat_view = await this.get_chat_v0();
+    if(!chat_view) return;
+    this.app.workspace.revealLeaf(chat_view.leaf);
+    await chat_view.open_thread_message(thread_key, message_id);
+  }
+
+  async open_chat_canvas(thread) {
+    try {
+      const canvas_path = await thread.write_canvas();
+      thread.queue_save(); // persist canvas_path
+      await this.open_note(canvas_path);
+    } catch (error) {
+      new Notice('Could not write the chat canvas – check console');
+      console.error(error);
+    }
+  }
+
+  get_active_canvas_view() {
+    const view = this.app.workspace.activeLeaf?.view;
+    if(view?.getViewType?.() !== 'canvas') return null;
+    return view;
+  }
+
+  async continue_canvas_chat(canvas_view) {
+    const thread = this.env.smart_threads.get_by_canvas_path(canvas_view.file.path);
+    const selection = [...(canvas_view.canvas?.selection || [])];
+    if(selection.length !== 1) {
+      new Notice('Select one node to continue the chat from');
+      return;
+    }
+    const continued = await thread.continue_from_canvas(canvas_view.canvas.getData(), selection[0].id);
+    if(!continued) new Notice('Add a text node under a message, connect it, and select it to continue from there');
+  }
+
   // We keep the old code
   async add_to_gitignore(ignore, message=null) {
     if(!(await this.app.vault.adapter.exists(".gitignore"))) return;
@@ -0,0 +1,103 @@
+import { Modal, Setting } from 'obsidian';
+import {
+  get_pinned_connections,
+  get_hidden_connections,
+  pin_connection,
+  unpin_connection,
+  unhide_connection,
+} from '../utils/pinned_connections.js';
+
+/**
+ * Modal to manage the pinned and hidden connections of a source or block: edit the note of a
+ * pin, unpin, unhide one connection or all of them.
+ */
+export class ManageConnectionsModal extends Modal {
+  /**
+   * @param {App} app
+   * @param {SmartSource|SmartBlock} item - Item whose connections are managed
+   * @param {Object} [opts={}]
+   * @param {Function} [opts.on_change] - Called when the modal closes after pins or hides changed
+   */
+  constructor(app, item, opts = {}) {
+    super(app);
+    this.item = item;
+    this.opts = opts;
+    this.changed = false;
+  }
+
+  onOpen() {
+    this.titleEl.setText(`Connections of ${this.item.key.split('/').pop()}`);
+    this.render();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    if (!this.changed) return;
+    this.item.collection.save();
+    this.opts.on_change?.();
+  }
+
+  render() {
+    const { contentEl, item } = this;
+    contentEl.empty();
+    const pins = get_pinned_connections(item.data);
+    const hidden = get_hidden_connections(item.data);
+
+    contentEl.createEl('h3', { text: `Pinned (${pins.length})` });
+    if (!pins.length) contentEl.createEl('p', { text: 'Right-click a connection and choose "Pin" to always list it first.', cls: 'setting-item-description' });
+    pins.forEach(pin => {
+      new Setting(contentEl)
+        .setName(pin.key)
+        .setDesc(`Pinned ${format_time(pin.at)}`)
+        .addText(text => text
+          .setPlaceholder('Why is it related?')
+          .setValue(pin.note)
+          .onChange(note => this.update(() => pin_connection(item.data, pin.key, { note }), false))
+        )
+        .addExtraButton(button => button
+          .setIcon('pin-off')
+          .setTooltip('Unpin')
+          .onClick(() => this.update(() => unpin_connection(item.data, pin.key)))
+        )
+      ;
+    });
+
+    contentEl.createEl('h3', { text: `Hidden (${hidden.length})` });
+    if (!hidden.length) contentEl.createEl('p', { text: 'No hidden connections.', cls: 'setting-item-description' });
+    hidden.forEach(({ key, at }) => {
+      new Setting(contentEl)
+        .setName(key)
+        .setDesc(`Hidden ${format_time(at)}`)
+        .addExtraButton(button => button
+          .setIcon('eye')
+          .setTooltip('Unhide')
+          .onClick(() => this.update(() => unhide_connection(item.data, key)))
+        )
+      ;
+    });
+    if (hidden.length > 1) {
+      new Setting(contentEl)
+        .addButton(button => button
+          .setButtonText(`Unhide all (${hidden.length})`)
+          .onClick(() => this.update(() => hidden.forEach(({ key }) => unhide_connection(item.data, key))))
+        )
+      ;
+    }
+  }
+
+  /**
+   * Applies a change to the item data. Changes are saved when the modal closes.
+   * @param {Function} change
+   * @param {boolean} [re_render=true] - Re-render the lists (not while typing a note)
+   */
+  update(change, re_render = true) {
+    change();
+    this.changed = true;
+    this.item.queue_save();
+    if (re_render) this.render();
+  }
+}
+
+function format_time(at) {
+  return at ? new Date(at).toLocaleDateString() : '';
+}
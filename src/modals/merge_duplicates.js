@@ -0,0 +1,74 @@
+import { Modal, Notice, Setting } from 'obsidian';
+
+/**
+ * Modal to confirm merging duplicates into a note: lists, for each duplicate, the blocks that
+ * will be moved, the notes linking to it and where it will be archived.
+ */
+export class MergeDuplicatesModal extends Modal {
+  /**
+   * @param {App} app
+   * @param {DuplicateMerger} merger
+   * @param {Object} opts
+   * @param {string} opts.keep_key - Kept note
+   * @param {Array<string>} opts.other_keys - Duplicates
+   * @param {Function} [opts.on_merge] - Called with the merge summary
+   */
+  constructor(app, merger, opts) {
+    super(app);
+    this.merger = merger;
+    this.opts = opts;
+  }
+
+  onOpen() {
+    this.titleEl.setText(`Merge into ${this.opts.keep_key.split('/').pop()}`);
+    this.render();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+
+  async render() {
+    const { contentEl, merger } = this;
+    const { keep_key, other_keys } = this.opts;
+    contentEl.empty();
+    contentEl.createEl('p', { text: 'Each duplicate is merged into the kept note and then archived:', cls: 'setting-item-description' });
+    for (const other_key of other_keys) {
+      const unique_blocks = await merger.get_unique_blocks(keep_key, other_key);
+      const linking_notes = Object.entries(this.app.metadataCache.resolvedLinks)
+        .filter(([path, links]) => links[other_key] && ![other_key, keep_key].includes(path))
+        .length
+      ;
+      new Setting(contentEl)
+        .setName(other_key)
+        .setDesc([
+          `${unique_blocks.length} unique block${unique_blocks.length === 1 ? '' : 's'} moved`,
+          `links in ${linking_notes} note${linking_notes === 1 ? '' : 's'} redirected`,
+          `archived to ${merger.settings.archive_folder}`,
+        ].join(', '))
+      ;
+    }
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Cancel')
+        .onClick(() => this.close())
+      )
+      .addButton(button => button
+        .setButtonText('Merge')
+        .setWarning()
+        .onClick(async () => {
+          button.setDisabled(true);
+          try {
+            const summary = await merger.merge(keep_key, other_keys);
+            this.opts.on_merge?.(summary);
+          } catch (error) {
+            console.error('Duplicates: merge failed', error);
+            new Notice('Merge failed – check console');
+          } finally {
+            this.close();
+          }
+        })
+      )
+    ;
+  }
+}
@@ -9,6 +9,9 @@ import { render as model_settings_component } from "./components/enhanced_model_
 import { render as connections_component } from './components/connections.js';
 import { render as lookup_component } from './components/lookup.js';
 import { render as results_component } from './components/connections_results.js';
+import { render as related_chats_component } from './components/related_chats.js';
+import { render as missing_links_component } from './components/missing_links.js';
+import { render as duplicates_component } from './components/duplicates.js';
 import { render as smart_chat_component } from './views/smart_chat.js';
 import { SmartChatModel } from "smart-chat-model";
 // External API adapters - commented out to prioritize local Claude Code CLI
@@ -43,6 +46,8 @@ import {
 import { SmartThread } from "../smart-chat-v0/sc_thread.js";
 import { render as thread_component } from '../smart-chat-v0/components/thread.js';
 import { EnvJsonThreadSourceAdapter } from "../smart-chat-v0/adapters/json.js";
+import { MarkdownThreadSourceAdapter } from "../smart-chat-v0/adapters/markdown.js";
+import { Bm25Index } from './utils/bm25_index.js';
 // import { SmartEmbedOllamaAdapter } from "smart-embed-model/adapters/ollama.js";
 import { render as source_inspector_component } from 'obsidian-smart-env/components/source_inspector.js';
 
@@ -69,8 +74,10 @@ export const smart_env_config = {
       // data_adapter: CollectionDataAdapter,
       source_adapters: {
         "json": EnvJsonThreadSourceAdapter,
+        "md": MarkdownThreadSourceAdapter,
         "default": EnvJsonThreadSourceAdapter,
       },
+      keyword_index_class: Bm25Index, // chat history keyword search
     },
     smart_messages: {
       class: SmartMessages,
@@ -125,6 +132,9 @@ export const smart_env_config = {
   components: {
     lookup: lookup_component,
     connections_results: results_component,
+    related_chats: related_chats_component,
+    missing_links: missing_links_component,
+    duplicates: duplicates_component,
     smart_chat: smart_chat_component,
     connections: connections_component,
     source_inspector: source_inspector_component,
@@ -163,6 +173,23 @@ export const smart_env_config = {
       file_exclusions: 'Untitled',
       folder_exclusions: '',
     },
+    related_links: {
+      target: 'frontmatter',
+      property: 'related',
+      heading: 'Related',
+      limit: 5,
+      min_score: 0.5,
+      auto_update: false,
+    },
+    missing_links: {
+      min_score: 0.75,
+      insert_at: 'section',
+    },
+    duplicates: {
+      threshold: 0.95,
+      scope: 'sources',
+      archive_folder: 'Archive/Duplicates',
+    },
     ribbon_icons: {
       connections: true,
       random_note: false,
@@ -172,6 +199,7 @@ export const smart_env_config = {
       show_full_path: false,
       exclude_blocks_from_source_connections: false,
       exclude_frontmatter_blocks: true,
+      feedback_ranking: true,
     },
     // Smart Chat Model settings with Claude Code CLI as primary
     smart_chat_model: {
@@ -181,10 +209,17 @@ export const smart_env_config = {
       
       // Claude Code CLI specific settings
       claude_code_cli: {
+        command: "claude", // binary name on PATH or absolute path
+        args: "", // extra CLI arguments
+        model: "", // passed as --model when set
+        cwd: "", // working directory (empty inherits Obsidian's)
+        env: "", // KEY=value lines added to the CLI environment
         timeout: 60000, // 60 seconds
         max_retries: 3,
         base_delay: 1000, // 1 second
-        context_limit: 5, // Number of semantic search results to include
+        context_limit: 5, // Number of semantic search results to rank
+        token_budget: 16000, // prompt tokens for vault context + history
+        context_percent: 50, // share of token_budget reserved for vault context
         model_key: "claude-code-cli",
       },
       
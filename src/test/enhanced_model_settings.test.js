@@ -4,7 +4,10 @@ import {
   generateStatusIndicator,
   getClaudeCodeCliSettings,
   getVisibleSettings,
-  createEnhancedSettingsHTML
+  createEnhancedSettingsHTML,
+  getClaudeCodeCliFormValues,
+  updateClaudeCodeCliSetting,
+  setVaultOverrideEnabled
 } from '../components/enhanced_model_settings.js';
 
 test('isLocalAdapter correctly identifies local adapters', t => {
@@ -105,4 +108,58 @@ test('createEnhancedSettingsHTML applies current settings values', t => {
   t.true(html.includes('value="30000"'));
   t.true(html.includes('value="5"'));
   t.true(html.includes('value="10"'));
-});
\ No newline at end of file
+});
+test('getClaudeCodeCliSettings includes launch profile settings', t => {
+  const settings = getClaudeCodeCliSettings();
+
+  t.is(settings.command.type, 'text');
+  t.is(settings.args.type, 'text');
+  t.is(settings.model.type, 'text');
+  t.is(settings.cwd.type, 'text');
+  t.is(settings.env.type, 'textarea');
+  t.is(settings.base_delay.default, 1000);
+});
+
+test('createEnhancedSettingsHTML escapes launch values and shows validation errors', t => {
+  const html = createEnhancedSettingsHTML('claude_code_cli', {
+    args: '--add-dir "/My Notes"',
+    cwd: 'relative/path',
+    env: 'A=1\nB=2'
+  });
+
+  t.true(html.includes('value="--add-dir &quot;/My Notes&quot;"'));
+  t.true(html.includes('<textarea'));
+  t.true(html.includes('A=1\nB=2</textarea>'));
+  t.true(html.includes('Working directory must be an absolute path'));
+  t.false(html.includes('data-setting="vault_override"'));
+});
+
+test('createEnhancedSettingsHTML shows vault override values when enabled', t => {
+  const settings = {
+    command: 'claude',
+    vault_overrides: { Work: { command: '/opt/claude/bin/claude' } }
+  };
+  const html = createEnhancedSettingsHTML('claude_code_cli', settings, { vault_name: 'Work' });
+
+  t.true(html.includes('data-setting="vault_override"'));
+  t.true(html.includes('checked'));
+  t.true(html.includes('value="/opt/claude/bin/claude"'));
+});
+
+test('vault override helpers route edits to the override', t => {
+  const settings = { command: 'claude', timeout: 60000 };
+
+  setVaultOverrideEnabled(settings, 'Work', true);
+  t.deepEqual(settings.vault_overrides.Work, { command: 'claude' });
+
+  updateClaudeCodeCliSetting(settings, 'command', '/opt/claude', 'Work');
+  updateClaudeCodeCliSetting(settings, 'timeout', 90000, 'Work');
+  t.is(settings.command, 'claude');
+  t.is(settings.vault_overrides.Work.command, '/opt/claude');
+  t.is(settings.timeout, 90000); // not a launch profile key, stays shared
+  t.is(getClaudeCodeCliFormValues(settings, 'Work').command, '/opt/claude');
+  t.is(getClaudeCodeCliFormValues(settings, 'Personal').command, 'claude');
+
+  setVaultOverrideEnabled(settings, 'Work', false);
+  t.falsy(settings.vault_overrides);
+});
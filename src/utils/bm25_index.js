@@ -0,0 +1,117 @@
+/**
+ * @module utils/bm25_index
+ * @description In-memory BM25 keyword index. Documents can be added, replaced and removed
+ * one at a time, so the index is kept current without rebuilding it.
+ * Tokens keep identifiers whole ("ABC-123", "v2.1", "snake_case") and also index their parts,
+ * so exact ticket numbers and names match as well as their pieces.
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_.][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Splits text into lowercase tokens. Compound identifiers yield the whole token and its parts.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text = '') {
+  const tokens = [];
+  for (const [match] of String(text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    tokens.push(match);
+    if (/[-_.]/.test(match)) tokens.push(...match.split(/[-_.]/).filter(Boolean));
+  }
+  return tokens;
+}
+
+export class Bm25Index {
+  /**
+   * @param {Object} [opts={}]
+   * @param {number} [opts.k1=1.2] - Term frequency saturation
+   * @param {number} [opts.b=0.75] - Document length normalization
+   */
+  constructor(opts = {}) {
+    this.k1 = opts.k1 ?? 1.2;
+    this.b = opts.b ?? 0.75;
+    /** @type {Map<string, {length: number, terms: Map<string, number>}>} */
+    this.docs = new Map();
+    /** @type {Map<string, Set<string>>} term -> keys of documents containing it */
+    this.postings = new Map();
+    this.total_length = 0;
+  }
+
+  get size() { return this.docs.size; }
+  get avg_length() { return this.docs.size ? this.total_length / this.docs.size : 0; }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) { return this.docs.has(key); }
+
+  /**
+   * Adds a document, replacing any previous version with the same key.
+   * @param {string} key - Document key
+   * @param {string} text - Document text
+   */
+  add(key, text) {
+    this.remove(key);
+    const tokens = tokenize(text);
+    const terms = new Map();
+    tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+    this.docs.set(key, { length: tokens.length, terms });
+    this.total_length += tokens.length;
+    terms.forEach((count, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(key);
+    });
+  }
+
+  /**
+   * Removes a document.
+   * @param {string} key - Document key
+   * @returns {boolean} True when the document was indexed
+   */
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return false;
+    doc.terms.forEach((count, term) => {
+      const keys = this.postings.get(term);
+      keys?.delete(key);
+      if (!keys?.size) this.postings.delete(term);
+    });
+    this.total_length -= doc.length;
+    this.docs.delete(key);
+    return true;
+  }
+
+  /**
+   * Ranks documents against a query.
+   * @param {string} query - Query text
+   * @param {Object} [opts={}]
+   * @param {number} [opts.limit=10] - Maximum results
+   * @param {Function} [opts.filter] - Called with a key; false skips the document
+   * @returns {Array<Object>} [{ key, score }] highest score first
+   */
+  search(query, opts = {}) {
+    const { limit = 10, filter } = opts;
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map();
+    const avg_length = this.avg_length || 1;
+    terms.forEach(term => {
+      const keys = this.postings.get(term);
+      if (!keys?.size) return;
+      const idf = Math.log(1 + (this.docs.size - keys.size + 0.5) / (keys.size + 0.5));
+      keys.forEach(key => {
+        if (filter && !filter(key)) return;
+        const doc = this.docs.get(key);
+        const tf = doc.terms.get(term);
+        const norm = tf + this.k1 * (1 - this.b + this.b * doc.length / avg_length);
+        scores.set(key, (scores.get(key) || 0) + idf * tf * (this.k1 + 1) / norm);
+      });
+    });
+    return [...scores.entries()]
+      .map(([key, score]) => ({ key, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+    ;
+  }
+}
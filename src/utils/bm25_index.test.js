@@ -0,0 +1,32 @@
+import test from 'ava';
+import { Bm25Index, tokenize } from './bm25_index.js';
+
+test('tokenize keeps identifiers whole and indexes their parts', t => {
+  t.deepEqual(tokenize('Fix JIRA-1234 in v2.1'), ['fix', 'jira-1234', 'jira', '1234', 'in', 'v2.1', 'v2', '1']);
+  t.deepEqual(tokenize('Café naïve'), ['café', 'naïve']);
+});
+
+test('search ranks exact identifiers and rare terms first', t => {
+  const index = new Bm25Index();
+  index.add('a.md', 'Meeting notes about the roadmap and the budget');
+  index.add('b.md', 'Ticket JIRA-1234: login fails on the roadmap page');
+  index.add('c.md', 'The roadmap roadmap roadmap');
+  t.deepEqual(index.search('JIRA-1234').map(r => r.key), ['b.md']);
+  t.is(index.search('roadmap')[0].key, 'c.md');
+  t.deepEqual(index.search('budget roadmap', { limit: 1 }).map(r => r.key), ['a.md']);
+  t.deepEqual(index.search('roadmap', { filter: key => key !== 'c.md' }).map(r => r.key).sort(), ['a.md', 'b.md']);
+});
+
+test('add replaces and remove drops a document', t => {
+  const index = new Bm25Index();
+  index.add('a.md', 'alpha beta');
+  index.add('a.md', 'gamma');
+  t.is(index.size, 1);
+  t.deepEqual(index.search('alpha'), []);
+  t.is(index.search('gamma')[0].key, 'a.md');
+  t.true(index.remove('a.md'));
+  t.false(index.remove('a.md'));
+  t.is(index.size, 0);
+  t.is(index.total_length, 0);
+  t.is(index.postings.size, 0);
+});
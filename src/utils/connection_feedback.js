@@ -0,0 +1,80 @@
+/**
+ * Feedback re-ranking for connections.
+ *
+ * Opening, dragging, pinning and hiding a connection are recorded per source/target pair
+ * (see ConnectionFeedbackStore). The re-ranker turns that history into a small score adjustment:
+ * positive signals boost a connection, hides demote it, and old feedback counts less.
+ *
+ * Feedback of a pair: `{ open, drag, pin, hide, last }` (counts and time of the last signal).
+ */
+
+export const FEEDBACK_SIGNALS = {
+  open: 1,
+  drag: 2,
+  pin: 3,
+  hide: -4,
+};
+
+const ADJUSTMENT_PER_UNIT = 0.02;
+const MAX_ADJUSTMENT = 0.1;
+const HALF_LIFE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds a signal to the feedback of a pair.
+ * @param {Object} pairs - `{ [source_key]: { [target_key]: feedback } }` (changed in place)
+ * @param {string} source_key - Note or block the connections are shown for
+ * @param {string} target_key - Connection the user interacted with
+ * @param {string} signal - One of FEEDBACK_SIGNALS
+ * @param {number} [now=Date.now()]
+ * @returns {Object|null} Updated feedback (null for unknown signals)
+ */
+export function record_feedback(pairs, source_key, target_key, signal, now = Date.now()) {
+  if (!(signal in FEEDBACK_SIGNALS) || !source_key || !target_key || source_key === target_key) return null;
+  if (!pairs[source_key]) pairs[source_key] = {};
+  const feedback = pairs[source_key][target_key] || (pairs[source_key][target_key] = {});
+  feedback[signal] = (feedback[signal] || 0) + 1;
+  feedback.last = now;
+  return feedback;
+}
+
+/**
+ * Score adjustment for the feedback of a pair. Repeated signals count less each time
+ * (log scale); the adjustment halves every 90 days since the last signal.
+ * @param {Object} [feedback] - Feedback of the pair
+ * @param {number} [now=Date.now()]
+ * @returns {number} Between -0.1 and 0.1
+ */
+export function get_feedback_adjustment(feedback, now = Date.now()) {
+  if (!feedback) return 0;
+  const units = Object.entries(FEEDBACK_SIGNALS)
+    .reduce((sum, [signal, weight]) => sum + weight * Math.log2(1 + (feedback[signal] || 0)), 0)
+  ;
+  const age_days = Math.max(0, now - (feedback.last || now)) / DAY_MS;
+  const adjustment = units * ADJUSTMENT_PER_UNIT * Math.pow(0.5, age_days / HALF_LIFE_DAYS);
+  return Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, adjustment));
+}
+
+/**
+ * Re-ranks connections with the feedback recorded for their source. Adjusted results keep their
+ * similarity as `raw_score` and have `feedback_adjustment`.
+ * @param {Array<Object>} results - Connections results ({ item, score }) best first
+ * @param {Object} [source_feedback={}] - `{ [target_key]: feedback }` of the source
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Object>} Results best first (the same array when there is no feedback)
+ */
+export function rerank_connections(results = [], source_feedback = {}, now = Date.now()) {
+  if (!source_feedback || !Object.keys(source_feedback).length) return results;
+  return results
+    .map((result, i) => {
+      const adjustment = get_feedback_adjustment(source_feedback[result.item?.key], now);
+      if (!adjustment || typeof result.score !== 'number') return { result, i };
+      return {
+        result: { ...result, score: result.score + adjustment, raw_score: result.score, feedback_adjustment: adjustment },
+        i,
+      };
+    })
+    .sort((a, b) => (b.result.score ?? -Infinity) - (a.result.score ?? -Infinity) || a.i - b.i)
+    .map(({ result }) => result)
+  ;
+}
@@ -0,0 +1,59 @@
+import test from 'ava';
+import {
+  record_feedback,
+  get_feedback_adjustment,
+  rerank_connections,
+} from './connection_feedback.js';
+import { ConnectionFeedbackStore } from './connection_feedback_store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('records signals per source and target', t => {
+  const pairs = {};
+  record_feedback(pairs, 'a.md', 'b.md', 'open', 1);
+  record_feedback(pairs, 'a.md', 'b.md', 'open', 2);
+  record_feedback(pairs, 'a.md', 'b.md#Heading', 'drag', 3);
+  t.deepEqual(pairs, { 'a.md': { 'b.md': { open: 2, last: 2 }, 'b.md#Heading': { drag: 1, last: 3 } } });
+  t.is(record_feedback(pairs, 'a.md', 'b.md', 'like'), null);
+  t.is(record_feedback(pairs, 'a.md', 'a.md', 'open'), null);
+});
+
+test('boosts positive signals, demotes hides and fades with age', t => {
+  const now = 1000 * DAY_MS;
+  t.is(get_feedback_adjustment(undefined, now), 0);
+  const opened = get_feedback_adjustment({ open: 1, last: now }, now);
+  t.true(opened > 0);
+  t.true(get_feedback_adjustment({ open: 3, last: now }, now) > opened);
+  t.true(get_feedback_adjustment({ open: 1, hide: 1, last: now }, now) < 0);
+  t.is(get_feedback_adjustment({ open: 1, last: now - 90 * DAY_MS }, now).toFixed(4), (opened / 2).toFixed(4));
+  t.is(get_feedback_adjustment({ pin: 50, drag: 50, last: now }, now), 0.1);
+});
+
+test('re-ranks connections and keeps the similarity score', t => {
+  const results = [
+    { item: { key: 'a.md' }, score: 0.80 },
+    { item: { key: 'b.md' }, score: 0.78 },
+    { item: { key: 'c.md' }, score: 0.76 },
+  ];
+  const now = 10 * DAY_MS;
+  const ranked = rerank_connections(results, { 'c.md': { pin: 1, last: now }, 'a.md': { hide: 1, last: now } }, now);
+  t.deepEqual(ranked.map(result => result.item.key), ['c.md', 'b.md', 'a.md']);
+  t.is(ranked[0].raw_score, 0.76);
+  t.true(ranked[0].feedback_adjustment > 0);
+  t.false('feedback_adjustment' in ranked[1]);
+  t.is(rerank_connections(results, {}), results);
+});
+
+test('flush saves pending feedback once and only when a save is queued', async t => {
+  const writes = [];
+  const fs = { exists: async () => false, write: async (path, data) => writes.push(data) };
+  const store = new ConnectionFeedbackStore({ smart_sources: { fs }, settings: {} });
+  await store.flush();
+  t.is(writes.length, 0);
+  await store.record('a.md', 'b.md', 'open');
+  await store.flush();
+  t.is(writes.length, 1);
+  t.truthy(JSON.parse(writes[0]).pairs['a.md']['b.md']);
+  await store.flush();
+  t.is(writes.length, 1);
+});
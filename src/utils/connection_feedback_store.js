@@ -0,0 +1,109 @@
+import { record_feedback, rerank_connections } from './connection_feedback.js';
+
+const SAVE_DELAY = 5000;
+
+/**
+ * Local store of connection feedback (see connection_feedback.js), saved to
+ * `.smart-env/connection_feedback.json`. Nothing leaves the vault.
+ */
+export class ConnectionFeedbackStore {
+  /**
+   * @param {Object} env - Smart environment
+   */
+  constructor(env) {
+    this.env = env;
+    /** @type {Object<string, Object<string, Object>>} source key -> target key -> feedback */
+    this.pairs = {};
+    this.loaded = null;
+  }
+
+  get fs() { return this.env.smart_sources.fs; }
+  get file_path() {
+    return (this.env.opts?.env_path ? this.env.opts.env_path + '/' : '') + '.smart-env/connection_feedback.json';
+  }
+
+  /**
+   * @returns {boolean} Whether results are re-ranked (the "Re-rank with feedback" setting)
+   */
+  get enabled() {
+    return this.env.settings?.smart_view_filter?.feedback_ranking !== false;
+  }
+
+  /**
+   * Records an interaction with a connection.
+   * @param {string} source_key - Note or block the connections are shown for
+   * @param {string} target_key - Connection
+   * @param {string} signal - 'open', 'drag', 'pin' or 'hide'
+   */
+  async record(source_key, target_key, signal) {
+    await this.load();
+    if (record_feedback(this.pairs, source_key, target_key, signal)) this.queue_save();
+  }
+
+  /**
+   * Re-ranks connections of a source with its feedback, unless re-ranking is turned off.
+   * @param {string} source_key
+   * @param {Array<Object>} results - Connections results best first
+   * @param {Object} [connections_settings] - Settings of the view or codeblock
+   * @returns {Promise<Array<Object>>}
+   */
+  async rerank(source_key, results, connections_settings) {
+    const enabled = connections_settings?.feedback_ranking ?? this.enabled;
+    if (enabled === false) return results;
+    await this.load();
+    return rerank_connections(results, this.pairs[source_key]);
+  }
+
+  /**
+   * Forgets all recorded feedback.
+   */
+  async clear() {
+    await this.load();
+    this.pairs = {};
+    await this.save();
+  }
+
+  /**
+   * Saves feedback that is waiting for the save delay, e.g. when the plugin unloads.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this._save_timeout) await this.save();
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!this.loaded) this.loaded = (async () => {
+      try {
+        if (!(await this.fs.exists(this.file_path))) return;
+        this.pairs = JSON.parse(await this.fs.read(this.file_path)).pairs || {};
+      } catch (error) {
+        console.warn('Connection feedback: could not load', error);
+      }
+    })();
+    return this.loaded;
+  }
+
+  /**
+   * @private
+   */
+  queue_save() {
+    clearTimeout(this._save_timeout);
+    this._save_timeout = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  /**
+   * @private
+   */
+  async save() {
+    clearTimeout(this._save_timeout);
+    this._save_timeout = null;
+    try {
+      await this.fs.write(this.file_path, JSON.stringify({ version: 1, pairs: this.pairs }));
+    } catch (error) {
+      console.warn('Connection feedback: could not save', error);
+    }
+  }
+}
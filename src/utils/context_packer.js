@@ -0,0 +1,257 @@
+import { count_tokens, truncate_to_tokens } from './token_counter.js';
+
+/**
+ * @module utils/context_packer
+ * @description Assembles vault context for a prompt within a token budget.
+ * Sources are ranked at block level (markdown heading sections), blocks that overlap an
+ * already selected block from the same file are skipped, and the resulting pack records
+ * exactly which blocks were included, which were dropped and why.
+ */
+
+/**
+ * Smallest remainder worth filling with a truncated block.
+ */
+const MIN_TRUNCATED_BLOCK_TOKENS = 64;
+
+/**
+ * Share of the context budget the active note may use.
+ */
+const ACTIVE_NOTE_SHARE = 0.4;
+
+/**
+ * Splits a token budget between vault context and conversation history.
+ * @param {number} total - Total prompt budget in tokens
+ * @param {number} context_percent - Percent of the budget reserved for vault context
+ * @returns {Object} { total, context, history }
+ */
+export function split_token_budget(total, context_percent) {
+  const context = Math.floor(total * (context_percent / 100));
+  return { total, context, history: total - context };
+}
+
+/**
+ * Splits markdown into heading sections. Content before the first heading (including
+ * frontmatter) is keyed by the source itself.
+ * @param {string} content - Markdown content
+ * @param {string} source_key - Path of the note
+ * @returns {Array<Object>} Blocks ({ key, source_key, lines: [start, end], content })
+ */
+export function split_into_blocks(content = '', source_key = '') {
+  const lines = String(content).split('\n');
+  const blocks = [];
+  const heading_path = [];
+  let current = { key: source_key, start: 0, lines: [] };
+  let in_code = false;
+  const push_current = (end) => {
+    const text = current.lines.join('\n').trim();
+    if (text) blocks.push({ key: current.key, source_key, lines: [current.start, end], content: text });
+  };
+  lines.forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) in_code = !in_code;
+    const match = !in_code && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      push_current(i - 1);
+      const depth = match[1].length;
+      heading_path.length = Math.min(heading_path.length, depth - 1);
+      heading_path[depth - 1] = match[2];
+      current = { key: `${source_key}#${heading_path.filter(Boolean).join('#')}`, start: i, lines: [] };
+    }
+    current.lines.push(line);
+  });
+  push_current(lines.length - 1);
+  // keep keys unique when a heading repeats
+  const seen = {};
+  blocks.forEach(block => {
+    seen[block.key] = (seen[block.key] || 0) + 1;
+    if (seen[block.key] > 1) block.key = `${block.key}{${seen[block.key]}}`;
+  });
+  return blocks;
+}
+
+/**
+ * Share of query terms (3+ characters) found in text.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number} 0..1
+ */
+export function lexical_overlap(query = '', text = '') {
+  const terms = [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])];
+  if (!terms.length) return 0;
+  const haystack = String(text).toLowerCase();
+  return terms.filter(term => haystack.includes(term)).length / terms.length;
+}
+
+/**
+ * Whether two blocks from the same file cover overlapping content: one is nested in the
+ * other (key prefix) or their line ranges intersect.
+ * @param {Object} a - Block
+ * @param {Object} b - Block
+ * @returns {boolean}
+ */
+export function blocks_overlap(a, b) {
+  if (a.source_key !== b.source_key) return false;
+  if (a.key === b.key) return true;
+  if (Array.isArray(a.lines) && Array.isArray(b.lines)) {
+    return a.lines[0] <= b.lines[1] && b.lines[0] <= a.lines[1];
+  }
+  if (a.key === a.source_key || b.key === b.source_key) return true; // whole note
+  return a.key.startsWith(b.key + '#') || b.key.startsWith(a.key + '#');
+}
+
+/**
+ * Collects scored block candidates for a query.
+ * Uses block embeddings when available, otherwise splits the top sources into blocks and
+ * scores each one by the source score weighted by query term overlap.
+ * @param {Object} env - Smart environment
+ * @param {string} query - Search query (usually the latest user message)
+ * @param {Object} [opts={}]
+ * @param {number} [opts.limit=5] - Number of sources/blocks to retrieve
+ * @returns {Promise<Array<Object>>} Candidates ({ key, source_key, lines, score, content })
+ */
+export async function collect_context_candidates(env, query, opts = {}) {
+  const limit = opts.limit ?? 5;
+  if (query && env.smart_blocks?.lookup && env.smart_blocks.settings?.embed_blocks) {
+    // blocks are finer grained than sources, so retrieve more of them
+    const results = await env.smart_blocks.lookup({ hypotheticals: [query], filter: { limit: limit * 4 } });
+    const candidates = await Promise.all((results || []).map(async ({ item, score }) => ({
+      key: item.key,
+      source_key: item.source_key || item.key.split('#')[0],
+      lines: item.data?.lines || item.lines || null,
+      score: score ?? 0,
+      content: await item.read(),
+    })));
+    return candidates.filter(candidate => candidate.content);
+  }
+  if (!env.smart_sources?.search) return [];
+  const results = await env.smart_sources.search(query, { limit, threshold: 0.5 });
+  const candidates = [];
+  for (const [index, result] of (results || []).entries()) {
+    const source = result.item || result;
+    const source_key = source.path || source.key;
+    const content = source.content ?? (typeof source.read === 'function' ? await source.read() : '');
+    if (!source_key || !content) continue;
+    const source_score = result.score ?? 1 / (index + 1);
+    const blocks = split_into_blocks(content, source_key);
+    blocks.forEach(block => {
+      const weight = blocks.length > 1 ? 0.5 + 0.5 * lexical_overlap(query, block.content) : 1;
+      candidates.push({ ...block, score: source_score * weight });
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Selects blocks for the prompt within a token budget.
+ * @param {Array<Object>} candidates - Scored blocks ({ key, source_key, lines, score, content })
+ * @param {Object} [opts={}]
+ * @param {number} opts.budget - Tokens available for vault context
+ * @param {number} [opts.max_blocks=Infinity] - Maximum number of blocks
+ * @param {Object} [opts.active_note] - { key, basename, content } included first
+ * @param {string} [opts.query] - Query the candidates were retrieved for
+ * @returns {Object} Pack ({ query, budget, tokens, active_note, blocks, dropped }); included
+ * entries keep their `content` for formatting, see `summarize_context_pack()` for storage
+ */
+export function pack_context(candidates = [], opts = {}) {
+  const budget = opts.budget ?? Infinity;
+  const max_blocks = opts.max_blocks ?? Infinity;
+  let remaining = budget;
+  const pack = { query: opts.query || '', budget, tokens: 0, active_note: null, blocks: [], dropped: [] };
+
+  if (opts.active_note?.content) {
+    const note = opts.active_note;
+    const header = get_active_note_header(note);
+    const cap = Math.max(0, Math.floor(budget * ACTIVE_NOTE_SHARE) - count_tokens(header));
+    const full_tokens = count_tokens(note.content);
+    const content = full_tokens > cap ? truncate_to_tokens(note.content, cap) : note.content;
+    if (content) {
+      const tokens = count_tokens(header) + count_tokens(content);
+      pack.active_note = {
+        key: note.path || note.key || note.basename,
+        basename: note.basename,
+        tokens,
+        truncated: content !== note.content,
+        content,
+      };
+      remaining -= tokens;
+    }
+  }
+
+  const ranked = [...candidates].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  const seen_content = new Set();
+  for (const candidate of ranked) {
+    const drop = (reason) => pack.dropped.push({ key: candidate.key, score: candidate.score, reason });
+    if (pack.blocks.length >= max_blocks) { drop('limit'); continue; }
+    if (pack.active_note && !pack.active_note.truncated && candidate.source_key === pack.active_note.key) {
+      drop('active_note');
+      continue;
+    }
+    if (pack.blocks.some(block => blocks_overlap(block, candidate))) { drop('overlap'); continue; }
+    const normalized = candidate.content.trim();
+    if (seen_content.has(normalized)) { drop('duplicate'); continue; }
+
+    const header_tokens = count_tokens(get_block_header(pack.blocks.length, candidate));
+    const content_tokens = count_tokens(candidate.content);
+    if (header_tokens + content_tokens <= remaining) {
+      pack.blocks.push({ ...candidate, tokens: header_tokens + content_tokens, truncated: false });
+      remaining -= header_tokens + content_tokens;
+    } else if (remaining - header_tokens >= MIN_TRUNCATED_BLOCK_TOKENS) {
+      const content = truncate_to_tokens(candidate.content, remaining - header_tokens);
+      const tokens = header_tokens + count_tokens(content);
+      pack.blocks.push({ ...candidate, content, tokens, truncated: true });
+      remaining -= tokens;
+    } else {
+      drop('budget');
+      continue;
+    }
+    seen_content.add(normalized);
+  }
+
+  pack.tokens = (pack.active_note?.tokens || 0) + pack.blocks.reduce((sum, block) => sum + block.tokens, 0);
+  return pack;
+}
+
+function get_active_note_header(note) {
+  return `## Current Note: ${note.basename || 'Unknown'}`;
+}
+
+function get_block_header(index, candidate) {
+  return `### ${index + 1}. ${candidate.key}`;
+}
+
+/**
+ * Renders a pack as the prompt's vault context section.
+ * @param {Object} pack - Result of pack_context()
+ * @returns {string} Context text ('' when nothing was selected)
+ */
+export function format_context_pack(pack) {
+  if (!pack?.blocks.length && !pack?.active_note) return '';
+  const parts = [];
+  if (pack.active_note) {
+    parts.push(get_active_note_header(pack.active_note));
+    parts.push(pack.active_note.content + (pack.active_note.truncated ? '...' : ''));
+  }
+  if (pack.blocks.length) {
+    parts.push('## Related Content from Vault:');
+    pack.blocks.forEach((block, index) => {
+      parts.push(get_block_header(index, block));
+      parts.push(block.content + (block.truncated ? '...' : ''));
+    });
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Strips block content from a pack so it can be stored with the message.
+ * @param {Object} pack - Result of pack_context()
+ * @returns {Object} Serializable summary
+ */
+export function summarize_context_pack(pack) {
+  if (!pack) return null;
+  const strip = ({ content, ...rest }) => rest;
+  return {
+    ...pack,
+    budget: Number.isFinite(pack.budget) ? pack.budget : null,
+    active_note: pack.active_note ? strip(pack.active_note) : null,
+    blocks: pack.blocks.map(strip),
+  };
+}
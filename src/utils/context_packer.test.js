@@ -0,0 +1,154 @@
+import test from 'ava';
+import {
+  split_token_budget,
+  split_into_blocks,
+  lexical_overlap,
+  blocks_overlap,
+  collect_context_candidates,
+  pack_context,
+  format_context_pack,
+  summarize_context_pack,
+} from './context_packer.js';
+
+const note = [
+  '---',
+  'tags: garden',
+  '---',
+  'Intro line.',
+  '# Vegetables',
+  'General notes.',
+  '## Tomatoes',
+  'Water daily.',
+  '```',
+  '# not a heading',
+  '```',
+  '# Flowers',
+  'Roses.',
+].join('\n');
+
+test('split_token_budget divides the total by percent', t => {
+  t.deepEqual(split_token_budget(10000, 30), { total: 10000, context: 3000, history: 7000 });
+});
+
+test('split_into_blocks keys sections by heading path and ignores headings in code', t => {
+  const blocks = split_into_blocks(note, 'garden.md');
+  t.deepEqual(blocks.map(b => b.key), [
+    'garden.md',
+    'garden.md#Vegetables',
+    'garden.md#Vegetables#Tomatoes',
+    'garden.md#Flowers',
+  ]);
+  t.deepEqual(blocks[2].lines, [6, 10]);
+  t.true(blocks[2].content.includes('# not a heading'));
+});
+
+test('split_into_blocks makes repeated heading keys unique', t => {
+  const blocks = split_into_blocks('# A\none\n# A\ntwo', 'n.md');
+  t.deepEqual(blocks.map(b => b.key), ['n.md#A', 'n.md#A{2}']);
+});
+
+test('lexical_overlap is the share of query terms present', t => {
+  t.is(lexical_overlap('water tomatoes', 'Water the TOMATOES'), 1);
+  t.is(lexical_overlap('water roses', 'water tomatoes'), 0.5);
+  t.is(lexical_overlap('a b', 'anything'), 0);
+});
+
+test('blocks_overlap detects nesting and line intersections within a file', t => {
+  t.true(blocks_overlap({ key: 'a.md#H', source_key: 'a.md', lines: [0, 10] }, { key: 'a.md#H#S', source_key: 'a.md', lines: [4, 6] }));
+  t.false(blocks_overlap({ key: 'a.md#H', source_key: 'a.md', lines: [0, 3] }, { key: 'a.md#I', source_key: 'a.md', lines: [4, 6] }));
+  t.false(blocks_overlap({ key: 'a.md', source_key: 'a.md', lines: [0, 3] }, { key: 'a.md#I', source_key: 'a.md', lines: [4, 6] }));
+  t.true(blocks_overlap({ key: 'a.md#H', source_key: 'a.md' }, { key: 'a.md#H#S', source_key: 'a.md' }));
+  t.true(blocks_overlap({ key: 'a.md', source_key: 'a.md' }, { key: 'a.md#H', source_key: 'a.md' }));
+  t.false(blocks_overlap({ key: 'a.md#H', source_key: 'a.md' }, { key: 'b.md#H', source_key: 'b.md' }));
+});
+
+test('collect_context_candidates splits searched sources into scored blocks', async t => {
+  const env = {
+    smart_sources: {
+      search: async () => [{ item: { path: 'garden.md', content: note }, score: 0.8 }],
+    },
+  };
+  const candidates = await collect_context_candidates(env, 'water tomatoes');
+  const tomatoes = candidates.find(c => c.key === 'garden.md#Vegetables#Tomatoes');
+  const flowers = candidates.find(c => c.key === 'garden.md#Flowers');
+  t.true(tomatoes.score > flowers.score);
+});
+
+test('collect_context_candidates uses block lookup when blocks are embedded', async t => {
+  let lookup_params = null;
+  const env = {
+    smart_sources: { search: async () => t.fail('should not search sources') },
+    smart_blocks: {
+      settings: { embed_blocks: true },
+      lookup: async (params) => {
+        lookup_params = params;
+        return [{ item: { key: 'a.md#H', data: { lines: [1, 4] }, read: async () => 'Block text' }, score: 0.7 }];
+      },
+    },
+  };
+  const candidates = await collect_context_candidates(env, 'query', { limit: 2 });
+  t.deepEqual(lookup_params, { hypotheticals: ['query'], filter: { limit: 8 } });
+  t.deepEqual(candidates, [{ key: 'a.md#H', source_key: 'a.md', lines: [1, 4], score: 0.7, content: 'Block text' }]);
+});
+
+test('pack_context skips overlapping and duplicate blocks and records why', t => {
+  const pack = pack_context([
+    { key: 'a.md#H', source_key: 'a.md', lines: [0, 10], score: 0.9, content: 'Parent section' },
+    { key: 'a.md#H#S', source_key: 'a.md', lines: [4, 6], score: 0.8, content: 'Child section' },
+    { key: 'b.md', source_key: 'b.md', lines: [0, 2], score: 0.7, content: 'Parent section' },
+    { key: 'c.md', source_key: 'c.md', lines: [0, 2], score: 0.6, content: 'Other' },
+  ], { budget: 1000 });
+
+  t.deepEqual(pack.blocks.map(b => b.key), ['a.md#H', 'c.md']);
+  t.deepEqual(pack.dropped.map(d => [d.key, d.reason]), [['a.md#H#S', 'overlap'], ['b.md', 'duplicate']]);
+  t.is(pack.tokens, pack.blocks.reduce((sum, b) => sum + b.tokens, 0));
+});
+
+test('pack_context stays within budget, truncating the last block that fits partially', t => {
+  const long = 'lorem ipsum dolor sit amet '.repeat(200);
+  const pack = pack_context([
+    { key: 'a.md', source_key: 'a.md', score: 0.9, content: 'short block' },
+    { key: 'b.md', source_key: 'b.md', score: 0.8, content: long },
+    { key: 'c.md', source_key: 'c.md', score: 0.7, content: 'other ' + long },
+  ], { budget: 300 });
+
+  t.deepEqual(pack.blocks.map(b => [b.key, b.truncated]), [['a.md', false], ['b.md', true]]);
+  t.deepEqual(pack.dropped.map(d => [d.key, d.reason]), [['c.md', 'budget']]);
+  t.true(pack.tokens <= 300);
+});
+
+test('pack_context includes the active note first and skips its blocks', t => {
+  const pack = pack_context([
+    { key: 'current.md#H', source_key: 'current.md', score: 0.9, content: 'Already in the note' },
+    { key: 'x.md', source_key: 'x.md', score: 0.5, content: 'Other note' },
+  ], { budget: 1000, active_note: { path: 'current.md', basename: 'current', content: 'Note body' }, max_blocks: 5 });
+
+  t.is(pack.active_note.key, 'current.md');
+  t.false(pack.active_note.truncated);
+  t.deepEqual(pack.blocks.map(b => b.key), ['x.md']);
+  t.is(pack.dropped[0].reason, 'active_note');
+});
+
+test('pack_context respects max_blocks', t => {
+  const pack = pack_context([
+    { key: 'a.md', source_key: 'a.md', score: 0.9, content: 'A' },
+    { key: 'b.md', source_key: 'b.md', score: 0.8, content: 'B' },
+  ], { budget: 1000, max_blocks: 1 });
+  t.deepEqual(pack.dropped, [{ key: 'b.md', score: 0.8, reason: 'limit' }]);
+});
+
+test('format_context_pack and summarize_context_pack', t => {
+  const pack = pack_context([
+    { key: 'a.md#H', source_key: 'a.md', score: 0.9, content: 'Block A' },
+  ], { budget: 1000, active_note: { basename: 'current', content: 'Note body' } });
+
+  const text = format_context_pack(pack);
+  t.true(text.startsWith('## Current Note: current\n\nNote body'));
+  t.true(text.includes('## Related Content from Vault:\n\n### 1. a.md#H\n\nBlock A'));
+
+  const summary = summarize_context_pack(pack);
+  t.false('content' in summary.blocks[0]);
+  t.false('content' in summary.active_note);
+  t.is(summary.blocks[0].key, 'a.md#H');
+  t.is(format_context_pack(pack_context([], { budget: 10 })), '');
+});
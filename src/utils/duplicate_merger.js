@@ -0,0 +1,145 @@
+import { getLinkpath, normalizePath } from 'obsidian';
+import { cos_sim } from 'smart-utils/cos_sim.js';
+import {
+  get_block_segments,
+  select_unique_blocks,
+  append_merged_blocks,
+  redirect_link,
+  replace_ranges,
+} from './duplicates.js';
+
+/**
+ * Merges duplicate notes into the note that is kept (see duplicates.js): moves the blocks only
+ * the duplicate has, points links to the duplicate at the kept note and moves the duplicate to
+ * the archive folder.
+ */
+export class DuplicateMerger {
+  /**
+   * @param {Plugin} plugin - Smart Connections plugin
+   */
+  constructor(plugin) {
+    this.plugin = plugin;
+  }
+
+  get app() { return this.plugin.app; }
+  get env() { return this.plugin.env; }
+
+  /**
+   * @property {Object} settings - `env.settings.duplicates` with defaults
+   * @readonly
+   */
+  get settings() {
+    return {
+      threshold: 0.95,
+      scope: 'sources',
+      archive_folder: 'Archive/Duplicates',
+      ...(this.env?.settings?.duplicates || {}),
+    };
+  }
+
+  /**
+   * Blocks of a duplicate that the kept note does not have.
+   * @async
+   * @param {string} keep_key - Kept note
+   * @param {string} other_key - Duplicate
+   * @returns {Promise<Array<Object>>} [{ key, text, score }]
+   */
+  async get_unique_blocks(keep_key, other_key) {
+    const keep = this.env.smart_sources.get(keep_key);
+    const other = this.env.smart_sources.get(other_key);
+    if (!keep || !other) return [];
+    const keep_vecs = keep.blocks.map(block => block.vec).filter(Boolean);
+    const segments = get_block_segments(await other.read(), other.blocks.map(block => ({ key: block.key, lines: block.lines })))
+      .map(segment => {
+        const vec = this.env.smart_blocks.get(segment.key)?.vec;
+        const score = vec && keep_vecs.length ? Math.max(...keep_vecs.map(keep_vec => cos_sim(vec, keep_vec))) : undefined;
+        return { ...segment, score };
+      })
+    ;
+    return select_unique_blocks(segments, await keep.read(), Number(this.settings.threshold) || 0.95);
+  }
+
+  /**
+   * Merges duplicates into the kept note.
+   * @async
+   * @param {string} keep_key - Kept note
+   * @param {Array<string>} other_keys - Duplicates
+   * @returns {Promise<Object>} { moved_blocks, redirected_links, archived }
+   */
+  async merge(keep_key, other_keys) {
+    const { vault, metadataCache } = this.app;
+    const keep_file = vault.getFileByPath(keep_key);
+    if (!keep_file) throw new Error(`Duplicates: ${keep_key} not found`);
+    const summary = { moved_blocks: 0, redirected_links: 0, archived: [] };
+    for (const other_key of other_keys) {
+      const other_file = vault.getFileByPath(other_key);
+      if (!other_file || other_file === keep_file) continue;
+      const unique_blocks = await this.get_unique_blocks(keep_key, other_key);
+      if (unique_blocks.length) {
+        const from_link = `[[${metadataCache.fileToLinktext(other_file, keep_file.path, true)}]]`;
+        await vault.process(keep_file, (markdown) => append_merged_blocks(markdown, unique_blocks.map(block => block.text), from_link));
+        summary.moved_blocks += unique_blocks.length;
+      }
+      summary.redirected_links += await this.redirect_links(other_file, keep_file);
+      summary.archived.push(await this.archive(other_file));
+    }
+    return summary;
+  }
+
+  /**
+   * Points links to a note at another note in every note linking to it. Links in the other note
+   * itself (like the "Merged from" heading) keep pointing at the archived note.
+   * @async
+   * @param {TFile} from_file - Note links point to
+   * @param {TFile} to_file - Note they should point to
+   * @returns {Promise<number>} Links redirected
+   */
+  async redirect_links(from_file, to_file) {
+    const { vault, metadataCache } = this.app;
+    let redirected = 0;
+    const linking_paths = Object.entries(metadataCache.resolvedLinks)
+      .filter(([path, links]) => links[from_file.path] && path !== from_file.path && path !== to_file.path)
+      .map(([path]) => path)
+    ;
+    for (const path of linking_paths) {
+      const file = vault.getFileByPath(path);
+      const cache = file && metadataCache.getFileCache(file);
+      if (!cache) continue;
+      const linktext = metadataCache.fileToLinktext(to_file, path, true);
+      const replacements = [...(cache.links || []), ...(cache.embeds || [])]
+        .filter(link => metadataCache.getFirstLinkpathDest(getLinkpath(link.link), path)?.path === from_file.path)
+        .map(link => ({
+          start: link.position.start.offset,
+          end: link.position.end.offset,
+          original: link.original,
+          text: redirect_link(link.original, linktext),
+        }))
+      ;
+      if (!replacements.length) continue;
+      await vault.process(file, (markdown) => {
+        const result = replace_ranges(markdown, replacements);
+        redirected += result.replaced;
+        return result.text;
+      });
+    }
+    return redirected;
+  }
+
+  /**
+   * Moves a note to the archive folder.
+   * @async
+   * @param {TFile} file
+   * @returns {Promise<string>} New path
+   */
+  async archive(file) {
+    const { vault, fileManager } = this.app;
+    const folder = normalizePath(this.settings.archive_folder || 'Archive/Duplicates');
+    if (!vault.getFolderByPath(folder)) await vault.createFolder(folder);
+    let path = normalizePath(`${folder}/${file.name}`);
+    for (let i = 1; vault.getAbstractFileByPath(path); i++) {
+      path = normalizePath(`${folder}/${file.basename} ${i}.${file.extension}`);
+    }
+    await fileManager.renameFile(file, path);
+    return path;
+  }
+}
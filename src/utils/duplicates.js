@@ -0,0 +1,223 @@
+/**
+ * Duplicates: clusters of notes or blocks whose vectors are nearly the same, a line diff to
+ * compare them and the text helpers used to merge a duplicate into the note that is kept.
+ */
+
+/**
+ * Groups items whose connections reach the threshold. Clusters are transitive: when A is close
+ * to B and B to C, all three are one cluster. A block and the blocks nested in it are never
+ * counted as duplicates of each other.
+ * @param {Array<Object>} neighbors - [{ key, results: [{ item, score }] }]
+ * @param {Object} [opts={}]
+ * @param {number} [opts.threshold=0.95]
+ * @returns {Array<Object>} [{ keys, score }] largest first; `score` is the highest similarity in the cluster
+ */
+export function cluster_duplicates(neighbors = [], opts = {}) {
+  const { threshold = 0.95 } = opts;
+  const parents = new Map();
+  const find = (key) => {
+    while (parents.get(key) !== key) {
+      parents.set(key, parents.get(parents.get(key)));
+      key = parents.get(key);
+    }
+    return key;
+  };
+  const add = (key) => { if (!parents.has(key)) parents.set(key, key); };
+  const scores = new Map();
+  neighbors.forEach(({ key, results = [] }) => {
+    results.forEach(({ item, score }) => {
+      const other_key = item?.key;
+      if (!other_key || other_key === key || !(score >= threshold)) return;
+      if (other_key.startsWith(key + '#') || key.startsWith(other_key + '#')) return;
+      add(key);
+      add(other_key);
+      parents.set(find(other_key), find(key));
+      scores.set(key, Math.max(scores.get(key) ?? 0, score));
+      scores.set(other_key, Math.max(scores.get(other_key) ?? 0, score));
+    });
+  });
+  const clusters = new Map();
+  [...parents.keys()].forEach(key => {
+    const root = find(key);
+    if (!clusters.has(root)) clusters.set(root, { keys: [], score: 0 });
+    const cluster = clusters.get(root);
+    cluster.keys.push(key);
+    cluster.score = Math.max(cluster.score, scores.get(key));
+  });
+  return [...clusters.values()]
+    .sort((a, b) => (b.keys.length - a.keys.length) || (b.score - a.score))
+  ;
+}
+
+const MAX_DIFF_CELLS = 1000000; // lines compared line by line; longer changes are shown as a block
+
+/**
+ * Side by side line diff.
+ * @param {string} a - Left text
+ * @param {string} b - Right text
+ * @returns {Array<Object>} Rows [{ type: 'same'|'changed'|'removed'|'added', left?, right? }]
+ */
+export function diff_lines(a = '', b = '') {
+  const left = a.split('\n');
+  const right = b.split('\n');
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) start++;
+  let end = 0;
+  while (
+    end < left.length - start
+    && end < right.length - start
+    && left[left.length - 1 - end] === right[right.length - 1 - end]
+  ) end++;
+  const left_mid = left.slice(start, left.length - end);
+  const right_mid = right.slice(start, right.length - end);
+  const same = (lines) => lines.map(line => ({ type: 'same', left: line, right: line }));
+  return [
+    ...same(left.slice(0, start)),
+    ...pair_changes(left_mid.length * right_mid.length > MAX_DIFF_CELLS
+      ? [...left_mid.map(line => ({ type: 'removed', left: line })), ...right_mid.map(line => ({ type: 'added', right: line }))]
+      : lcs_ops(left_mid, right_mid)
+    ),
+    ...same(left.slice(left.length - end)),
+  ];
+}
+
+/**
+ * Splits a note into the text each block owns: from its first line up to the next block (or its
+ * own end), so nested blocks are not repeated. Frontmatter is left out.
+ * @param {string} markdown - Note content
+ * @param {Array<Object>} blocks - [{ key, lines: [start, end] }] (1-based, inclusive)
+ * @returns {Array<Object>} [{ key, text }] in note order, empty segments left out
+ */
+export function get_block_segments(markdown = '', blocks = []) {
+  const lines = markdown.split('\n');
+  const sorted = blocks
+    .filter(block => Array.isArray(block.lines) && !block.key.includes('---frontmatter---'))
+    .sort((a, b) => a.lines[0] - b.lines[0])
+  ;
+  return sorted
+    .map((block, i) => {
+      const next_start = sorted[i + 1]?.lines[0] ?? Infinity;
+      const end = Math.min(block.lines[1], next_start - 1);
+      return { key: block.key, text: lines.slice(block.lines[0] - 1, end).join('\n').trim() };
+    })
+    .filter(segment => segment.text)
+  ;
+}
+
+/**
+ * Blocks of a duplicate that are not already in the kept note: their text is not found in it
+ * and they are not close to any of its blocks.
+ * @param {Array<Object>} segments - [{ key, text, score? }] `score` is the highest similarity to the kept note's blocks
+ * @param {string} keep_markdown - Content of the kept note
+ * @param {number} [threshold=0.95]
+ * @returns {Array<Object>} Unique segments
+ */
+export function select_unique_blocks(segments = [], keep_markdown = '', threshold = 0.95) {
+  const keep_text = normalize_text(keep_markdown);
+  return segments.filter(segment => !(segment.score >= threshold) && !keep_text.includes(normalize_text(segment.text)));
+}
+
+/**
+ * Appends blocks moved from a duplicate under a "Merged from" heading.
+ * @param {string} markdown - Content of the kept note
+ * @param {Array<string>} texts - Block texts
+ * @param {string} from_link - Wikilink to the duplicate
+ * @returns {string} Updated content (unchanged when there is nothing to move)
+ */
+export function append_merged_blocks(markdown = '', texts = [], from_link) {
+  if (!texts.length) return markdown;
+  const body = markdown.replace(/\s*$/, '');
+  return (body ? body + '\n\n' : '') + `## Merged from ${from_link}\n\n` + texts.join('\n\n') + '\n';
+}
+
+/**
+ * Points a link at another note, keeping its heading or block reference and display text.
+ * Handles wikilinks, embeds and markdown links.
+ * @param {string} original - Link as written (`[[Old#Heading|Alias]]`, `![[Old]]`, `[Alias](Old.md)`)
+ * @param {string} linktext - Link text of the new note (`New`, `Folder/New`)
+ * @returns {string} Redirected link (the original when it is not a link)
+ */
+export function redirect_link(original, linktext) {
+  const wikilink = original.match(/^(!?\[\[)([^\]|#]*)((?:#[^\]|]*)?)((?:\|[^\]]*)?)(\]\])$/);
+  if (wikilink) return wikilink[1] + linktext + wikilink[3] + wikilink[4] + wikilink[5];
+  const markdown_link = original.match(/^(!?\[[^\]]*\]\()(<?)([^)#>]*)((?:#[^)>]*)?)(>?\))$/);
+  if (markdown_link) {
+    const path = markdown_link[2] ? `${linktext}.md` : encodeURI(`${linktext}.md`);
+    return markdown_link[1] + markdown_link[2] + path + markdown_link[4] + markdown_link[5];
+  }
+  return original;
+}
+
+/**
+ * Replaces ranges of a text. A range is only replaced while it still holds the expected text,
+ * so positions from a stale metadata cache don't corrupt the note.
+ * @param {string} text
+ * @param {Array<Object>} replacements - [{ start, end, original, text }]
+ * @returns {{ text: string, replaced: number }}
+ */
+export function replace_ranges(text = '', replacements = []) {
+  let replaced = 0;
+  [...replacements]
+    .sort((a, b) => b.start - a.start)
+    .forEach(replacement => {
+      if (text.slice(replacement.start, replacement.end) !== replacement.original) return;
+      text = text.slice(0, replacement.start) + replacement.text + text.slice(replacement.end);
+      replaced++;
+    })
+  ;
+  return { text, replaced };
+}
+
+function normalize_text(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function lcs_ops(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+      ;
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'same', left: a[i++], right: b[j++] });
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ type: 'removed', left: a[i++] });
+    } else {
+      ops.push({ type: 'added', right: b[j++] });
+    }
+  }
+  return ops;
+}
+
+// shows removed and added lines next to each other as changed rows
+function pair_changes(ops) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      if (k < removed.length && k < added.length) rows.push({ type: 'changed', left: removed[k], right: added[k] });
+      else if (k < removed.length) rows.push({ type: 'removed', left: removed[k] });
+      else rows.push({ type: 'added', right: added[k] });
+    }
+    removed = [];
+    added = [];
+  };
+  ops.forEach(op => {
+    if (op.type === 'removed') removed.push(op.left);
+    else if (op.type === 'added') added.push(op.right);
+    else {
+      flush();
+      rows.push(op);
+    }
+  });
+  flush();
+  return rows;
+}
@@ -0,0 +1,69 @@
+import test from 'ava';
+import {
+  cluster_duplicates,
+  diff_lines,
+  get_block_segments,
+  select_unique_blocks,
+  append_merged_blocks,
+  redirect_link,
+  replace_ranges,
+} from './duplicates.js';
+
+const result = (key, score) => ({ item: { key }, score });
+
+test('clusters items above the threshold transitively', t => {
+  const neighbors = [
+    { key: 'a.md', results: [result('b.md', 0.97), result('x.md', 0.6)] },
+    { key: 'b.md', results: [result('c.md', 0.96)] },
+    { key: 'd.md', results: [result('e.md', 0.99)] },
+    { key: 'f.md#Intro', results: [result('f.md#Intro#Details', 0.99), result('f.md', 0.99)] },
+  ];
+  t.deepEqual(cluster_duplicates(neighbors, { threshold: 0.95 }), [
+    { keys: ['a.md', 'b.md', 'c.md'], score: 0.97 },
+    { keys: ['d.md', 'e.md'], score: 0.99 },
+  ]);
+});
+
+test('diffs lines side by side', t => {
+  t.deepEqual(diff_lines('# Meeting\nAlice\nBob\nEnd', '# Meeting\nAlicia\nBob\nCarol\nEnd'), [
+    { type: 'same', left: '# Meeting', right: '# Meeting' },
+    { type: 'changed', left: 'Alice', right: 'Alicia' },
+    { type: 'same', left: 'Bob', right: 'Bob' },
+    { type: 'added', right: 'Carol' },
+    { type: 'same', left: 'End', right: 'End' },
+  ]);
+  t.deepEqual(diff_lines('a\nb', 'a'), [
+    { type: 'same', left: 'a', right: 'a' },
+    { type: 'removed', left: 'b' },
+  ]);
+});
+
+test('splits notes into block segments and keeps unique ones', t => {
+  const markdown = '---\ntags: x\n---\n# Notes\nIntro\n## Agenda\nSame agenda\n## Extra\nOnly here';
+  const blocks = [
+    { key: 'n.md#---frontmatter---', lines: [1, 3] },
+    { key: 'n.md#Notes', lines: [4, 9] },
+    { key: 'n.md#Notes#Agenda', lines: [6, 7] },
+    { key: 'n.md#Notes#Extra', lines: [8, 9] },
+  ];
+  const segments = get_block_segments(markdown, blocks);
+  t.deepEqual(segments.map(segment => segment.text), ['# Notes\nIntro', '## Agenda\nSame agenda', '## Extra\nOnly here']);
+  const scored = segments.map((segment, i) => ({ ...segment, score: [0.97, 0.5, 0.4][i] }));
+  const unique = select_unique_blocks(scored, '# Notes\n\n## Agenda\nSame   agenda\n', 0.95);
+  t.deepEqual(unique.map(segment => segment.key), ['n.md#Notes#Extra']);
+  t.is(append_merged_blocks('Kept\n', unique.map(segment => segment.text), '[[n]]'), 'Kept\n\n## Merged from [[n]]\n\n## Extra\nOnly here\n');
+  t.is(append_merged_blocks('Kept\n', [], '[[n]]'), 'Kept\n');
+});
+
+test('redirects links and replaces only unchanged ranges', t => {
+  t.is(redirect_link('[[Old]]', 'New'), '[[New]]');
+  t.is(redirect_link('![[Old#Agenda|the agenda]]', 'Folder/New'), '![[Folder/New#Agenda|the agenda]]');
+  t.is(redirect_link('[the note](Old%20copy.md#^abc)', 'New note'), '[the note](New%20note.md#^abc)');
+  t.is(redirect_link('[x](<Old copy.md>)', 'New note'), '[x](<New note.md>)');
+  t.is(redirect_link('plain', 'New'), 'plain');
+  const text = 'See [[Old]] and [[Old|it]].';
+  t.deepEqual(replace_ranges(text, [
+    { start: 4, end: 11, original: '[[Old]]', text: '[[New]]' },
+    { start: 16, end: 26, original: '[[Stale]]', text: '[[New|it]]' },
+  ]), { text: 'See [[New]] and [[Old|it]].', replaced: 1 });
+});
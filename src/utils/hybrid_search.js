@@ -0,0 +1,298 @@
+import { Bm25Index } from './bm25_index.js';
+import { weighted_lookup } from './weighted_lookup.js';
+
+/**
+ * @module utils/hybrid_search
+ * @description Keyword (BM25) and hybrid ranking for Smart Lookup. A keyword index per
+ * collection (`smart_sources` or `smart_blocks`) is built once in the background, yielding to
+ * the UI, and then kept up to date from vault changes: a changed file is re-indexed once the
+ * collection has re-imported it. Searches do not re-read the vault. Hybrid mode fuses the
+ * semantic and keyword rankings with reciprocal-rank fusion.
+ */
+
+export const LOOKUP_MODES = ['semantic', 'keyword', 'hybrid'];
+
+/**
+ * Rank constant of reciprocal-rank fusion; larger values flatten the difference between ranks.
+ */
+const RRF_K = 60;
+const YIELD_EVERY = 20; // items indexed between UI updates
+const CHECK_INTERVAL = 5000; // how often changed files are checked for re-import
+const MAX_WAIT = 600000; // changed files the collection does not re-import by then (excluded) are dropped
+
+const keyword_indexes = new WeakMap();
+
+/**
+ * Value that changes when an item is re-imported (falls back to the parent source for blocks).
+ * @param {Object} item - SmartSource or SmartBlock
+ * @returns {string}
+ */
+export function get_item_signature(item) {
+  const data = item?.data || {};
+  const source_data = item?.source?.data || {};
+  return String(
+    data.last_read?.hash
+    ?? data.last_import?.hash
+    ?? data.last_import?.mtime
+    ?? data.mtime
+    ?? source_data.last_import?.hash
+    ?? source_data.last_import?.mtime
+    ?? ''
+  );
+}
+
+export class KeywordIndex {
+  /**
+   * @param {Object} collection - SmartSources or SmartBlocks collection
+   */
+  constructor(collection) {
+    this.collection = collection;
+    this.index = new Bm25Index();
+    /** @type {Map<string, string>} key -> signature when indexed */
+    this.signatures = new Map();
+    this.syncing = null;
+    this.synced = false;
+    /** @type {Map<string, number>} changed file path -> its modification time */
+    this.queue = new Map();
+  }
+
+  /**
+   * Returns the shared keyword index of a collection.
+   * @param {Object} collection
+   * @returns {KeywordIndex}
+   */
+  static for_collection(collection) {
+    if (!keyword_indexes.has(collection)) keyword_indexes.set(collection, new KeywordIndex(collection));
+    return keyword_indexes.get(collection);
+  }
+
+  /**
+   * Builds the index, or brings it up to date with the collection: only items whose import
+   * signature changed since they were indexed are read again. Concurrent calls share one sync.
+   * @async
+   * @returns {Promise<Object>} { updated, removed }
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.sync_items()
+        .then((result) => { this.synced = true; return result; })
+        .finally(() => { this.syncing = null; })
+      ;
+    }
+    return await this.syncing;
+  }
+
+  /**
+   * @private
+   */
+  async sync_items() {
+    const items = Object.values(this.collection.items || {});
+    const keys = new Set();
+    let updated = 0;
+    for (let i = 0; i < items.length; i++) {
+      if (i % YIELD_EVERY === 0) await new Promise(resolve => setTimeout(resolve, 0));
+      const item = items[i];
+      if (!item?.key || item.deleted) continue;
+      keys.add(item.key);
+      const signature = get_item_signature(item);
+      if (this.index.has(item.key) && this.signatures.get(item.key) === signature) continue;
+      if (await this.update(item, signature)) updated++;
+    }
+    let removed = 0;
+    for (const key of [...this.signatures.keys()]) {
+      if (keys.has(key)) continue;
+      this.remove(key);
+      removed++;
+    }
+    return { updated, removed };
+  }
+
+  /**
+   * Queues a changed file. Its items are re-indexed once the collection has re-imported it
+   * (checked every CHECK_INTERVAL). Ignored while the index was never built: the build reads it.
+   * @param {string} path - File path
+   * @param {number} [mtime=Date.now()] - Modification time of the change
+   */
+  queue_update(path, mtime = Date.now()) {
+    if (!this.synced && !this.syncing) return;
+    this.queue.set(path, mtime);
+    if (!this.interval) this.interval = setInterval(() => this.process_queue(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Re-indexes queued files the collection has re-imported.
+   * @async
+   */
+  async process_queue() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      for (const [path, mtime] of [...this.queue]) {
+        const source = this.collection.env?.smart_sources?.get(path);
+        if (!((source?.data?.last_import?.mtime || 0) >= mtime)) {
+          if (Date.now() - mtime > MAX_WAIT) this.queue.delete(path);
+          continue;
+        }
+        this.queue.delete(path);
+        await this.update_path(path);
+      }
+    } finally {
+      this.processing = false;
+      if (!this.queue.size) this.unload();
+    }
+  }
+
+  /**
+   * Re-indexes the items of a file (the source and its blocks) and drops the ones that are gone.
+   * @async
+   * @param {string} path - File path
+   */
+  async update_path(path) {
+    const in_file = (key) => key === path || key.startsWith(path + '#');
+    const items = Object.values(this.collection.items || {})
+      .filter(item => item?.key && !item.deleted && in_file(item.key))
+    ;
+    const keys = new Set(items.map(item => item.key));
+    [...this.signatures.keys()]
+      .filter(key => in_file(key) && !keys.has(key))
+      .forEach(key => this.remove(key))
+    ;
+    for (const item of items) await this.update(item);
+  }
+
+  /**
+   * Drops the items of a deleted or renamed file.
+   * @param {string} path - File path
+   */
+  remove_path(path) {
+    this.queue.delete(path);
+    [...this.signatures.keys()]
+      .filter(key => key === path || key.startsWith(path + '#'))
+      .forEach(key => this.remove(key))
+    ;
+  }
+
+  unload() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * (Re)indexes one item.
+   * @async
+   * @param {Object} item - Collection item
+   * @param {string} [signature] - Import signature to record
+   * @returns {Promise<boolean>} False when the item could not be read
+   */
+  async update(item, signature = get_item_signature(item)) {
+    try {
+      const content = await item.read();
+      if (typeof content !== 'string') return false;
+      this.index.add(item.key, `${item.key}\n${content}`);
+      this.signatures.set(item.key, signature);
+      return true;
+    } catch (error) {
+      console.warn(`Keyword index: could not read ${item.key}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  remove(key) {
+    this.index.remove(key);
+    this.signatures.delete(key);
+  }
+
+  /**
+   * Keyword search over the collection. The first search builds the index when it was not
+   * built in the background; later searches only wait for a build in progress.
+   * @async
+   * @param {string} query - Query text
+   * @param {Object} [opts={}]
+   * @param {number} [opts.limit=10] - Maximum results
+   * @param {boolean} [opts.skip_blocks] - Drop block keys
+   * @param {Object} [opts.filter] - Lookup filter (`exclude_key_starts_with`, `key_starts_with`)
+   * @returns {Promise<Array<Object>>} [{ key, item, score }]
+   */
+  async search(query, opts = {}) {
+    if (!this.synced || this.syncing) await this.sync();
+    const { limit = 10, skip_blocks, filter = {} } = opts;
+    return this.index
+      .search(query, { limit, filter: (key) => matches_filter(key, { skip_blocks, ...filter }) })
+      .map(result => ({ ...result, item: this.collection.get(result.key) }))
+      .filter(result => result.item)
+    ;
+  }
+}
+
+/**
+ * Fuses rankings with reciprocal-rank fusion: each list adds 1 / (k + rank) to an item.
+ * Scores are divided by the best possible score so a result ranked first everywhere gets 1.
+ * Other result fields come from the first list that has the item.
+ * @param {Object<string, Array<Object>>} rankings - Signal name -> results ({ item, score }) best first
+ * @param {Object} [opts={}]
+ * @param {number} [opts.k=60] - Rank constant
+ * @param {number} [opts.limit] - Maximum results
+ * @returns {Array<Object>} [{ key, item, score, signals: { [name]: { rank, score } } }]
+ */
+export function reciprocal_rank_fusion(rankings = {}, opts = {}) {
+  const { k = RRF_K, limit } = opts;
+  const lists = Object.entries(rankings);
+  const fused = new Map();
+  lists.forEach(([signal, results]) => {
+    (results || []).forEach((result, i) => {
+      const key = result.item?.key ?? result.key;
+      if (!fused.has(key)) fused.set(key, { ...result, key, score: 0, signals: {} });
+      const entry = fused.get(key);
+      entry.score += 1 / (k + i + 1);
+      entry.signals[signal] = { rank: i + 1, score: result.score };
+    });
+  });
+  const max_score = lists.length / (k + 1);
+  const results = [...fused.values()]
+    .map(entry => ({ ...entry, score: max_score ? entry.score / max_score : 0 }))
+    .sort((a, b) => b.score - a.score)
+  ;
+  return limit ? results.slice(0, limit) : results;
+}
+
+/**
+ * Runs Smart Lookup in the given mode.
+ * @async
+ * @param {Object} collection - Collection to search
+ * @param {Object} params - Params from `get_lookup_params`
+ * @param {string} [mode='semantic'] - 'semantic', 'keyword' or 'hybrid'
+ * @returns {Promise<Array<Object>>} Results; keyword and hybrid results carry `signals` naming the ranking(s) that matched
+ */
+export async function hybrid_lookup(collection, params = {}, mode = 'semantic') {
+  const limit = params.filter?.limit || collection.env?.settings?.lookup_k || 10;
+  const keyword_query = (params.queries || [])
+    .filter(query => query.weight > 0)
+    .map(query => query.text)
+    .join(' ')
+    || (params.hypotheticals || []).join(' ')
+  ;
+  const keyword_search = () => KeywordIndex.for_collection(collection).search(keyword_query, {
+    limit: mode === 'hybrid' ? limit * 2 : limit,
+    skip_blocks: params.skip_blocks,
+    filter: params.filter,
+  });
+  if (mode === 'keyword') {
+    return (await keyword_search()).map((result, i) => ({ ...result, signals: { keyword: { rank: i + 1, score: result.score } } }));
+  }
+  const semantic = await weighted_lookup(collection, params);
+  if (mode !== 'hybrid' || !Array.isArray(semantic)) return semantic;
+  return reciprocal_rank_fusion({ semantic, keyword: await keyword_search() }, { limit });
+}
+
+function matches_filter(key, filter = {}) {
+  if (filter.skip_blocks && key.includes('#')) return false;
+  const starts = (value) => [].concat(value || []).some(prefix => key.startsWith(prefix));
+  if (filter.exclude_key_starts_with && starts(filter.exclude_key_starts_with)) return false;
+  if (filter.exclude_key_starts_with_any && starts(filter.exclude_key_starts_with_any)) return false;
+  if (filter.key_starts_with && !starts(filter.key_starts_with)) return false;
+  if (filter.key_starts_with_any && !starts(filter.key_starts_with_any)) return false;
+  return true;
+}
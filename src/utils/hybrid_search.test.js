@@ -0,0 +1,104 @@
+import test from 'ava';
+import {
+  KeywordIndex,
+  get_item_signature,
+  reciprocal_rank_fusion,
+  hybrid_lookup,
+} from './hybrid_search.js';
+
+const create_collection = (files) => {
+  const collection = { items: {}, reads: 0 };
+  collection.get = (key) => collection.items[key];
+  Object.entries(files).forEach(([key, content]) => {
+    collection.items[key] = {
+      key,
+      data: { last_import: { mtime: 1 } },
+      read: async () => { collection.reads++; return collection.items[key].content; },
+      content,
+    };
+  });
+  return collection;
+};
+
+test('get_item_signature falls back to the parent source', t => {
+  t.is(get_item_signature({ data: { last_read: { hash: 'h1' } } }), 'h1');
+  t.is(get_item_signature({ data: {}, source: { data: { last_import: { mtime: 5 } } } }), '5');
+});
+
+test('KeywordIndex syncs incrementally on re-import and removal', async t => {
+  const collection = create_collection({ 'a.md': 'alpha notes', 'b.md': 'ticket ABC-42' });
+  const index = new KeywordIndex(collection);
+  t.deepEqual(await index.sync(), { updated: 2, removed: 0 });
+  t.deepEqual(await index.sync(), { updated: 0, removed: 0 });
+
+  collection.items['a.md'].content = 'renamed ABC-42 follow-up';
+  collection.items['a.md'].data.last_import.mtime = 2;
+  delete collection.items['b.md'];
+  t.deepEqual(await index.sync(), { updated: 1, removed: 1 });
+  t.is(collection.reads, 3);
+
+  const results = await index.search('ABC-42');
+  t.deepEqual(results.map(r => r.key), ['a.md']);
+  t.is(results[0].item, collection.items['a.md']);
+});
+
+test('KeywordIndex updates changed files once re-imported instead of on search', async t => {
+  const collection = create_collection({ 'a.md': 'alpha notes', 'a.md#h': 'alpha heading', 'b.md': 'beta' });
+  collection.env = { smart_sources: collection };
+  const index = new KeywordIndex(collection);
+  t.teardown(() => index.unload());
+  await index.search('alpha');
+  t.is(collection.reads, 3);
+
+  collection.items['b.md'].content = 'beta ABC-42';
+  t.deepEqual(await index.search('ABC-42'), []);
+  t.is(collection.reads, 3);
+
+  const mtime = Date.now();
+  index.queue_update('b.md', mtime);
+  await index.process_queue();
+  t.true(index.queue.has('b.md')); // not re-imported yet
+  collection.items['b.md'].data.last_import.mtime = mtime;
+  await index.process_queue();
+  t.false(index.queue.has('b.md'));
+  t.deepEqual((await index.search('ABC-42')).map(r => r.key), ['b.md']);
+  t.is(collection.reads, 4);
+
+  index.remove_path('a.md');
+  t.deepEqual(await index.search('alpha'), []);
+});
+
+test('KeywordIndex search honors skip_blocks and key filters', async t => {
+  const collection = create_collection({ 'a.md': 'apple', 'a.md#h': 'apple', 'x/b.md': 'apple' });
+  const index = new KeywordIndex(collection);
+  t.deepEqual((await index.search('apple', { skip_blocks: true, filter: { exclude_key_starts_with: 'x/' } })).map(r => r.key), ['a.md']);
+});
+
+test('reciprocal_rank_fusion rewards agreement and records signals', t => {
+  const item = (key) => ({ key });
+  const fused = reciprocal_rank_fusion({
+    semantic: [{ item: item('a'), score: 0.9, top_query: 'q' }, { item: item('b'), score: 0.8 }],
+    keyword: [{ item: item('b'), score: 7 }, { item: item('c'), score: 3 }],
+  });
+  t.deepEqual(fused.map(r => r.key), ['b', 'a', 'c']);
+  t.deepEqual(fused[0].signals, { semantic: { rank: 2, score: 0.8 }, keyword: { rank: 1, score: 7 } });
+  t.is(fused[1].top_query, 'q');
+  t.true(fused[0].score <= 1);
+  t.is(reciprocal_rank_fusion({ semantic: [{ item: item('a') }] })[0].score, 1);
+});
+
+test('hybrid_lookup runs the selected mode', async t => {
+  const collection = create_collection({ 'a.md': 'alpha', 'b.md': 'ticket ABC-42' });
+  collection.lookup = async () => [{ item: collection.items['a.md'], score: 0.9 }];
+  const params = { hypotheticals: ['ABC-42'], queries: [{ text: 'ABC-42', weight: 1 }] };
+
+  const semantic = await hybrid_lookup(collection, params, 'semantic');
+  t.false('signals' in semantic[0]);
+
+  const keyword = await hybrid_lookup(collection, params, 'keyword');
+  t.deepEqual(keyword.map(r => r.key), ['b.md']);
+  t.deepEqual(Object.keys(keyword[0].signals), ['keyword']);
+
+  const hybrid = await hybrid_lookup(collection, params, 'hybrid');
+  t.deepEqual(hybrid.map(r => r.key).sort(), ['a.md', 'b.md']);
+});
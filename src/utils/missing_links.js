@@ -0,0 +1,79 @@
+import { RELATED_SECTION_END } from './related_links.js';
+
+/**
+ * Missing links: pairs of notes that are semantically close but not linked in either direction.
+ */
+
+/**
+ * Whether two notes link to each other in either direction.
+ * @param {Object} resolved_links - Obsidian `metadataCache.resolvedLinks` ({ [path]: { [path]: count } })
+ * @param {string} a - Note path
+ * @param {string} b - Note path
+ * @returns {boolean}
+ */
+export function is_linked(resolved_links = {}, a, b) {
+  return !!(resolved_links[a]?.[b] || resolved_links[b]?.[a]);
+}
+
+/**
+ * Finds close note pairs without a link. Each pair is listed once, with the higher score of its
+ * two directions; pairs hidden from either note are left out.
+ * @param {Array<Object>} connections - [{ source_key, results: [{ item, score }], hidden_keys? }]
+ * @param {Object} resolved_links - Obsidian `metadataCache.resolvedLinks`
+ * @param {Object} [opts={}]
+ * @param {number} [opts.min_score=0.75]
+ * @param {number} [opts.limit=100]
+ * @returns {Array<Object>} [{ source_key, target_key, score }] best first
+ */
+export function find_missing_links(connections = [], resolved_links = {}, opts = {}) {
+  const { min_score = 0.75, limit = 100 } = opts;
+  const hidden = new Set();
+  connections.forEach(({ source_key, hidden_keys = [] }) => {
+    hidden_keys.forEach(key => hidden.add(get_pair_id(source_key, key.split('#')[0])));
+  });
+  const pairs = new Map();
+  connections.forEach(({ source_key, results = [] }) => {
+    results.forEach(({ item, score }) => {
+      const target_key = item?.key?.split('#')[0];
+      if (!target_key || target_key === source_key || !(score >= min_score)) return;
+      const pair_id = get_pair_id(source_key, target_key);
+      if (hidden.has(pair_id) || is_linked(resolved_links, source_key, target_key)) return;
+      if ((pairs.get(pair_id)?.score ?? -Infinity) >= score) return;
+      pairs.set(pair_id, { source_key, target_key, score });
+    });
+  });
+  return [...pairs.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+  ;
+}
+
+/**
+ * Adds a link to a note: as a list item at the end of a section (the section is added when
+ * missing), or on its own line at the end of the note.
+ * @param {string} markdown - Note content
+ * @param {string} link - Wikilink
+ * @param {Object} [opts={}]
+ * @param {string} [opts.heading] - Section heading; the end of the note when omitted
+ * @returns {string}
+ */
+export function insert_link(markdown = '', link, opts = {}) {
+  const body = markdown.replace(/\s*$/, '');
+  if (!opts.heading) return (body ? body + '\n\n' : '') + link + '\n';
+  const lines = markdown.split('\n');
+  const heading_i = lines.findIndex(line => /^#{1,6}\s/.test(line) && line.replace(/^#+\s*/, '').trim() === opts.heading);
+  if (heading_i < 0) return (body ? body + '\n\n' : '') + `## ${opts.heading}\n- ${link}\n`;
+  const level = lines[heading_i].match(/^#+/)[0].length;
+  let end = lines.findIndex((line, i) => i > heading_i && /^#{1,6}\s/.test(line) && line.match(/^#+/)[0].length <= level);
+  if (end < 0) end = lines.length;
+  let insert_at = end;
+  while (insert_at > heading_i + 1 && !lines[insert_at - 1].trim()) insert_at--;
+  // the managed related links section is rewritten by the related links writer; add after it
+  const after_managed = lines[insert_at - 1]?.includes(RELATED_SECTION_END);
+  lines.splice(insert_at, 0, ...(after_managed ? ['', `- ${link}`] : [`- ${link}`]));
+  return lines.join('\n');
+}
+
+function get_pair_id(a, b) {
+  return a < b ? `${a}\n${b}` : `${b}\n${a}`;
+}
@@ -0,0 +1,34 @@
+import test from 'ava';
+import { is_linked, find_missing_links, insert_link } from './missing_links.js';
+
+const result = (key, score) => ({ item: { key }, score });
+
+test('checks links in both directions', t => {
+  const resolved_links = { 'a.md': { 'b.md': 1 } };
+  t.true(is_linked(resolved_links, 'a.md', 'b.md'));
+  t.true(is_linked(resolved_links, 'b.md', 'a.md'));
+  t.false(is_linked(resolved_links, 'a.md', 'c.md'));
+});
+
+test('lists close unlinked pairs once, best first', t => {
+  const connections = [
+    { source_key: 'a.md', results: [result('b.md', 0.9), result('c.md', 0.8), result('d.md#Part', 0.85), result('e.md', 0.5)] },
+    { source_key: 'c.md', results: [result('a.md', 0.82), result('x.md', 0.95)], hidden_keys: ['x.md'] },
+    { source_key: 'd.md', results: [result('d.md#Other', 0.99)] },
+  ];
+  const resolved_links = { 'b.md': { 'a.md': 2 } };
+  t.deepEqual(find_missing_links(connections, resolved_links, { min_score: 0.75 }), [
+    { source_key: 'a.md', target_key: 'd.md', score: 0.85 },
+    { source_key: 'c.md', target_key: 'a.md', score: 0.82 },
+  ]);
+  t.is(find_missing_links(connections, resolved_links, { min_score: 0.75, limit: 1 }).length, 1);
+});
+
+test('inserts links at the end or in a section', t => {
+  t.is(insert_link('Text\n\n', '[[B]]'), 'Text\n\n[[B]]\n');
+  t.is(insert_link('Text', '[[B]]', { heading: 'Related' }), 'Text\n\n## Related\n- [[B]]\n');
+  t.is(insert_link('## Related\n- [[A]]\n\n## Next\n', '[[B]]', { heading: 'Related' }), '## Related\n- [[A]]\n- [[B]]\n\n## Next\n');
+  const managed = '<!-- smart-connections:related -->\n## Related\n- [[A]]\n<!-- /smart-connections:related -->\n';
+  t.is(insert_link(managed, '[[B]]', { heading: 'Related' }),
+    '<!-- smart-connections:related -->\n## Related\n- [[A]]\n<!-- /smart-connections:related -->\n\n- [[B]]\n');
+});
@@ -0,0 +1,107 @@
+/**
+ * Pinned and hidden connections of a source or block.
+ *
+ * Both are stored in the item's data, next to its embedding, so they survive re-embedding:
+ * - `data.pinned_connections`: `{ [key]: { at, note } }` - always listed first, regardless of score
+ * - `data.hidden_connections`: `{ [key]: at }` - never listed
+ *
+ * A connection is either pinned or hidden: pinning unhides it and hiding unpins it.
+ */
+
+/**
+ * Pinned connections, oldest pin first.
+ * @param {Object} data - Item data
+ * @returns {Array<Object>} [{ key, at, note }]
+ */
+export function get_pinned_connections(data = {}) {
+  return Object.entries(data.pinned_connections || {})
+    .map(([key, pin]) => ({ key, at: pin?.at ?? 0, note: pin?.note || '' }))
+    .sort((a, b) => a.at - b.at)
+  ;
+}
+
+/**
+ * Hidden connections, most recently hidden first.
+ * @param {Object} data - Item data
+ * @returns {Array<Object>} [{ key, at }]
+ */
+export function get_hidden_connections(data = {}) {
+  return Object.entries(data.hidden_connections || {})
+    .map(([key, at]) => ({ key, at }))
+    .sort((a, b) => b.at - a.at)
+  ;
+}
+
+/**
+ * Pins a connection, or updates the note of a pin.
+ * @param {Object} data - Item data (changed in place)
+ * @param {string} key - Connection key
+ * @param {Object} [opts={}]
+ * @param {string} [opts.note] - Why it is related (keeps the current note when omitted)
+ * @param {number} [opts.now=Date.now()]
+ */
+export function pin_connection(data, key, { note, now = Date.now() } = {}) {
+  const current = data.pinned_connections?.[key];
+  data.pinned_connections = {
+    ...data.pinned_connections,
+    [key]: { at: current?.at ?? now, note: (note ?? current?.note ?? '').trim() },
+  };
+  unhide_connection(data, key);
+}
+
+/**
+ * @param {Object} data - Item data (changed in place)
+ * @param {string} key - Connection key
+ */
+export function unpin_connection(data, key) {
+  if (!data.pinned_connections?.[key]) return;
+  delete data.pinned_connections[key];
+  if (!Object.keys(data.pinned_connections).length) delete data.pinned_connections;
+}
+
+/**
+ * @param {Object} data - Item data (changed in place)
+ * @param {string} key - Connection key
+ * @param {number} [now=Date.now()]
+ */
+export function hide_connection(data, key, now = Date.now()) {
+  data.hidden_connections = { ...data.hidden_connections, [key]: now };
+  unpin_connection(data, key);
+}
+
+/**
+ * @param {Object} data - Item data (changed in place)
+ * @param {string} key - Connection key
+ */
+export function unhide_connection(data, key) {
+  if (!data.hidden_connections || !(key in data.hidden_connections)) return;
+  delete data.hidden_connections[key];
+  if (!Object.keys(data.hidden_connections).length) delete data.hidden_connections;
+}
+
+/**
+ * Puts the pinned connections first. Pins that are not among the results are added when their
+ * item still exists, with the score `get_score` gives them (if any).
+ * @param {Array<Object>} results - Connections results ({ item, score }) best first
+ * @param {Array<Object>} pins - From get_pinned_connections
+ * @param {Object} [opts={}]
+ * @param {Function} opts.get_item - (key) => item or undefined
+ * @param {Function} [opts.get_score] - (item) => score or undefined
+ * @returns {Array<Object>} Results; pinned ones have `pinned: true` and `pin_note`
+ */
+export function apply_pinned_connections(results = [], pins = [], { get_item, get_score } = {}) {
+  if (!pins.length) return results;
+  const pinned_keys = new Set(pins.map(pin => pin.key));
+  const by_key = new Map(results.map(result => [result.item?.key, result]));
+  const pinned = pins
+    .map(pin => {
+      const result = by_key.get(pin.key);
+      if (result) return { ...result, pinned: true, pin_note: pin.note };
+      const item = get_item?.(pin.key);
+      if (!item) return null;
+      return { item, score: get_score?.(item), pinned: true, pin_note: pin.note };
+    })
+    .filter(Boolean)
+  ;
+  return [...pinned, ...results.filter(result => !pinned_keys.has(result.item?.key))];
+}
@@ -0,0 +1,64 @@
+import test from 'ava';
+import {
+  get_pinned_connections,
+  get_hidden_connections,
+  pin_connection,
+  unpin_connection,
+  hide_connection,
+  unhide_connection,
+  apply_pinned_connections,
+} from './pinned_connections.js';
+
+test('pins with an optional note and keeps the pin time on update', t => {
+  const data = {};
+  pin_connection(data, 'b.md', { now: 2 });
+  pin_connection(data, 'a.md', { note: ' same project ', now: 1 });
+  pin_connection(data, 'b.md', { note: 'follow-up', now: 3 });
+  t.deepEqual(get_pinned_connections(data), [
+    { key: 'a.md', at: 1, note: 'same project' },
+    { key: 'b.md', at: 2, note: 'follow-up' },
+  ]);
+  pin_connection(data, 'b.md', { now: 4 });
+  t.is(data.pinned_connections['b.md'].note, 'follow-up');
+  unpin_connection(data, 'a.md');
+  unpin_connection(data, 'b.md');
+  t.false('pinned_connections' in data);
+});
+
+test('a connection is either pinned or hidden', t => {
+  const data = { hidden_connections: { 'a.md': 1, 'c.md': 5 } };
+  pin_connection(data, 'a.md', { now: 2 });
+  t.deepEqual(get_hidden_connections(data), [{ key: 'c.md', at: 5 }]);
+  hide_connection(data, 'a.md', 6);
+  t.false('pinned_connections' in data);
+  t.deepEqual(get_hidden_connections(data).map(hidden => hidden.key), ['a.md', 'c.md']);
+  unhide_connection(data, 'a.md');
+  unhide_connection(data, 'c.md');
+  t.false('hidden_connections' in data);
+});
+
+test('lists pinned connections first regardless of score', t => {
+  const item = (key) => ({ key });
+  const results = [
+    { item: item('a.md'), score: 0.9 },
+    { item: item('b.md'), score: 0.8 },
+    { item: item('c.md'), score: 0.7 },
+  ];
+  const pins = [
+    { key: 'c.md', at: 1, note: 'why' },
+    { key: 'far.md', at: 2, note: '' },
+    { key: 'deleted.md', at: 3, note: '' },
+  ];
+  const ranked = apply_pinned_connections(results, pins, {
+    get_item: (key) => (key === 'deleted.md' ? undefined : item(key)),
+    get_score: () => 0.1,
+  });
+  t.deepEqual(ranked.map(result => [result.item.key, result.score, !!result.pinned]), [
+    ['c.md', 0.7, true],
+    ['far.md', 0.1, true],
+    ['a.md', 0.9, false],
+    ['b.md', 0.8, false],
+  ]);
+  t.is(ranked[0].pin_note, 'why');
+  t.is(apply_pinned_connections(results, []), results);
+});
@@ -0,0 +1,83 @@
+/**
+ * Related links written into notes: the top connections of a note as wikilinks, in a frontmatter
+ * property or in a managed "Related" section. Writing is idempotent, so notes only change when
+ * their connections do.
+ *
+ * The managed section sits between two comments and is replaced as a whole:
+ *
+ *   <!-- smart-connections:related -->
+ *   ## Related
+ *   - [[Note]]
+ *   <!-- /smart-connections:related -->
+ */
+
+export const RELATED_SECTION_START = '<!-- smart-connections:related -->';
+export const RELATED_SECTION_END = '<!-- /smart-connections:related -->';
+
+/**
+ * Notes to link from a note's connections: pinned first, then by score above the threshold.
+ * Block results count for their note; hidden connections and the note itself are left out.
+ * @param {Array<Object>} results - Connections results ({ item, score, pinned? }) best first
+ * @param {Object} [opts={}]
+ * @param {string} [opts.source_key] - Note the connections are for
+ * @param {number} [opts.limit=5]
+ * @param {number} [opts.min_score=0] - Pinned connections are kept below it
+ * @param {Array<string>} [opts.exclude_keys=[]] - Hidden connections
+ * @returns {Array<string>} Note keys
+ */
+export function select_related_keys(results = [], opts = {}) {
+  const { source_key, limit = 5, min_score = 0, exclude_keys = [] } = opts;
+  const excluded = new Set(exclude_keys);
+  const keys = [];
+  for (const result of results) {
+    if (keys.length >= limit) break;
+    const key = result.item?.key;
+    if (!key || excluded.has(key)) continue;
+    if (!result.pinned && !(result.score >= min_score)) continue;
+    const note_key = key.split('#')[0];
+    if (note_key === source_key || excluded.has(note_key) || keys.includes(note_key)) continue;
+    keys.push(note_key);
+  }
+  return keys;
+}
+
+/**
+ * Writes or updates the managed related section. The section is added at the end of the note,
+ * replaced where it is, and removed when there are no links.
+ * @param {string} markdown - Note content
+ * @param {Array<string>} links - Wikilinks (`[[Note]]`)
+ * @param {Object} [opts={}]
+ * @param {string} [opts.heading='Related']
+ * @returns {string} Updated content (the same string when nothing changed)
+ */
+export function update_related_section(markdown = '', links = [], opts = {}) {
+  const { heading = 'Related' } = opts;
+  const section = links.length
+    ? [RELATED_SECTION_START, `## ${heading}`, ...links.map(link => `- ${link}`), RELATED_SECTION_END].join('\n')
+    : ''
+  ;
+  const start = markdown.indexOf(RELATED_SECTION_START);
+  const end = start < 0 ? -1 : markdown.indexOf(RELATED_SECTION_END, start);
+  if (start >= 0 && end >= 0) {
+    const before = markdown.slice(0, start);
+    const after = markdown.slice(end + RELATED_SECTION_END.length);
+    if (section) return before + section + after;
+    // removing: also drop the blank line the section was added after
+    return before.replace(/\n*$/, after.trim() ? '\n\n' : '\n') + after.replace(/^\n+/, '');
+  }
+  if (!section) return markdown;
+  const body = markdown.replace(/\s*$/, '');
+  return (body ? body + '\n\n' : '') + section + '\n';
+}
+
+/**
+ * Whether the related links property of a note's frontmatter already holds these links.
+ * @param {*} value - Current property value
+ * @param {Array<string>} links - Wikilinks
+ * @returns {boolean}
+ */
+export function has_related_links(value, links = []) {
+  if (value === undefined || value === null) return !links.length;
+  const current = Array.isArray(value) ? value : [value];
+  return current.length === links.length && current.every((link, i) => link === links[i]);
+}
@@ -0,0 +1,53 @@
+import test from 'ava';
+import {
+  select_related_keys,
+  update_related_section,
+  has_related_links,
+} from './related_links.js';
+
+test('selects notes above the threshold, pinned first, without hidden ones', t => {
+  const results = [
+    { item: { key: 'Pinned.md' }, score: 0.2, pinned: true },
+    { item: { key: 'A.md#Intro' }, score: 0.9 },
+    { item: { key: 'A.md' }, score: 0.85 },
+    { item: { key: 'Self.md#Other' }, score: 0.84 },
+    { item: { key: 'Hidden.md' }, score: 0.8 },
+    { item: { key: 'B.md' }, score: 0.75 },
+    { item: { key: 'Weak.md' }, score: 0.4 },
+  ];
+  const opts = { source_key: 'Self.md', min_score: 0.5, exclude_keys: ['Hidden.md'] };
+  t.deepEqual(select_related_keys(results, opts), ['Pinned.md', 'A.md', 'B.md']);
+  t.deepEqual(select_related_keys(results, { ...opts, limit: 2 }), ['Pinned.md', 'A.md']);
+});
+
+test('adds, replaces and removes the managed section idempotently', t => {
+  const note = '# Trip\n\nPlans.\n';
+  const added = update_related_section(note, ['[[A]]', '[[B]]']);
+  t.is(added, [
+    '# Trip',
+    '',
+    'Plans.',
+    '',
+    '<!-- smart-connections:related -->',
+    '## Related',
+    '- [[A]]',
+    '- [[B]]',
+    '<!-- /smart-connections:related -->',
+    '',
+  ].join('\n'));
+  t.is(update_related_section(added, ['[[A]]', '[[B]]']), added);
+  const edited = added + '\nWritten later.\n';
+  t.is(update_related_section(edited, ['[[C]]'], { heading: 'See also' }),
+    note.replace(/\n$/, '') + '\n\n<!-- smart-connections:related -->\n## See also\n- [[C]]\n<!-- /smart-connections:related -->\n\nWritten later.\n');
+  t.is(update_related_section(added, []), note);
+  t.is(update_related_section(edited, []), '# Trip\n\nPlans.\n\nWritten later.\n');
+  t.is(update_related_section(note, []), note);
+});
+
+test('compares frontmatter links', t => {
+  t.true(has_related_links(['[[A]]', '[[B]]'], ['[[A]]', '[[B]]']));
+  t.false(has_related_links(['[[B]]', '[[A]]'], ['[[A]]', '[[B]]']));
+  t.true(has_related_links('[[A]]', ['[[A]]']));
+  t.true(has_related_links(undefined, []));
+  t.false(has_related_links(undefined, ['[[A]]']));
+});
@@ -0,0 +1,201 @@
+import { cos_sim } from 'smart-utils/cos_sim.js';
+import { murmur_hash_32_alphanumeric } from 'smart-utils/create_hash.js';
+import { apply_pinned_connections, get_pinned_connections } from './pinned_connections.js';
+import {
+  RELATED_SECTION_START,
+  select_related_keys,
+  update_related_section,
+  has_related_links,
+} from './related_links.js';
+
+const CHECK_INTERVAL = 10000; // how often changed notes are checked for new embeddings
+const MAX_WAIT = 600000; // changed notes that are not re-embedded by then (too short, excluded) are dropped
+
+/**
+ * Writes the top connections of notes into the notes (see related_links.js), on command or
+ * automatically once changed notes are re-embedded. A re-embedded note also changes the
+ * connections of its neighbours, so notes linking to it and its new top connections that
+ * already have related links are updated with it.
+ */
+export class RelatedLinksWriter {
+  /**
+   * @param {Plugin} plugin - Smart Connections plugin
+   */
+  constructor(plugin) {
+    this.plugin = plugin;
+    /** @type {Map<string, number>} changed note path -> time it changed */
+    this.queue = new Map();
+  }
+
+  get app() { return this.plugin.app; }
+  get env() { return this.plugin.env; }
+
+  /**
+   * @property {Object} settings - `env.settings.related_links` with defaults
+   * @readonly
+   */
+  get settings() {
+    return {
+      target: 'frontmatter',
+      property: 'related',
+      heading: 'Related',
+      limit: 5,
+      min_score: 0.5,
+      auto_update: false,
+      ...(this.env?.settings?.related_links || {}),
+    };
+  }
+
+  /**
+   * Writes the related links of a note. Notes whose links did not change are not modified.
+   * @async
+   * @param {TFile} file - Markdown note
+   * @returns {Promise<Object>} { status: 'updated'|'unchanged'|'not_embedded', links, keys }
+   */
+  async write(file) {
+    const source = this.env.smart_sources.get(file.path);
+    if (!source?.vec) return { status: 'not_embedded', links: [], keys: [] };
+    const keys = await this.get_related_keys(source);
+    const links = keys
+      .map(key => this.app.vault.getFileByPath(key))
+      .filter(Boolean)
+      .map(target => `[[${this.app.metadataCache.fileToLinktext(target, file.path, true)}]]`)
+    ;
+    const settings = this.settings;
+    if (settings.target === 'section') {
+      // checked before writing: an unchanged write would still modify the file and queue another update
+      const markdown = await this.app.vault.read(file);
+      if (update_related_section(markdown, links, { heading: settings.heading }) === markdown) return { status: 'unchanged', links, keys };
+      await this.app.vault.process(file, (current) => update_related_section(current, links, { heading: settings.heading }));
+      return { status: 'updated', links, keys };
+    }
+    const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter || {};
+    if (has_related_links(frontmatter[settings.property], links)) return { status: 'unchanged', links, keys };
+    await this.app.fileManager.processFrontMatter(file, (fm) => {
+      if (links.length) fm[settings.property] = links;
+      else delete fm[settings.property];
+    });
+    return { status: 'updated', links, keys };
+  }
+
+  /**
+   * Notes to link from a source: its connections (notes only) with pins and hidden connections applied.
+   * @param {SmartSource} source
+   * @returns {Promise<Array<string>>} Note keys
+   */
+  async get_related_keys(source) {
+    const { limit, min_score } = this.settings;
+    const exclude_keys = Object.keys(source.data.hidden_connections || {});
+    const params = {
+      exclude_keys,
+      exclude_blocks_from_source_connections: true,
+      limit: limit * 2,
+    };
+    // cached connections may predate the latest embedding; key built as in find_connections
+    const filter_opts = source.prepare_find_connections_filter_opts(params);
+    const cache_key = source.key + murmur_hash_32_alphanumeric(JSON.stringify({ ...filter_opts, entity: null }));
+    if (this.env.connections_cache) delete this.env.connections_cache[cache_key];
+    const found = await source.find_connections(params);
+    const results = apply_pinned_connections(found, get_pinned_connections(source.data), {
+      get_item: (key) => this.env.smart_sources.get(key.split('#')[0]),
+      get_score: (item) => (item.vec ? cos_sim(source.vec, item.vec) : undefined),
+    });
+    return select_related_keys(results, { source_key: source.key, limit, min_score: Number(min_score) || 0, exclude_keys });
+  }
+
+  /**
+   * Queues a changed note; it is updated, with its neighbours, once it is re-imported and
+   * re-embedded (when "Update automatically" is on).
+   * @param {TFile} file
+   */
+  queue_update(file) {
+    if (!this.settings.auto_update || file?.extension !== 'md') return;
+    this.queue.set(file.path, Date.now());
+    if (!this._interval) this._interval = setInterval(() => this.process_queue(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Whether a note's vector reflects its current content.
+   * @param {string} path
+   * @returns {boolean}
+   */
+  is_embedded(path) {
+    const file = this.app.vault.getFileByPath(path);
+    const source = this.env.smart_sources.get(path);
+    if (!file || !source?.vec || source.is_unembedded) return false;
+    return (source.data.last_import?.mtime || 0) >= file.stat.mtime;
+  }
+
+  /**
+   * Notes whose connections changed with a re-embedded note and that already have related
+   * links: notes linking to it and its new top connections. Notes waiting to be re-embedded
+   * themselves are left for later.
+   * @param {string} path - Re-embedded note
+   * @param {Array<string>} related_keys - Its new related notes
+   * @returns {Promise<Array<string>>} Note paths
+   */
+  async get_affected_paths(path, related_keys) {
+    const linking = Object.entries(this.app.metadataCache.resolvedLinks)
+      .filter(([, links]) => links[path])
+      .map(([linking_path]) => linking_path)
+    ;
+    const paths = [];
+    for (const candidate of new Set([...linking, ...related_keys])) {
+      if (candidate === path || this.queue.has(candidate)) continue;
+      if (await this.has_written_links(candidate)) paths.push(candidate);
+    }
+    return paths;
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<boolean>} Whether the note has related links written
+   */
+  async has_written_links(path) {
+    const file = this.app.vault.getFileByPath(path);
+    if (!file) return false;
+    const settings = this.settings;
+    if (settings.target === 'section') return (await this.app.vault.cachedRead(file)).includes(RELATED_SECTION_START);
+    return this.app.metadataCache.getFileCache(file)?.frontmatter?.[settings.property] !== undefined;
+  }
+
+  /**
+   * @private
+   */
+  async process_queue() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      const ready = [];
+      for (const [path, changed_at] of this.queue) {
+        if (this.is_embedded(path)) ready.push(path);
+        else if (Date.now() - changed_at < MAX_WAIT) continue;
+        this.queue.delete(path);
+      }
+      const results = new Map();
+      const write = async (path) => {
+        if (!results.has(path)) {
+          const file = this.app.vault.getFileByPath(path);
+          results.set(path, file ? await this.write(file) : { keys: [] });
+        }
+        return results.get(path);
+      };
+      for (const path of ready) {
+        try {
+          const { keys } = await write(path);
+          for (const affected of await this.get_affected_paths(path, keys)) await write(affected);
+        } catch (error) {
+          console.warn(`Related links: could not update ${path}`, error);
+        }
+      }
+    } finally {
+      this.processing = false;
+      if (!this.queue.size) this.unload();
+    }
+  }
+
+  unload() {
+    clearInterval(this._interval);
+    this._interval = null;
+  }
+}
@@ -0,0 +1,136 @@
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+import { estimate_tokens } from '../../smart-chat-v0/utils/history_summary.js';
+
+// estimates are used when the tokenizer is unavailable
+export { estimate_tokens };
+
+let encoder = null;
+
+// Larger texts are estimated: encoding runs on the main thread.
+const MAX_ENCODE_CHARS = 50000;
+// Long runs without a break (repeated characters, inline base64) make the BPE merge very slow,
+// so they are encoded in slices of this size.
+const MAX_RUN_CHARS = 64;
+const LONG_RUN = new RegExp(`(\\S{${MAX_RUN_CHARS},}|\\s{${MAX_RUN_CHARS},})`);
+const RUN_SLICE = new RegExp(`[\\s\\S]{1,${MAX_RUN_CHARS}}`, 'gu');
+
+const text_encoder = new TextEncoder();
+const text_decoder = new TextDecoder();
+
+/**
+ * Lazily creates the shared cl100k_base encoder. cl100k_base is not Claude's tokenizer but
+ * tracks it closely enough for budgeting. Ranks are keyed by their bytes as a binary string and
+ * no decode table is kept, so this takes a few MB and tens of ms instead of the ~60 MB and
+ * hundreds of ms of js-tiktoken's own Tiktoken class.
+ * @returns {Object|null} { ranks: Map<string, number>, pattern: RegExp }, or null when it could not be created
+ */
+function get_encoder() {
+  if (encoder === null) {
+    try {
+      const ranks = new Map();
+      cl100k_base.bpe_ranks.split('\n').forEach(line => {
+        if (!line) return;
+        // "! <first rank> <base64 token> <base64 token> ..."
+        const [, offset, ...tokens] = line.split(' ');
+        const first_rank = Number.parseInt(offset, 10);
+        tokens.forEach((token, i) => ranks.set(atob(token), first_rank + i));
+      });
+      encoder = { ranks, pattern: new RegExp(cl100k_base.pat_str, 'gu') };
+    } catch (error) {
+      console.warn('Tokenizer unavailable, falling back to estimates:', error);
+      encoder = false;
+    }
+  }
+  return encoder || null;
+}
+
+/**
+ * Encodes text, slicing long runs (see MAX_RUN_CHARS). Special tokens are encoded as text.
+ * @param {Object} enc - From get_encoder()
+ * @param {string} text
+ * @returns {Array<string>} Tokens as binary strings (one char per byte)
+ */
+function encode(enc, text) {
+  const tokens = [];
+  text.split(LONG_RUN).forEach((part, i) => {
+    if (!part) return;
+    // odd parts are the captured runs
+    const pieces = i % 2 ? part.match(RUN_SLICE) : [part];
+    pieces.forEach(piece => {
+      for (const [word] of piece.matchAll(enc.pattern)) {
+        const bytes = to_binary(word);
+        if (enc.ranks.has(bytes)) tokens.push(bytes);
+        else tokens.push(...byte_pair_merge(enc.ranks, bytes));
+      }
+    });
+  });
+  return tokens;
+}
+
+function byte_pair_merge(ranks, bytes) {
+  const bounds = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+  while (bounds.length > 2) {
+    let min_rank = Infinity;
+    let at = -1;
+    for (let i = 0; i < bounds.length - 2; i++) {
+      const rank = ranks.get(bytes.slice(bounds[i], bounds[i + 2]));
+      if (rank !== undefined && rank < min_rank) {
+        min_rank = rank;
+        at = i;
+      }
+    }
+    if (at < 0) break;
+    bounds.splice(at + 1, 1);
+  }
+  return bounds.slice(1).map((end, i) => bytes.slice(bounds[i], end));
+}
+
+function to_binary(text) {
+  let binary = '';
+  for (const byte of text_encoder.encode(text)) binary += String.fromCharCode(byte);
+  return binary;
+}
+
+function from_binary(binary) {
+  return text_decoder.decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Counts tokens in text. Texts over MAX_ENCODE_CHARS are estimated.
+ * @param {string} text
+ * @returns {number} Token count
+ */
+export function count_tokens(text = '') {
+  if (!text) return 0;
+  text = String(text);
+  const enc = text.length <= MAX_ENCODE_CHARS && get_encoder();
+  if (!enc) return estimate_tokens(text);
+  try {
+    return encode(enc, text).length;
+  } catch (error) {
+    return estimate_tokens(text);
+  }
+}
+
+/**
+ * Cuts text to at most max_tokens tokens.
+ * @param {string} text
+ * @param {number} max_tokens
+ * @returns {string} Text, unchanged when it already fits
+ */
+export function truncate_to_tokens(text = '', max_tokens = 0) {
+  if (!text || max_tokens <= 0) return '';
+  text = String(text);
+  // a token is at most a few characters long on average; no need to encode the rest
+  const max_chars = max_tokens * 8;
+  const cut = text.length > max_chars ? text.slice(0, max_chars).replace(/[\uD800-\uDBFF]$/, '') : text;
+  const enc = cut.length <= MAX_ENCODE_CHARS && get_encoder();
+  if (!enc) {
+    const estimated_chars = max_tokens * 4;
+    return text.length > estimated_chars ? text.slice(0, estimated_chars) : text;
+  }
+  const tokens = encode(enc, cut);
+  if (tokens.length <= max_tokens) return cut;
+  // decoding a prefix can end inside a multi-byte character; drop the replacement char
+  return from_binary(tokens.slice(0, max_tokens).join('')).replace(/�+$/, '');
+}
@@ -0,0 +1,45 @@
+import test from 'ava';
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+import { count_tokens, estimate_tokens, truncate_to_tokens } from './token_counter.js';
+
+test('count_tokens counts with the tokenizer', t => {
+  t.is(count_tokens(''), 0);
+  t.is(count_tokens('hello world'), 2);
+  t.true(count_tokens('Café notes 📝') > 3);
+});
+
+test('estimate_tokens approximates four characters per token', t => {
+  t.is(estimate_tokens('abcdefgh'), 2);
+  t.is(estimate_tokens(null), 0);
+});
+
+test('truncate_to_tokens cuts to the token limit', t => {
+  const text = 'one two three four five six';
+  t.is(truncate_to_tokens(text, 100), text);
+  t.is(truncate_to_tokens(text, 3), 'one two three');
+  t.is(truncate_to_tokens(text, 0), '');
+  t.false(truncate_to_tokens('📝📝📝📝', 3).includes('�'));
+});
+
+test('counts and truncates large and repetitive input quickly', t => {
+  const started = Date.now();
+  const run = 'a'.repeat(20000);
+  t.true(count_tokens(run) > 2000);
+  t.is(count_tokens('x'.repeat(100000)), estimate_tokens('x'.repeat(100000)));
+  const huge = 'data:image/png;base64,' + 'A'.repeat(100000) + ' tail';
+  const truncated = truncate_to_tokens(huge, 500);
+  t.true(truncated.length > 0 && count_tokens(truncated) <= 500);
+  t.is(truncate_to_tokens('word '.repeat(20000), 10), 'word word word word word word word word word word');
+  t.true(Date.now() - started < 5000);
+});
+
+test('count_tokens matches js-tiktoken cl100k_base', t => {
+  const reference = new Tiktoken(cl100k_base);
+  [
+    "Don't stop: it's 3.14159, not 42!!\n\n\tIndented   spaces",
+    'Café naïve — 日本語のテキスト, Привет мир 📝🎉',
+    'function pack_context(candidates = [], opts = {}) { return { ...opts }; }',
+    '<|endoftext|> stays text',
+  ].forEach(text => t.is(count_tokens(text), reference.encode(text, [], []).length, text));
+});
@@ -0,0 +1,119 @@
+import { cos_sim } from 'smart-utils/cos_sim.js';
+
+/**
+ * @module utils/weighted_lookup
+ * @description Multi-vector search for Smart Lookup. Each query line carries a weight; the
+ * line embeddings are combined into one vector (weighted centroid of the positive lines, with
+ * negative lines subtracted to steer away from them) and the collection is ranked against it.
+ * Each result records which line contributed most to its score.
+ *
+ * Line syntax:
+ * - `notes about X` weight 1
+ * - `0.5: near Y` explicit weight
+ * - `-: Z` or `-1: Z` negative weight (steer away from Z)
+ */
+
+// single-digit weights so lines like "2024: review" stay plain text
+const WEIGHT_PATTERN = /^([+-]?(?:\d(?:\.\d+)?|\.\d+)?)\s*:\s*(.+)$/;
+
+/**
+ * Parses query text into weighted lines. Blank lines and zero weights are dropped.
+ * @param {string} text - Query text, one query per line
+ * @returns {Array<Object>} [{ text, weight }]
+ */
+export function parse_weighted_queries(text = '') {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const match = line.match(WEIGHT_PATTERN);
+      if (!match || !/^[+-]|\d/.test(match[1])) return { text: line, weight: 1 };
+      const weight = match[1] === '-' ? -1 : match[1] === '+' ? 1 : Number(match[1]);
+      return { text: match[2].trim(), weight };
+    })
+    .filter(query => query.text && query.weight !== 0 && Number.isFinite(query.weight))
+  ;
+}
+
+/**
+ * Whether queries need the weighted search (more than one line or a non-default weight).
+ * @param {Array<Object>} queries - Parsed queries
+ * @returns {boolean}
+ */
+export function is_weighted(queries = []) {
+  return queries.length > 1 || queries.some(query => query.weight !== 1);
+}
+
+/**
+ * Combines query vectors: sum of weight × vector divided by the total positive weight,
+ * normalized to unit length.
+ * @param {Array<Array<number>>} vecs - Query embeddings
+ * @param {Array<number>} weights - Weight per embedding
+ * @returns {Array<number>|null} Combined vector, null without a positive weight
+ */
+export function combine_vectors(vecs = [], weights = []) {
+  const positive = weights.reduce((sum, weight) => sum + (weight > 0 ? weight : 0), 0);
+  if (!positive || !vecs.length) return null;
+  const combined = new Array(vecs[0].length).fill(0);
+  vecs.forEach((vec, i) => {
+    const weight = weights[i] / positive;
+    for (let d = 0; d < combined.length; d++) combined[d] += weight * (vec[d] || 0);
+  });
+  const norm = Math.sqrt(combined.reduce((sum, value) => sum + value * value, 0));
+  return norm ? combined.map(value => value / norm) : null;
+}
+
+/**
+ * Adds per-line similarity to each result and names the line that contributed most
+ * (largest weight × similarity among positive lines).
+ * @param {Array<Object>} results - Lookup results ({ item, score })
+ * @param {Array<Object>} queries - Parsed queries
+ * @param {Array<Array<number>>} vecs - Query embeddings
+ * @returns {Array<Object>} Results with `query_scores` and `top_query`
+ */
+export function attribute_results(results = [], queries = [], vecs = []) {
+  return results.map(result => {
+    const item_vec = result.item?.vec;
+    if (!item_vec) return result;
+    const query_scores = queries.map((query, i) => ({
+      text: query.text,
+      weight: query.weight,
+      score: cos_sim(vecs[i], item_vec),
+    }));
+    const top_query = query_scores
+      .filter(query => query.weight > 0)
+      .reduce((top, query) => (!top || query.weight * query.score > top.weight * top.score ? query : top), null)
+    ;
+    return { ...result, query_scores, top_query };
+  });
+}
+
+/**
+ * Runs a lookup with weighted query lines. Falls back to `collection.lookup` when there is a
+ * single unweighted line.
+ * @async
+ * @param {Object} collection - Smart sources or blocks collection
+ * @param {Object} params - Lookup params (see `get_lookup_params`)
+ * @param {Array<Object>} params.queries - Parsed queries
+ * @param {Object} [params.filter] - Filter passed to `collection.nearest`
+ * @param {boolean} [params.skip_blocks] - Drop block results
+ * @returns {Promise<Array<Object>>} Results sorted by score
+ */
+export async function weighted_lookup(collection, params = {}) {
+  const { queries = [], ...lookup_params } = params;
+  if (!is_weighted(queries)) return await collection.lookup(lookup_params);
+  const { filter = {}, skip_blocks } = lookup_params;
+  const embeddings = await collection.embed_model.embed_batch(queries.map(query => ({ embed_input: query.text })));
+  const vecs = embeddings.map(embedding => embedding.vec);
+  const combined = combine_vectors(vecs, queries.map(query => query.weight));
+  if (!combined) return [];
+  const limit = filter.limit || collection.env?.settings?.lookup_k || 10;
+  const nearest = await collection.nearest(combined, { ...filter, limit: skip_blocks ? limit * 2 : limit });
+  const results = (nearest || [])
+    .filter(result => !skip_blocks || !result.item?.key?.includes('#'))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+  ;
+  return attribute_results(results, queries, vecs);
+}
@@ -0,0 +1,81 @@
+import test from 'ava';
+import {
+  parse_weighted_queries,
+  is_weighted,
+  combine_vectors,
+  attribute_results,
+  weighted_lookup,
+} from './weighted_lookup.js';
+
+test('parse_weighted_queries reads weights and negative lines', t => {
+  t.deepEqual(parse_weighted_queries('notes about X\n\n0.5: near Y\n-: not Z\n-2: not W\n0: ignored'), [
+    { text: 'notes about X', weight: 1 },
+    { text: 'near Y', weight: 0.5 },
+    { text: 'not Z', weight: -1 },
+    { text: 'not W', weight: -2 },
+  ]);
+});
+
+test('parse_weighted_queries keeps colons that are not weights', t => {
+  t.deepEqual(parse_weighted_queries('Project: Apollo\n2024: review'), [
+    { text: 'Project: Apollo', weight: 1 },
+    { text: '2024: review', weight: 1 },
+  ]);
+});
+
+test('is_weighted is false for a single plain line', t => {
+  t.false(is_weighted([{ text: 'x', weight: 1 }]));
+  t.true(is_weighted([{ text: 'x', weight: 0.5 }]));
+  t.true(is_weighted([{ text: 'x', weight: 1 }, { text: 'y', weight: 1 }]));
+});
+
+test('combine_vectors averages positives and steers away from negatives', t => {
+  const combined = combine_vectors([[1, 0, 0], [0, 1, 0], [0, 0, 1]], [1, 1, -1]);
+  t.true(combined[0] > 0);
+  t.is(combined[0], combined[1]);
+  t.true(combined[2] < 0);
+  t.is(Math.round(combined.reduce((sum, value) => sum + value * value, 0) * 1000), 1000);
+  t.is(combine_vectors([[1, 0]], [-1]), null);
+});
+
+test('attribute_results names the positive line with the largest contribution', t => {
+  const results = attribute_results(
+    [{ item: { key: 'a.md', vec: [0.9, 0.1] }, score: 0.8 }, { item: { key: 'b.md' }, score: 0.5 }],
+    [{ text: 'x', weight: 1 }, { text: 'y', weight: 2 }, { text: 'not x', weight: -1 }],
+    [[1, 0], [0, 1], [1, 0]]
+  );
+  t.is(results[0].top_query.text, 'x');
+  t.is(results[0].query_scores.length, 3);
+  t.false('top_query' in results[1]);
+});
+
+test('weighted_lookup ranks against the combined vector', async t => {
+  let nearest_args;
+  const collection = {
+    embed_model: { embed_batch: async (inputs) => inputs.map((input, i) => ({ vec: i === 0 ? [1, 0] : [0, 1] })) },
+    nearest: async (vec, filter) => {
+      nearest_args = { vec, filter };
+      return [
+        { item: { key: 'b.md#h', vec: [0, 1] }, score: 0.2 },
+        { item: { key: 'a.md', vec: [1, 0] }, score: 0.9 },
+        { item: { key: 'c.md', vec: [1, 1] }, score: 0.5 },
+      ];
+    },
+    lookup: async () => t.fail('single-query lookup should not run'),
+  };
+  const results = await weighted_lookup(collection, {
+    queries: [{ text: 'x', weight: 1 }, { text: 'y', weight: -1 }],
+    filter: { limit: 2 },
+    skip_blocks: true,
+  });
+  t.true(nearest_args.vec[0] > 0 && nearest_args.vec[1] < 0);
+  t.is(nearest_args.filter.limit, 4);
+  t.deepEqual(results.map(result => result.item.key), ['a.md', 'c.md']);
+  t.is(results[0].top_query.text, 'x');
+});
+
+test('weighted_lookup defers single plain queries to collection.lookup', async t => {
+  const collection = { lookup: async (params) => [params] };
+  const [params] = await weighted_lookup(collection, { hypotheticals: ['x'], queries: [{ text: 'x', weight: 1 }], filter: undefined });
+  t.deepEqual(params, { hypotheticals: ['x'], filter: undefined });
+});
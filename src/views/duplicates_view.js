@@ -0,0 +1,18 @@
+import { SmartObsidianView } from "./smart_view.obsidian.js";
+
+export class DuplicatesView extends SmartObsidianView {
+  static get view_type() { return "smart-duplicates-view"; }
+  static get display_text() { return "Duplicates"; }
+  static get icon_name() { return "copy"; }
+  static get default_open_location() { return "root"; }
+
+  async render_view(container = this.container) {
+    if (container.querySelector('#sc-duplicates-view')) return; // keep the last scan
+    container.empty();
+    const frag = await this.env.render_component('duplicates', this.env, {
+      attribution: this.attribution,
+    });
+    container.empty();
+    container.appendChild(frag);
+  }
+}
@@ -0,0 +1,18 @@
+import { SmartObsidianView } from "./smart_view.obsidian.js";
+
+export class MissingLinksView extends SmartObsidianView {
+  static get view_type() { return "smart-missing-links-view"; }
+  static get display_text() { return "Missing Links"; }
+  static get icon_name() { return "link"; }
+  static get default_open_location() { return "root"; }
+
+  async render_view(container = this.container) {
+    if (container.querySelector('#sc-missing-links-view')) return; // keep the last scan
+    container.empty();
+    const frag = await this.env.render_component('missing_links', this.env, {
+      attribution: this.attribution,
+    });
+    container.empty();
+    container.appendChild(frag);
+  }
+}
@@ -1,9 +1,19 @@
+import { render as usage_component } from '../../smart-chat-v0/components/usage.js';
+import { render as branches_component } from '../../smart-chat-v0/components/branches.js';
+import { render as thread_settings_component } from '../../smart-chat-v0/components/thread_settings.js';
+import { render as compare_targets_component } from '../../smart-chat-v0/components/compare_targets.js';
+
 export function build_html(obsidian_view, opts = {}) {
   const top_bar_buttons = [
     // { title: 'Open Conversation Note', icon: 'external-link' },
+    { title: 'Stop', icon: 'square', style: 'display: none;' },
     { title: 'New Chat', icon: 'plus' },
     { title: 'Chat History', icon: 'history' },
-    { title: 'Chat Options', icon: 'sliders-horizontal', style: 'display: none;' },
+    { title: 'Search Chats', icon: 'text-search' },
+    { title: 'Branches', icon: 'git-branch' },
+    { title: 'Compare Models', icon: 'columns' },
+    { title: 'Token Usage', icon: 'bar-chart-2' },
+    { title: 'Chat Options', icon: 'sliders-horizontal' },
     { title: 'Chat Settings', icon: 'settings' },
     { title: 'Help', icon: 'help-circle' },
   ].map(btn => `
@@ -31,6 +41,38 @@ export function build_html(obsidian_view, opts = {}) {
         </div>
         <div class="sc-settings"></div>
       </div>
+      <div id="branches" class="smart-chat-overlay" style="display: none;">
+        <div class="smart-chat-overlay-header">
+          <button class="smart-chat-overlay-close">
+            ${this.get_icon_html('x')}
+          </button>
+        </div>
+        <div class="sc-branches-container"></div>
+      </div>
+      <div id="options" class="smart-chat-overlay" style="display: none;">
+        <div class="smart-chat-overlay-header">
+          <button class="smart-chat-overlay-close">
+            ${this.get_icon_html('x')}
+          </button>
+        </div>
+        <div class="sc-thread-settings-container"></div>
+      </div>
+      <div id="compare" class="smart-chat-overlay" style="display: none;">
+        <div class="smart-chat-overlay-header">
+          <button class="smart-chat-overlay-close">
+            ${this.get_icon_html('x')}
+          </button>
+        </div>
+        <div class="sc-compare-targets-container"></div>
+      </div>
+      <div id="usage" class="smart-chat-overlay" style="display: none;">
+        <div class="smart-chat-overlay-header">
+          <button class="smart-chat-overlay-close">
+            ${this.get_icon_html('x')}
+          </button>
+        </div>
+        <div class="sc-usage-container"></div>
+      </div>
       <div class="sc-thread">
         <!-- Thread messages will be inserted here -->
       </div>
@@ -65,7 +107,7 @@ export async function render(obsidian_view, opts = {}) {
 export async function post_process(obsidian_view, frag, opts) {
   const chat_box = frag.querySelector('.sc-thread');
   const settings_button = frag.querySelector('button[title="Chat Settings"]');
-  const overlay_container = frag.querySelector(".smart-chat-overlay");
+  const overlay_container = frag.querySelector("#settings");
   const settings_container = overlay_container.querySelector(".sc-settings");
   // wait for threads collection to be ready
   // await obsidian_view.env.wait_for({collections: ['smart_threads']});
@@ -88,7 +130,7 @@ export async function post_process(obsidian_view, frag, opts) {
   await thread.render(chat_box, opts);
 
   // Update model indicator based on current adapter
-  update_model_indicator.call(this, frag, threads_collection.chat_model);
+  update_model_indicator.call(this, frag, thread.chat_model);
 
 
   const chat_input = frag.querySelector('.sc-chat-form textarea');
@@ -113,6 +155,88 @@ export async function post_process(obsidian_view, frag, opts) {
     }
   });
 
+  // token usage panel (current thread and all threads)
+  const usage_button = frag.querySelector('button[title="Token Usage"]');
+  const usage_overlay = frag.querySelector("#usage");
+  const usage_container = usage_overlay.querySelector(".sc-usage-container");
+  usage_overlay.querySelector(".smart-chat-overlay-close").addEventListener('click', () => {
+    usage_overlay.style.display = 'none';
+  });
+  usage_button.addEventListener('click', async () => {
+    if (usage_overlay.style.display !== 'none') {
+      usage_overlay.style.display = 'none';
+      return;
+    }
+    const active_thread = threads_collection.get_active_thread() || thread;
+    this.empty(usage_container);
+    usage_container.appendChild(await usage_component.call(this, threads_collection, { thread_key: active_thread?.key }));
+    usage_overlay.style.display = 'block';
+  });
+
+  // branch explorer (fork points of the current thread)
+  const branches_button = frag.querySelector('button[title="Branches"]');
+  const branches_overlay = frag.querySelector("#branches");
+  const branches_container = branches_overlay.querySelector(".sc-branches-container");
+  branches_overlay.querySelector(".smart-chat-overlay-close").addEventListener('click', () => {
+    branches_overlay.style.display = 'none';
+  });
+  branches_button.addEventListener('click', async () => {
+    if (branches_overlay.style.display !== 'none') {
+      branches_overlay.style.display = 'none';
+      return;
+    }
+    const active_thread = threads_collection.get_active_thread() || thread;
+    this.empty(branches_container);
+    branches_container.appendChild(await branches_component.call(this, active_thread, {
+      open_thread: (thread_key) => obsidian_view.render_view(thread_key),
+    }));
+    branches_overlay.style.display = 'block';
+  });
+
+  // compare mode (models each message of the current thread is sent to)
+  const compare_button = frag.querySelector('button[title="Compare Models"]');
+  const compare_overlay = frag.querySelector("#compare");
+  const compare_container = compare_overlay.querySelector(".sc-compare-targets-container");
+  compare_button.classList.toggle('is-active', thread.compare_targets.length > 0);
+  compare_overlay.querySelector(".smart-chat-overlay-close").addEventListener('click', () => {
+    compare_overlay.style.display = 'none';
+  });
+  compare_button.addEventListener('click', async () => {
+    if (compare_overlay.style.display !== 'none') {
+      compare_overlay.style.display = 'none';
+      return;
+    }
+    const active_thread = threads_collection.get_active_thread() || thread;
+    this.empty(compare_container);
+    compare_container.appendChild(await compare_targets_component.call(this, active_thread, {
+      on_save: (saved_thread) => {
+        compare_button.classList.toggle('is-active', saved_thread.compare_targets.length > 0);
+        compare_overlay.style.display = 'none';
+      },
+    }));
+    compare_overlay.style.display = 'block';
+  });
+
+  // chat options (model and parameters of the current thread)
+  const options_button = frag.querySelector('button[title="Chat Options"]');
+  const options_overlay = frag.querySelector("#options");
+  const options_container = options_overlay.querySelector(".sc-thread-settings-container");
+  options_overlay.querySelector(".smart-chat-overlay-close").addEventListener('click', () => {
+    options_overlay.style.display = 'none';
+  });
+  options_button.addEventListener('click', async () => {
+    if (options_overlay.style.display !== 'none') {
+      options_overlay.style.display = 'none';
+      return;
+    }
+    const active_thread = threads_collection.get_active_thread() || thread;
+    this.empty(options_container);
+    options_container.appendChild(await thread_settings_component.call(this, active_thread, {
+      on_save: (saved_thread) => obsidian_view.render_view(saved_thread.key),
+    }));
+    options_overlay.style.display = 'block';
+  });
+
   // help documentation
   const help_button = frag.querySelector("[title='Help']");
   help_button.addEventListener("click", () => {
@@ -128,6 +252,18 @@ export async function post_process(obsidian_view, frag, opts) {
     obsidian_view.render_view();
   });
 
+  // Stop generating button (shown by the thread while a response is in flight)
+  const stop_button = frag.querySelector('button[title="Stop"]');
+  stop_button.addEventListener('click', () => {
+    threads_collection.get_active_thread()?.abort_current_response();
+  });
+
+  // search inside past chats
+  const search_chats_button = frag.querySelector('button[title="Search Chats"]');
+  search_chats_button.addEventListener('click', () => {
+    obsidian_view.open_chat_history_search();
+  });
+
   // open chat history button
   const chat_history_button = frag.querySelector('button[title="Chat History"]');
   chat_history_button.addEventListener('click', () => {
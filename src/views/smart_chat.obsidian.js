@@ -1,5 +1,7 @@
 import { SmartObsidianView } from "./smart_view.obsidian.js";
-import { FuzzySuggestModal, Keymap, Platform } from "obsidian";
+import { FuzzySuggestModal, SuggestModal, Keymap, Platform, TFile } from "obsidian";
+import { parse_prompt_template, fill_prompt_template, format_date } from "../../smart-chat-v0/utils/prompt_templates.js";
+import { get_message_search_text, build_snippet } from "../../smart-chat-v0/utils/chat_history.js";
 
 export class SmartChatsView extends SmartObsidianView {
   static get view_type() { return "smart-chat-v0"; }
@@ -33,6 +35,42 @@ export class SmartChatsView extends SmartObsidianView {
     if (!this._chat_history_selector) this._chat_history_selector = new ScChatHistoryModal(this.plugin.app, this);
     this._chat_history_selector.open();
   }
+  /**
+   * Opens the search over the messages of all chats.
+   */
+  open_chat_history_search() {
+    if (!this._chat_history_search) this._chat_history_search = new ScChatHistorySearchModal(this.plugin.app, this);
+    this._chat_history_search.open();
+  }
+  /**
+   * Opens a thread scrolled to one of its messages. A message in another branch is made current first.
+   * @param {string} thread_key
+   * @param {string} message_id - Message id (the part of the message key after `#`)
+   */
+  async open_thread_message(thread_key, message_id) {
+    const thread = this.env.smart_threads.get(thread_key);
+    if (!thread) return;
+    if (!thread.data.messages?.[message_id]) {
+      for (const [msg_i, branches] of Object.entries(thread.data.branches || {})) {
+        const index = branches.findIndex(branch => message_id in branch);
+        if (index < 0) continue;
+        await thread.promote_branch(Number(msg_i), index + 1);
+        break;
+      }
+    }
+    await this.render_view(thread_key);
+    // messages render after the view; wait for the message element
+    for (let i = 0; i < 20; i++) {
+      const message_elm = [...this.container.querySelectorAll('.sc-message')].find(elm => elm.id === message_id);
+      if (message_elm) {
+        message_elm.scrollIntoView({ block: 'center' });
+        message_elm.classList.add('sc-message-highlight');
+        setTimeout(() => message_elm.classList.remove('sc-message-highlight'), 2000);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
   open_thread(thread_name) {
     // get full key
     const thread_key = Object.keys(this.env.smart_threads.items).find(key => this.thread_key_to_name(key) === thread_name);
@@ -71,6 +109,10 @@ export class SmartChatsView extends SmartObsidianView {
     else if (event.key === "[" && chat_input.value[pos - 1] === "[") {
       setTimeout(() => this.open_file_suggestion_modal(), 10);
     }
+    else if (event.key === "/" && !chat_input.value.slice(0, pos).trim()) {
+      // slash command at the start of a message
+      setTimeout(() => this.open_prompt_template_modal(), 10);
+    }
     else if (event.key === "/" && (!pos || [" ", "\n"].includes(chat_input.value[pos - 1]))) {
       setTimeout(() => this.open_folder_suggestion_modal(), 10);
     }
@@ -130,6 +172,10 @@ export class SmartChatsView extends SmartObsidianView {
     if (!this.system_prompt_selector) this.system_prompt_selector = new ScSystemPromptSelectModal(this.plugin.app, this);
     this.system_prompt_selector.open();
   }
+  open_prompt_template_modal() {
+    if (!this.prompt_template_selector) this.prompt_template_selector = new ScPromptTemplateModal(this.plugin.app, this);
+    this.prompt_template_selector.open();
+  }
   async open_image_suggestion_modal() {
     if (!this.image_selector) {
       this.image_selector = new ScImageSelectModal(this.plugin.app, this);
@@ -152,6 +198,45 @@ export class SmartChatsView extends SmartObsidianView {
     this.textarea.focus();
   }
   get textarea() { return this.container.querySelector(".sc-chat-form textarea"); }
+  /**
+   * @returns {TFile[]} Notes in the prompt templates folder
+   */
+  get_prompt_template_files() {
+    const folder = this.env.smart_threads.prompt_templates_dir + '/';
+    return this.plugin.app.vault.getMarkdownFiles()
+      .filter(file => file.path.startsWith(folder))
+      .sort((a, b) => a.basename.localeCompare(b.basename));
+  }
+  /**
+   * Fills a prompt template and inserts it into the chat input. The template's overrides are
+   * applied when the message is sent from the active thread.
+   * @param {TFile} file - Template note
+   */
+  async insert_prompt_template(file) {
+    const template = parse_prompt_template(await this.plugin.app.vault.cachedRead(file), file.path);
+    const prompt = await fill_prompt_template(template, this.prompt_variable_resolvers);
+    this.insert_selection(prompt);
+    this.env.smart_threads.get_active_thread()?.use_prompt_template(template);
+  }
+  /**
+   * Values of the template variables, read from the most recent note editor.
+   * @returns {Object} Map of variable type to `async (arg) => string`
+   */
+  get prompt_variable_resolvers() {
+    const workspace = this.plugin.app.workspace;
+    const active_file = workspace.getActiveFile();
+    return {
+      selection: async () => workspace.getMostRecentLeaf()?.view?.editor?.getSelection?.() || '',
+      active_note: async () => (active_file ? `![[${active_file.path}]]` : ''),
+      connections: async (arg) => {
+        const source = active_file && this.env.smart_sources?.get(active_file.path);
+        if (!source?.vec) return '';
+        const results = await source.find_connections({ filter: { limit: parseInt(arg, 10) || 5 } });
+        return results.map(result => `- [[${result.item.key}]]`).join('\n');
+      },
+      date: async (arg) => (arg && window.moment ? window.moment().format(arg) : format_date(new Date(), arg || undefined)),
+    };
+  }
   insert_system_prompt(prompt_file) {
     const system_message = {
       input: {
@@ -184,6 +269,44 @@ class ScChatHistoryModal extends FuzzySuggestModal {
 }
 
 
+// CHAT HISTORY SEARCH MODAL (messages of all chats, semantic with keyword fallback)
+class ScChatHistorySearchModal extends SuggestModal {
+  constructor(app, view) {
+    super(app);
+    this.app = app;
+    this.view = view;
+    this.setPlaceholder("Search inside past chats...");
+    this.setInstructions([
+      {
+        command: `↵`,
+        purpose: "Open the chat at this message"
+      }
+    ]);
+  }
+  async getSuggestions(query) {
+    if (!query.trim()) return [];
+    clearTimeout(this._search_timeout);
+    // wait until typing pauses; only the latest query is searched
+    const is_latest = await new Promise(resolve => {
+      this._search_resolve?.(false);
+      this._search_resolve = resolve;
+      this._search_timeout = setTimeout(() => resolve(true), 250);
+    });
+    if (!is_latest) return [];
+    const results = await this.view.env.smart_threads.history_index.search(query, { limit: 20 });
+    return results.map(result => ({ ...result, query }));
+  }
+  renderSuggestion(result, el) {
+    const { thread_key, role } = result.message.data;
+    el.addClass('sc-history-search-result');
+    el.createEl('div', { cls: 'sc-history-search-title', text: `${this.view.thread_key_to_name(thread_key)} · ${role}` });
+    el.createEl('small', { cls: 'sc-history-search-snippet', text: build_snippet(get_message_search_text(result.message.data), result.query) });
+  }
+  onChooseSuggestion(result) {
+    this.view.open_thread_message(result.message.data.thread_key, result.key.split('#').pop());
+  }
+}
+
 // CONTEXT MODALS
 // Omni Modal
 class ScOmniModal extends FuzzySuggestModal {
@@ -292,6 +415,32 @@ class ScFolderSelectModal extends ContextSelectModal {
   onChooseItem(folder) { this.view.insert_selection("/" + folder + "/ "); }
 }
 
+// Prompt Template (slash command) Fuzzy Suggest Modal
+const FOLDER_REFERENCE_ITEM = "Folder reference…";
+class ScPromptTemplateModal extends FuzzySuggestModal {
+  constructor(app, view) {
+    super(app);
+    this.app = app;
+    this.view = view;
+    this.setPlaceholder("Type the name of a prompt template...");
+    this.setInstructions([
+      {
+        command: `↵`,
+        purpose: "Fill in the template"
+      },
+      {
+        command: `esc`,
+        purpose: "Keep typing"
+      }
+    ]);
+  }
+  getItems() { return [...this.view.get_prompt_template_files(), FOLDER_REFERENCE_ITEM]; }
+  getItemText(item) { return item instanceof TFile ? item.basename : item; }
+  onChooseItem(item) {
+    if (item === FOLDER_REFERENCE_ITEM) return this.view.open_folder_suggestion_modal();
+    this.view.insert_prompt_template(item).catch(error => console.error("Error inserting prompt template:", error));
+  }
+}
 
 class ScImageSelectModal extends ScFileSelectModal {
   constructor(app, view) {
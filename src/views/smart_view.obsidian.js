@@ -68,25 +68,26 @@ export class SmartObsidianView extends ItemView {
    *
    * @param {import("obsidian").Workspace} workspace
    * @param {boolean} [active=true] - Whether the view should be focused when opened.
+   * @returns {Promise<void>} Resolves once the leaf shows the view
    */
-  static open(workspace, active = true) {
+  static async open(workspace, active = true) {
     const existing_leaf = this.get_leaf(workspace);
 
     if (this.default_open_location === "root") {
       // If there's already a leaf with this view, just set it active.
       // Otherwise, create/open in a leaf in the root (left/main) area.
       if (existing_leaf) {
-        existing_leaf.setViewState({ type: this.view_type, active });
+        await existing_leaf.setViewState({ type: this.view_type, active });
       } else {
-        workspace.getLeaf(false).setViewState({ type: this.view_type, active });
+        await workspace.getLeaf(false).setViewState({ type: this.view_type, active });
       }
     } else {
       // If there's already a leaf with this view, just set it active.
       // Otherwise, create/open in the right leaf.
       if (existing_leaf) {
-        existing_leaf.setViewState({ type: this.view_type, active });
+        await existing_leaf.setViewState({ type: this.view_type, active });
       } else {
-        workspace.getRightLeaf(false).setViewState({
+        await workspace.getRightLeaf(false).setViewState({
           type: this.view_type,
           active,
         });